@@ -105,6 +105,14 @@ const ACCESSORIES = {
       '   \u2571\u2500\u2500\u2500\u2500\u2500\u2500\u2572   ',
     ],
   },
+  siren: {
+    lines: [
+      '   \u2572  !  \u2571   ',
+      '    \u256d\u2500\u2500\u2500\u256e    ',
+      '    \u2502 \u25c9 \u2502    ',
+      '  \u2550\u2550\u2567\u2550\u2550\u2550\u2567\u2550\u2550  ',
+    ],
+  },
   gitpush: {
     lines: [
       '  \u2191  \u2191  \u2191  ',
@@ -131,6 +139,7 @@ const STATE_ACCESSORIES = {
   testing:     'goggles',
   error:       'caution',
   committing:  'gitpush',
+  danger:      'siren',
 };
 
 // -- Lookup --------------------------------------------------------
@@ -5,13 +5,16 @@
 // |                                                                  |
 // |  Provides:                                                       |
 // |    - writeState / writeSessionState   (state file IPC)           |
-// |    - readStats / writeStats           (persistent stats)         |
+// |    - readStats / writeStats           (persistent stats, locked) |
 // |    - guardedWriteState                (session-aware global)     |
 // |    - initSession                      (stats bootstrapping)      |
 // |    - buildExtra                       (extra fields for state)   |
 // |    - handleToolStart / handleToolEnd  (common tool event logic)  |
+// |    - toolTimingExtra                  (latency fields for state) |
 // |    - processStdinEvent                (stdin JSON reader loop)   |
 // |    - trackEditedFile                  (file tracking helper)     |
+// |    - appendJournal                    (event journal, re-export) |
+// |    - archiveSession                   (session history, re-export)|
 // |                                                                  |
 // |  Each adapter imports these helpers and supplies its own         |
 // |  event normalisation + mapping logic.                            |
@@ -19,44 +22,53 @@
 
 const fs = require('fs');
 const path = require('path');
-const { STATE_FILE, SESSIONS_DIR, STATS_FILE, safeFilename } = require('../shared');
+const { STATE_FILE, SESSIONS_DIR, safeFilename, writeFileAtomic, withStatsLock, loadPrefs, loadRules, loadRedactPatterns, getProjectRoot, getGitBranch } = require('../shared');
 const {
-  toolToState, classifyToolResult, classifyTruncatedInput, updateStreak, defaultStats,
-  EDIT_TOOLS,
+  toolToState, classifyToolResult, classifyTruncatedInput, updateStreak,
+  editedFilePaths, detectDanger, recordDanger, redactObject,
+  slowToolThreshold, toolCategory, toolTimerKey, startToolTimer, stopToolTimer, recordLatency,
   pruneFrequentFiles, topFrequentFiles,
+  sessionProject, startProjectSession, trackProjectToolCall, projectSummary,
+  countSessionTool, noteSessionEvent, rollDaily, bumpDaily, currentDayStreak,
+  normalizeUsage, usageExtra, TODO_TOOLS, applyTodoResult, todoExtra,
 } = require('../state-machine');
+const { appendJournal } = require('../journal');
+const { archiveSession, parkSession, resumeSession, archiveIdleSessions } = require('../history');
+const { recordUsage, trackTranscript } = require('../usage');
+const { SCHEMA_VERSION } = require('../schema');
+const { readStats, writeStats } = require('../stats');
+const { ipcSend, ipcFlush } = require('../ipc');
 
 // -- State file writing ------------------------------------------------
 
+// Secrets are masked before anything is written. Each write also goes to a
+// running renderer over the IPC socket; the files remain the fallback.
 function writeState(state, detail = '', extra = {}) {
-  const data = JSON.stringify({ state, detail, timestamp: Date.now(), ...extra });
-  try { fs.writeFileSync(STATE_FILE, data, { encoding: 'utf8', mode: 0o600 }); } catch {}
+  const payload = redactObject({ state, detail, timestamp: Date.now(), ...extra, schema: SCHEMA_VERSION }, loadRedactPatterns());
+  try { writeFileAtomic(STATE_FILE, JSON.stringify(payload)); } catch {}
+  ipcSend('state', payload);
 }
 
 function writeSessionState(sessionId, state, detail = '', stopped = false, extra = {}) {
   try {
     fs.mkdirSync(SESSIONS_DIR, { recursive: true, mode: 0o700 });
     const filename = safeFilename(sessionId) + '.json';
-    const data = JSON.stringify({
+    const payload = redactObject({
       session_id: sessionId, state, detail,
       timestamp: Date.now(), cwd: process.cwd(), stopped,
       pid: process.ppid, // editor PID — hook runs as child, so ppid is the long-lived process
       ...extra,
-    });
-    fs.writeFileSync(path.join(SESSIONS_DIR, filename), data, { encoding: 'utf8', mode: 0o600 });
+      schema: SCHEMA_VERSION,
+    }, loadRedactPatterns());
+    writeFileAtomic(path.join(SESSIONS_DIR, filename), JSON.stringify(payload));
+    ipcSend('session', payload);
   } catch {}
 }
 
 // -- Stats persistence -------------------------------------------------
-
-function readStats() {
-  try { return JSON.parse(fs.readFileSync(STATS_FILE, 'utf8')); }
-  catch { return defaultStats(); }
-}
-
-function writeStats(stats) {
-  try { fs.writeFileSync(STATS_FILE, JSON.stringify(stats), { encoding: 'utf8', mode: 0o600 }); } catch {}
-}
+// readStats / writeStats (stats.js) are re-exported for the adapters.
+// Callers that read, modify and write stats wrap the sequence in
+// withStatsLock (see runStdinAdapter and codex-wrapper).
 
 // -- Session-guarded global state write --------------------------------
 // Only writes the global state file if no other active session owns it.
@@ -85,18 +97,25 @@ function guardedWriteState(sessionId, state, detail, extra) {
 
 // -- Stats initialisation ----------------------------------------------
 // Call once per event to ensure the stats object has today's daily bucket
-// and the current session is tracked.
+// and the current session is tracked, globally and in its project's bucket
+// (the project the adapter was launched in). A session it replaces is
+// parked until it ends (see history.js parkSession).
 
-function initSession(stats, sessionId) {
-  const today = new Date().toISOString().slice(0, 10);
-  if (!stats.daily || stats.daily.date !== today) {
-    stats.daily = { date: today, sessionCount: 0, cumulativeMs: 0 };
-  }
+function initSession(stats, sessionId, cwd = process.cwd()) {
+  rollDaily(stats);
   if (!stats.frequentFiles) stats.frequentFiles = {};
+  archiveIdleSessions(stats);
   if (stats.session.id !== sessionId) {
-    stats.daily.sessionCount++;
-    stats.session = { id: sessionId, start: Date.now(), toolCalls: 0, filesEdited: [], subagentCount: 0, commitCount: 0, activeSubagents: [] };
+    parkSession(stats);
+    const resumed = resumeSession(stats, sessionId);
+    if (resumed) {
+      stats.session = resumed;
+    } else {
+      stats.daily.sessionCount++;
+      stats.session = { id: sessionId, start: Date.now(), startedAt: Date.now(), toolCalls: 0, filesEdited: [], subagentCount: 0, commitCount: 0, activeSubagents: [] };
+    }
   }
+  if (!stats.session.project) startProjectSession(stats, getProjectRoot(cwd));
   if (stats.recentMilestone && Date.now() - stats.recentMilestone.at > 8000) {
     stats.recentMilestone = null;
   }
@@ -107,6 +126,7 @@ function initSession(stats, sessionId) {
 
 function buildExtra(stats, sessionId, modelName) {
   const currentSessionMs = stats.session.start ? Date.now() - stats.session.start : 0;
+  const project = sessionProject(stats);
   return {
     sessionId,
     modelName,
@@ -119,39 +139,87 @@ function buildExtra(stats, sessionId, modelName) {
     brokenStreakAt: stats.brokenStreakAt,
     milestone: stats.recentMilestone,
     diffInfo: null,
+    testInfo: null,
+    diagInfo: null,
     dailySessions: stats.daily.sessionCount,
     dailyCumulativeMs: stats.daily.cumulativeMs + currentSessionMs,
-    frequentFiles: topFrequentFiles(stats.frequentFiles),
+    dayStreak: currentDayStreak(stats),
+    bestDayStreak: stats.dayStreak ? stats.dayStreak.best : 0,
+    frequentFiles: topFrequentFiles(project ? project.frequentFiles : stats.frequentFiles),
+    project: projectSummary(project, currentSessionMs),
+    ...usageExtra(stats),
+    todos: todoExtra(stats.session),
   };
 }
 
 // -- File tracking helper ----------------------------------------------
 
+// Patches (apply_patch, unified diffs) count every file they touch.
 function trackEditedFile(stats, toolName, toolInput) {
-  if (EDIT_TOOLS.test(toolName)) {
-    const fp = toolInput?.file_path || toolInput?.path || toolInput?.target_file || '';
-    const base = fp ? path.basename(fp) : '';
-    if (base && !stats.session.filesEdited.includes(base)) {
+  for (const fp of editedFilePaths(toolName, toolInput)) {
+    const base = path.basename(fp);
+    if (!base) continue;
+    if (!stats.session.filesEdited.includes(base)) {
       stats.session.filesEdited.push(base);
     }
-    if (base) stats.frequentFiles[base] = (stats.frequentFiles[base] || 0) + 1;
+    stats.frequentFiles[base] = (stats.frequentFiles[base] || 0) + 1;
   }
 }
 
 // -- Common tool event handlers ----------------------------------------
 
-function handleToolStart(stats, toolName, toolInput) {
-  const result = toolToState(toolName, toolInput);
+// User classification rules are resolved against the adapter's cwd,
+// which is the project the editor was launched in.
+
+// toolUseId (when the editor provides one) pairs start and end events for
+// latency tracking; otherwise session id + tool name is used.
+
+function handleToolStart(stats, toolName, toolInput, toolUseId) {
+  const rules = loadRules(process.cwd());
+  const result = toolToState(toolName, toolInput, rules, loadRedactPatterns());
+  if (result.state === 'danger') {
+    const redact = loadRedactPatterns();
+    recordDanger(stats, detectDanger(toolName, toolInput, rules, redact), stats.session.id, redact);
+  }
   stats.session.toolCalls++;
   stats.totalToolCalls = (stats.totalToolCalls || 0) + 1;
+  bumpDaily(stats, 'toolCalls');
+  countSessionTool(stats.session, toolName);
   trackEditedFile(stats, toolName, toolInput);
-  return result;
+  trackProjectToolCall(stats, editedFilePaths(toolName, toolInput), process.cwd());
+  const toolStartedAt = startToolTimer(stats, toolTimerKey(stats.session.id, toolName, toolUseId), toolName);
+  return { ...result, toolStartedAt, slowToolMs: slowToolThreshold(loadPrefs()) };
 }
 
-function handleToolEnd(stats, toolName, toolInput, toolResponse, isError) {
-  const result = classifyToolResult(toolName, toolInput, toolResponse, isError);
-  updateStreak(stats, result.state === 'error');
-  return result;
+function handleToolEnd(stats, toolName, toolInput, toolResponse, isError, toolUseId) {
+  const result = classifyToolResult(toolName, toolInput, toolResponse, isError, loadRules(process.cwd()), loadRedactPatterns());
+  if (TODO_TOOLS.test(toolName) && result.state !== 'error') {
+    Object.assign(result, applyTodoResult(stats.session, toolInput, result));
+  }
+  updateStreak(stats, result.state === 'error', result.detail);
+  if (result.state === 'proud' && result.detail === 'committed') {
+    stats.session.commitCount = (stats.session.commitCount || 0) + 1;
+    bumpDaily(stats, 'commits');
+  }
+  const slowToolMs = slowToolThreshold(loadPrefs());
+  const toolDurationMs = stopToolTimer(stats, toolTimerKey(stats.session.id, toolName, toolUseId));
+  if (toolDurationMs !== null) recordLatency(stats, toolCategory(toolName), toolDurationMs, slowToolMs);
+  return { ...result, toolDurationMs, slowToolMs };
+}
+
+// State-file fields for a handleToolStart/handleToolEnd result: a live
+// timer start while the tool runs, the final duration once it ends.
+function toolTimingExtra(result) {
+  const out = {};
+  if (result.toolStartedAt) {
+    out.toolStartedAt = result.toolStartedAt;
+    out.slowToolMs = result.slowToolMs;
+  }
+  if (result.toolDurationMs != null) {
+    out.toolDurationMs = result.toolDurationMs;
+    if (result.toolDurationMs >= result.slowToolMs) out.slowTool = true;
+  }
+  return out;
 }
 
 // -- Stdin JSON reader -------------------------------------------------
@@ -175,7 +243,9 @@ function processStdinEvent(handler, fallbackFn) {
     if (inputTruncated) {
       const truncResult = classifyTruncatedInput('', input);
       writeState(truncResult.state, truncResult.detail);
-      process.exit(0);
+      appendJournal({ event: 'truncated', state: truncResult.state, detail: truncResult.detail });
+      ipcFlush(() => process.exit(0));
+      return;
     }
     try {
       const data = JSON.parse(input);
@@ -185,9 +255,10 @@ function processStdinEvent(handler, fallbackFn) {
         try { fallbackFn(err); } catch {}
       }
     }
-    process.exit(0);
+    // Let queued IPC messages drain (bounded) before exiting
+    ipcFlush(() => process.exit(0));
   });
-  // 'end' handler above already calls process.exit(0); no 'close' handler needed
+  // 'end' handler above always exits via ipcFlush; no 'close' handler needed
 }
 
 // -- Stdin JSONL (streaming) reader ------------------------------------
@@ -229,7 +300,7 @@ function processJsonlStream(stream, handler) {
 //
 // Options:
 //   defaultModel   - model name fallback (e.g. 'opencode', 'openclaw')
-//   normaliseEvent - fn(data) => { event, toolName, toolInput, toolOutput, isError, sessionId, modelName }
+//   normaliseEvent - fn(data) => { event, toolName, toolInput, toolOutput, isError, sessionId, modelName, toolUseId }
 //   mapEvent       - fn(event, toolName, toolInput, toolOutput, isError, data)
 //                    => { state, detail, stopped, extra } or null to use defaults
 //
@@ -241,7 +312,7 @@ function processJsonlStream(stream, handler) {
 function runStdinAdapter(options) {
   const { defaultModel, normaliseEvent, mapEvent } = options;
 
-  processStdinEvent((data) => {
+  const handleEvent = (data) => {
     const norm = normaliseEvent(data);
     const event = norm.event || '';
     const toolName = norm.toolName || '';
@@ -260,6 +331,10 @@ function runStdinAdapter(options) {
     const stats = readStats();
     initSession(stats, sessionId);
 
+    // Token usage: a transcript to follow, or a usage object on the event
+    if (data.transcript_path) trackTranscript(stats, data.transcript_path);
+    else if (data.usage) recordUsage(stats, [{ usage: normalizeUsage(data.usage), model: modelName }]);
+
     const extra = buildExtra(stats, sessionId, modelName);
 
     let state = 'thinking';
@@ -279,14 +354,20 @@ function runStdinAdapter(options) {
     }
     // Common event handling
     else if (event === 'tool_start' || event === 'PreToolUse') {
-      ({ state, detail } = handleToolStart(stats, toolName, toolInput));
+      const result = handleToolStart(stats, toolName, toolInput, norm.toolUseId);
+      state = result.state;
+      detail = result.detail;
+      Object.assign(extra, toolTimingExtra(result));
     }
     else if (event === 'tool_end' || event === 'PostToolUse') {
       const toolResponse = { stdout: toolOutput, stderr: norm.stderr || '', isError };
-      const result = handleToolEnd(stats, toolName, toolInput, toolResponse, isError);
+      const result = handleToolEnd(stats, toolName, toolInput, toolResponse, isError, norm.toolUseId);
       state = result.state;
       detail = result.detail;
       extra.diffInfo = result.diffInfo;
+      extra.testInfo = result.testInfo;
+      extra.diagInfo = result.diagInfo;
+      Object.assign(extra, toolTimingExtra(result));
     }
     else if (event === 'turn_end' || event === 'Stop' || event === 'session_end') {
       state = 'happy';
@@ -296,7 +377,7 @@ function runStdinAdapter(options) {
     else if (event === 'error') {
       state = 'error';
       detail = data.message || data.reason || data.output?.error || 'something went wrong';
-      updateStreak(stats, true);
+      updateStreak(stats, true, detail);
     }
     else if (event === 'waiting' || event === 'Notification') {
       state = 'waiting';
@@ -306,13 +387,20 @@ function runStdinAdapter(options) {
     // Update extra with latest counters
     extra.toolCalls = stats.session.toolCalls;
     extra.filesEdited = stats.session.filesEdited.length;
+    extra.todos = todoExtra(stats.session);
     if (stopped) extra.stopped = true;
 
+    noteSessionEvent(stats.session, { branch: getGitBranch(process.cwd()), model: modelName });
+    if (event === 'session_end') archiveSession(stats);
+
     guardedWriteState(sessionId, state, detail, extra);
     writeSessionState(sessionId, state, detail, stopped, extra);
     pruneFrequentFiles(stats.frequentFiles);
     writeStats(stats);
-  }, () => {
+    appendJournal({ event, session: sessionId, tool: toolName, state, detail });
+  };
+
+  processStdinEvent((data) => withStatsLock(() => handleEvent(data)), () => {
     // Fallback on parse error -- write thinking state with guard
     const sessionId = process.env.CLAUDE_SESSION_ID || String(process.ppid);
     guardedWriteState(sessionId, 'thinking', '', {});
@@ -330,6 +418,9 @@ module.exports = {
   trackEditedFile,
   handleToolStart,
   handleToolEnd,
+  toolTimingExtra,
+  appendJournal,
+  archiveSession,
   processStdinEvent,
   processJsonlStream,
   runStdinAdapter,
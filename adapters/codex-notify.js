@@ -16,7 +16,10 @@
 // |  individual tool calls. For richer output, use codex-wrapper.js |
 // +================================================================+
 
-const { writeState, writeSessionState, guardedWriteState } = require('./base-adapter');
+const { writeState, writeSessionState, guardedWriteState, appendJournal } = require('./base-adapter');
+const { ipcFlush } = require('../ipc');
+const { loadRedactPatterns } = require('../shared');
+const { replySummary, redactSecrets } = require('../state-machine');
 
 // -- Parse the notify JSON argument ----------------------------------
 
@@ -29,23 +32,33 @@ try {
   const eventType = event.type || '';
   const sessionId = event['thread-id'] || `codex-${process.ppid}`;
   const modelName = process.env.CODE_CRUMB_MODEL || 'codex';
+  const extra = { sessionId, modelName };
+  let state, detail;
 
   if (eventType === 'agent-turn-complete') {
     const lastMsg = event['last-assistant-message'] || '';
-    const detail = lastMsg.length > 40 ? lastMsg.slice(0, 37) + '...' : lastMsg;
-
-    guardedWriteState(sessionId, 'happy', detail || 'turn complete', { sessionId, modelName });
-    writeSessionState(sessionId, 'happy', detail || 'turn complete', false, { sessionId, modelName });
+    // The reply's mood picks the completion face; its excerpt goes in the speech bubble
+    const summary = replySummary(lastMsg, loadRedactPatterns());
+    state = summary ? summary.mood : 'happy';
+    // Redact before truncating, so a cut-off secret can't slip past the patterns
+    const clean = redactSecrets(lastMsg, loadRedactPatterns());
+    detail = (clean.length > 40 ? clean.slice(0, 37) + '...' : clean) || 'turn complete';
+    if (summary) extra.reply = { ...summary, at: Date.now() };
   } else if (eventType === 'approval-requested') {
-    guardedWriteState(sessionId, 'waiting', 'needs approval', { sessionId, modelName });
-    writeSessionState(sessionId, 'waiting', 'needs approval', false, { sessionId, modelName });
+    state = 'waiting';
+    detail = 'needs approval';
   } else {
     // Unknown event -- show as thinking
-    guardedWriteState(sessionId, 'thinking', eventType || 'codex event', { sessionId, modelName });
-    writeSessionState(sessionId, 'thinking', eventType || 'codex event', false, { sessionId, modelName });
+    state = 'thinking';
+    detail = eventType || 'codex event';
   }
+
+  guardedWriteState(sessionId, state, detail, extra);
+  writeSessionState(sessionId, state, detail, false, extra);
+  appendJournal({ event: eventType || 'notify', session: sessionId, state, detail });
 } catch {
   // Silent failure
 }
 
-process.exit(0);
+// Let queued IPC messages reach the renderer before exiting
+ipcFlush(() => process.exit(0));
@@ -19,16 +19,24 @@ const { spawn } = require('child_process');
 const path = require('path');
 const {
   writeSessionState, readStats, writeStats, guardedWriteState,
-  initSession, buildExtra, handleToolStart, handleToolEnd,
-  processJsonlStream,
+  initSession, buildExtra, handleToolStart, handleToolEnd, toolTimingExtra,
+  processJsonlStream, appendJournal, archiveSession,
 } = require('./base-adapter');
-const { SUBAGENT_TOOLS } = require('../state-machine');
+const { withStatsLock, getGitBranch } = require('../shared');
+const {
+  SUBAGENT_TOOLS, noteSessionEvent, normalizeUsage, rollDaily, defaultDaily,
+} = require('../state-machine');
+const { mergeStats } = require('../stats');
+const { recordUsage } = require('../usage');
 
 // -- Session setup -----------------------------------------------------
 
 const sessionId = process.env.CLAUDE_SESSION_ID || `codex-${process.pid}`;
 const modelName = process.env.CODE_CRUMB_MODEL || 'codex';
 const stats = readStats();
+// Today's counters as the file last had them from us -- the base for
+// merging in what other sessions added since (see syncStats)
+let syncedDaily = JSON.parse(JSON.stringify(stats.daily));
 initSession(stats, sessionId);
 
 // Track active tool calls by item ID
@@ -39,15 +47,38 @@ function extra() {
   return buildExtra(stats, sessionId, modelName);
 }
 
-// -- JSONL Event Processor -------------------------------------------
-
-function handleEvent(event) {
-  // Re-read stats from disk to avoid overwriting concurrent sessions' changes
+// Re-read stats from disk to avoid overwriting concurrent sessions' changes.
+// The session and its project bucket are ours; today's counters are merged
+// (ours since the last save on top of the file's), after both copies are
+// rolled to today -- the wrapper can outlive midnight.
+function syncStats(now = Date.now()) {
+  rollDaily(stats, now);
   const fresh = readStats();
+  rollDaily(fresh, now);
+  const base = syncedDaily && syncedDaily.date === stats.daily.date ? syncedDaily : defaultDaily(stats.daily.date);
   fresh.session = stats.session;
-  fresh.daily = stats.daily;
+  fresh.daily = mergeStats(base, stats.daily, fresh.daily);
   fresh.frequentFiles = { ...fresh.frequentFiles, ...stats.frequentFiles };
+  if (stats.session.project && stats.projects && stats.projects[stats.session.project]) {
+    fresh.projects = { ...fresh.projects, [stats.session.project]: stats.projects[stats.session.project] };
+  }
   Object.assign(stats, fresh);
+}
+
+function saveStats() {
+  writeStats(stats);
+  syncedDaily = JSON.parse(JSON.stringify(stats.daily));
+}
+
+// -- JSONL Event Processor -------------------------------------------
+
+// One journal line per codex event, recording the main session's new state
+function journal(type, tool, state, detail) {
+  appendJournal({ event: type, session: sessionId, tool, state, detail });
+}
+
+function handleEvent(event) {
+  syncStats();
 
   try {
     const type = event.type || '';
@@ -65,7 +96,8 @@ function handleEvent(event) {
 
       activeTools.set(item.id, { toolName, toolInput });
 
-      const { state, detail } = handleToolStart(stats, toolName, toolInput);
+      const started = handleToolStart(stats, toolName, toolInput, item.id);
+      const { state, detail } = started;
 
       if (SUBAGENT_TOOLS.test(toolName)) {
         stats.session.subagentCount++;
@@ -82,8 +114,9 @@ function handleEvent(event) {
         // Override main state to 'subagent'
         const subDetail = `conducting ${activeSubagents.length}`;
         guardedWriteState(sessionId, 'subagent', subDetail, extra());
+        journal(type, toolName, 'subagent', subDetail);
         writeSessionState(sessionId, 'subagent', subDetail, false, extra());
-        writeStats(stats);
+        saveStats();
       } else if (activeSubagents.length > 0) {
         // Redirect non-subagent tool state to latest synthetic session
         const latest = activeSubagents[activeSubagents.length - 1];
@@ -94,12 +127,15 @@ function handleEvent(event) {
         // Keep main state as 'subagent'
         const subDetail = `conducting ${activeSubagents.length}`;
         guardedWriteState(sessionId, 'subagent', subDetail, extra());
+        journal(type, toolName, 'subagent', subDetail);
         writeSessionState(sessionId, 'subagent', subDetail, false, extra());
-        writeStats(stats);
+        saveStats();
       } else {
-        guardedWriteState(sessionId, state, detail, extra());
-        writeSessionState(sessionId, state, detail, false, extra());
-        writeStats(stats);
+        const ex = { ...extra(), ...toolTimingExtra(started) };
+        guardedWriteState(sessionId, state, detail, ex);
+        journal(type, toolName, state, detail);
+        writeSessionState(sessionId, state, detail, false, ex);
+        saveStats();
       }
     }
 
@@ -112,10 +148,13 @@ function handleEvent(event) {
       const isError = item.status === 'failed' || item.error != null;
 
       const toolResponse = { stdout: output, stderr: '', isError };
-      const result = handleToolEnd(stats, toolName, toolInput, toolResponse, isError);
+      const result = handleToolEnd(stats, toolName, toolInput, toolResponse, isError, item.id);
 
       const ex = extra();
       ex.diffInfo = result.diffInfo;
+      ex.testInfo = result.testInfo;
+      ex.diagInfo = result.diagInfo;
+      Object.assign(ex, toolTimingExtra(result));
 
       if (SUBAGENT_TOOLS.test(toolName) && activeSubagents.length > 0) {
         // Remove oldest subagent (FIFO)
@@ -127,9 +166,11 @@ function handleEvent(event) {
         if (activeSubagents.length > 0) {
           const subDetail = `conducting ${activeSubagents.length}`;
           guardedWriteState(sessionId, 'subagent', subDetail, ex);
+          journal(type, toolName, 'subagent', subDetail);
           writeSessionState(sessionId, 'subagent', subDetail, false, ex);
         } else {
           guardedWriteState(sessionId, result.state, result.detail, ex);
+          journal(type, toolName, result.state, result.detail);
           writeSessionState(sessionId, result.state, result.detail, false, ex);
         }
       } else if (activeSubagents.length > 0) {
@@ -142,17 +183,20 @@ function handleEvent(event) {
         // Keep main state as 'subagent'
         const subDetail = `conducting ${activeSubagents.length}`;
         guardedWriteState(sessionId, 'subagent', subDetail, ex);
+        journal(type, toolName, 'subagent', subDetail);
         writeSessionState(sessionId, 'subagent', subDetail, false, ex);
       } else {
         guardedWriteState(sessionId, result.state, result.detail, ex);
+        journal(type, toolName, result.state, result.detail);
         writeSessionState(sessionId, result.state, result.detail, false, ex);
       }
-      writeStats(stats);
+      saveStats();
       activeTools.delete(item.id);
     }
 
-    // Turn completed
+    // Turn completed -- carries the turn's token usage
     else if (type === 'turn.completed') {
+      if (event.usage) recordUsage(stats, [{ usage: normalizeUsage(event.usage), model: modelName }]);
       // Clean up all remaining synthetic subagent sessions
       while (activeSubagents.length > 0) {
         const removed = activeSubagents.shift();
@@ -161,22 +205,25 @@ function handleEvent(event) {
         });
       }
       guardedWriteState(sessionId, 'happy', 'all done!', extra());
+      journal(type, '', 'happy', 'all done!');
       writeSessionState(sessionId, 'happy', 'all done!', true, extra());
-      writeStats(stats);
+      saveStats();
     }
 
     // Turn failed
     else if (type === 'turn.failed' || type === 'error') {
       const { updateStreak } = require('../state-machine');
-      updateStreak(stats, true);
+      updateStreak(stats, true, 'turn failed');
       guardedWriteState(sessionId, 'error', event.message || 'something went wrong', extra());
+      journal(type, '', 'error', event.message || 'something went wrong');
       writeSessionState(sessionId, 'error', event.message || 'something went wrong', false, extra());
-      writeStats(stats);
+      saveStats();
     }
 
     // Thread/turn started -> thinking
     else if (type === 'turn.started' || type === 'thread.started') {
       guardedWriteState(sessionId, 'thinking', 'warming up...', extra());
+      journal(type, '', 'thinking', 'warming up...');
       writeSessionState(sessionId, 'thinking', 'warming up...', false, extra());
     }
   } catch {
@@ -195,12 +242,14 @@ if (args.length === 0) {
 
 // Set initial state
 guardedWriteState(sessionId, 'thinking', 'starting codex...', extra());
+journal('start', '', 'thinking', 'starting codex...');
 
 const codex = spawn('codex', ['exec', '--json', ...args], {
   stdio: ['inherit', 'pipe', 'inherit'],
 });
 
-processJsonlStream(codex.stdout, handleEvent);
+// Each event re-reads, updates and writes stats -- hold the stats lock throughout
+processJsonlStream(codex.stdout, (event) => withStatsLock(() => handleEvent(event)));
 
 // Also pass through to our stdout so user sees output
 codex.stdout.on('data', (chunk) => {
@@ -222,7 +271,10 @@ codex.on('exit', (code) => {
     });
   }
   guardedWriteState(sessionId, 'happy', 'codex finished', extra());
+  journal('exit', '', 'happy', 'codex finished');
   writeSessionState(sessionId, 'happy', 'codex finished', true, extra());
-  writeStats(stats);
+  noteSessionEvent(stats.session, { branch: getGitBranch(process.cwd()), model: modelName });
+  archiveSession(stats);
+  withStatsLock(() => { syncStats(); saveStats(); });
   process.exit(code || 0);
 });
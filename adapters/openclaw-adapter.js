@@ -68,8 +68,9 @@ function normaliseEvent(data) {
   const toolOutput = data.output || data.result || '';
   const isError = data.error || data.is_error || data.blocked || false;
   const stderr = data.stderr || '';
+  const toolUseId = data.toolCallId || data.tool_call_id || data.tool_use_id || '';
 
-  return { event, toolName, toolInput, toolOutput, isError, stderr };
+  return { event, toolName, toolInput, toolOutput, isError, stderr, toolUseId };
 }
 
 // -- Main ---------------------------------------------------------------
@@ -59,8 +59,9 @@ function normaliseEvent(data) {
   const stderr = data.output?.error || '';
 
   const sessionId = data.session_id || '';
+  const toolUseId = opencodeInput.callID || data.tool_use_id || data.call_id || '';
 
-  return { event, toolName, toolInput, toolOutput, isError, stderr, sessionId };
+  return { event, toolName, toolInput, toolOutput, isError, stderr, sessionId, toolUseId };
 }
 
 // -- Custom event mapping -----------------------------------------------
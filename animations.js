@@ -28,6 +28,9 @@ const mouths = {
   conducting: () => mouths.determined(),
   catMouth:   () => ' \u03c9 ',
   exhale:     () => ' \u25e1 ',
+  uneasy:     () => '\u2500~\u2500',
+  gasp:       () => '\u25e0\u25cb\u25e0',
+  attentive:  () => '\u2500\u25e6\u2500',
   content:    () => '\u25e1\u25e1 ',
   responding: () => ' \u25e1\u25e1',
   furnace: () => {
@@ -61,6 +64,9 @@ const gridMouths = {
   committing:  '\u2550\u2550\u2550',
   reviewing:   '\u2550\u2550\u2550',
   training:    '\u2237\u2237\u2237',
+  wary:        '\u2500~\u2500',
+  danger:      '\u25e0\u25cb\u25e0',
+  listening:   '\u2500\u25e6\u2500',
 };
 
 // -- Eyes (2-row, full-size face) ----------------------------------
@@ -125,6 +131,21 @@ const eyes = {
 
   down()  { return { left: ['  ', '\u2584\u2584'], right: ['  ', '\u2584\u2584'] }; },
 
+  // One eye open, one squinting -- side-eye at a pile of warnings
+  wary()  { return { left: ['\u2588\u2588', '\u2588\u2588'], right: ['\u2580\u2580', '  '] }; },
+
+  // Wide eyes that snap to pinprick pupils -- something risky is about to run
+  alarmed(theme, frame) {
+    if (Math.floor(frame / 6) % 2) return { left: ['\u2597\u2596', '\u259d\u2598'], right: ['\u2597\u2596', '\u259d\u2598'] };
+    return { left: ['\u2588\u2588', '\u2588\u2588'], right: ['\u2588\u2588', '\u2588\u2588'] };
+  },
+
+  // Pupils raised toward the prompt, with a slow blink -- taking it all in
+  listening(theme, frame) {
+    if (frame % 70 < 2) return { left: ['  ', '\u2584\u2584'], right: ['  ', '\u2584\u2584'] };
+    return { left: ['\u2588\u2588', '\u2580\u2580'], right: ['\u2588\u2588', '\u2580\u2580'] };
+  },
+
   vibrate(theme, frame) {
     const j = frame % 3;
     if (j === 0) return { left: ['\u2588\u2588', '\u2588\u2588'], right: ['\u2588\u2588', '\u2588\u2588'] };
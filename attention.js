@@ -0,0 +1,122 @@
+'use strict';
+
+// +================================================================+
+// |  Waiting Escalation -- getting your attention back               |
+// |                                                                  |
+// |  A session sitting in 'waiting' (a permission prompt, a question |
+// |  or an idle notification) escalates the longer it waits:         |
+// |    timer    elapsed time in the status line / orbital detail     |
+// |    bell     terminal bell                                        |
+// |    notify   desktop notification (OSC 9 and OSC 777)             |
+// |    flash    the window title flashes                             |
+// |  Bell and notify fire once per wait. The schedule applies to the |
+// |  main face and every orbital, and starts over once the session   |
+// |  moves on.                                                       |
+// |                                                                  |
+// |  Prefs:                                                          |
+// |    waitAlerts  { "timer": 10, "bell": 60, "notify": 180,         |
+// |                  "flash": 300 } in seconds -- 0 turns a step     |
+// |                off, false turns them all off                     |
+// +================================================================+
+
+const { formatElapsed } = require('./state-machine');
+
+const WAIT_STEPS = ['timer', 'bell', 'notify', 'flash'];
+const WAIT_ALERTS = { timer: 10, bell: 60, notify: 180, flash: 300 };
+const TITLE_FLASH_MS = 1000;
+
+// Schedule in ms from prefs; a step at 0 never fires
+function waitAlertSettings(prefs) {
+  const p = prefs && prefs.waitAlerts;
+  const settings = {};
+  for (const step of WAIT_STEPS) {
+    if (p === false) { settings[step] = 0; continue; }
+    const secs = p && typeof p === 'object' && p[step] !== undefined ? Number(p[step]) : WAIT_ALERTS[step];
+    settings[step] = secs > 0 ? secs * 1000 : 0;
+  }
+  return settings;
+}
+
+// Steps reached after waitedMs, in schedule order
+function waitSteps(waitedMs, settings) {
+  return WAIT_STEPS.filter(step => settings[step] > 0 && waitedMs >= settings[step]);
+}
+
+// Desktop notification: OSC 9 (iTerm2, WezTerm, Windows Terminal, kitty)
+// and OSC 777 (foot, Ghostty, urxvt, VTE). Terminals ignore the one they
+// don't know. Inside tmux each is wrapped for passthrough (needs
+// "set -g allow-passthrough on").
+function notifySequence(title, body, env = process.env) {
+  // Control characters would end the sequence early; ';' splits OSC 777 fields
+  const clean = s => String(s).replace(/[\x00-\x1f\x7f;]/g, ' ');
+  const seqs = [
+    `\x1b]9;${clean(title)}: ${clean(body)}\x07`,
+    `\x1b]777;notify;${clean(title)};${clean(body)}\x07`,
+  ];
+  if (!env.TMUX) return seqs.join('');
+  return seqs.map(s => `\x1bPtmux;${s.replace(/\x1b/g, '\x1b\x1b')}\x1b\\`).join('');
+}
+
+// Follows every waiting session from frame to frame. Sessions come from
+// the faces as { id, name, state, since } -- since is when the face went
+// into 'waiting', so a new wait (a new since) starts the schedule over.
+class WaitTracker {
+  constructor(settings = waitAlertSettings(null), env = process.env) {
+    this.settings = settings;
+    this.env = env;
+    this.waits = new Map();        // id -> { name, since, fired: Set }
+  }
+
+  // Escape sequences (bell, notifications) for the steps reached since
+  // the last call, '' when there are none
+  update(sessions, now = Date.now()) {
+    let out = '';
+    const seen = new Set();
+    for (const s of sessions) {
+      if (!s || !s.id || s.state !== 'waiting') continue;
+      seen.add(s.id);
+      const since = s.since || now;
+      let wait = this.waits.get(s.id);
+      if (!wait || wait.since !== since) {
+        wait = { name: s.name, since, fired: new Set() };
+        this.waits.set(s.id, wait);
+      }
+      wait.name = s.name || '?';
+      const waited = now - since;
+      for (const step of waitSteps(waited, this.settings)) {
+        if (wait.fired.has(step)) continue;
+        wait.fired.add(step);
+        if (step === 'bell') out += '\x07';
+        else if (step === 'notify') {
+          out += notifySequence('Code Crumb', `${wait.name} has been waiting ${formatElapsed(waited)}`, this.env);
+        }
+      }
+    }
+    for (const id of [...this.waits.keys()]) {
+      if (!seen.has(id)) this.waits.delete(id);
+    }
+    return out;
+  }
+
+  // Window title for this frame while a wait is past the flash step:
+  // the longest wait, on every other TITLE_FLASH_MS. null otherwise.
+  flashTitle(now = Date.now()) {
+    let longest = null;
+    for (const wait of this.waits.values()) {
+      if (!wait.fired.has('flash')) continue;
+      if (!longest || wait.since < longest.since) longest = wait;
+    }
+    if (!longest || Math.floor(now / TITLE_FLASH_MS) % 2 === 1) return null;
+    return `\u25cf ${longest.name} is waiting on you \u00b7 ${formatElapsed(now - longest.since)}`;
+  }
+}
+
+module.exports = {
+  WAIT_STEPS,
+  WAIT_ALERTS,
+  TITLE_FLASH_MS,
+  waitAlertSettings,
+  waitSteps,
+  notifySequence,
+  WaitTracker,
+};
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+'use strict';
+
+// +================================================================+
+// |  Hook Daemon -- optional long-lived home for hook bookkeeping    |
+// |                                                                  |
+// |  update-state.js forwards each event here over a local socket    |
+// |  (DAEMON_SOCKET) and exits. The daemon runs the same runHook()   |
+// |  with stats held in memory and git lookups cached per cwd, and   |
+// |  persists stats every STATS_FLUSH_MS (under the stats lock) and  |
+// |  on exit. Changes other writers made to the file in between are  |
+// |  merged in, not overwritten. Hooks fall back to in-process       |
+// |  handling whenever the daemon can't be reached.                  |
+// |                                                                  |
+// |  Usage: node daemon.js                                           |
+// |  Or set "daemon": true in prefs to have hooks start it on        |
+// |  demand. Exits after DAEMON_IDLE_MS without events.              |
+// +================================================================+
+
+const fs = require('fs');
+const {
+  DAEMON_SOCKET, STATS_FILE, withStatsLock, getGitBranch, getIsWorktree, getProjectRoot,
+} = require('./shared');
+const { createIpcServer, closeIpcServer } = require('./ipc');
+const { runHook } = require('./update-state');
+const { rollDaily } = require('./state-machine');
+const { readStats, writeStats, mergeStats } = require('./stats');
+
+const STATS_FLUSH_MS = 1000;
+const GIT_CACHE_MS = 5000;
+const GIT_CACHE_MAX = 100;
+const DAEMON_IDLE_MS = 30 * 60 * 1000;
+
+// -- In-memory stats -------------------------------------------------
+
+let stats = null;
+let base = null;      // Copy of the file as of our last read or write
+let statsMtime = 0;   // Stats file mtime as of our last read or write
+let dirty = false;
+let flushTimer = null;
+let handled = 0;
+
+function _statsFileMtime() {
+  try { return fs.statSync(STATS_FILE).mtimeMs; } catch { return 0; }
+}
+
+function _copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// Adapters (and hooks that ran in-process while the daemon was
+// unreachable) still write the stats file directly -- pick their changes
+// up when it moves. With unflushed changes of our own they are merged
+// at the next flush instead.
+function loadStats() {
+  const mtime = _statsFileMtime();
+  if (!stats || (!dirty && mtime !== statsMtime)) {
+    stats = readStats();
+    base = _copy(stats);
+    statsMtime = mtime;
+  }
+  return stats;
+}
+
+function flushStats() {
+  if (flushTimer) { clearTimeout(flushTimer); flushTimer = null; }
+  if (!dirty || !stats) return;
+  withStatsLock(() => {
+    if (_statsFileMtime() !== statsMtime) {
+      // Both copies on today's counters first, as the codex wrapper does
+      const fresh = readStats();
+      rollDaily(stats);
+      rollDaily(fresh);
+      stats = mergeStats(base, stats, fresh);
+    }
+    writeStats(stats);
+  });
+  base = _copy(stats);
+  statsMtime = _statsFileMtime();
+  dirty = false;
+}
+
+function saveStats() {
+  dirty = true;
+  if (!flushTimer) flushTimer = setTimeout(flushStats, STATS_FLUSH_MS);
+}
+
+// -- Git info cache --------------------------------------------------
+
+// getGitBranch / getIsWorktree / getProjectRoot walk up the directory tree
+// on every call; a few seconds of staleness is fine for a branch name.
+const gitCache = new Map();
+
+function _cachedGit(cwd) {
+  const now = Date.now();
+  let entry = gitCache.get(cwd);
+  if (!entry || now - entry.at > GIT_CACHE_MS) {
+    if (gitCache.size >= GIT_CACHE_MAX) gitCache.clear();
+    entry = {
+      at: now, branch: getGitBranch(cwd), isWorktree: getIsWorktree(cwd), root: getProjectRoot(cwd),
+    };
+    gitCache.set(cwd, entry);
+  }
+  return entry;
+}
+
+// -- Request handling ------------------------------------------------
+
+// runHook context for a forwarded event: the calling hook's cwd, editor
+// PID and env, with this daemon's stats and git cache behind it.
+function daemonContext(req) {
+  return {
+    cwd: req.cwd || process.cwd(),
+    ppid: req.ppid || 0,
+    sessionEnv: req.sessionEnv || '',
+    modelEnv: req.modelEnv || '',
+    loadStats,
+    saveStats,
+    getGitBranch: (cwd) => _cachedGit(cwd).branch,
+    getIsWorktree: (cwd) => _cachedGit(cwd).isWorktree,
+    getProjectRoot: (cwd) => _cachedGit(cwd).root,
+  };
+}
+
+// Acks before running the hook, so a client that gave up (past its
+// deadline, see ipcRequest) and handled the event itself never sees it
+// handled twice.
+function handleRequest(msg, conn, now = Date.now()) {
+  if (msg.kind !== 'hook' || !msg.data) return;
+  if (msg.deadline && now > msg.deadline) {
+    try { conn.write('late\n'); } catch {}
+    return;
+  }
+  try { conn.write('ack\n'); } catch {}
+  const req = msg.data;
+  try {
+    runHook(String(req.event || ''), String(req.input || ''), daemonContext(req));
+  } catch {}
+  handled++;
+  try { conn.write('ok\n'); } catch {}
+}
+
+function daemonStatus() {
+  return { handled, statsDirty: dirty };
+}
+
+// -- Lifecycle -------------------------------------------------------
+
+function startDaemon(socketPath = DAEMON_SOCKET) {
+  let server = null;
+  let idleTimer = null;
+
+  function shutdown() {
+    flushStats();
+    closeIpcServer(server, socketPath);
+    process.exit(0);
+  }
+
+  function resetIdle() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(shutdown, DAEMON_IDLE_MS);
+  }
+
+  server = createIpcServer((msg, conn) => {
+    resetIdle();
+    handleRequest(msg, conn);
+  }, socketPath, (ready) => {
+    if (!ready) process.exit(0); // Another daemon owns the socket
+    resetIdle();
+  });
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  try { process.on('SIGHUP', shutdown); } catch {}
+  return server;
+}
+
+if (require.main === module) startDaemon();
+
+module.exports = {
+  STATS_FLUSH_MS,
+  GIT_CACHE_MS,
+  DAEMON_IDLE_MS,
+  daemonContext,
+  daemonStatus,
+  handleRequest,
+  flushStats,
+  startDaemon,
+};
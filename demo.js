@@ -10,6 +10,7 @@
 const fs = require('fs');
 const path = require('path');
 const { STATE_FILE, SESSIONS_DIR } = require('./shared');
+const { SCHEMA_VERSION } = require('./schema');
 
 // Ensure sessions dir exists for orbital demo
 try { fs.mkdirSync(SESSIONS_DIR, { recursive: true }); } catch {}
@@ -18,7 +19,7 @@ const mainId = 'demo-main';
 
 function writeState(state, detail = '', extra = {}) {
   fs.writeFileSync(STATE_FILE, JSON.stringify({
-    state, detail, timestamp: Date.now(), sessionId: mainId, modelName: 'claude', ...extra,
+    state, detail, timestamp: Date.now(), sessionId: mainId, modelName: 'claude', ...extra, schema: SCHEMA_VERSION,
   }), 'utf8');
 }
 
@@ -26,7 +27,7 @@ function writeSession(id, state, detail, cwd, stopped = false, taskDescription)
   const filename = id.replace(/[^a-zA-Z0-9_-]/g, '_') + '.json';
   const data = {
     session_id: id, state, detail, timestamp: Date.now(),
-    cwd: cwd || process.cwd(), stopped, modelName: 'claude',
+    cwd: cwd || process.cwd(), stopped, modelName: 'claude', schema: SCHEMA_VERSION,
   };
   if (taskDescription) data.taskDescription = taskDescription;
   fs.writeFileSync(path.join(SESSIONS_DIR, filename), JSON.stringify(data), 'utf8');
@@ -51,6 +52,7 @@ const sessionStart = Date.now();
 
 const states = [
   { state: 'idle',      detail: '',                     duration: 3000, label: 'Idle -- resting, thought bubbles drift in' },
+  { state: 'listening', detail: 'fix the login redirect', duration: 2500, label: 'Listening -- a new prompt, eyes up and attentive' },
   { state: 'thinking',  detail: '',                     duration: 3500, label: 'Thinking -- eyes spinning, orbiting particles' },
   { state: 'responding', detail: 'generating response',    duration: 3500, label: 'Responding -- after tools, final output' },
   { state: 'reading',   detail: 'reading index.ts',     duration: 3000, label: 'Reading -- narrowed eyes, tool call count shows' },
@@ -62,9 +64,11 @@ const states = [
   { state: 'satisfied', detail: 'got it',               duration: 3000, label: 'Satisfied -- calm after reading, streak building', success: true },
   { state: 'proud',    detail: 'saved App.tsx',         duration: 3000, label: 'Proud -- nailed a code edit!', success: true },
   { state: 'relieved', detail: 'command succeeded',     duration: 3000, label: 'Relieved -- command ran clean', success: true },
+  { state: 'wary',     detail: '2 warnings · api.ts:42', duration: 3000, label: 'Wary -- build passed, but with warnings', success: true },
   { state: 'proud',    detail: 'saved utils.ts',        duration: 2000, label: 'Proud again -- another clean edit', success: true },
   { state: 'satisfied', detail: 'step complete',        duration: 2000, label: 'Satisfied -- steady progress', success: true },
   { state: 'testing',     detail: 'npm test',              duration: 3500, label: 'Testing -- nervous energy, sweat drops' },
+  { state: 'danger',    detail: 'careful: rm -rf',       duration: 3000, label: 'Danger -- destructive command incoming, sirens on' },
   { state: 'error',     detail: 'build failed (exit 1)', duration: 4000, label: 'Error! -- streak broken, dramatic reaction!', error: true },
   { state: 'sleeping',    detail: '',                      duration: 3500, label: 'Sleeping -- zzz, drifted off' },
   { state: 'waiting',     detail: 'needs input',           duration: 3000, label: 'Waiting -- needs user attention' },
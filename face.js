@@ -9,7 +9,7 @@
 const {
   ansi, breathe, dimColor,
   themes, TIMELINE_COLORS, SPARKLINE_BLOCKS,
-  IDLE_THOUGHTS, THINKING_THOUGHTS, COMPLETION_THOUGHTS, STATE_THOUGHTS,
+  IDLE_THOUGHTS, THINKING_THOUGHTS, COMPLETION_THOUGHTS, SLOW_TOOL_THOUGHTS, STATE_THOUGHTS,
   PALETTES, PALETTE_NAMES,
   isNoColor,
 } = require('./themes');
@@ -17,6 +17,8 @@ const path = require('path');
 const { eyes, mouths } = require('./animations');
 const { ParticleSystem } = require('./particles');
 const { getAccessory } = require('./accessories');
+const { WAIT_ALERTS } = require('./attention');
+const { SLOW_TOOL_MS, formatElapsed, formatTokens, formatCost } = require('./state-machine');
 
 // Active tool states that represent real work happening NOW.
 // These bypass the min display time of passive/thinking/completion states,
@@ -24,7 +26,7 @@ const { getAccessory } = require('./accessories');
 const ACTIVE_WORK_STATES = new Set([
   'executing', 'coding', 'reading', 'searching', 'testing',
   'installing', 'committing', 'reviewing', 'subagent', 'responding',
-  'training',
+  'training', 'danger',
 ]);
 // Low-activity states used for timeline compression and consecutive-entry capping
 const LOW_ACTIVITY_STATES = new Set(['idle', 'sleeping', 'waiting']);
@@ -36,14 +38,53 @@ const COMPRESS_LOW_CAP = 30000;
 const MAX_SEGMENT_BLOCKS = 5;
 
 const INTERRUPTIBLE_STATES = new Set([
-  'thinking', 'happy', 'satisfied', 'proud', 'relieved',
-  'idle', 'sleeping', 'waiting',
+  'thinking', 'happy', 'satisfied', 'proud', 'relieved', 'wary',
+  'idle', 'sleeping', 'waiting', 'listening',
 ]);
-const COMPLETION_STATES = new Set(['happy', 'satisfied', 'proud', 'relieved']);
+const COMPLETION_STATES = new Set(['happy', 'satisfied', 'proud', 'relieved', 'wary']);
 // Minimum ms a completion state must be visible before a work state can bypass it.
 // Prevents the "satisfied flicker" where work immediately swallows the reward face.
 const COMPLETION_MIN_SHOW_MS = 500;
 
+// Final reply speech bubble: shown from Stop through the completion state
+// it leads to; REPLY_LINES at a time, scrolled with 'r'
+const REPLY_STATES = new Set(['responding', ...COMPLETION_STATES]);
+const REPLY_LINES = 3;
+const REPLY_WRAP = 44;
+
+// Running-tool timer: shown in the status line after TOOL_TIMER_SHOW_MS;
+// a start older than TOOL_RUN_MAX_MS is treated as a lost PostToolUse.
+const TOOL_TIMER_SHOW_MS = 3000;
+const TOOL_RUN_MAX_MS = 600000;
+
+// Greedy word wrap; words longer than a line are hard-broken
+function wrapWords(text, width) {
+  const lines = [];
+  let line = '';
+  for (let word of String(text || '').split(' ')) {
+    while (word.length > width) {
+      if (line) { lines.push(line); line = ''; }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!word) continue;
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= width) line += ' ' + word;
+    else { lines.push(line); line = word; }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Compact test summary for the status line and thought bubble: "41✓ 2✗ 1○"
+function formatTestCounts(info) {
+  if (!info) return '';
+  const parts = [`${info.passed || 0}\u2713`];
+  if (info.failed) parts.push(`${info.failed}\u2717`);
+  if (info.skipped) parts.push(`${info.skipped}\u25cb`);
+  return parts.join(' ');
+}
+
 // -- Config --------------------------------------------------------
 const BLINK_MIN = 2500;
 const BLINK_MAX = 6000;
@@ -104,9 +145,40 @@ class ClaudeFace {
 
     // Inter-session memory
     this.diffInfo = null;
+    this.testInfo = null;
+    this.diagInfo = null;
     this.dailySessions = 0;
     this.dailyCumulativeMs = 0;
+    this.dayStreak = 0;      // Days in a row with activity
+    this.bestDayStreak = 0;
     this.frequentFiles = {};
+    this.project = null;  // Current project's figures (state-machine projectSummary)
+    this.promptPreview = ''; // Redacted start of the last prompt (UserPromptSubmit)
+    this.schemaWarning = ''; // Hook/renderer schema mismatch (schema.js), shown in the hints row
+
+    // Token usage (usage.js) -- session and today, estimated USD
+    this.tokens = 0;
+    this.cost = 0;
+    this.dailyTokens = 0;
+    this.dailyCost = 0;
+    this.budgetAlert = null;   // { scope, cost, limit, at } while over budget
+    this.budgetShowTime = 0;
+
+    // Time blocked on you today -- waiting events to the next activity
+    this.dailyWaitMs = 0;
+    this.dailyWaits = 0;
+
+    // Todo list progress (TodoWrite) -- { total, done, current, doneAt }
+    this.todos = null;
+    this.todosDoneAt = 0;
+    this.todoCelebrateTime = 0;
+
+    // Tool timing
+    this.toolStartedAt = 0;
+    this.slowToolMs = SLOW_TOOL_MS;
+    this.toolDurationMs = 0;
+    this.slowTool = false;
+    this._slowReactedAt = 0;
 
     // Timeline
     this.timeline = [{ state: 'idle', at: Date.now() }];
@@ -121,6 +193,7 @@ class ClaudeFace {
     this.sessionListIndex = 0;
     this.sessionListCount = 0;
     this.sessionListPromote = null;
+    this.showInbox = false;
     this.petTimer = 0;
     this.petWiggle = 0;
     this.petTimes = [];
@@ -138,6 +211,17 @@ class ClaudeFace {
     this.subagentCount = 0;
     this.lastPos = null;
     this._prevBubbleRight = 0;     // Rightmost col of previous frame's thought bubble
+    this._prevBubbleTop = 0;       // Top row of previous frame's reply bubble (0 = none)
+
+    // Final reply (Stop) -- { lead, text, mood, at } and the bubble's scroll
+    this.reply = null;
+    this.replyScroll = 0;
+    this.inbox = [];               // Open inbox items ({ kind, text, at }) for the inbox overlay
+
+    // Waiting on you -- elapsed time joins the status line after waitTimerMs
+    this.waitingSince = 0;
+    this.waitTimerMs = WAIT_ALERTS.timer * 1000;
+    this._replyLineCount = 0;      // Wrapped lines at the last render, for scrollReply()
     this._prevHelpBounds = null;   // {bx, by, w, h} of last frame's help overlay
 
     // Minimal mode (--minimal flag: face + status only, no chrome)
@@ -159,12 +243,12 @@ class ClaudeFace {
 
   _getMinDisplayMs(state) {
     const times = {
-      happy: 4000, proud: 4500, satisfied: 2500, relieved: 2500,
+      happy: 4000, proud: 4500, satisfied: 2500, relieved: 2500, wary: 3000,
       error: 4000, coding: 6000, thinking: 2500, responding: 3000, reading: 4000,
       searching: 4000, executing: 4000, testing: 4000, installing: 4000,
       caffeinated: 2500, subagent: 4000, waiting: 1500, sleeping: 1000,
       starting: 1500, spawning: 4000, committing: 3500, reviewing: 3500,
-      training: 5000,
+      training: 5000, danger: 3000, listening: 1500,
     };
     return times[state] || 1000;
   }
@@ -174,7 +258,7 @@ class ClaudeFace {
       const now = Date.now();
 
       // Minimum display time: buffer incoming state if current hasn't shown long enough.
-      // Errors and rate limits always bypass -- critical feedback.
+      // Errors, destructive-command warnings and rate limits always bypass -- critical feedback.
       //
       // Anti-flicker rules (Fix #96 follow-up):
       //   1. Work states bypass completion states, BUT only after COMPLETION_MIN_SHOW_MS
@@ -192,14 +276,14 @@ class ClaudeFace {
       const isCompletionDuringWork = COMPLETION_STATES.has(newState) && ACTIVE_WORK_STATES.has(this.state);
 
       const shouldBuffer = now < this.minDisplayUntil
-          && newState !== 'error'
+          && newState !== 'error' && newState !== 'danger'
           && (!COMPLETION_STATES.has(newState) || isCompletionDuringWork)
           && !shouldBypass;
 
       if (shouldBuffer) {
         // Errors are never overwritten. Completions protect against mundane overwrites
         // (e.g. idle shouldn't displace a pending satisfied), but yield to newer completions.
-        const pendingIsProtected = this.pendingState === 'error'
+        const pendingIsProtected = this.pendingState === 'error' || this.pendingState === 'danger'
             || (COMPLETION_STATES.has(this.pendingState) && !COMPLETION_STATES.has(newState) && newState !== 'error');
         if (!pendingIsProtected) {
           this.pendingState = newState;
@@ -211,6 +295,11 @@ class ClaudeFace {
       this.prevState = this.state;
       this.state = newState;
       this.transitionFrame = 0;
+      this.waitingSince = newState === 'waiting' ? now : 0;
+      if (!REPLY_STATES.has(newState)) {
+        this.reply = null;
+        this.replyScroll = 0;
+      }
       this.lastStateChange = now;
       this.stateDetail = detail;
       this.minDisplayUntil = now + this._getMinDisplayMs(newState);
@@ -252,11 +341,17 @@ class ClaudeFace {
         this.particles.spawn(4, 'float');
       } else if (newState === 'relieved') {
         this.particles.spawn(3, 'float');
+      } else if (newState === 'wary') {
+        this.particles.spawn(2, 'sweat');
       } else if (newState === 'error') {
         this.particles.spawn(8, 'glitch');
         this.glitchIntensity = 1.0;
+      } else if (newState === 'danger') {
+        this.particles.spawn(10, 'alarm');
       } else if (newState === 'thinking') {
         this.particles.spawn(6, 'orbit');
+      } else if (newState === 'listening') {
+        this.particles.spawn(3, 'float');
       } else if (newState === 'responding') {
         this.particles.spawn(4, 'float');
       } else if (newState === 'subagent') {
@@ -308,9 +403,53 @@ class ClaudeFace {
 
     // Inter-session memory
     this.diffInfo = data.diffInfo || null;
+    this.testInfo = data.testInfo || null;
+    this.diagInfo = data.diagInfo || null;
     this.dailySessions = data.dailySessions || 0;
     this.dailyCumulativeMs = data.dailyCumulativeMs || 0;
+    this.dayStreak = data.dayStreak || 0;
+    this.bestDayStreak = data.bestDayStreak || 0;
     if (data.frequentFiles) this.frequentFiles = data.frequentFiles;
+    this.project = data.project || null;
+    this.promptPreview = data.promptPreview || '';
+    this.inbox = Array.isArray(data.inbox) ? data.inbox : [];
+    if (data.reply && data.reply.text && (!this.reply || data.reply.at !== this.reply.at)) {
+      this.reply = data.reply;
+      this.replyScroll = 0;
+    }
+
+    // Token usage -- a new budget alert gets a nervous reaction
+    this.tokens = data.tokens || 0;
+    this.cost = data.cost || 0;
+    this.dailyTokens = data.dailyTokens || 0;
+    this.dailyCost = data.dailyCost || 0;
+    this.dailyWaitMs = data.dailyWaitMs || 0;
+    this.dailyWaits = data.dailyWaits || 0;
+    // Todo list -- checking off the last item is a celebration
+    this.todos = data.todos && data.todos.total > 0 ? data.todos : null;
+    if (this.todos && this.todos.doneAt && this.todos.doneAt !== this.todosDoneAt) {
+      this.todosDoneAt = this.todos.doneAt;
+      this.todoCelebrateTime = 90; // ~6 seconds at 15fps
+      this.particles.spawn(20, 'sparkle');
+      this.thoughtTimer = 0;
+      this._updateThought();
+    }
+
+    if (data.budgetAlert && (!this.budgetAlert || data.budgetAlert.at !== this.budgetAlert.at)) {
+      this.budgetAlert = data.budgetAlert;
+      this.budgetShowTime = 180; // ~12 seconds at 15fps
+      this.particles.spawn(8, 'sweat');
+      this.thoughtTimer = 0;
+      this._updateThought();
+    }
+
+    // Tool timing -- live timer while a tool runs, duration once it ends
+    this.toolStartedAt = data.toolStartedAt || 0;
+    if (data.slowToolMs > 0) this.slowToolMs = data.slowToolMs;
+    this.toolDurationMs = data.toolDurationMs || 0;
+    const wasSlow = this.slowTool;
+    this.slowTool = !!data.slowTool;
+    if (this.slowTool && !wasSlow && COMPLETION_STATES.has(this.state)) this._updateThought();
 
     // Git context
     if (data.cwd) this.cwd = data.cwd;
@@ -326,6 +465,20 @@ class ClaudeFace {
     }
   }
 
+  isToolRunning(now = Date.now()) {
+    return !!this.toolStartedAt && this.state !== 'subagent'
+      && ACTIVE_WORK_STATES.has(this.state)
+      && now - this.toolStartedAt < TOOL_RUN_MAX_MS;
+  }
+
+  toolElapsed(now = Date.now()) {
+    return this.isToolRunning(now) ? Math.max(0, now - this.toolStartedAt) : 0;
+  }
+
+  isToolSlow(now = Date.now()) {
+    return this.toolElapsed(now) >= this.slowToolMs;
+  }
+
   _updateThought() {
     if (this.petSpamActive) {
       const lvl = Math.min(this.petSpamLevel, PET_SPAM_THOUGHTS.length) - 1;
@@ -347,7 +500,12 @@ class ClaudeFace {
       this.thoughtText = PET_AFTERGLOW_THOUGHTS[this.thoughtIndex % PET_AFTERGLOW_THOUGHTS.length];
       return;
     }
-    if (this.state === 'sleeping') {
+    if (this.budgetAlert && this.budgetShowTime > 0) {
+      const a = this.budgetAlert;
+      this.thoughtText = `over budget: ${formatCost(a.cost)} of ${formatCost(a.limit)} ${a.scope === 'day' ? 'today' : 'this session'}`;
+    } else if (this.todos && this.todoCelebrateTime > 0) {
+      this.thoughtText = `checked off all ${this.todos.total}!`;
+    } else if (this.state === 'sleeping') {
       this.thoughtText = '';
     } else if (this.state === 'idle') {
       // Sometimes hide (flicker effect)
@@ -362,6 +520,7 @@ class ClaudeFace {
         const mins = Math.floor((this.dailyCumulativeMs % 3600000) / 60000);
         thoughts.push(hours > 0 ? `${hours}h ${mins}m today` : `${mins}m today`);
       }
+      if (this.dayStreak > 1) thoughts.push(`day ${this.dayStreak} in a row`);
       const topFile = this._getTopFile();
       if (topFile) thoughts.push(`back to ${topFile} again...`);
       this.thoughtText = thoughts[this.thoughtIndex % thoughts.length];
@@ -369,8 +528,17 @@ class ClaudeFace {
       this.thoughtText = '';
     } else if (this.state === 'error' && this.stateDetail === 'merge conflict!') {
       this.thoughtText = '<<<<<<< HEAD';
+    } else if ((this.state === 'error' || this.state === 'relieved') && this.testInfo) {
+      const counts = formatTestCounts(this.testInfo);
+      this.thoughtText = this.testInfo.firstFailure ? `${counts} \u00b7 ${this.testInfo.firstFailure}` : counts;
+    } else if ((this.state === 'error' || this.state === 'wary') && this.diagInfo && this.diagInfo.message) {
+      this.thoughtText = this.diagInfo.message;
     } else if (this.state === 'error' && this.lastBrokenStreak > 10) {
       this.thoughtText = `...${this.lastBrokenStreak} streak gone`;
+    } else if (this.isToolSlow()) {
+      this.thoughtText = SLOW_TOOL_THOUGHTS[this.thoughtIndex % SLOW_TOOL_THOUGHTS.length];
+    } else if (COMPLETION_STATES.has(this.state) && this.slowTool && this.toolDurationMs > 0) {
+      this.thoughtText = `that took ${formatElapsed(this.toolDurationMs)}`;
     } else if (this.state === 'committing') {
       const thoughts = STATE_THOUGHTS.committing;
       this.thoughtText = thoughts[this.thoughtIndex % thoughts.length];
@@ -379,11 +547,15 @@ class ClaudeFace {
     } else if (this.state === 'proud' && this.stateDetail === 'committed') {
       this.thoughtText = 'committed!';
     } else if (this.state === 'proud' && this.diffInfo) {
-      const { added, removed } = this.diffInfo;
+      const { added, removed, files, hunks } = this.diffInfo;
+      const where = files > 1 ? ` in ${files} files`
+        : hunks > 1 ? ` across ${hunks} hunks` : ' lines';
       if (added > 0 && removed > 0) {
-        this.thoughtText = `+${added} -${removed} lines`;
+        this.thoughtText = `+${added} -${removed}${where}`;
       } else if (added > 0) {
-        this.thoughtText = `+${added} lines`;
+        this.thoughtText = `+${added}${where}`;
+      } else if (removed > 0 && (files > 1 || hunks > 1)) {
+        this.thoughtText = `-${removed}${where}`;
       } else {
         this.thoughtText = COMPLETION_THOUGHTS[this.thoughtIndex % COMPLETION_THOUGHTS.length];
       }
@@ -402,6 +574,68 @@ class ClaudeFace {
     }
   }
 
+  // Stats overlay line: current project's streak and best next to the
+  // all-projects figures, e.g. "⌂ 12 best 40 · all 30 best 88". Falls back
+  // to "⌂ 12/40 · all 30/88" when that doesn't fit maxW.
+  _projectStatsText(maxW = Infinity) {
+    if (!this.project) return '';
+    const p = this.project;
+    const long = `\u2302 ${p.streak || 0} best ${p.bestStreak || 0} \u00b7 all ${this.streak} best ${this.bestStreak}`;
+    if (long.length <= maxW) return long;
+    const short = `\u2302 ${p.streak || 0}/${p.bestStreak || 0} \u00b7 all ${this.streak}/${this.bestStreak}`;
+    return short.length <= maxW ? short : '';
+  }
+
+  // Session tokens and estimated cost, e.g. "◇ 1.2M tok · $3.40 · today $8.10"
+  _usageText(maxW = Infinity) {
+    if (!this.tokens) return '';
+    const tok = formatTokens(this.tokens);
+    const cost = formatCost(this.cost);
+    // Today's figure only adds something once other sessions ran today
+    const today = this.dailyCost - this.cost >= 0.005 ? ` \u00b7 today ${formatCost(this.dailyCost)}` : '';
+    const forms = [`\u25c7 ${tok} tok \u00b7 ${cost}${today}`, `\u25c7 ${tok} \u00b7 ${cost}${today}`, `\u25c7 ${tok} \u00b7 ${cost}`];
+    return forms.find(t => t.length <= maxW) || '';
+  }
+
+  // Today's time blocked on you, e.g. "⧖ waited 14m00s today · 9 prompts"
+  _waitText(maxW = Infinity) {
+    const n = this.dailyWaits;
+    if (!n) return '';
+    const waited = formatElapsed(this.dailyWaitMs);
+    const prompts = `${n} prompt${n === 1 ? '' : 's'}`;
+    const forms = [
+      `\u29d6 waited on you ${waited} today \u00b7 ${prompts}`,
+      `\u29d6 waited ${waited} today \u00b7 ${prompts}`,
+      `\u29d6 ${waited} today \u00b7 ${prompts}`,
+      `\u29d6 ${waited} \u00b7 ${n}`,
+    ];
+    return forms.find(t => t.length <= maxW) || '';
+  }
+
+  // Todo progress, e.g. "▰▰▰▱▱▱▱ 3/7 ✓ · writing tests". Shown while the
+  // list is open and briefly once it's done.
+  _todoText(maxW = Infinity) {
+    const t = this.todos;
+    if (!t || !t.total) return '';
+    const complete = t.done >= t.total;
+    if (complete && this.todoCelebrateTime <= 0) return '';
+    const width = Math.min(t.total, 10);
+    const filled = Math.round(Math.min(1, t.done / t.total) * width);
+    const text = `${'\u25b0'.repeat(filled)}${'\u25b1'.repeat(width - filled)} ${t.done}/${t.total} \u2713`;
+    if (text.length > maxW) return '';
+    const item = complete ? 'all done!' : (t.current || '');
+    const room = maxW - text.length - 3;
+    if (!item || room < 6) return text;
+    return `${text} \u00b7 ${item.length > room ? item.slice(0, room - 1) + '\u2026' : item}`;
+  }
+
+  // Still over the limit of the last budget alert (a new session or day resets it)
+  _overBudget() {
+    const a = this.budgetAlert;
+    if (!a) return false;
+    return (a.scope === 'day' ? this.dailyCost : this.cost) >= a.limit;
+  }
+
   _getTopFile() {
     if (!this.frequentFiles) return null;
     let max = 0, top = null;
@@ -453,18 +687,27 @@ class ClaudeFace {
 
   toggleHelp() {
     this.showHelp = !this.showHelp;
-    if (this.showHelp) this.showSessionList = false;
+    if (this.showHelp) { this.showSessionList = false; this.showInbox = false; }
   }
 
   toggleSessionList() {
     this.showSessionList = !this.showSessionList;
     if (this.showSessionList) {
       this.showHelp = false;
+      this.showInbox = false;
       this.sessionListIndex = 0;
       this.sessionListPromote = null;
     }
   }
 
+  toggleInbox() {
+    this.showInbox = !this.showInbox;
+    if (this.showInbox) {
+      this.showHelp = false;
+      this.showSessionList = false;
+    }
+  }
+
   toggleAccessories() {
     this.accessoriesEnabled = !this.accessoriesEnabled;
   }
@@ -473,6 +716,84 @@ class ClaudeFace {
     this.showOrbitals = !this.showOrbitals;
   }
 
+  waitedMs(now = Date.now()) {
+    return this.waitingSince ? now - this.waitingSince : 0;
+  }
+
+  // Completion state after 'responding' -- the final reply's mood when it has one
+  completionState() {
+    const mood = this.reply && this.reply.mood;
+    return COMPLETION_STATES.has(mood) ? mood : 'happy';
+  }
+
+  _replyVisible() {
+    return !!this.reply && REPLY_STATES.has(this.state) && !this.minimalMode;
+  }
+
+  // Next page of the reply bubble, back to the top after the last one
+  scrollReply() {
+    if (!this._replyVisible()) return;
+    const next = this.replyScroll + REPLY_LINES;
+    this.replyScroll = next < this._replyLineCount ? next : 0;
+  }
+
+  // Reply lines wrapped to width: the lead first (drawn brighter), then the rest
+  _replyLines(width) {
+    const { lead = '', text = '' } = this.reply;
+    const rest = text.startsWith(lead) ? text.slice(lead.length).replace(/^\s*(\u00b7\s*)?/, '') : text;
+    const leadLines = lead && text.startsWith(lead) ? wrapWords(lead, width) : [];
+    return [
+      ...leadLines.map(line => ({ line, lead: true })),
+      ...wrapWords(rest, width).map(line => ({ line, lead: false })),
+    ];
+  }
+
+  // Speech bubble with the final reply, above the face or (when an
+  // accessory is up there) to its right. Returns '' when it doesn't fit.
+  _renderReplyBubble(startRow, startCol, faceW, cols, theme, hasAccessory) {
+    const boxRight = startCol + faceW - 5;
+    const bubbleLeft = hasAccessory ? boxRight + 4 : startCol - 2;
+    const maxW = Math.min(REPLY_WRAP, cols - bubbleLeft - 4);
+    if (maxW < 16) return '';
+    const all = this._replyLines(maxW);
+    if (!all.length) return '';
+    this._replyLineCount = all.length;
+    if (this.replyScroll >= all.length) this.replyScroll = 0;
+    const shown = all.slice(this.replyScroll, this.replyScroll + REPLY_LINES);
+    const textW = Math.max(...all.map(l => l.line.length));
+    const bubbleInner = textW + 2;
+    const top = hasAccessory ? startRow : startRow - 3 - shown.length;
+    if (top < 1) return '';
+
+    const bc = ansi.fg(...dimColor(theme.accent, 0.6));
+    const lc = ansi.fg(...theme.label);
+    const tc = ansi.fg(...dimColor(theme.label, 0.7));
+    const r = ansi.reset;
+    let hint = '';
+    if (all.length > REPLY_LINES) {
+      hint = this.replyScroll + REPLY_LINES < all.length ? ' r \u25be ' : ' r \u21ba ';
+    }
+    const bottomRule = '\u2500'.repeat(Math.max(0, bubbleInner - hint.length - 1)) + hint + '\u2500';
+
+    let buf = ansi.to(top, bubbleLeft) + `${bc}\u256d${'\u2500'.repeat(bubbleInner)}\u256e${r}`;
+    shown.forEach(({ line, lead }, i) => {
+      buf += ansi.to(top + 1 + i, bubbleLeft);
+      buf += `${bc}\u2502 ${lead ? lc : tc}${line.padEnd(textW)}${r} ${bc}\u2502${r}`;
+    });
+    const bottom = top + 1 + shown.length;
+    buf += ansi.to(bottom, bubbleLeft) + `${bc}\u2570${bottomRule.slice(0, bubbleInner)}\u256f${r}`;
+    if (hasAccessory) {
+      buf += ansi.to(top + 1, boxRight + 2) + `${bc}\u2500\u2500${r}`;
+      this.lastPos.bubble = { row: top, col: boxRight + 2, w: bubbleLeft - boxRight - 2 + bubbleInner + 2, h: bottom - top + 1 };
+    } else {
+      buf += ansi.to(bottom + 1, bubbleLeft + 6) + `${bc}\u2572${r}`;
+      this.lastPos.bubble = { row: top, col: bubbleLeft, w: bubbleInner + 2, h: bottom - top + 2 };
+      this._prevBubbleTop = top;
+    }
+    this._prevBubbleRight = bubbleLeft + bubbleInner + 2;
+    return buf;
+  }
+
   getTheme() {
     const palette = PALETTES[this.paletteIndex] || PALETTES[0];
     return palette.themes[this.state] || palette.themes.idle;
@@ -511,6 +832,8 @@ class ClaudeFace {
       case 'satisfied':   return eyes.content(theme, frame);
       case 'proud':       return eyes.pleased(theme, frame);
       case 'relieved':    return eyes.open(theme, frame);
+      case 'wary':        return eyes.wary(theme, frame);
+      case 'danger':      return eyes.alarmed(theme, frame);
       case 'error':
         if (this.glitchIntensity > 0.3 && Math.random() < this.glitchIntensity * 0.4) {
           return eyes.glitch(theme, frame);
@@ -526,6 +849,7 @@ class ClaudeFace {
       case 'committing':  return eyes.focused(theme, frame);
       case 'reviewing':   return eyes.narrowed(theme, frame);
       case 'training':    return eyes.furnace(theme, frame);
+      case 'listening':   return eyes.listening(theme, frame);
       default:            return eyes.open(theme, frame);
     }
   }
@@ -548,6 +872,8 @@ class ClaudeFace {
       case 'satisfied': return mouths.smile();
       case 'proud':     return mouths.smirk();
       case 'relieved':  return mouths.exhale();
+      case 'wary':      return mouths.uneasy();
+      case 'danger':    return mouths.gasp();
       case 'error':
         if (this.glitchIntensity > 0.2 && Math.random() < 0.3) return mouths.glitch();
         return mouths.frown();
@@ -561,6 +887,7 @@ class ClaudeFace {
       case 'committing':  return mouths.determined();
       case 'reviewing':   return mouths.neutral();
       case 'training':    return mouths.furnace();
+      case 'listening':   return mouths.attentive();
       default:          return mouths.smile();
     }
   }
@@ -616,8 +943,11 @@ class ClaudeFace {
     if (this.state === 'proud' && this.frame % 30 === 0) this.particles.spawn(1, 'sparkle');
     if (this.state === 'satisfied' && this.frame % 50 === 0) this.particles.spawn(1, 'float');
     if (this.state === 'relieved' && this.frame % 45 === 0) this.particles.spawn(1, 'float');
+    if (this.state === 'wary' && this.frame % 40 === 0) this.particles.spawn(1, 'sweat');
+    if (this.state === 'danger' && this.frame % 6 === 0) this.particles.spawn(1, 'alarm');
     if (this.state === 'sleeping' && this.frame % 30 === 0) this.particles.spawn(1, 'zzz');
     if (this.state === 'waiting' && this.frame % 45 === 0) this.particles.spawn(1, 'question');
+    if (this.state === 'listening' && this.frame % 40 === 0) this.particles.spawn(1, 'float');
     if (this.state === 'testing' && this.frame % 12 === 0) this.particles.spawn(1, 'sweat');
     if (this.state === 'installing' && this.frame % 8 === 0) this.particles.spawn(1, 'falling');
     if (this.state === 'caffeinated' && this.frame % 4 === 0) this.particles.spawn(1, 'speedline');
@@ -626,6 +956,17 @@ class ClaudeFace {
     if (this.state === 'committing' && this.frame % 5 === 0) this.particles.spawn(2, 'push');
     if (this.state === 'coding' && this.frame % 6 === 0) this.particles.spawn(1, 'rain');
 
+    // Slow tool: react once when the threshold is crossed, then keep sweating
+    if (this.isToolSlow()) {
+      if (this._slowReactedAt !== this.toolStartedAt) {
+        this._slowReactedAt = this.toolStartedAt;
+        this.particles.spawn(4, 'sweat');
+        this._updateThought();
+      } else if (this.frame % 20 === 0) {
+        this.particles.spawn(1, 'sweat');
+      }
+    }
+
     // Caffeinated detection — triggers when 5+ state changes happen within 10s.
     // Routes through setState() for proper minDisplayUntil / lastStateChange tracking.
     // Excludes completion, idle, error, and post-stop states to prevent oscillation
@@ -640,9 +981,10 @@ class ClaudeFace {
         this.state !== 'idle' && this.state !== 'sleeping' &&
         this.state !== 'happy' && this.state !== 'satisfied' &&
         this.state !== 'proud' && this.state !== 'relieved' &&
-        this.state !== 'error' && this.state !== 'caffeinated' &&
+        this.state !== 'wary' && this.state !== 'error' && this.state !== 'danger' &&
+        this.state !== 'caffeinated' &&
         this.state !== 'committing' && this.state !== 'responding' &&
-        this.state !== 'waiting') {
+        this.state !== 'waiting' && this.state !== 'listening') {
       this.setState('caffeinated', this.stateDetail || 'hyperdrive!');
     } else if (this.state === 'caffeinated' && recentCount < CAFFEINE_THRESHOLD - 1) {
       this.setState(this.prevState || 'idle');
@@ -659,6 +1001,8 @@ class ClaudeFace {
 
     // Milestone display decay
     if (this.milestoneShowTime > 0) this.milestoneShowTime--;
+    if (this.budgetShowTime > 0) this.budgetShowTime--;
+    if (this.todoCelebrateTime > 0) this.todoCelebrateTime--;
 
     // Pet wiggle decay
     if (this.petTimer > 0) {
@@ -803,6 +1147,8 @@ class ClaudeFace {
       ' a      toggle accessories',
       ' o      toggle subagents',
       ' l      session list',
+      ' i      inbox',
+      ' r      scroll reply',
       '   \u2191\u2193/jk  navigate list',
       '   enter  pin/promote',
       ' h/?    this help',
@@ -911,17 +1257,19 @@ class ClaudeFace {
 
     // Clear only the face + particle + thought bubble zone to prevent ghosts
     // without blanking orbital/session-list regions (which causes flicker).
-    // _prevBubbleRight extends the band to cover last frame's thought bubble.
-    const clearBot = Math.min(rows - 1, startRow + 15);
+    // _prevBubbleRight extends the band to cover last frame's thought bubble,
+    // _prevBubbleTop up to last frame's reply bubble.
+    const clearBot = Math.min(rows - 1, startRow + 17);
     const bandLeft = Math.max(1, startCol - 6);
     const bandRight = Math.min(cols, Math.max(startCol + 36, this._prevBubbleRight));
     const bandWidth = bandRight - bandLeft + 1;
     const clearSpaces = ' '.repeat(bandWidth);
-    const clearTop = Math.max(1, startRow - 5);
+    const clearTop = Math.max(1, Math.min(startRow - 5, this._prevBubbleTop || startRow));
     for (let row = clearTop; row <= clearBot; row++) {
       buf += ansi.to(row, bandLeft) + clearSpaces;
     }
     this._prevBubbleRight = 0;
+    this._prevBubbleTop = 0;
     buf += ansi.to(rows, 1) + ansi.clearLine;  // key hints row (full width)
 
     // Face box
@@ -977,6 +1325,12 @@ class ClaudeFace {
     let statusSuffix = '';
     if (this.state === 'subagent' && this.subagentCount > 0) {
       statusSuffix = ` ${this.subagentCount} subagent${this.subagentCount === 1 ? '' : 's'}`;
+    } else if ((this.state === 'error' || this.state === 'relieved') && this.testInfo) {
+      statusSuffix = ` \u00b7 ${formatTestCounts(this.testInfo)}`;
+    } else if (this.toolElapsed() >= TOOL_TIMER_SHOW_MS) {
+      statusSuffix = ` \u00b7 ${formatElapsed(this.toolElapsed())}`;
+    } else if (this.waitTimerMs && this.waitedMs() >= this.waitTimerMs) {
+      statusSuffix = ` \u00b7 ${formatElapsed(this.waitedMs())}`;
     }
     const statusText = `${emoji}  ${this.modelName} is ${theme.status}${statusSuffix}  ${emoji}`;
     const statusPad = Math.floor((faceW - statusText.length) / 2);
@@ -994,8 +1348,13 @@ class ClaudeFace {
       buf += `${ansi.fg(...dimColor(theme.label, 0.65))}${' '.repeat(Math.max(0, detailPad))}${detailText}${r}`;
     }
 
+    // Final reply speech bubble -- replaces the thought bubble while shown
+    const replyBubble = this._replyVisible()
+      ? this._renderReplyBubble(startRow, startCol, faceW, cols, theme, !!activeAccessory) : '';
+    buf += replyBubble;
+
     // Thought bubble (skipped in minimal mode)
-    if (this.thoughtText && !this.minimalMode) {
+    if (this.thoughtText && !this.minimalMode && !replyBubble) {
       const bc = ansi.fg(...dimColor(theme.accent, 0.5));
       const tc = `${ansi.italic}${ansi.fg(...dimColor(theme.label, 0.7))}`;
       const hasAccessory = !!activeAccessory;
@@ -1043,9 +1402,19 @@ class ClaudeFace {
       }
     }
 
+    // Todo progress -- takes the streak row while a list is open (a
+    // milestone still wins it)
+    const todoText = this.minimalMode ? '' : this._todoText(faceW);
+    const milestoneShowing = this.showStats && this.milestoneShowTime > 0 && !!this.milestone;
+    if (todoText && !milestoneShowing) {
+      const tpad = Math.floor((faceW - todoText.length) / 2);
+      const tc = this.todoCelebrateTime > 0 ? ansi.fg(255, 220, 50) : ansi.fg(...dimColor(theme.label, 0.6));
+      buf += ansi.to(startRow + 12, startCol + Math.max(0, tpad)) + `${tc}${todoText}${r}`;
+    }
+
     // Streak counter, timeline, sparkline (togglable via 's', skipped in minimal mode)
     if (this.showStats && !this.minimalMode) {
-      if (this.streak > 0 || this.milestoneShowTime > 0) {
+      if ((this.streak > 0 || this.milestoneShowTime > 0) && (!todoText || milestoneShowing)) {
         let streakText, sc;
         if (this.milestoneShowTime > 0 && this.milestone) {
           const stars = '\u2605'.repeat(Math.min(5, Math.ceil(this.milestone.value / 20)));
@@ -1068,7 +1437,7 @@ class ClaudeFace {
         }
       }
       // Show dramatic broken streak message
-      if (this.state === 'error' && this.lastBrokenStreak > 5) {
+      if (this.state === 'error' && this.lastBrokenStreak > 5 && !todoText) {
         const severity = this.lastBrokenStreak >= 50 ? 'DEVASTATION.'
           : this.lastBrokenStreak >= 25 ? 'that really hurt.'
           : this.lastBrokenStreak >= 10 ? 'ouch.'
@@ -1124,6 +1493,28 @@ class ClaudeFace {
           buf += ansi.to(startRow + 14, startCol + barPad) + sparkline + r;
         }
       }
+
+      // Project vs all-projects streaks
+      const projText = this._projectStatsText(faceW);
+      if (projText) {
+        const ppad = Math.floor((faceW - projText.length) / 2);
+        buf += ansi.to(startRow + 15, startCol + ppad) + `${ansi.fg(...dimColor(theme.label, 0.45))}${projText}${r}`;
+      }
+
+      // Token usage -- red once over budget
+      const usageText = startRow + 16 < rows ? this._usageText(faceW) : '';
+      if (usageText) {
+        const upad = Math.floor((faceW - usageText.length) / 2);
+        const uc = this._overBudget() ? ansi.fg(230, 80, 80) : ansi.fg(...dimColor(theme.label, 0.45));
+        buf += ansi.to(startRow + 16, startCol + upad) + `${uc}${usageText}${r}`;
+      }
+
+      // Time blocked on you today
+      const waitText = startRow + 17 < rows ? this._waitText(faceW) : '';
+      if (waitText) {
+        const wpad = Math.floor((faceW - waitText.length) / 2);
+        buf += ansi.to(startRow + 17, startCol + wpad) + `${ansi.fg(...dimColor(theme.label, 0.45))}${waitText}${r}`;
+      }
     }
 
     // Indicators row: accs + subs (left), palette name (right) — skipped in minimal mode
@@ -1183,8 +1574,13 @@ class ClaudeFace {
       }
     }
 
-    // Key hints bar (bottom of terminal) — skipped in minimal mode
-    if (!this.minimalMode) {
+    // Key hints bar (bottom of terminal) — skipped in minimal mode.
+    // A schema mismatch warning takes its place until hooks are updated.
+    if (this.schemaWarning) {
+      const wc = ansi.fg(...dimColor(theme.accent, 0.8));
+      const warning = `\u26a0 ${this.schemaWarning}`.slice(0, Math.max(0, cols - 2));
+      buf += ansi.to(rows, Math.max(1, Math.floor((cols - warning.length) / 2) + 1)) + `${wc}${warning}${r}`;
+    } else if (!this.minimalMode) {
       const dc = ansi.fg(...dimColor(theme.label, 0.55));
       const kc = ansi.fg(...dimColor(theme.accent, 0.6));
       const sep = `${dc}\u00b7${r}`;
@@ -1208,4 +1604,4 @@ class ClaudeFace {
   }
 }
 
-module.exports = { ClaudeFace, LOW_ACTIVITY_STATES, COMPRESS_LOW_CAP, MAX_SEGMENT_BLOCKS, ACTIVE_WORK_STATES, COMPLETION_STATES };
+module.exports = { ClaudeFace, LOW_ACTIVITY_STATES, COMPRESS_LOW_CAP, MAX_SEGMENT_BLOCKS, ACTIVE_WORK_STATES, COMPLETION_STATES, TOOL_TIMER_SHOW_MS, formatTestCounts };
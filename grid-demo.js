@@ -10,6 +10,7 @@
 const fs = require('fs');
 const path = require('path');
 const { STATE_FILE, SESSIONS_DIR } = require('./shared');
+const { SCHEMA_VERSION } = require('./schema');
 
 // Ensure dir exists
 try { fs.mkdirSync(SESSIONS_DIR, { recursive: true }); } catch {}
@@ -21,6 +22,7 @@ function writeMainState(state, detail, sessionId) {
     timestamp: Date.now(),
     sessionId,
     modelName: 'claude',
+    schema: SCHEMA_VERSION,
   }), 'utf8');
 }
 
@@ -36,6 +38,7 @@ function writeSession(id, state, detail, cwd, stopped = false, extra = {}) {
     modelName: 'claude',
     parentSession: mainId,
     ...extra,
+    schema: SCHEMA_VERSION,
   };
   fs.writeFileSync(path.join(SESSIONS_DIR, filename), JSON.stringify(data), 'utf8');
 }
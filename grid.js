@@ -11,19 +11,22 @@ const path = require('path');
 const { HOME, SESSIONS_DIR, safeFilename } = require('./shared');
 const { ansi, breathe, dimColor, themes, COMPLETION_LINGER, PALETTES, PALETTE_NAMES } = require('./themes');
 const { gridMouths } = require('./animations');
+const { sanitizePayload } = require('./schema');
+const { formatTokens, formatCost, formatElapsed } = require('./state-machine');
+const { WAIT_ALERTS } = require('./attention');
 
 // -- Config --------------------------------------------------------
 
 const ACTIVE_WORK_STATES = new Set([
   'executing', 'coding', 'reading', 'searching', 'testing',
   'installing', 'committing', 'reviewing', 'subagent', 'responding',
-  'training',
+  'training', 'danger',
 ]);
 const INTERRUPTIBLE_STATES = new Set([
-  'thinking', 'happy', 'satisfied', 'proud', 'relieved',
-  'idle', 'sleeping', 'waiting',
+  'thinking', 'happy', 'satisfied', 'proud', 'relieved', 'wary',
+  'idle', 'sleeping', 'waiting', 'listening',
 ]);
-const COMPLETION_STATES = new Set(['happy', 'satisfied', 'proud', 'relieved']);
+const COMPLETION_STATES = new Set(['happy', 'satisfied', 'proud', 'relieved', 'wary']);
 const HOME_FWD = HOME.replace(/\\/g, '/');  // Forward-slash-normalized HOME for path display
 
 // Predefined team accent colors — assigned consistently by hashing the team name
@@ -60,6 +63,7 @@ const SLEEP_TIMEOUT = 60000;
 const THINKING_TIMEOUT = 45000;
 const ORPHAN_TIMEOUT = 90000;  // 90s fallback for sessions without pid or whose process has exited
 const BREATHE_STEP = 200;  // Quantize breathe/pulse time to reduce frame-unique output
+const TODO_DONE_SHOW_MS = 6000;  // How long an orbital shows its finished todo list
 
 // -- Orbital Grouping Constants ------------------------------------
 const INTER_GROUP_GAP = 0.15;      // Radians of spacing between group sectors (~8.5 deg)
@@ -108,7 +112,12 @@ class MiniFace {
     this.isMainSession = false; // true if independent (no parentSession, not teammate)
     this.gitBranch = null;     // current git branch (if known)
     this.taskDescription = ''; // sticky task description from SubagentStart
+    this.promptPreview = '';   // redacted start of the session's last prompt
     this.pid = 0;              // owning process PID for liveness detection
+    this.todos = null;         // todo list progress { total, done, current, doneAt }
+    this.todosDoneUntil = 0;   // celebrating a finished list until this time
+    this.waitingSince = 0;     // when the face went into 'waiting' (0 = not waiting)
+    this.waitTimerMs = WAIT_ALERTS.timer * 1000; // elapsed wait replaces the detail after this
     this._lastDataTimestamp = 0; // Track JSON timestamp to skip redundant updates (ms precision)
     this.minDisplayUntil = 0;  // Minimum display time to prevent flashing
     this.pendingState = null;  // Buffered state when minDisplayUntil blocks
@@ -147,13 +156,14 @@ class MiniFace {
     const now = Date.now();
     if (newState !== this.state) {
       // Minimum display time: don't flicker between states too rapidly
-      // Errors always bypass (important feedback), stopped sessions always bypass
+      // Errors and destructive-command warnings always bypass (important feedback),
+      // stopped sessions always bypass
       // Spawning always bypasses so the initial state is applied immediately
       // Active work states (reading, searching, coding, etc.) can interrupt
       // interruptible states (satisfied, happy, thinking, idle, etc.) to show
       // real-time activity without delay
       const canInterrupt = ACTIVE_WORK_STATES.has(newState) && INTERRUPTIBLE_STATES.has(this.state);
-      if (now >= this.minDisplayUntil || newState === 'error' || newState === 'spawning' || data.stopped || canInterrupt) {
+      if (now >= this.minDisplayUntil || newState === 'error' || newState === 'danger' || newState === 'spawning' || data.stopped || canInterrupt) {
         this.state = newState;
         this.detail = data.detail || '';
         // Work states get shorter display (800ms) so tool activity is visible
@@ -186,7 +196,20 @@ class MiniFace {
     if (data.isTeammate) this.isTeammate = true;
     if (data.gitBranch) this.gitBranch = data.gitBranch;
     if (data.taskDescription) this.taskDescription = data.taskDescription;
+    if (data.promptPreview) this.promptPreview = data.promptPreview;
+    // Any event but a waiting one empties the inbox, so it isn't sticky
+    this.inbox = Array.isArray(data.inbox) ? data.inbox : [];
     if (data.pid) this.pid = data.pid;
+    if (data.todos && data.todos.total > 0) {
+      if (data.todos.doneAt && (!this.todos || this.todos.doneAt !== data.todos.doneAt)) {
+        this.todosDoneUntil = now + TODO_DONE_SHOW_MS;
+      }
+      this.todos = data.todos;
+    }
+    if (data.tokens) {
+      this.tokens = data.tokens;
+      this.cost = data.cost || 0;
+    }
     // Classify: independent session = no parentSession and not a teammate
     this.isMainSession = !this.parentSession && !this.isTeammate;
 
@@ -264,6 +287,10 @@ class MiniFace {
       this.minDisplayUntil = now + 1500;
     }
 
+    // A new wait starts the clock; any other state stops it
+    if (this.state !== 'waiting') this.waitingSince = 0;
+    else if (!this.waitingSince) this.waitingSince = now;
+
     // --- Timeout-based state transitions (guarded by minDisplayUntil) ---
     if (now < this.minDisplayUntil) return;
 
@@ -277,8 +304,9 @@ class MiniFace {
 
     // Activity cycling for synthetic subagent faces — while a subagent tool
     // is running, the parent emits no further hook events. Cycle through work
-    // states to show the face is alive and working.
-    if (this.parentSession && !this.stopped && !this.spawning) {
+    // states to show the face is alive and working. A subagent waiting on
+    // you isn't working, so it keeps asking until something answers.
+    if (this.parentSession && !this.stopped && !this.spawning && this.state !== 'waiting') {
       const sinceUpdate = now - this.lastUpdate;
       if (sinceUpdate > CYCLE_STALE_MS) {
         const cycleTime = now - this.firstSeen;
@@ -408,6 +436,12 @@ class MiniFace {
       case 'satisfied':   return ' \u2580\u2580 \u2580\u2580';
       case 'proud':       return ' \u2584\u2584 \u2584\u2584';
       case 'relieved':    return ' \u2588\u2588 \u2588\u2588';
+      case 'wary':        return ' \u2588\u2588 \u2580\u2580';
+      case 'listening':   return this.frame % 70 < 2 ? ' \u2584\u2584 \u2584\u2584' : ' \u259b\u259c \u259b\u259c';
+      case 'danger': {
+        // Pinprick pupils flashing with wide eyes -- alarm
+        return Math.floor(this.frame / 6) % 2 ? ' \u2597\u2596 \u2597\u2596' : ' \u2588\u2588 \u2588\u2588';
+      }
       case 'committing': {
         // Focused eyes that pulse — data streaming out
         const cp = Math.floor(this.frame / 8) % 2;
@@ -427,6 +461,15 @@ class MiniFace {
     return gridMouths[this.state] || '\u25e1\u25e1\u25e1';
   }
 
+  // "3/7 ✓" while its todo list is open, "★ done ★" once it's finished
+  _todoText(now = Date.now()) {
+    const t = this.todos;
+    if (!t || !t.total) return '';
+    if (now < this.todosDoneUntil) return '\u2605 done \u2605';
+    if (t.done >= t.total) return '';
+    return `${t.done}/${t.total} \u2713`.slice(0, BOX_W);
+  }
+
   render(startRow, startCol, globalTime, paletteThemes) {
     const themeMap = paletteThemes || themes;
     const theme = themeMap[this.state] || themeMap.idle;
@@ -467,7 +510,9 @@ class MiniFace {
     buf += `${lc}${' '.repeat(lPad)}${lbl}${' '.repeat(BOX_W - lPad - lbl.length)}${r}`;
 
     const cwdBase = this.cwdBasename;
-    const statusStr = this.gitBranch
+    const todoStr = this._todoText();
+    const statusStr = todoStr ? todoStr
+      : this.gitBranch
       ? ('\u2387 ' + this.gitBranch).slice(0, BOX_W)   // ⎇ branchname
       : cwdBase
         ? cwdBase.slice(0, BOX_W)
@@ -476,7 +521,9 @@ class MiniFace {
     buf += ansi.to(startRow + 5, startCol);
     buf += `${dc}${' '.repeat(sPad)}${statusStr}${' '.repeat(BOX_W - sPad - statusStr.length)}${r}`;
 
-    const detailStr = (this.detail || '').slice(0, BOX_W);
+    const waited = this.waitingSince ? Date.now() - this.waitingSince : 0;
+    const detailStr = (this.waitTimerMs && waited >= this.waitTimerMs
+      ? formatElapsed(waited) : this.detail || '').slice(0, BOX_W);
     const dPad = Math.max(0, Math.floor((BOX_W - detailStr.length) / 2));
     buf += ansi.to(startRow + 6, startCol);
     buf += `${dc}${' '.repeat(dPad)}${detailStr}${' '.repeat(BOX_W - dPad - detailStr.length)}${r}`;
@@ -501,6 +548,7 @@ class OrbitalSystem {
     this.frame = 0;
     this.time = 0;
     this.paletteIndex = 0;         // Synced from main face
+    this.waitTimerMs = WAIT_ALERTS.timer * 1000; // Synced from prefs, handed to each new face
     this._sortedCache = [];        // Cached sorted faces array
     this._sortedDirty = true;      // Rebuild cache on next getSortedFaces()
     this._prevClearBuf = '';        // Pre-built buffer to clear previous frame's orbital content
@@ -510,6 +558,12 @@ class OrbitalSystem {
     this._groupsDirty = true;        // Flag to invalidate groups cache
   }
 
+  _newFace(id) {
+    const mf = new MiniFace(id);
+    mf.waitTimerMs = this.waitTimerMs;
+    return mf;
+  }
+
   getSortedFaces() {
     if (this._sortedDirty) {
       this._sortedCache = [...this.faces.values()].sort((a, b) => a.firstSeen - b.firstSeen);
@@ -579,7 +633,7 @@ class OrbitalSystem {
           if (existingId) seenIds.add(existingId);
           continue;
         }
-        const data = JSON.parse(raw);
+        const data = sanitizePayload(JSON.parse(raw), 'session');
         const id = data.session_id || path.basename(file, '.json');
 
         // Skip the main session — it's the big face, not an orbital
@@ -590,7 +644,7 @@ class OrbitalSystem {
         if (!this.faces.has(id)) {
           if (data.stopped) continue; // Don't resurrect stopped sessions — prevents linger/respawn cycle
           // New orbital session detected on startup; mark it to spawn with a startup animation
-          const mf = new MiniFace(id);
+          const mf = this._newFace(id);
           mf.spawning = true;
           mf.spawnProgress = 0;
           this.faces.set(id, mf);
@@ -628,6 +682,26 @@ class OrbitalSystem {
     }
   }
 
+  // -- Pushed session update (IPC) -------------------------------------
+  // Applies one session payload without touching the sessions directory;
+  // stale pruning is left to the next loadSessions pass.
+  updateSession(raw) {
+    const data = sanitizePayload(raw, 'session');
+    const id = data.session_id;
+    if (!id || !this.mainSessionId || id === this.mainSessionId) return;
+    if (!this.faces.has(id)) {
+      if (data.stopped) return; // Don't resurrect stopped sessions
+      const mf = this._newFace(id);
+      mf.spawning = true;
+      mf.spawnProgress = 0;
+      this.faces.set(id, mf);
+      this._sortedDirty = true;
+      this._assignLabels();
+    }
+    this.faces.get(id).updateFromFile(data, Date.now());
+    this._groupsDirty = true;
+  }
+
   // -- Async session loading (non-blocking event loop) ----------------
   // Reads session files using callback-based fs APIs so stdin events
   // (keypresses) can be processed between I/O operations.
@@ -670,7 +744,7 @@ class OrbitalSystem {
               return;
             }
             try {
-              const data = JSON.parse(trimmed);
+              const data = sanitizePayload(JSON.parse(trimmed), 'session');
               results.push({ file, data, mtimeMs: stats.mtimeMs });
             } catch {
               results.push({ file, error: true });
@@ -739,7 +813,7 @@ class OrbitalSystem {
 
       if (!this.faces.has(id)) {
         if (r.data.stopped) continue; // Don't resurrect stopped sessions — prevents linger/respawn cycle
-        const mf = new MiniFace(id);
+        const mf = this._newFace(id);
         mf.spawning = true;
         mf.spawnProgress = 0;
         this.faces.set(id, mf);
@@ -793,7 +867,9 @@ class OrbitalSystem {
 
       const base = face.cwdBasename;
 
-      if (face.taskDescription) {
+      if (face.promptPreview) {
+        face.label = face.promptPreview.slice(0, 8);
+      } else if (face.taskDescription) {
         face.label = face.taskDescription.slice(0, 8);
       } else if (face.isMainSession && face.modelName) {
         face.label = face.modelName.slice(0, 8);
@@ -938,7 +1014,7 @@ class OrbitalSystem {
     // Minimum ellipse semi-axes: must clear the main face box + decorations
     // Vertical padding above: accessories/thought bubble need more clearance than bare face
     const accH = mainPos.accessoryHeight || 0;
-    const verticalPadAbove = mainPos.accessoriesActive ? (accH + 7) : (mainPos.bubble ? 4 : 2);
+    const verticalPadAbove = mainPos.accessoriesActive ? (accH + 7) : (mainPos.bubble ? Math.max(4, mainPos.row - mainPos.bubble.row) : 2);
     // Vertical padding below: stats area extends well past the face box bottom
     // (indicators +8, status +9, detail +10, project ctx +11, streak +12, timeline +13, sparkline +14)
     const STATS_ROWS_BELOW = 7;
@@ -1519,7 +1595,10 @@ function renderSessionList(cols, rows, sortedFaces, paletteThemes, mainInfo, sel
       const dotC = ansi.fg(...dotColor);
       const stateTheme = themeMap[face.state] || themeMap.idle;
       const stateName = (stateTheme.status || face.state).slice(0, 12);
-      const label = (face.label || '?').slice(0, 14);
+      // The prompt preview gets the room the state name leaves free
+      const label = face.promptPreview
+        ? face.promptPreview.slice(0, Math.max(14, innerW - 4 - stateName.length - 4))
+        : (face.label || '?').slice(0, 14);
 
       // Selection marker and colors
       const selMarker = isSel ? '\u25b8' : ' ';
@@ -1557,10 +1636,16 @@ function renderSessionList(cols, rows, sortedFaces, paletteThemes, mainInfo, sel
       buf += ansi.to(row, bx) + `${bc}\u2502${rowDc}${row2Full}${' '.repeat(r2Pad)}${bc}\u2502${r}`;
       row++;
 
-      // Row 3: "    detail text" — detail or task description, dimmed
+      // Row 3: "    detail text     12.3k tok · $0.40" — detail or task description,
+      // dimmed, with token usage right-aligned when known
       const indent3 = '    ';
-      const detailText = (face.detail || face.taskDescription || 'waiting...').slice(0, innerW - indent3.length);
-      const row3Full = indent3 + detailText;
+      const usageText = face.tokens > 0 ? `${formatTokens(face.tokens)} tok \u00b7 ${formatCost(face.cost)}` : '';
+      const usageRoom = usageText ? usageText.length + 2 : 0;
+      const detailRaw = (face.detail || face.taskDescription || 'waiting...').slice(0, innerW - indent3.length - usageRoom);
+      const detailText = usageText
+        ? detailRaw + ' '.repeat(Math.max(2, innerW - indent3.length - detailRaw.length - usageText.length)) + usageText
+        : detailRaw;
+      const row3Full = (indent3 + detailText).slice(0, innerW);
       const r3Pad = Math.max(0, innerW - row3Full.length);
       buf += ansi.to(row, bx) + `${bc}\u2502${rowDc}${row3Full}${' '.repeat(r3Pad)}${bc}\u2502${r}`;
       row++;
@@ -1611,8 +1696,93 @@ function renderSessionList(cols, rows, sortedFaces, paletteThemes, mainInfo, sel
   return buf;
 }
 
+// -- Inbox Overlay ---------------------------------------------------
+// One line per open inbox item across the main session and the orbitals,
+// oldest first: what each session is waiting on and for how long.
+
+function _inboxName(face) {
+  if (face.teammateName) return face.teammateName;
+  if (face.cwd) return path.basename(face.cwd.replace(/[\\/]+$/, '')) || face.cwd;
+  return face.label || '?';
+}
+
+function inboxItems(mainInfo, sortedFaces) {
+  const items = [];
+  for (const face of [mainInfo, ...sortedFaces]) {
+    if (!face || face.stopped || !Array.isArray(face.inbox)) continue;
+    for (const item of face.inbox) {
+      items.push({ ...item, session: _inboxName(face), state: face.state });
+    }
+  }
+  return items.sort((a, b) => (a.at || 0) - (b.at || 0));
+}
+
+function renderInbox(cols, rows, items, paletteThemes, now, outBounds) {
+  if (cols < MIN_SESSION_LIST_COLS) return '';
+  const themeMap = paletteThemes || themes;
+  const r = ansi.reset;
+  const count = items.length;
+
+  const boxW = Math.min(cols - 4, 64);
+  const innerW = boxW - 2;
+  const headerText = '  Inbox';
+  const countText = `${count} open `;
+
+  // Newest items win the room; the rest collapse into one "earlier" row
+  const maxVisible = Math.max(1, rows - 8);
+  const visible = count > maxVisible ? items.slice(count - maxVisible + 1) : items;
+  const hidden = count - visible.length;
+  const contentRows = Math.max(1, visible.length + (hidden > 0 ? 1 : 0));
+  const boxH = contentRows + 4;
+
+  const bx = Math.max(1, Math.floor((cols - boxW) / 2));
+  const by = Math.max(1, Math.floor((rows - boxH - 1) / 2));
+
+  const bc = ansi.fg(...dimColor([140, 170, 200], 0.7));
+  const tc = ansi.fg(...dimColor([200, 220, 240], 0.9));
+  const dc = ansi.fg(...dimColor([140, 170, 200], 0.55));
+  const line = (text, color) => {
+    const t = text.slice(0, innerW);
+    return `${bc}\u2502${color}${t}${' '.repeat(innerW - t.length)}${bc}\u2502${r}`;
+  };
+
+  let buf = '';
+  const headerPad = innerW - headerText.length - countText.length;
+  buf += ansi.to(by, bx) + `${bc}\u256d${'\u2500'.repeat(innerW)}\u256e${r}`;
+  buf += ansi.to(by + 1, bx) + `${bc}\u2502${tc}${headerText}${' '.repeat(Math.max(0, headerPad))}${dc}${countText}${bc}\u2502${r}`;
+  buf += ansi.to(by + 2, bx) + `${bc}\u251c${'\u2500'.repeat(innerW)}\u2524${r}`;
+
+  let row = by + 3;
+  if (count === 0) {
+    const msg = 'nothing waiting on you';
+    const msgPad = Math.max(0, Math.floor((innerW - msg.length) / 2));
+    buf += ansi.to(row++, bx) + line(' '.repeat(msgPad) + msg, dc);
+  } else {
+    if (hidden > 0) buf += ansi.to(row++, bx) + line(`  +${hidden} earlier`, dc);
+    for (const item of visible) {
+      const theme = themeMap[item.state] || themeMap.idle;
+      const age = item.at ? formatElapsed(now - item.at) : '';
+      const name = item.session.slice(0, 16);
+      // " ● name: text  age " -- at least one space between text and age
+      const textRoom = innerW - 7 - name.length - age.length;
+      const text = item.text.length > textRoom ? item.text.slice(0, Math.max(0, textRoom - 1)) + '\u2026' : item.text;
+      const gap = ' '.repeat(Math.max(1, innerW - 6 - name.length - text.length - age.length));
+      buf += ansi.to(row++, bx) + `${bc}\u2502${r} ${ansi.fg(...theme.border)}\u25cf${r} ${tc}${name}: ${text}${dc}${gap}${age} ${bc}\u2502${r}`;
+    }
+  }
+  buf += ansi.to(row, bx) + `${bc}\u2570${'\u2500'.repeat(innerW)}\u256f${r}`;
+
+  if (outBounds) {
+    outBounds.bx = bx;
+    outBounds.by = by;
+    outBounds.w = boxW;
+    outBounds.h = row - by + 1;
+  }
+  return buf;
+}
+
 module.exports = {
-  MiniFace, OrbitalSystem, hashTeamColor, renderSessionList, isProcessAlive,
+  MiniFace, OrbitalSystem, hashTeamColor, renderSessionList, inboxItems, renderInbox, isProcessAlive,
   STALE_MS, ORPHAN_TIMEOUT, REPOSITION_MS,
   INTER_GROUP_GAP, INTRA_GROUP_GAP, TETHER_BRIGHTNESS, GROUP_LABEL_BRIGHTNESS,
   CYCLE_WORK_STATES, CYCLE_INTERVAL, CYCLE_STALE_MS,
@@ -0,0 +1,280 @@
+'use strict';
+
+// +================================================================+
+// |  Session History -- one JSONL record per finished session        |
+// |                                                                  |
+// |  Written when a session ends (SessionEnd, editor exit) or has    |
+// |  sat idle for SESSION_IDLE_MS:                                   |
+// |    { id, start, end, durationMs, project, projectName, branch,   |
+// |      model, toolCalls, toolsByCategory, files, commits, errors,  |
+// |      subagents, longestStreak, tokens, usage, cost, waitMs,      |
+// |      waits }                                                     |
+// |                                                                  |
+// |  Stats only keep running totals and records; this keeps the      |
+// |  sessions themselves. Query with `code-crumb history`. Prefs:    |
+// |    history: false        disable entirely                        |
+// |    historyMaxBytes       trim oldest past this size (4 MiB)      |
+// +================================================================+
+
+const fs = require('fs');
+const path = require('path');
+const { HISTORY_FILE, loadPrefs, writeFileAtomic, acquireLock, releaseLock, getProjectRoot } = require('./shared');
+const { formatElapsed, defaultUsage, totalTokens, formatTokens, formatCost } = require('./state-machine');
+const { formatWait } = require('./waits');
+
+const HISTORY_MAX_BYTES = 4 * 1048576;
+const HISTORY_DEFAULT_LIMIT = 20;
+const SESSION_IDLE_MS = 2 * 3600000;
+const MAX_OPEN_SESSIONS = 20;
+
+function historySettings(prefs) {
+  const p = prefs || {};
+  const maxBytes = Number(p.historyMaxBytes);
+  return {
+    enabled: p.history !== false,
+    maxBytes: maxBytes > 0 ? maxBytes : HISTORY_MAX_BYTES,
+  };
+}
+
+// -- Recording -------------------------------------------------------
+
+// Summary of a finished session. startedAt survives Stop (which zeroes
+// session.start so durations aren't counted twice).
+function sessionRecord(session, endedAt = Date.now()) {
+  const start = session.startedAt || session.start || endedAt;
+  return {
+    id: String(session.id),
+    start,
+    end: endedAt,
+    durationMs: Math.max(0, endedAt - start),
+    project: session.project || '',
+    projectName: session.project ? path.basename(session.project) : '',
+    branch: session.branch || '',
+    model: session.model || '',
+    toolCalls: session.toolCalls || 0,
+    toolsByCategory: { ...(session.toolsByCategory || {}) },
+    files: [...(session.editedPaths || session.filesEdited || [])],
+    commits: session.commitCount || 0,
+    errors: session.totalErrors || 0,
+    subagents: session.subagentCount || 0,
+    longestStreak: session.bestStreak || 0,
+    tokens: totalTokens(session.usage),
+    usage: { ...defaultUsage(), ...(session.usage || {}) },
+    cost: session.cost || 0,
+    waitMs: session.waitMs || 0,
+    waits: session.waitCount || 0,
+  };
+}
+
+// Drops the oldest lines so the file is back to half its limit. Callers
+// hold the history lock (see appendHistory).
+function trimHistory(file, maxBytes) {
+  let lines;
+  try { lines = fs.readFileSync(file, 'utf8').split('\n').filter(l => l.trim()); } catch { return; }
+  const kept = [];
+  let size = 0;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    size += Buffer.byteLength(lines[i]) + 1;
+    if (size > maxBytes / 2) break;
+    kept.unshift(lines[i]);
+  }
+  try { writeFileAtomic(file, kept.length ? kept.join('\n') + '\n' : ''); } catch {}
+}
+
+// Appends and trims hold ${file}.lock: a trim rewrites the file, so an
+// append landing between its read and its rename would be lost. Without
+// the lock in time the record is still appended and the trim left to the
+// next writer.
+function appendHistory(record, file = HISTORY_FILE, settings) {
+  try {
+    settings = settings || historySettings(loadPrefs());
+    if (!settings.enabled) return;
+    const lockFile = `${file}.lock`;
+    const locked = acquireLock(lockFile);
+    try {
+      fs.appendFileSync(file, JSON.stringify(record) + '\n', { encoding: 'utf8', mode: 0o600 });
+      if (locked && fs.statSync(file).size > settings.maxBytes) trimHistory(file, settings.maxBytes);
+    } finally {
+      if (locked) releaseLock(lockFile);
+    }
+  } catch {
+    // Never break a hook over the history
+  }
+}
+
+function _archive(session, endedAt, file) {
+  if (!session || !session.id || session.archived) return null;
+  if (!session.toolCalls && !session.subagentCount) return null;
+  const record = sessionRecord(session, endedAt);
+  appendHistory(record, file);
+  session.archived = true;
+  return record;
+}
+
+// Archives stats.session once. Sessions that never did anything (no tool
+// calls, no subagents) aren't worth a record. Returns the record, or null.
+function archiveSession(stats, endedAt = Date.now(), file = HISTORY_FILE) {
+  return _archive(stats && stats.session, endedAt, file);
+}
+
+// -- Parallel sessions -------------------------------------------------
+// Sessions running side by side take turns in the stats.session slot.
+// The one making way is parked in stats.openSessions by id rather than
+// archived, so each session still ends up as a single record however
+// often it was swapped out.
+
+function parkSession(stats) {
+  const session = stats.session;
+  if (!session || !session.id || session.archived) return;
+  if (!stats.openSessions || typeof stats.openSessions !== 'object') stats.openSessions = {};
+  stats.openSessions[session.id] = session;
+}
+
+// Takes the parked session for id back out (null if there isn't one).
+function resumeSession(stats, id) {
+  const parked = stats.openSessions && stats.openSessions[id];
+  if (!parked) return null;
+  delete stats.openSessions[id];
+  return parked;
+}
+
+// Archives parked sessions that have gone quiet, ending each at its last
+// event, and the oldest past MAX_OPEN_SESSIONS. Returns how many went.
+function archiveIdleSessions(stats, now = Date.now(), file = HISTORY_FILE) {
+  const open = stats.openSessions;
+  if (!open || typeof open !== 'object') return 0;
+  const lastAt = (s) => (s && (s.lastEventAt || s.startedAt)) || 0;
+  const ids = Object.keys(open).sort((a, b) => lastAt(open[b]) - lastAt(open[a]));
+  let archived = 0;
+  ids.forEach((id, i) => {
+    const last = lastAt(open[id]);
+    if (i < MAX_OPEN_SESSIONS && now - last < SESSION_IDLE_MS) return;
+    if (_archive(open[id], last || now, file)) archived++;
+    delete open[id];
+  });
+  return archived;
+}
+
+// -- Querying --------------------------------------------------------
+
+// All records, oldest first. Corrupt lines are skipped.
+function readHistory(file = HISTORY_FILE) {
+  let raw;
+  try { raw = fs.readFileSync(file, 'utf8'); } catch { return []; }
+  const records = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try { records.push(JSON.parse(line)); } catch {}
+  }
+  return records;
+}
+
+// Newest first. project matches a record's root path or its basename.
+function filterHistory(records, { project, since, limit } = {}) {
+  let out = records.slice();
+  if (project) out = out.filter(r => r.project === project || r.projectName === project);
+  if (since) out = out.filter(r => (r.end || 0) >= since);
+  out.sort((a, b) => (b.end || 0) - (a.end || 0));
+  if (limit > 0) out = out.slice(0, limit);
+  return out;
+}
+
+// "7d", "24h", "30m" or a date (2026-01-31) -> epoch ms; null if unparseable.
+function parseSince(value, now = Date.now()) {
+  const m = /^(\d+)([dhm])$/.exec(String(value));
+  if (m) return now - Number(m[1]) * { d: 86400000, h: 3600000, m: 60000 }[m[2]];
+  const t = Date.parse(value);
+  return isNaN(t) ? null : t;
+}
+
+// code-crumb history [--project <name|path|.>] [--since 7d] [--limit N] [--all] [--json]
+function parseHistoryArgs(args, now = Date.now()) {
+  const opts = { project: '', since: 0, limit: HISTORY_DEFAULT_LIMIT, json: false, error: '' };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--json') opts.json = true;
+    else if (a === '--all') opts.limit = 0;
+    else if (a === '--project' || a === '-p') opts.project = args[++i] || '';
+    else if (a === '--since') {
+      const since = parseSince(args[++i], now);
+      if (since === null) opts.error = `bad --since value: ${args[i]}`;
+      else opts.since = since;
+    }
+    else if (a === '--limit' || a === '-n') {
+      const n = parseInt(args[++i], 10);
+      if (!(n > 0)) opts.error = `bad --limit value: ${args[i]}`;
+      else opts.limit = n;
+    }
+    else opts.error = `unknown option: ${a}`;
+  }
+  return opts;
+}
+
+function _localDateTime(ms) {
+  const d = new Date(ms);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+// Two lines per session:
+//   2026-01-31 14:02  42m10s  code-crumb ⎇ main  opus
+//     87 calls (read 40 · edit 30 · shell 17) · 12 files · 2 commits · 3 errors · best streak 25
+function formatHistory(records) {
+  if (!records.length) return 'No sessions recorded yet.';
+  const lines = [];
+  for (const r of records) {
+    let head = `${_localDateTime(r.start)}  ${formatElapsed(r.durationMs || 0)}`;
+    if (r.projectName) head += `  ${r.projectName}`;
+    if (r.branch) head += ` ⎇ ${r.branch}`;
+    if (r.model) head += `  ${r.model}`;
+    const cats = Object.entries(r.toolsByCategory || {})
+      .sort((a, b) => b[1] - a[1])
+      .map(([cat, n]) => `${cat} ${n}`);
+    const parts = [`${r.toolCalls || 0} calls${cats.length ? ` (${cats.join(' · ')})` : ''}`];
+    const files = (r.files || []).length;
+    parts.push(`${files} file${files === 1 ? '' : 's'}`);
+    if (r.commits) parts.push(`${r.commits} commit${r.commits === 1 ? '' : 's'}`);
+    if (r.errors) parts.push(`${r.errors} error${r.errors === 1 ? '' : 's'}`);
+    if (r.subagents) parts.push(`${r.subagents} subagent${r.subagents === 1 ? '' : 's'}`);
+    if (r.longestStreak) parts.push(`best streak ${r.longestStreak}`);
+    if (r.tokens) parts.push(`${formatTokens(r.tokens)} tokens · ${formatCost(r.cost)}`);
+    if (r.waits) parts.push(formatWait(r.waitMs || 0, r.waits));
+    lines.push(head, `  ${parts.join(' · ')}`);
+  }
+  return lines.join('\n');
+}
+
+// Entry point for `code-crumb history`. Returns the exit code.
+function runHistoryCommand(args, out = process.stdout, file = HISTORY_FILE, cwd = process.cwd()) {
+  const opts = parseHistoryArgs(args);
+  if (opts.error) {
+    out.write(`${opts.error}\nusage: code-crumb history [--project <name|path|.>] [--since 7d|24h|<date>] [--limit N] [--all] [--json]\n`);
+    return 1;
+  }
+  const project = opts.project === '.' ? getProjectRoot(cwd)
+    : opts.project.includes(path.sep) ? path.resolve(opts.project) : opts.project;
+  const records = filterHistory(readHistory(file), { project, since: opts.since, limit: opts.limit });
+  out.write((opts.json ? JSON.stringify(records, null, 2) : formatHistory(records)) + '\n');
+  return 0;
+}
+
+module.exports = {
+  HISTORY_MAX_BYTES,
+  HISTORY_DEFAULT_LIMIT,
+  SESSION_IDLE_MS,
+  MAX_OPEN_SESSIONS,
+  historySettings,
+  sessionRecord,
+  trimHistory,
+  appendHistory,
+  archiveSession,
+  parkSession,
+  resumeSession,
+  archiveIdleSessions,
+  readHistory,
+  filterHistory,
+  parseSince,
+  parseHistoryArgs,
+  formatHistory,
+  runHistoryCommand,
+};
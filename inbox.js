@@ -0,0 +1,80 @@
+'use strict';
+
+// +================================================================+
+// |  Inbox -- what each session is waiting on you for                |
+// |                                                                  |
+// |  Notification, PermissionRequest and Elicitation mean the        |
+// |  session is waiting on you. Each becomes an inbox item           |
+// |  { kind, text, at } in the session file; the session's next      |
+// |  event of any other kind empties the inbox, so it only ever      |
+// |  lists what is still open. update-state.js keeps the inbox,      |
+// |  grid.js shows it.                                               |
+// +================================================================+
+
+const path = require('path');
+const { BASH_TOOLS, promptPreview } = require('./state-machine');
+
+const INBOX_EVENTS = new Set(['Notification', 'PermissionRequest', 'Elicitation']);
+const INBOX_MAX = 5;
+const INBOX_TEXT_MAX = 60;
+
+// What a permission is for: the command, the file or the host
+function _permissionTarget(toolName, input) {
+  const i = input || {};
+  if (BASH_TOOLS.test(toolName)) return i.command || '';
+  const file = i.file_path || i.path || i.notebook_path || '';
+  if (file) return path.basename(file);
+  if (i.url) {
+    try { return new URL(i.url).host; } catch { return ''; }
+  }
+  return '';
+}
+
+// Inbox item for a waiting event, null for any other event.
+// Permission items name the tool and what it wants to run or touch.
+function inboxItem(hookEvent, data, extraPatterns, now = Date.now()) {
+  const d = data || {};
+  let kind = 'notification';
+  let text = '';
+  let tool = '';
+  if (hookEvent === 'PermissionRequest') {
+    kind = 'permission';
+    tool = d.tool_name || '';
+    const room = INBOX_TEXT_MAX - tool.length - 10;
+    const target = promptPreview(_permissionTarget(tool, d.tool_input), extraPatterns, room);
+    text = !tool ? 'needs permission' : target ? `allow ${tool} \`${target}\`?` : `allow ${tool}?`;
+  } else if (hookEvent === 'Elicitation') {
+    kind = 'input';
+    text = `${d.mcp_server_name || 'MCP'}: ${d.message || 'needs input'}`;
+  } else if (hookEvent === 'Notification') {
+    // Claude Code follows a permission dialog with a generic notification
+    if (d.notification_type === 'permission_prompt') kind = 'permission';
+    text = d.message || 'needs attention';
+  } else {
+    return null;
+  }
+  const item = { kind, text: promptPreview(text, extraPatterns, INBOX_TEXT_MAX), at: now };
+  if (tool) item.tool = tool;
+  return item;
+}
+
+// Adds item to an open inbox, newest last, at most INBOX_MAX. A permission
+// request with its tool replaces the generic notification for it.
+function nextInbox(inbox, item) {
+  let items = Array.isArray(inbox) ? inbox.filter(i => i && i.text) : [];
+  if (!item) return items;
+  if (item.kind === 'permission') {
+    if (!item.tool && items.some(i => i.kind === 'permission')) return items;
+    if (item.tool) items = items.filter(i => i.kind !== 'permission' || i.tool);
+  }
+  items = items.filter(i => i.text !== item.text);
+  return [...items, item].slice(-INBOX_MAX);
+}
+
+module.exports = {
+  INBOX_EVENTS,
+  INBOX_MAX,
+  INBOX_TEXT_MAX,
+  inboxItem,
+  nextInbox,
+};
@@ -0,0 +1,218 @@
+'use strict';
+
+// +================================================================+
+// |  IPC -- hooks push state to the renderer over a local socket     |
+// |                                                                  |
+// |  Unix domain socket in the runtime dir (named pipe on Windows).  |
+// |  A socket path some other user owns is never connected to or    |
+// |  removed -- payloads carry prompts and file paths.               |
+// |  Messages are newline-delimited JSON:                            |
+// |    { kind: 'state',   data: <state file payload> }               |
+// |    { kind: 'session', data: <session file payload> }             |
+// |                                                                  |
+// |  Hooks still write the state files -- they are the fallback      |
+// |  when the renderer isn't running, and what it reads on start.    |
+// |  Sending is best-effort: no socket, no renderer, no problem.     |
+// |                                                                  |
+// |  The hook daemon (daemon.js) uses the same framing with reply    |
+// |  lines per request -- see ipcRequest.                            |
+// +================================================================+
+
+const fs = require('fs');
+const net = require('net');
+const { SOCKET_PATH } = require('./shared');
+
+// How long a hook waits for queued messages to drain before exiting
+const IPC_FLUSH_MS = 30;
+// How long a hook waits on the daemon before giving up -- inside the
+// 50ms hook budget
+const IPC_REQUEST_MS = 40;
+// A request not picked up this long before the client gives up is
+// dropped by the server, which leaves the ack time to arrive
+const IPC_ACK_MARGIN_MS = 10;
+const MAX_LINE = 1048576;
+
+// Whether socketPath is a socket this user owns. Named pipes can't be
+// stat'ed (and are per-user anyway), so they always pass.
+function socketOwned(socketPath) {
+  if (process.platform === 'win32') return true;
+  try {
+    const st = fs.lstatSync(socketPath);
+    return st.isSocket() && (typeof process.getuid !== 'function' || st.uid === process.getuid());
+  } catch {
+    return false;
+  }
+}
+
+// -- Client (hooks / adapters) ---------------------------------------
+
+let _conn = null;
+
+function _connect(socketPath) {
+  // Skip the connect when nobody listens, or when it isn't ours
+  if (!socketOwned(socketPath)) return null;
+  try {
+    const conn = net.createConnection(socketPath);
+    conn.on('error', () => { if (_conn === conn) _conn = null; });
+    conn.on('close', () => { if (_conn === conn) _conn = null; });
+    conn.unref();
+    return conn;
+  } catch {
+    return null;
+  }
+}
+
+// Queue a message; the connection is opened lazily and reused, so one hook
+// invocation's messages arrive in the order they were sent.
+function ipcSend(kind, data, socketPath = SOCKET_PATH) {
+  try {
+    if (!_conn) _conn = _connect(socketPath);
+    if (!_conn) return false;
+    _conn.write(JSON.stringify({ kind, data }) + '\n');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Finish sending, then call done (once) -- at most IPC_FLUSH_MS later.
+function ipcFlush(done) {
+  const conn = _conn;
+  _conn = null;
+  if (!conn) { done(); return; }
+  let called = false;
+  const finish = () => {
+    if (called) return;
+    called = true;
+    clearTimeout(timer);
+    conn.destroy();
+    done();
+  };
+  const timer = setTimeout(finish, IPC_FLUSH_MS);
+  conn.on('close', finish);
+  conn.on('error', finish);
+  conn.end();
+}
+
+// One request on its own connection. The server answers 'ack' when it
+// takes the request on (or 'late' when it came past its deadline) and
+// 'ok' once it's done. Calls done (once) with:
+//   'ok'          -- the server finished
+//   'unreachable' -- the server never took it on (no socket, refused,
+//                    no ack within timeoutMs, or late)
+//   'timeout'     -- taken on, but not finished within timeoutMs
+// The caller only redoes the work itself on 'unreachable', so an event
+// is never handled twice: a request that wasn't acked in time is past
+// its deadline, and the server drops it.
+function ipcRequest(kind, data, socketPath, done, timeoutMs = IPC_REQUEST_MS) {
+  let called = false;
+  let acked = false;
+  let conn = null;
+  const finish = (result) => {
+    if (called) return;
+    called = true;
+    clearTimeout(timer);
+    if (conn) conn.destroy();
+    done(result);
+  };
+  const deadline = Date.now() + timeoutMs - IPC_ACK_MARGIN_MS;
+  const timer = setTimeout(() => finish(acked ? 'timeout' : 'unreachable'), timeoutMs);
+  // Requests carry raw hook input -- only ever to a daemon of ours
+  if (!socketOwned(socketPath)) { finish('unreachable'); return; }
+  try {
+    conn = net.createConnection(socketPath);
+  } catch {
+    finish('unreachable');
+    return;
+  }
+  conn.setEncoding('utf8');
+  conn.on('connect', () => {
+    conn.write(JSON.stringify({ kind, data, deadline }) + '\n');
+  });
+  let replies = '';
+  conn.on('data', (chunk) => {
+    replies += chunk;
+    if (/^ack$/m.test(replies)) acked = true;
+    if (/^ok$/m.test(replies)) finish('ok');
+    else if (/^late$/m.test(replies)) finish('unreachable');
+  });
+  conn.on('error', () => finish(acked ? 'timeout' : 'unreachable'));
+  conn.on('close', () => finish(acked ? 'timeout' : 'unreachable'));
+}
+
+// -- Server (renderer, daemon) -----------------------------------------------
+
+// Splits a stream into JSON lines and hands each parsed message (and the
+// connection, for replies) to onMessage.
+function _readLines(conn, onMessage) {
+  let buffer = '';
+  conn.setEncoding('utf8');
+  conn.on('data', (chunk) => {
+    buffer += chunk;
+    if (buffer.length > MAX_LINE) { conn.destroy(); return; }
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let msg;
+      try { msg = JSON.parse(line); } catch { continue; }
+      if (msg && typeof msg.kind === 'string') {
+        try { onMessage(msg, conn); } catch {}
+      }
+    }
+  });
+  conn.on('error', () => {});
+}
+
+// Listens on socketPath. A leftover socket from a crashed renderer is
+// removed; a live one (another renderer) makes this a no-op returning null
+// via onReady, leaving this renderer on the file protocol.
+function createIpcServer(onMessage, socketPath = SOCKET_PATH, onReady) {
+  const server = net.createServer((conn) => _readLines(conn, onMessage));
+  let retried = false;
+  server.on('error', (err) => {
+    if (err.code === 'EADDRINUSE' && !retried && process.platform !== 'win32') {
+      retried = true;
+      const probe = net.createConnection(socketPath);
+      probe.on('connect', () => { probe.destroy(); if (onReady) onReady(null); });
+      probe.on('error', () => {
+        // Only a leftover of ours is removed
+        if (!socketOwned(socketPath)) { if (onReady) onReady(null); return; }
+        try { fs.unlinkSync(socketPath); } catch {}
+        server.listen(socketPath);
+      });
+      return;
+    }
+    if (onReady) onReady(null);
+  });
+  server.on('listening', () => {
+    if (process.platform !== 'win32') {
+      try { fs.chmodSync(socketPath, 0o600); } catch {}
+    }
+    if (onReady) onReady(server);
+  });
+  server.listen(socketPath);
+  return server;
+}
+
+// Only removes the socket file if this server owns it
+function closeIpcServer(server, socketPath = SOCKET_PATH) {
+  if (!server) return;
+  const owned = server.listening;
+  try { server.close(); } catch {}
+  if (owned && process.platform !== 'win32') {
+    try { fs.unlinkSync(socketPath); } catch {}
+  }
+}
+
+module.exports = {
+  IPC_FLUSH_MS,
+  IPC_REQUEST_MS,
+  IPC_ACK_MARGIN_MS,
+  socketOwned,
+  ipcSend,
+  ipcFlush,
+  ipcRequest,
+  createIpcServer,
+  closeIpcServer,
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+// +================================================================+
+// |  Event Journal -- append-only JSONL record of every hook event   |
+// |                                                                  |
+// |  One compact line per event:                                     |
+// |    { ts, event, session, tool, state, detail }                   |
+// |                                                                  |
+// |  The state file only holds the latest event; the journal keeps   |
+// |  the sequence that led there (debugging, replay, reports).       |
+// |  Rotates by size: journal.jsonl -> .1 -> .2 ... up to            |
+// |  journalKeep files. Prefs:                                       |
+// |    journal: false        disable entirely                        |
+// |    journalMaxBytes       rotate past this size (default 1 MiB)   |
+// |    journalKeep           rotated files kept (default 3)          |
+// +================================================================+
+
+const fs = require('fs');
+const { JOURNAL_FILE, loadPrefs, loadRedactPatterns, acquireLock, releaseLock } = require('./shared');
+const { redactSecrets } = require('./state-machine');
+
+const JOURNAL_MAX_BYTES = 1048576;
+const JOURNAL_KEEP = 3;
+const MAX_DETAIL = 200;
+
+function journalSettings(prefs) {
+  const p = prefs || {};
+  const maxBytes = Number(p.journalMaxBytes);
+  const keep = Number(p.journalKeep);
+  return {
+    enabled: p.journal !== false,
+    maxBytes: maxBytes > 0 ? maxBytes : JOURNAL_MAX_BYTES,
+    keep: Number.isInteger(keep) && keep >= 0 ? keep : JOURNAL_KEEP,
+  };
+}
+
+// Compact record: empty fields are dropped, detail is redacted and capped.
+function journalRecord(fields, extraPatterns) {
+  const rec = { ts: fields.ts || Date.now(), event: fields.event || '' };
+  if (fields.session) rec.session = String(fields.session);
+  if (fields.tool) rec.tool = String(fields.tool);
+  if (fields.state) rec.state = fields.state;
+  if (fields.detail) rec.detail = redactSecrets(String(fields.detail), extraPatterns).slice(0, MAX_DETAIL);
+  return rec;
+}
+
+// journal.jsonl -> journal.jsonl.1 -> ... -> journal.jsonl.<keep>; the oldest falls off.
+function rotateJournal(file, keep) {
+  try { fs.unlinkSync(`${file}.${keep}`); } catch {}
+  for (let i = keep - 1; i >= 1; i--) {
+    try { fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`); } catch {}
+  }
+  if (keep > 0) {
+    try { fs.renameSync(file, `${file}.1`); } catch {}
+  } else {
+    try { fs.unlinkSync(file); } catch {}
+  }
+}
+
+// Appends one line. O_APPEND keeps concurrent hook writes whole; the size
+// check runs after the append so the line that crosses the limit is kept.
+// Rotation happens under journal.jsonl.lock, re-checking the size once the
+// lock is held: two hooks rotating together would shift every file twice
+// and drop a generation. A hook that can't get the lock leaves rotation
+// to the next append.
+function appendJournal(fields, file = JOURNAL_FILE, settings) {
+  try {
+    settings = settings || journalSettings(loadPrefs());
+    if (!settings.enabled) return;
+    const line = JSON.stringify(journalRecord(fields, loadRedactPatterns())) + '\n';
+    fs.appendFileSync(file, line, { encoding: 'utf8', mode: 0o600 });
+    if (fs.statSync(file).size <= settings.maxBytes) return;
+    const lockFile = `${file}.lock`;
+    if (!acquireLock(lockFile, 0)) return;
+    try {
+      if (fs.statSync(file).size > settings.maxBytes) rotateJournal(file, settings.keep);
+    } finally {
+      releaseLock(lockFile);
+    }
+  } catch {
+    // Never break a hook over the journal
+  }
+}
+
+// All records, oldest first, across the rotated files (as many as the
+// journalKeep pref keeps). Corrupt lines are skipped.
+function readJournal(file = JOURNAL_FILE, keep = journalSettings(loadPrefs()).keep) {
+  const records = [];
+  const files = [];
+  for (let i = keep; i >= 1; i--) files.push(`${file}.${i}`);
+  files.push(file);
+  for (const fp of files) {
+    let raw;
+    try { raw = fs.readFileSync(fp, 'utf8'); } catch { continue; }
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try { records.push(JSON.parse(line)); } catch {}
+    }
+  }
+  return records;
+}
+
+module.exports = {
+  JOURNAL_MAX_BYTES,
+  JOURNAL_KEEP,
+  journalSettings,
+  journalRecord,
+  rotateJournal,
+  appendJournal,
+  readJournal,
+};
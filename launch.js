@@ -11,6 +11,8 @@
 // |    node launch.js --editor codex "fix bug" (use codex wrapper)   |
 // |    node launch.js --editor claude -p "fix the bug"               |
 // |    node launch.js --dangerously-skip-permissions                 |
+// |    node launch.js history [--project .] [--since 7d] [--json]     |
+// |    node launch.js stats [--by week] [--since 30d] [--json|--csv]  |
 // |                                                                 |
 // |  Or via the batch/shell wrappers:                               |
 // |    code-crumb                                                   |
@@ -21,8 +23,7 @@ const { spawn, execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 
-const HOME = process.env.USERPROFILE || process.env.HOME || '/tmp';
-const PID_FILE = path.join(HOME, '.code-crumb.pid');
+const { PID_FILE } = require('./shared');
 const WINDOW_TITLE = 'Code Crumb';
 
 // -- Pure helpers (exported for tests) ------------------------------------
@@ -158,6 +159,21 @@ if (require.main === module) {
     process.exit(0);
   }
 
+  // history / stats set the exit code and return: process.exit() would
+  // cut off output still queued for a pipe
+
+  // history -- past sessions (see history.js)
+  if (rawArgs[0] === 'history') {
+    process.exitCode = require('./history').runHistoryCommand(rawArgs.slice(1));
+    return;
+  }
+
+  // stats -- report / export of the stats file (see report.js)
+  if (rawArgs[0] === 'stats') {
+    process.exitCode = require('./report').runStatsCommand(rawArgs.slice(1));
+    return;
+  }
+
   const { editorName, editorArgs } = parseArgs(rawArgs);
 
   if (!isRendererRunning()) {
@@ -2,9 +2,9 @@
 
 // +================================================================+
 // |  Particle system -- visual effects for the face renderer        |
-// |  15 particle styles: float, sparkle, glitch, orbit, zzz,       |
+// |  16 particle styles: float, sparkle, glitch, orbit, zzz,       |
 // |  question, sweat, falling, speedline, echo, stream, heart,     |
-// |  push, rain, fire                                               |
+// |  push, rain, fire, alarm                                        |
 // +================================================================+
 
 const { ansi, dimColor } = require('./themes');
@@ -213,6 +213,20 @@ class ParticleSystem {
           char: ['\u2022', '\u25cf', '\u00b7', '\u2666', '\u25c6', '*'][Math.floor(Math.random() * 6)],
           style,
         });
+      } else if (style === 'alarm') {
+        // Warning flashes bursting outward from the face — hazard light
+        const angle = Math.random() * Math.PI * 2;
+        const speed = 0.25 + Math.random() * 0.15;
+        this.particles.push({
+          x: this.width / 2,
+          y: this.height / 2,
+          vx: Math.cos(angle) * speed,
+          vy: Math.sin(angle) * speed * 0.5,
+          life: 14 + Math.random() * 10,
+          maxLife: 24,
+          char: ['!', '\u203c', '\u25b2', '\u00b7'][Math.floor(Math.random() * 4)],
+          style,
+        });
       }
     }
   }
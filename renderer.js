@@ -9,7 +9,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const { HOME, STATE_FILE, SESSIONS_DIR, TEAMS_DIR, TMUX_FILE, loadPrefs, savePrefs, getGitBranch, QUIT_FLAG_FILE, safeFilename } = require('./shared');
+const { STATE_FILE, SESSIONS_DIR, TEAMS_DIR, TMUX_FILE, PID_FILE, loadPrefs, savePrefs, getGitBranch, QUIT_FLAG_FILE, safeFilename, writeFileAtomic } = require('./shared');
 
 // -- Modules -------------------------------------------------------
 const {
@@ -23,11 +23,13 @@ const {
 const { mouths, eyes, gridMouths } = require('./animations');
 const { ParticleSystem } = require('./particles');
 const { ClaudeFace } = require('./face');
-const { MiniFace, OrbitalSystem, renderSessionList } = require('./grid');
+const { MiniFace, OrbitalSystem, renderSessionList, inboxItems, renderInbox } = require('./grid');
 const { SwapTransition } = require('./transition');
+const { waitAlertSettings, WaitTracker } = require('./attention');
+const { createIpcServer, closeIpcServer } = require('./ipc');
+const { SCHEMA_VERSION, sanitizePayload, schemaWarning } = require('./schema');
 
 // -- Config --------------------------------------------------------
-const PID_FILE = path.join(HOME, '.code-crumb.pid');
 const FPS = 15;
 const FRAME_MS = Math.floor(1000 / FPS);
 const IDLE_TIMEOUT = 8000;
@@ -35,47 +37,75 @@ const THINKING_TIMEOUT = 45000; // 45s -- safety net if Stop event is missed
 const SLEEP_TIMEOUT = 60000;
 
 // -- Hoisted sets for checkState() hot path (avoid per-call allocation) --
-const RESCUE_EXCLUDE = new Set(['idle', 'sleeping', 'responding', 'starting', 'happy', 'satisfied', 'proud', 'relieved']);
-const FRESH_READ_STATES = new Set(['thinking', 'executing', 'coding', 'reading', 'searching', 'testing', 'installing', 'responding', 'happy', 'satisfied', 'proud', 'relieved']);
-const COMPLETION_STATES = new Set(['happy', 'satisfied', 'proud', 'relieved']);
-const ACTIVE_WORK_STATES = new Set(['executing', 'coding', 'reading', 'searching', 'testing', 'installing', 'committing', 'reviewing', 'subagent', 'responding', 'training']);
+const RESCUE_EXCLUDE = new Set(['idle', 'sleeping', 'responding', 'starting', 'happy', 'satisfied', 'proud', 'relieved', 'wary']);
+const FRESH_READ_STATES = new Set(['thinking', 'listening', 'executing', 'coding', 'reading', 'searching', 'testing', 'installing', 'responding', 'happy', 'satisfied', 'proud', 'relieved', 'wary']);
+const COMPLETION_STATES = new Set(['happy', 'satisfied', 'proud', 'relieved', 'wary']);
+const ACTIVE_WORK_STATES = new Set(['executing', 'coding', 'reading', 'searching', 'testing', 'installing', 'committing', 'reviewing', 'subagent', 'responding', 'training', 'danger']);
 
 // ===================================================================
 // SHARED RUNTIME
 // ===================================================================
 
+// Maps a raw state payload (file contents or IPC message) to the fields
+// the renderer uses, with defaults for anything missing. Fields of the
+// wrong type (see schema.js) are dropped first.
+function normalizeState(raw) {
+  const data = sanitizePayload(raw, 'state');
+  return {
+    schema: data.schema || 0,
+    state: data.state || 'idle',
+    detail: data.detail || '',
+    timestamp: data.timestamp || 0,
+    sessionId: data.sessionId || '',
+    modelName: data.modelName || '',
+    toolCalls: data.toolCalls || 0,
+    filesEdited: data.filesEdited || 0,
+    sessionStart: data.sessionStart || 0,
+    streak: data.streak || 0,
+    bestStreak: data.bestStreak || 0,
+    brokenStreak: data.brokenStreak || 0,
+    brokenStreakAt: data.brokenStreakAt || 0,
+    milestone: data.milestone || null,
+    diffInfo: data.diffInfo || null,
+    testInfo: data.testInfo || null,
+    diagInfo: data.diagInfo || null,
+    dailySessions: data.dailySessions || 0,
+    dailyCumulativeMs: data.dailyCumulativeMs || 0,
+    dayStreak: data.dayStreak || 0,
+    bestDayStreak: data.bestDayStreak || 0,
+    tokens: data.tokens || 0,
+    cost: data.cost || 0,
+    dailyTokens: data.dailyTokens || 0,
+    dailyCost: data.dailyCost || 0,
+    dailyWaitMs: data.dailyWaitMs || 0,
+    dailyWaits: data.dailyWaits || 0,
+    budgetAlert: data.budgetAlert || null,
+    todos: data.todos || null,
+    promptPreview: data.promptPreview || '',
+    reply: data.reply || null,
+    inbox: data.inbox || [],
+    frequentFiles: data.frequentFiles || {},
+    project: data.project || null,
+    stopped: data.stopped || false,
+    cwd: data.cwd || null,
+    isWorktree: data.isWorktree || false,
+    gitBranch: data.gitBranch || null,
+    commitCount: data.commitCount || 0,
+    isSessionStart: data.isSessionStart || false,
+    workState: data.workState || null,
+    workDetail: data.workDetail || '',
+    toolStartedAt: data.toolStartedAt || 0,
+    slowToolMs: data.slowToolMs || 0,
+    toolDurationMs: data.toolDurationMs || 0,
+    slowTool: data.slowTool || false,
+  };
+}
+
 function readState() {
   try {
     const raw = fs.readFileSync(STATE_FILE, 'utf8').trim();
     if (!raw) return { state: 'idle', detail: '' };
-    const data = JSON.parse(raw);
-    return {
-      state: data.state || 'idle',
-      detail: data.detail || '',
-      timestamp: data.timestamp || 0,
-      sessionId: data.sessionId || '',
-      modelName: data.modelName || '',
-      toolCalls: data.toolCalls || 0,
-      filesEdited: data.filesEdited || 0,
-      sessionStart: data.sessionStart || 0,
-      streak: data.streak || 0,
-      bestStreak: data.bestStreak || 0,
-      brokenStreak: data.brokenStreak || 0,
-      brokenStreakAt: data.brokenStreakAt || 0,
-      milestone: data.milestone || null,
-      diffInfo: data.diffInfo || null,
-      dailySessions: data.dailySessions || 0,
-      dailyCumulativeMs: data.dailyCumulativeMs || 0,
-      frequentFiles: data.frequentFiles || {},
-      stopped: data.stopped || false,
-      cwd: data.cwd || null,
-      isWorktree: data.isWorktree || false,
-      gitBranch: data.gitBranch || null,
-      commitCount: data.commitCount || 0,
-      isSessionStart: data.isSessionStart || false,
-      workState: data.workState || null,
-      workDetail: data.workDetail || '',
-    };
+    return normalizeState(JSON.parse(raw));
   } catch {
     return { state: 'idle', detail: '' };
   }
@@ -167,6 +197,12 @@ function runUnifiedMode() {
     if (typeof prefs.showOrbitals === 'boolean') face.showOrbitals = prefs.showOrbitals;
   }
 
+  // Waiting escalation: timer, bell, desktop notification, title flash
+  const waitSettings = waitAlertSettings(loadPrefs());
+  const waitTracker = new WaitTracker(waitSettings);
+  face.waitTimerMs = waitSettings.timer;
+  orbital.waitTimerMs = waitSettings.timer;
+
   // Main session isolation
   let mainSessionId = null;
   let pinnedSessionId = null; // Set when user manually promotes — prevents auto-swap
@@ -177,98 +213,119 @@ function runUnifiedMode() {
   let lastStopped = false;    // Track if Stop hook has fired (session ended)
   let lastForceReadTime = 0;  // Track periodic forced re-reads (bypasses mtime race)
   let lastAppliedTimestamp = 0; // Dedup: skip re-applying state with same timestamp
-  function checkState() {
-    const now = Date.now();
-    let cachedStateData = null; // Cache readState() to avoid duplicate fs.readFileSync
-    try {
-      const stat = fs.statSync(STATE_FILE);
-      // Every 2s, bypass mtime check to eliminate NTFS 1-second mtime race
-      const forceRead = (now - lastForceReadTime > 2000);
-      if (stat.mtimeMs > lastMtime || forceRead) {
-        if (forceRead) lastForceReadTime = now;
-        lastMtime = stat.mtimeMs;
-        const stateData = readState();
-        cachedStateData = stateData;
-
-        // Use JSON timestamp (ms precision) for staleness instead of
-        // filesystem mtime (NTFS has 1-second granularity, and mtime
-        // never updates if Claude is thinking with no tool calls).
-        // Skip state older than 2 minutes pre-renderer-start — truly stale.
-        const ts = stateData.timestamp || 0;
-        const isStartup = (Date.now() - rendererStartTime < 5000);
-        if (isStartup) {
-          // Don't resurrect dead sessions on fresh renderer start
-          if (stateData.stopped) {
-            lastStopped = true;
-            return;
-          }
-          // Tighter window: active sessions write every few seconds
-          if (ts > 0 && ts < rendererStartTime - 15000) {
-            return;
-          }
-        } else {
-          // Normal runtime: 2-minute guard for live session tolerance
-          if (ts > 0 && ts < rendererStartTime - 120000) {
-            return;
-          }
-        }
+  const ipcQueue = [];          // State updates pushed over the IPC socket, oldest first
+
+  // Applies one state update (file read or IPC push). Returns false when the
+  // update belongs to another session or arrives mid-swap -- checkState then
+  // skips its timeout handling for this tick, as before.
+  function applyStateData(stateData) {
+    // Use JSON timestamp (ms precision) for staleness instead of
+    // filesystem mtime (NTFS has 1-second granularity, and mtime
+    // never updates if Claude is thinking with no tool calls).
+    // Skip state older than 2 minutes pre-renderer-start — truly stale.
+    const ts = stateData.timestamp || 0;
+    const isStartup = (Date.now() - rendererStartTime < 5000);
+    if (isStartup) {
+      // Don't resurrect dead sessions on fresh renderer start
+      if (stateData.stopped) {
+        lastStopped = true;
+        return false;
+      }
+      // Tighter window: active sessions write every few seconds
+      if (ts > 0 && ts < rendererStartTime - 15000) {
+        return false;
+      }
+    } else {
+      // Normal runtime: 2-minute guard for live session tolerance
+      if (ts > 0 && ts < rendererStartTime - 120000) {
+        return false;
+      }
+    }
 
-        // First session we see becomes "main"
-        if (!mainSessionId && stateData.sessionId) {
-          mainSessionId = stateData.sessionId;
-        }
+    // Warn once hooks and renderer disagree on the file format
+    if (ts > 0) face.schemaWarning = schemaWarning(stateData);
 
-        // If sessionId is missing, treat as belonging to current main session
-        // (fallback for older hooks or parse failures)
-        const incomingId = stateData.sessionId || mainSessionId;
+    // First session we see becomes "main"
+    if (!mainSessionId && stateData.sessionId) {
+      mainSessionId = stateData.sessionId;
+    }
 
-        // If a different session is writing to the state file:
-        if (incomingId && mainSessionId && incomingId !== mainSessionId) {
-          // Never auto-swap away from a pinned session
-          if (pinnedSessionId && pinnedSessionId === mainSessionId) {
-            return;
-          }
-          // Adopt as new main only if old main session ended, is very stale,
-          // or a new session is explicitly starting (SessionStart hook)
-          if (lastStopped || Date.now() - lastMainUpdate > 120000
-              || stateData.isSessionStart === true) {
-            if (!swapTransition.active) {
-              swapTransition.start(mainSessionId, incomingId);
-            }
-            // Actual swap happens on the 'swap' frame in the render loop
-            lastStopped = false;
-          } else {
-            return; // Ignore — this is a subagent writing to the state file
-          }
+    // If sessionId is missing, treat as belonging to current main session
+    // (fallback for older hooks or parse failures)
+    const incomingId = stateData.sessionId || mainSessionId;
+
+    // If a different session is writing to the state file:
+    if (incomingId && mainSessionId && incomingId !== mainSessionId) {
+      // Never auto-swap away from a pinned session
+      if (pinnedSessionId && pinnedSessionId === mainSessionId) {
+        return false;
+      }
+      // Adopt as new main only if old main session ended, is very stale,
+      // or a new session is explicitly starting (SessionStart hook)
+      if (lastStopped || Date.now() - lastMainUpdate > 120000
+          || stateData.isSessionStart === true) {
+        if (!swapTransition.active) {
+          swapTransition.start(mainSessionId, incomingId);
         }
+        // Actual swap happens on the 'swap' frame in the render loop
+        lastStopped = false;
+      } else {
+        return false; // Ignore — this is a subagent writing to the state file
+      }
+    }
 
-        lastMainUpdate = Date.now();
-        lastFileState = stateData.state;
-        lastStopped = !!stateData.stopped;
+    lastMainUpdate = Date.now();
+    lastFileState = stateData.state;
+    lastStopped = !!stateData.stopped;
 
-        // Don't apply incoming state while a swap transition is animating —
-        // the face should dissolve with its current state until the swap frame.
-        if (swapTransition.active) return;
+    // Don't apply incoming state while a swap transition is animating —
+    // the face should dissolve with its current state until the swap frame.
+    if (swapTransition.active) return false;
 
-        if (ts > lastAppliedTimestamp) {
-          lastAppliedTimestamp = ts;
-          // Force-apply stopped state (session ended) — bypass minimum display time
-          // so the face doesn't get stuck on "thinking" when Claude is interrupted
-          if (stateData.stopped && Date.now() < face.minDisplayUntil) {
-            face.minDisplayUntil = Date.now();
-          }
+    if (ts > lastAppliedTimestamp) {
+      lastAppliedTimestamp = ts;
+      // Force-apply stopped state (session ended) — bypass minimum display time
+      // so the face doesn't get stuck on "thinking" when Claude is interrupted
+      if (stateData.stopped && Date.now() < face.minDisplayUntil) {
+        face.minDisplayUntil = Date.now();
+      }
 
-          // If PostToolUse includes a workState the renderer missed (PreToolUse
-          // was overwritten before we read it), inject the work state first.
-          // setState buffering queues the completion state behind it.
-          if (ACTIVE_WORK_STATES.has(stateData.workState)
-              && COMPLETION_STATES.has(stateData.state)
-              && !ACTIVE_WORK_STATES.has(face.state)) {
-            face.setState(stateData.workState, stateData.workDetail || '');
-          }
+      // If PostToolUse includes a workState the renderer missed (PreToolUse
+      // was overwritten before we read it), inject the work state first.
+      // setState buffering queues the completion state behind it.
+      if (ACTIVE_WORK_STATES.has(stateData.workState)
+          && COMPLETION_STATES.has(stateData.state)
+          && !ACTIVE_WORK_STATES.has(face.state)) {
+        face.setState(stateData.workState, stateData.workDetail || '');
+      }
+
+      face.setState(stateData.state, stateData.detail);
+      face.setStats(stateData);
+    }
+    return true;
+  }
 
-          face.setState(stateData.state, stateData.detail);
-          face.setStats(stateData);
+  function checkState() {
+    const now = Date.now();
+    let cachedStateData = null; // Cache readState() to avoid duplicate fs.readFileSync
+    try {
+      if (ipcQueue.length > 0) {
+        // Pushed over the IPC socket: apply every update in arrival order
+        let applied = true;
+        while (ipcQueue.length > 0) {
+          cachedStateData = ipcQueue.shift();
+          applied = applyStateData(cachedStateData);
+        }
+        if (!applied) return;
+      } else {
+        const stat = fs.statSync(STATE_FILE);
+        // Every 2s, bypass mtime check to eliminate NTFS 1-second mtime race
+        const forceRead = (now - lastForceReadTime > 2000);
+        if (stat.mtimeMs > lastMtime || forceRead) {
+          if (forceRead) lastForceReadTime = now;
+          lastMtime = stat.mtimeMs;
+          cachedStateData = readState();
+          if (!applyStateData(cachedStateData)) return;
         }
       }
     } catch {}
@@ -341,9 +398,10 @@ function runUnifiedMode() {
     // Auto-transition: starting → idle after min display
     if (face.state === 'starting' && now - face.lastStateChange > 2500) {
       face.setState('idle');
-    // Auto-transition: responding → happy after min display (Stop already fired)
+    // Auto-transition: responding → happy (or the final reply's mood) after
+    // min display (Stop already fired)
     } else if (face.state === 'responding' && lastStopped && now >= face.minDisplayUntil) {
-      face.setState('happy');
+      face.setState(face.completionState());
     } else if (completionLinger && now - face.lastStateChange > completionLinger) {
       face.setState(sessionActive ? 'thinking' : 'idle');
     } else if (face.state === 'thinking' &&
@@ -351,10 +409,12 @@ function runUnifiedMode() {
       face.setState('idle');
     } else if (!COMPLETION_STATES.has(face.state) &&
                face.state !== 'idle' && face.state !== 'sleeping' &&
-               face.state !== 'thinking' &&
+               face.state !== 'thinking' && face.state !== 'waiting' &&
                face.state !== 'starting' &&
+               !face.isToolRunning(now) &&
                now - face.lastStateChange > IDLE_TIMEOUT) {
-      // Active tool states degrade to thinking (not idle) if session is still running
+      // Active tool states degrade to thinking (not idle) if session is still running.
+      // A tool that is still running (no PostToolUse yet) keeps its state and timer.
       face.setState(sessionActive ? 'thinking' : 'idle');
     }
     if (face.state === 'idle' && now - face.lastStateChange > SLEEP_TIMEOUT) {
@@ -401,6 +461,20 @@ function runUnifiedMode() {
     } catch {}
   }
 
+  // Listen for hooks pushing updates over the IPC socket. The watchers above
+  // stay in place as the fallback (older hooks, socket unavailable).
+  let ipcServer = null;
+  try {
+    ipcServer = createIpcServer((msg) => {
+      if (msg.kind === 'state' && msg.data) {
+        ipcQueue.push(normalizeState(msg.data));
+        checkState();
+      } else if (msg.kind === 'session' && msg.data && !minimal) {
+        orbital.updateSession(msg.data);
+      }
+    });
+  } catch {}
+
   // Pre-populate mainSessionId before loading sessions (prevents phantom orbital race)
   if (!minimal) checkState();
 
@@ -414,6 +488,7 @@ function runUnifiedMode() {
   function cleanup() {
     writeQuitFlag();
     removePid();
+    closeIpcServer(ipcServer);
     try { if (process.stdin.isTTY) process.stdin.setRawMode(false); } catch {}
     process.stdout.write(ansi.syncEnd + ansi.show + ansi.clear + ansi.reset);
     process.exit(0);
@@ -445,6 +520,8 @@ function runUnifiedMode() {
       }
       // Help dismiss: any key while help is showing closes it
       if (face.showHelp) { face.showHelp = false; return; }
+      // Inbox dismiss: same, any key closes it
+      if (face.showInbox) { face.showInbox = false; return; }
       // Session list navigation: arrows/j/k to navigate, Enter to promote, Esc/other to dismiss
       if (face.showSessionList) {
         const maxIdx = face.sessionListCount - 1;
@@ -472,6 +549,8 @@ function runUnifiedMode() {
       else if (key === 'a') { face.toggleAccessories(); persistPrefs(); }
       else if (key === 'o') { face.toggleOrbitals(); persistPrefs(); }
       else if (key === 'l') face.toggleSessionList();
+      else if (key === 'i') face.toggleInbox();
+      else if (key === 'r') face.scrollReply();
       else if (key === 'h' || key === '?') face.toggleHelp();
     });
   }
@@ -485,6 +564,7 @@ function runUnifiedMode() {
     face.particles.fadeAll(5);
     orbital._prevClearBuf = '';  // Full clear handles it
     prevSessionListClear = '';
+    prevInboxClear = '';
     process.stdout.write(ansi.syncEnd + ansi.clear);
   });
 
@@ -506,10 +586,12 @@ function runUnifiedMode() {
         cwd: face.cwd,
         gitBranch: face.gitBranch,
         stopped: lastStopped,
+        inbox: face.inbox,
+        schema: SCHEMA_VERSION,
       };
-      fs.writeFileSync(
+      writeFileAtomic(
         path.join(SESSIONS_DIR, safeFilename(oldId) + '.json'),
-        JSON.stringify(oldData), 'utf8'
+        JSON.stringify(oldData)
       );
     } catch {}
 
@@ -524,6 +606,7 @@ function runUnifiedMode() {
       if (newData.modelName) face.modelName = newData.modelName;
       if (newData.cwd) face.cwd = newData.cwd;
       if (newData.gitBranch) face.gitBranch = newData.gitBranch;
+      face.inbox = Array.isArray(newData.inbox) ? newData.inbox : [];
       lastStopped = !!newData.stopped;
       // Remove promoted session's orbital file
       try { fs.unlinkSync(newFile); } catch {}
@@ -539,9 +622,27 @@ function runUnifiedMode() {
     orbital.loadSessions(mainSessionId);
   }
 
+  // Main face and orbitals as the wait tracker sees them
+  function waitingSessions() {
+    const main = {
+      id: mainSessionId || 'main',
+      name: face.cwd ? path.basename(face.cwd) : face.modelName,
+      state: face.state,
+      since: face.waitingSince,
+    };
+    if (minimal) return [main];
+    return [main, ...orbital.getSortedFaces().filter(f => !f.stopped).map(f => ({
+      id: f.sessionId,
+      name: f.teammateName || f.cwdBasename || f.label || f.modelName,
+      state: f.state,
+      since: f.waitingSince,
+    }))];
+  }
+
   let lastTime = Date.now();
   let prevFrame = null;
   let prevSessionListClear = '';
+  let prevInboxClear = '';
   function loop() {
     const now = Date.now();
     const dt = now - lastTime;
@@ -596,6 +697,7 @@ function runUnifiedMode() {
     let out = '';
     // Pre-clear previous session list footprint so face/orbital redraws overwrite it
     if (prevSessionListClear) out += prevSessionListClear;
+    if (prevInboxClear) out += prevInboxClear;
     try {
       out += face.render();
     } catch {}
@@ -625,10 +727,13 @@ function runUnifiedMode() {
         cwd: face.cwd,
         gitBranch: face.gitBranch,
         label: face.modelName || 'claude',
+        promptPreview: face.promptPreview,
         stopped: lastStopped,
         firstSeen: 0, // sort first
         isMain: true,
         isPinned: !!pinnedSessionId,
+        tokens: face.tokens,
+        cost: face.cost,
       };
       const slBounds = {};
       try { out += renderSessionList(cols, rows, subSorted, paletteThemes, mainInfo, face.sessionListIndex, slBounds); } catch {}
@@ -646,16 +751,38 @@ function runUnifiedMode() {
       prevSessionListClear = '';
     }
 
+    // Inbox overlay: what every session is waiting on
+    prevInboxClear = '';
+    if (!minimal && face.showInbox) {
+      const paletteThemes = (PALETTES[face.paletteIndex] || PALETTES[0]).themes;
+      const mainInfo = { state: face.state, cwd: face.cwd, label: face.modelName || 'claude', inbox: face.inbox };
+      const items = inboxItems(mainInfo, orbital.getSortedFaces());
+      const ibBounds = {};
+      try { out += renderInbox(cols, rows, items, paletteThemes, now, ibBounds); } catch {}
+      if (ibBounds.bx != null) {
+        const clearRow = ' '.repeat(ibBounds.w);
+        for (let r = ibBounds.by; r < ibBounds.by + ibBounds.h; r++) {
+          prevInboxClear += `\x1b[${r};${ibBounds.bx}H${clearRow}`;
+        }
+      }
+    }
+
+    // Bell and desktop notifications go out even when the frame is unchanged.
+    // The tracker updates first so the title flashes on the frame the wait is seen.
+    const _alerts = waitTracker.update(waitingSessions(), now);
+    if (_alerts) process.stdout.write(_alerts);
+
     // Update terminal title bar to reflect current state
     const _pal = PALETTES[face.paletteIndex] || PALETTES[0];
     const _status = (_pal.themes[face.state] || _pal.themes.idle).status;
-    const _title = `\x1b]0;Code Crumb \u00b7 ${face.modelName} is ${_status}\x07`;
+    const _flash = waitTracker.flashTitle(now);
+    const _title = `\x1b]0;${_flash || `Code Crumb \u00b7 ${face.modelName} is ${_status}`}\x07`;
 
-    if (out === prevFrame) {
+    if (_title + out === prevFrame) {
       setTimeout(loop, FRAME_MS);
       return;
     }
-    prevFrame = out;
+    prevFrame = _title + out;
     process.stdout.write(ansi.syncStart + _title + ansi.home + ansi.clearBelow + out + ansi.syncEnd);
     setTimeout(loop, FRAME_MS);
   }
@@ -665,10 +792,11 @@ function runUnifiedMode() {
 
 // -- tmux status line mode -----------------------------------------
 // Lightweight poll loop that writes a compact one-line status to a file
-// readable via #(cat ~/.code-crumb-tmux) in tmux status-line config.
+// readable via #(cat ...) in tmux status-line config (TMUX_FILE, in the
+// state dir -- see shared.js).
 //
 // Usage in .tmux.conf:
-//   set -g status-right "#(cat ~/.code-crumb-tmux)"
+//   set -g status-right "#(cat ~/.local/state/code-crumb/tmux)"
 //
 // Start with: node renderer.js --tmux  (or: npm run tmux)
 // No PID guard — can run alongside the full-face renderer.
@@ -761,6 +889,6 @@ if (require.main === module) {
     COMPLETION_LINGER, TIMELINE_COLORS, SPARKLINE_BLOCKS,
     IDLE_THOUGHTS, THINKING_THOUGHTS, COMPLETION_THOUGHTS, STATE_THOUGHTS,
     PALETTES, PALETTE_NAMES,
-    readState, ACTIVE_WORK_STATES, COMPLETION_STATES,
+    readState, normalizeState, ACTIVE_WORK_STATES, COMPLETION_STATES,
   };
 }
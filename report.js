@@ -0,0 +1,248 @@
+'use strict';
+
+// +================================================================+
+// |  Stats Report -- `code-crumb stats`                              |
+// |                                                                  |
+// |  Readable summary of the stats file: totals, streaks, records,   |
+// |  today, day/week/month rollups (with time waited on you), top    |
+// |  files, error kinds, most approved permissions and projects.     |
+// |  --json exports the whole report, --csv the rollup rows, for     |
+// |  dashboards.                                                     |
+// |                                                                  |
+// |  All projects use the stats calendar; a single project (which    |
+// |  has no calendar of its own) is rolled up from its finished      |
+// |  sessions in the history file (history.js).                      |
+// +================================================================+
+
+const path = require('path');
+const { STATS_FILE, HISTORY_FILE, getProjectRoot } = require('./shared');
+const {
+  dayKey, calendarEntry, calendarDays, rollupDays, currentDayStreak, formatElapsed,
+  formatTokens, formatCost,
+} = require('./state-machine');
+const { formatWait } = require('./waits');
+const { readHistory, parseSince } = require('./history');
+const { readStats } = require('./stats');
+
+const REPORT_DEFAULT_ROWS = 14;
+const REPORT_TOP = 10;
+const PERIODS = ['day', 'week', 'month'];
+
+const readStatsFile = readStats;
+
+// code-crumb stats [--project <name|path|.>] [--since 30d] [--until <date>]
+//                  [--by day|week|month] [--limit N] [--json | --csv]
+function parseStatsArgs(args, now = Date.now()) {
+  const opts = { project: '', since: 0, until: 0, by: 'day', limit: REPORT_DEFAULT_ROWS, format: 'text', error: '' };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--json') opts.format = 'json';
+    else if (a === '--csv') opts.format = 'csv';
+    else if (a === '--project' || a === '-p') opts.project = args[++i] || '';
+    else if (a === '--since' || a === '--until') {
+      const t = parseSince(args[++i], now);
+      if (t === null) opts.error = `bad ${a} value: ${args[i]}`;
+      else opts[a.slice(2)] = t;
+    }
+    else if (a === '--by') {
+      opts.by = args[++i];
+      if (!PERIODS.includes(opts.by)) opts.error = `bad --by value: ${opts.by}`;
+    }
+    else if (a === '--limit' || a === '-n') {
+      const n = parseInt(args[++i], 10);
+      if (!(n > 0)) opts.error = `bad --limit value: ${args[i]}`;
+      else opts.limit = n;
+    }
+    else opts.error = `unknown option: ${a}`;
+  }
+  return opts;
+}
+
+// Root of the project bucket a --project value names, or null.
+// '.' is the current repo; values with a path separator are paths;
+// anything else matches a bucket's name or root.
+function findProject(stats, value, cwd = process.cwd()) {
+  const projects = stats.projects || {};
+  const root = value === '.' ? getProjectRoot(cwd)
+    : value.includes(path.sep) ? path.resolve(value) : null;
+  if (root) return projects[root] ? root : null;
+  return Object.keys(projects).find(k => k === value || projects[k].name === value) || null;
+}
+
+// Finished sessions of one project, per day they ended
+function historyDays(records, root) {
+  const days = {};
+  for (const r of records) {
+    if (r.project !== root || !r.end) continue;
+    const e = days[dayKey(r.end)] || (days[dayKey(r.end)] = calendarEntry({}));
+    e.sessions++;
+    e.activeMs += r.durationMs || 0;
+    e.toolCalls += r.toolCalls || 0;
+    e.errors += r.errors || 0;
+    e.commits += r.commits || 0;
+    e.tokens += r.tokens || 0;
+    e.cost += r.cost || 0;
+    e.waitMs += r.waitMs || 0;
+    e.waits += r.waits || 0;
+  }
+  return days;
+}
+
+function _top(counts, limit = REPORT_TOP) {
+  return Object.entries(counts || {})
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([name, count]) => ({ name, count }));
+}
+
+// The report as a plain object (what --json prints). root is a project
+// bucket key or null for all projects; records are history records.
+function buildStatsReport(stats, { root = null, since = 0, until = 0, by = 'day', limit = REPORT_DEFAULT_ROWS } = {}, records = [], now = Date.now()) {
+  const bucket = root ? stats.projects[root] : stats;
+  const today = dayKey(now);
+  const daily = bucket.daily && bucket.daily.date === today ? bucket.daily : {};
+  const days = root ? historyDays(records, root) : calendarDays(stats);
+  const from = since ? dayKey(since) : '';
+  const to = until ? dayKey(until) : '';
+  for (const date of Object.keys(days)) {
+    if ((from && date < from) || (to && date > to)) delete days[date];
+  }
+  const report = {
+    generatedAt: now,
+    project: root ? { name: bucket.name, root } : null,
+    range: { since: from || null, until: to || null },
+    totals: {
+      toolCalls: bucket.totalToolCalls || 0,
+      errors: bucket.totalErrors || 0,
+      streak: bucket.streak || 0,
+      bestStreak: bucket.bestStreak || 0,
+      dayStreak: root ? null : currentDayStreak(stats, now),
+      bestDayStreak: root ? null : (stats.dayStreak ? stats.dayStreak.best : 0),
+    },
+    records: { longestSession: 0, mostFilesEdited: 0, mostSubagents: 0, ...(bucket.records || {}) },
+    today: { date: today, ...calendarEntry(daily) },
+    by,
+    periods: rollupDays(days, by).slice(0, limit),
+    topFiles: _top(bucket.frequentFiles),
+    errorKinds: _top(bucket.errorKinds),
+    approvedTools: _top(bucket.approvedTools),
+  };
+  if (!root) {
+    report.projects = Object.entries(stats.projects || {})
+      .sort((a, b) => (b[1].lastSeen || 0) - (a[1].lastSeen || 0))
+      .map(([key, p]) => ({
+        name: p.name, root: key, streak: p.streak || 0, bestStreak: p.bestStreak || 0,
+        toolCalls: p.totalToolCalls || 0, errors: p.totalErrors || 0, sessions: p.sessionCount || 0,
+      }));
+  }
+  return report;
+}
+
+// -- Output ----------------------------------------------------------
+
+const CSV_COLUMNS = ['period', 'days', 'sessions', 'activeMs', 'toolCalls', 'errors', 'commits', 'tokens', 'cost', 'waitMs', 'waits'];
+
+function _csvCell(v) {
+  const str = String(v);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function formatStatsCsv(report) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of report.periods) {
+    // Cost sums floats -- cents and a bit are plenty for an estimate
+    lines.push(CSV_COLUMNS.map(c => _csvCell(c === 'cost' ? +row.cost.toFixed(4) : row[c])).join(','));
+  }
+  return lines.join('\n');
+}
+
+function _n(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function _counts(e) {
+  const parts = [_n(e.sessions, 'session'), `${formatElapsed(e.activeMs)} active`, _n(e.toolCalls, 'call')];
+  if (e.errors) parts.push(_n(e.errors, 'error'));
+  if (e.commits) parts.push(_n(e.commits, 'commit'));
+  if (e.tokens) parts.push(`${formatTokens(e.tokens)} tokens`, formatCost(e.cost));
+  if (e.waits) parts.push(formatWait(e.waitMs, e.waits));
+  return parts.join(' · ');
+}
+
+function formatStatsReport(report) {
+  const t = report.totals;
+  const rate = t.toolCalls ? ` (${(t.errors / t.toolCalls * 100).toFixed(1)}%)` : '';
+  const lines = [report.project ? `Code Crumb stats -- ${report.project.name} (${report.project.root})` : 'Code Crumb stats -- all projects'];
+  lines.push(`  tool calls  ${t.toolCalls} · ${_n(t.errors, 'error')}${rate}`);
+  let streaks = `  streak      ${t.streak} (best ${t.bestStreak})`;
+  if (t.dayStreak !== null) streaks += ` · ${_n(t.dayStreak, 'day')} in a row (best ${t.bestDayStreak})`;
+  lines.push(streaks);
+  const r = report.records;
+  lines.push(`  records     longest session ${formatElapsed(r.longestSession)} · ${_n(r.mostFilesEdited, 'file')} · ${_n(r.mostSubagents, 'subagent')}`);
+
+  lines.push('', `Today (${report.today.date})`, `  ${_counts(report.today)}`);
+
+  const range = report.range.since || report.range.until
+    ? ` ${report.range.since || '...'} to ${report.range.until || 'now'}` : '';
+  lines.push('', `By ${report.by}${range}`);
+  if (!report.periods.length) lines.push('  nothing recorded');
+  for (const p of report.periods) lines.push(`  ${p.period.padEnd(10)}  ${_counts(p)}`);
+
+  if (report.topFiles.length) {
+    lines.push('', 'Top files');
+    for (const f of report.topFiles) lines.push(`  ${String(f.count).padStart(5)}  ${f.name}`);
+  }
+  if (report.errorKinds.length) {
+    lines.push('', 'Errors');
+    for (const e of report.errorKinds) lines.push(`  ${String(e.count).padStart(5)}  ${e.name}`);
+  }
+  if (report.approvedTools.length) {
+    // Candidates for the permission allowlist
+    lines.push('', 'Approved most');
+    for (const a of report.approvedTools) lines.push(`  ${String(a.count).padStart(5)}  ${a.name}`);
+  }
+  if (report.projects && report.projects.length) {
+    lines.push('', 'Projects');
+    for (const p of report.projects) {
+      lines.push(`  ${p.name}  streak ${p.streak} (best ${p.bestStreak}) · ${_n(p.toolCalls, 'call')} · ${_n(p.errors, 'error')} · ${_n(p.sessions, 'session')}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Entry point for `code-crumb stats`. Returns the exit code.
+function runStatsCommand(args, out = process.stdout, files = {}, cwd = process.cwd()) {
+  const opts = parseStatsArgs(args);
+  if (opts.error) {
+    out.write(`${opts.error}\nusage: code-crumb stats [--project <name|path|.>] [--since 30d|<date>] [--until <date>] [--by day|week|month] [--limit N] [--json | --csv]\n`);
+    return 1;
+  }
+  const stats = readStatsFile(files.stats || STATS_FILE);
+  let root = null;
+  if (opts.project) {
+    root = findProject(stats, opts.project, cwd);
+    if (!root) {
+      out.write(`no stats for project: ${opts.project}\n`);
+      return 1;
+    }
+  }
+  const records = root ? readHistory(files.history || HISTORY_FILE) : [];
+  const report = buildStatsReport(stats, { ...opts, root }, records);
+  const text = opts.format === 'json' ? JSON.stringify(report, null, 2)
+    : opts.format === 'csv' ? formatStatsCsv(report)
+    : formatStatsReport(report);
+  out.write(text + '\n');
+  return 0;
+}
+
+module.exports = {
+  REPORT_DEFAULT_ROWS,
+  readStatsFile,
+  parseStatsArgs,
+  findProject,
+  historyDays,
+  buildStatsReport,
+  formatStatsCsv,
+  formatStatsReport,
+  runStatsCommand,
+};
@@ -0,0 +1,207 @@
+'use strict';
+
+// +================================================================+
+// |  Schema -- the contract for Code Crumb's JSON files              |
+// |                                                                  |
+// |  The state file and session files (sessions/*.json in the        |
+// |  runtime dir, see shared.js), plus the matching IPC              |
+// |  messages, carry "schema": SCHEMA_VERSION. Every field is        |
+// |  optional except state (and session_id for sessions); unknown    |
+// |  fields are ignored. Third-party emitters can write these files  |
+// |  directly -- see the field tables below.                         |
+// |                                                                  |
+// |  stats.json carries "schema": STATS_SCHEMA_VERSION and is        |
+// |  upgraded in place by migrateStats() when an older layout is     |
+// |  read. Hooks, adapters and the renderer all go through here.     |
+// +================================================================+
+
+const { defaultStats, defaultDaily } = require('./state-machine');
+
+// Bump when a field changes meaning or type (adding optional fields
+// doesn't need a bump). The renderer warns when hooks disagree.
+const SCHEMA_VERSION = 1;
+const STATS_SCHEMA_VERSION = 1;
+
+// -- Field tables ------------------------------------------------------
+// Type per field. null is accepted anywhere and means "not set".
+
+const STATE_FIELDS = {
+  schema: 'number',
+  state: 'string',
+  detail: 'string',
+  timestamp: 'number',
+  sessionId: 'string',
+  parentSession: 'string',
+  modelName: 'string',
+  cwd: 'string',
+  gitBranch: 'string',
+  isWorktree: 'boolean',
+  stopped: 'boolean',
+  isSessionStart: 'boolean',
+  toolCalls: 'number',
+  filesEdited: 'number',
+  commitCount: 'number',
+  sessionStart: 'number',
+  streak: 'number',
+  bestStreak: 'number',
+  brokenStreak: 'number',
+  brokenStreakAt: 'number',
+  dailySessions: 'number',
+  dailyCumulativeMs: 'number',
+  dayStreak: 'number',
+  bestDayStreak: 'number',
+  tokens: 'number',
+  cost: 'number',
+  dailyTokens: 'number',
+  dailyCost: 'number',
+  dailyWaitMs: 'number',
+  dailyWaits: 'number',
+  budgetAlert: 'object',
+  todos: 'object',
+  promptPreview: 'string',
+  reply: 'object',
+  inbox: 'array',
+  milestone: 'object',
+  diffInfo: 'object',
+  testInfo: 'object',
+  diagInfo: 'object',
+  frequentFiles: 'object',
+  project: 'object',
+  workState: 'string',
+  workDetail: 'string',
+  toolStartedAt: 'number',
+  slowToolMs: 'number',
+  toolDurationMs: 'number',
+  slowTool: 'boolean',
+};
+
+const SESSION_FIELDS = {
+  ...STATE_FIELDS,
+  session_id: 'string',
+  pid: 'number',
+  isTeammate: 'boolean',
+  teamName: 'string',
+  teammateName: 'string',
+  taskSubject: 'string',
+  taskDescription: 'string',
+};
+
+const REQUIRED = {
+  state: ['state'],
+  session: ['session_id', 'state'],
+};
+
+function _fields(kind) {
+  return kind === 'session' ? SESSION_FIELDS : STATE_FIELDS;
+}
+
+function _typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// -- Validation --------------------------------------------------------
+
+// Checks a state ('state') or session ('session') payload against the
+// field tables. Returns { ok, errors } with one message per problem.
+function validatePayload(data, kind = 'state') {
+  if (!data || _typeOf(data) !== 'object') return { ok: false, errors: ['not an object'] };
+  const errors = [];
+  for (const name of REQUIRED[kind] || REQUIRED.state) {
+    if (data[name] == null || data[name] === '') errors.push(`${name}: missing`);
+  }
+  const fields = _fields(kind);
+  for (const [name, type] of Object.entries(fields)) {
+    const value = data[name];
+    if (value == null) continue;
+    if (_typeOf(value) !== type) errors.push(`${name}: expected ${type}, got ${_typeOf(value)}`);
+  }
+  return { ok: errors.length === 0, errors };
+}
+
+// Copy of data without the fields whose type is wrong, so readers can
+// rely on the table types (unknown fields pass through untouched).
+function sanitizePayload(data, kind = 'state') {
+  if (!data || _typeOf(data) !== 'object') return {};
+  const fields = _fields(kind);
+  const out = {};
+  for (const [name, value] of Object.entries(data)) {
+    const type = fields[name];
+    if (type && value != null && _typeOf(value) !== type) continue;
+    out[name] = value;
+  }
+  return out;
+}
+
+// How a payload's schema compares to ours: 'ok', 'older' (or unstamped)
+// or 'newer'.
+function schemaStatus(data) {
+  const v = data && typeof data.schema === 'number' ? data.schema : 0;
+  if (v === SCHEMA_VERSION) return 'ok';
+  return v < SCHEMA_VERSION ? 'older' : 'newer';
+}
+
+// One-line warning for the renderer, or '' when versions match. A state
+// or session payload (one with a state) without a schema is version 0;
+// anything else isn't hook-written state and gets no warning.
+function schemaWarning(data) {
+  if (!data || typeof data !== 'object' || typeof data.state !== 'string') return '';
+  const status = schemaStatus(data);
+  if (status === 'ok') return '';
+  const theirs = typeof data.schema === 'number' ? data.schema : 0;
+  return status === 'older'
+    ? `hooks are older than this renderer (schema ${theirs}, expected ${SCHEMA_VERSION}) -- re-run setup.js or update the plugin`
+    : `hooks are newer than this renderer (schema ${theirs}, expected ${SCHEMA_VERSION}) -- restart the renderer`;
+}
+
+// -- Stats migrations ----------------------------------------------------
+// MIGRATIONS[n] upgrades a version-n stats object to n + 1, in place.
+// Files without a schema field are version 0.
+
+const MIGRATIONS = [
+  // 0 -> 1: fill in every section later releases added, so readers no
+  // longer need their own fallbacks.
+  (stats) => {
+    const defaults = defaultStats();
+    for (const [key, value] of Object.entries(defaults)) {
+      if (stats[key] == null || _typeOf(stats[key]) !== _typeOf(value)) stats[key] = value;
+    }
+    stats.records = { ...defaults.records, ...stats.records };
+    stats.daily = { ...defaultDaily(stats.daily.date || ''), ...stats.daily };
+    stats.dayStreak = { ...defaults.dayStreak, ...stats.dayStreak };
+    stats.danger = { ...defaults.danger, ...stats.danger };
+    stats.session = { ...defaults.session, ...stats.session };
+    if (!Array.isArray(stats.session.filesEdited)) stats.session.filesEdited = [];
+    for (const project of Object.values(stats.projects)) {
+      if (!project || _typeOf(project) !== 'object') continue;
+      project.daily = { ...defaultDaily(), ...project.daily };
+      if (!project.frequentFiles) project.frequentFiles = {};
+    }
+  },
+];
+
+// Brings a parsed stats.json (or null when missing/corrupt) up to
+// STATS_SCHEMA_VERSION. A file from a newer release is left as it is.
+function migrateStats(raw) {
+  if (!raw || _typeOf(raw) !== 'object') return { ...defaultStats(), schema: STATS_SCHEMA_VERSION };
+  const stats = raw;
+  let version = typeof stats.schema === 'number' ? stats.schema : 0;
+  while (version < STATS_SCHEMA_VERSION) {
+    MIGRATIONS[version](stats);
+    version++;
+  }
+  if (stats.schema == null || stats.schema < version) stats.schema = version;
+  return stats;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  STATS_SCHEMA_VERSION,
+  STATE_FIELDS,
+  SESSION_FIELDS,
+  validatePayload,
+  sanitizePayload,
+  schemaStatus,
+  schemaWarning,
+  migrateStats,
+};
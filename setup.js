@@ -41,7 +41,7 @@ function setupClaude() {
     'TeammateIdle', 'TaskCompleted', 'SessionStart', 'SessionEnd',
     'PreCompact', 'PostCompact', 'PermissionRequest', 'Setup',
     'Elicitation', 'ElicitationResult', 'ConfigChange',
-    'InstructionsLoaded', 'StopFailure',
+    'InstructionsLoaded', 'StopFailure', 'UserPromptSubmit',
   ];
 
   const faceHooks = {};
@@ -421,7 +421,7 @@ switch (editor) {
 
 // -- Autolaunch preference -------------------------------------------
 
-const PREFS_FILE = path.join(HOME, '.code-crumb-prefs.json');
+const { PREFS_FILE } = require('./shared');
 
 function enableAutolaunch() {
   let prefs = {};
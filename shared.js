@@ -9,16 +9,147 @@ const fs = require('fs');
 const path = require('path');
 
 // -- Paths -----------------------------------------------------------
+// XDG layout by default:
+//   config   $XDG_CONFIG_HOME/code-crumb  (~/.config)       prefs, rules
+//   state    $XDG_STATE_HOME/code-crumb   (~/.local/state)  stats, history,
+//                                                            journal, tmux
+//   runtime  $XDG_RUNTIME_DIR/code-crumb  (else state dir)   state file,
+//                                                            sessions, pid,
+//                                                            sockets
+// CODE_CRUMB_HOME puts all of it -- sockets included -- in one directory,
+// for an isolated profile (tests, screen recordings). CODE_CRUMB_STATE
+// still overrides the state file alone.
 
 const HOME = process.env.USERPROFILE || process.env.HOME || '/tmp';
-const STATE_FILE = process.env.CODE_CRUMB_STATE || path.join(HOME, '.code-crumb-state');
-const SESSIONS_DIR = path.join(HOME, '.code-crumb-sessions');
-const STATS_FILE = path.join(HOME, '.code-crumb-stats.json');
-const PREFS_FILE = path.join(HOME, '.code-crumb-prefs.json');
+const PROFILE_DIR = process.env.CODE_CRUMB_HOME ? path.resolve(process.env.CODE_CRUMB_HOME) : '';
+
+function _xdgDir(envName, fallback) {
+  if (PROFILE_DIR) return PROFILE_DIR;
+  return path.join(process.env[envName] || path.join(HOME, ...fallback), 'code-crumb');
+}
+
+const CONFIG_DIR = _xdgDir('XDG_CONFIG_HOME', ['.config']);
+const DATA_DIR = _xdgDir('XDG_STATE_HOME', ['.local', 'state']);
+const RUNTIME_DIR = PROFILE_DIR || (process.env.XDG_RUNTIME_DIR
+  ? path.join(process.env.XDG_RUNTIME_DIR, 'code-crumb') : DATA_DIR);
+
+const STATE_FILE = process.env.CODE_CRUMB_STATE || path.join(RUNTIME_DIR, 'state');
+const SESSIONS_DIR = path.join(RUNTIME_DIR, 'sessions');
+const PID_FILE = path.join(RUNTIME_DIR, 'renderer.pid');
+const QUIT_FLAG_FILE = path.join(RUNTIME_DIR, 'quit');
+const STATS_FILE = path.join(DATA_DIR, 'stats.json');
+const JOURNAL_FILE = path.join(DATA_DIR, 'journal.jsonl');
+const HISTORY_FILE = path.join(DATA_DIR, 'history.jsonl');
+const TMUX_FILE = path.join(DATA_DIR, 'tmux');
+const PREFS_FILE = path.join(CONFIG_DIR, 'prefs.json');
+const RULES_FILE = path.join(CONFIG_DIR, 'rules.json');
+const PROJECT_RULES_NAME = '.code-crumb-rules.json';
+const STATS_LOCK_FILE = STATS_FILE + '.lock';
 const TEAMS_DIR = path.join(HOME, '.claude', 'teams');
-const PID_FILE = path.join(HOME, '.code-crumb.pid');
-const QUIT_FLAG_FILE = path.join(HOME, '.code-crumb-quit');
-const TMUX_FILE = path.join(HOME, '.code-crumb-tmux');
+
+// Local sockets live in the runtime dir, which only this user can enter
+// (0700), or are named pipes on Windows. CODE_CRUMB_SOCKET /
+// CODE_CRUMB_DAEMON_SOCKET override (tests, custom setups).
+function _defaultSocketPath(name) {
+  if (process.platform === 'win32') {
+    const profile = PROFILE_DIR
+      ? '-' + require('crypto').createHash('sha1').update(PROFILE_DIR).digest('hex').slice(0, 8) : '';
+    return `\\\\.\\pipe\\${name}-${safeFilename(process.env.USERNAME || 'user')}${profile}`;
+  }
+  return path.join(RUNTIME_DIR, `${name}.sock`);
+}
+// Renderer IPC socket (hooks push state, see ipc.js)
+const SOCKET_PATH = process.env.CODE_CRUMB_SOCKET || _defaultSocketPath('code-crumb');
+// Hook daemon socket (hooks forward events, see daemon.js)
+const DAEMON_SOCKET = process.env.CODE_CRUMB_DAEMON_SOCKET || _defaultSocketPath('code-crumb-daemon');
+
+// -- Data directories --------------------------------------------------
+// Created on first use. Dotfiles older releases kept in $HOME are moved
+// in whenever they turn up (an old hook may still be writing them), never
+// over a newer file. Old runtime files (state, sessions, pids) are
+// rewritten constantly, so they're deleted rather than moved. The old tmux
+// line is read by users' status-right configs, so it's left holding a
+// pointer to the new file instead.
+
+const LEGACY_FILES = [
+  ['.code-crumb-prefs.json', PREFS_FILE],
+  ['.code-crumb-rules.json', RULES_FILE],
+  ['.code-crumb-stats.json', STATS_FILE],
+  ['.code-crumb-history.jsonl', HISTORY_FILE],
+  ['.code-crumb-journal.jsonl', JOURNAL_FILE],
+  ['.code-crumb-journal.jsonl.1', JOURNAL_FILE + '.1'],
+  ['.code-crumb-journal.jsonl.2', JOURNAL_FILE + '.2'],
+  ['.code-crumb-journal.jsonl.3', JOURNAL_FILE + '.3'],
+];
+
+const LEGACY_RUNTIME = [
+  '.code-crumb-state', '.code-crumb-sessions', '.code-crumb.pid', '.code-crumb-grid.pid',
+];
+const LEGACY_TMUX = '.code-crumb-tmux';
+const TMUX_MOVED_NOTE = `code-crumb: status moved to ${TMUX_FILE}`;
+
+function _moveFile(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+// Moves legacy dotfiles from home into the new layout, never overwriting.
+// Returns the names moved.
+function migrateLegacyFiles(home = HOME) {
+  const moved = [];
+  for (const [name, target] of LEGACY_FILES) {
+    const from = path.join(home, name);
+    try {
+      if (!fs.existsSync(from) || fs.existsSync(target)) continue;
+      _moveFile(from, target);
+      moved.push(name);
+    } catch {}
+  }
+  return moved;
+}
+
+// Deletes the old runtime files from home -- except one a setting still
+// points at (CODE_CRUMB_STATE=~/.code-crumb-state) -- and swaps the old
+// tmux line for TMUX_MOVED_NOTE. Returns the names removed.
+function removeLegacyRuntime(home = HOME) {
+  const inUse = new Set([STATE_FILE, SESSIONS_DIR, PID_FILE, TMUX_FILE].map(p => path.resolve(p)));
+  const removed = [];
+  for (const name of LEGACY_RUNTIME) {
+    const file = path.join(home, name);
+    if (inUse.has(path.resolve(file))) continue;
+    try {
+      if (!fs.existsSync(file)) continue;
+      fs.rmSync(file, { recursive: true, force: true });
+      removed.push(name);
+    } catch {}
+  }
+  const tmux = path.join(home, LEGACY_TMUX);
+  try {
+    if (fs.existsSync(tmux) && fs.readFileSync(tmux, 'utf8') !== TMUX_MOVED_NOTE) {
+      fs.writeFileSync(tmux, TMUX_MOVED_NOTE, 'utf8');
+    }
+  } catch {}
+  return removed;
+}
+
+function ensureDataDirs() {
+  try {
+    if (!fs.existsSync(DATA_DIR) || !fs.existsSync(RUNTIME_DIR)) {
+      for (const dir of [CONFIG_DIR, DATA_DIR, RUNTIME_DIR]) fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    }
+    // An isolated profile never touches files in the real home
+    if (PROFILE_DIR) return;
+    migrateLegacyFiles();
+    removeLegacyRuntime();
+  } catch {}
+}
+
+ensureDataDirs();
 
 // -- Utilities -------------------------------------------------------
 
@@ -44,8 +175,182 @@ function savePrefs(updates) {
       if (raw) prefs = JSON.parse(raw);
     } catch {}
     Object.assign(prefs, updates);
-    fs.writeFileSync(PREFS_FILE, JSON.stringify(prefs), { encoding: 'utf8', mode: 0o600 });
+    writeFileAtomic(PREFS_FILE, JSON.stringify(prefs));
+  } catch {}
+}
+
+// Extra secret patterns from prefs ("redactPatterns": ["regex", ...]),
+// compiled again only when the prefs file changes, so the daemon picks
+// up edits. Invalid regexes are skipped.
+let _redactPatterns = null;
+let _redactPrefsMtime = 0;
+function loadRedactPatterns() {
+  let mtime = 0;
+  try { mtime = fs.statSync(PREFS_FILE).mtimeMs; } catch {}
+  if (_redactPatterns && mtime === _redactPrefsMtime) return _redactPatterns;
+  _redactPrefsMtime = mtime;
+  const list = loadPrefs().redactPatterns;
+  _redactPatterns = [];
+  if (Array.isArray(list)) {
+    for (const src of list) {
+      if (typeof src !== 'string' || !src) continue;
+      try { _redactPatterns.push(new RegExp(src, 'g')); } catch {}
+    }
+  }
+  return _redactPatterns;
+}
+
+// -- Atomic writes ---------------------------------------------------
+// Write to a sibling temp file, then rename over the target, so readers
+// never see a half-written file. Temp names end in .tmp (not .json) so
+// the renderer's session scan ignores them.
+
+function writeFileAtomic(file, data, mode = 0o600) {
+  const tmp = `${file}.${process.pid}.${Math.random().toString(36).slice(2, 8)}.tmp`;
+  try {
+    fs.writeFileSync(tmp, data, { encoding: 'utf8', mode });
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    try { fs.unlinkSync(tmp); } catch {}
+    // Windows refuses to replace a file another process has open --
+    // fall back to an in-place write rather than losing the update.
+    if (err.code !== 'EPERM' && err.code !== 'EACCES' && err.code !== 'EBUSY') throw err;
+    fs.writeFileSync(file, data, { encoding: 'utf8', mode });
+  }
+}
+
+// -- Stats lock ------------------------------------------------------
+// Advisory lock around the stats read-modify-write. Hooks run with a
+// ~50ms budget, so waiting is bounded: after LOCK_MAX_WAIT_MS the caller
+// proceeds unlocked (a lost counter beats a stalled editor). Locks older
+// than LOCK_STALE_MS belong to a crashed process and are broken.
+
+const LOCK_RETRY_MS = 2;
+const LOCK_MAX_WAIT_MS = 40;
+const LOCK_STALE_MS = 2000;
+
+function _sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// A stale lock is claimed by renaming it aside, so of several processes
+// breaking it at once only one gets it. If what was claimed isn't the
+// lock seen as stale (it was broken and retaken in between), it goes
+// back with link, which never replaces a newer lock. Returns true when
+// the caller should try to take the lock again straight away.
+function _breakStaleLock(lockFile) {
+  let stale;
+  try { stale = fs.statSync(lockFile); } catch { return true; } // Released -- retry
+  if (Date.now() - stale.mtimeMs <= LOCK_STALE_MS) return false;
+  const claimed = `${lockFile}.${process.pid}.stale`;
+  try { fs.renameSync(lockFile, claimed); } catch { return true; }
+  try {
+    const got = fs.statSync(claimed);
+    if (got.ino !== stale.ino || got.mtimeMs !== stale.mtimeMs) fs.linkSync(claimed, lockFile);
   } catch {}
+  try { fs.unlinkSync(claimed); } catch {}
+  return true;
+}
+
+function acquireLock(lockFile, maxWaitMs = LOCK_MAX_WAIT_MS) {
+  const deadline = Date.now() + maxWaitMs;
+  let breaks = 0;
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockFile, 'wx', 0o600);
+      try { fs.writeSync(fd, String(process.pid)); } finally { fs.closeSync(fd); }
+      return true;
+    } catch (err) {
+      if (err.code !== 'EEXIST') return false;
+    }
+    if (_breakStaleLock(lockFile) && ++breaks <= 3) continue;
+    if (Date.now() >= deadline) return false;
+    _sleepSync(LOCK_RETRY_MS);
+  }
+}
+
+// Only removes the lock if this process still holds it
+function releaseLock(lockFile) {
+  try {
+    if (fs.readFileSync(lockFile, 'utf8') === String(process.pid)) fs.unlinkSync(lockFile);
+  } catch {}
+}
+
+// Runs fn while holding the stats lock (or unlocked if it can't be had in time)
+function withStatsLock(fn) {
+  const locked = acquireLock(STATS_LOCK_FILE);
+  try {
+    return fn();
+  } finally {
+    if (locked) releaseLock(STATS_LOCK_FILE);
+  }
+}
+
+// -- Classification rules --------------------------------------------
+// Rules files hold { "rules": [ ... ] } (or a bare array). Each rule names
+// a tool regex and/or a command regex plus the face state to show:
+//   { "command": "^\\./dev test\\b", "state": "testing", "detail": "dev {command}" }
+//   { "tool": "^mcp__deploy__", "state": "executing", "detail": "deploying {input.env}",
+//     "done": { "state": "proud", "detail": "deployed {input.env}" } }
+// Invalid rules are skipped so one typo doesn't disable the whole file.
+
+function compileRules(raw) {
+  const list = Array.isArray(raw) ? raw : (raw && Array.isArray(raw.rules) ? raw.rules : []);
+  const compiled = [];
+  for (const r of list) {
+    if (!r || typeof r.state !== 'string' || !r.state) continue;
+    if (!r.tool && !r.command) continue;
+    try {
+      compiled.push({
+        tool: r.tool ? new RegExp(r.tool, 'i') : null,
+        command: r.command ? new RegExp(r.command, 'i') : null,
+        state: r.state,
+        detail: typeof r.detail === 'string' ? r.detail : '',
+        done: r.done && typeof r.done === 'object'
+          ? { state: typeof r.done.state === 'string' ? r.done.state : '', detail: typeof r.done.detail === 'string' ? r.done.detail : '' }
+          : null,
+      });
+    } catch {
+      // Bad regex -- skip this rule
+    }
+  }
+  return compiled;
+}
+
+function readRulesFile(filePath) {
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8').trim();
+    return raw ? compileRules(JSON.parse(raw)) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Finds the per-repo rules file by walking up from cwd, stopping at the
+// repository root (the first directory containing .git). ~/.code-crumb-rules.json
+// is the old global rules file (see LEGACY_FILES), never a project's.
+function findProjectRulesFile(cwd) {
+  const legacyGlobal = path.resolve(HOME, PROJECT_RULES_NAME);
+  try {
+    let dir = cwd || process.cwd();
+    for (let i = 0; i < 20; i++) {
+      const candidate = path.join(dir, PROJECT_RULES_NAME);
+      const isGlobal = candidate === RULES_FILE || path.resolve(candidate) === legacyGlobal;
+      if (!isGlobal && fs.existsSync(candidate)) return candidate;
+      if (fs.existsSync(path.join(dir, '.git'))) break;
+      const parent = path.dirname(dir);
+      if (parent === dir) break;
+      dir = parent;
+    }
+  } catch {}
+  return null;
+}
+
+// Per-repo rules come first so a project can override the global file.
+function loadRules(cwd) {
+  const projectFile = findProjectRulesFile(cwd);
+  const projectRules = projectFile ? readRulesFile(projectFile) : [];
+  return projectRules.concat(readRulesFile(RULES_FILE));
 }
 
 // Returns true if the nearest .git entry in the dir tree is a file (worktree),
@@ -104,4 +409,31 @@ function getGitBranch(cwd) {
   return null;
 }
 
-module.exports = { HOME, STATE_FILE, SESSIONS_DIR, STATS_FILE, PREFS_FILE, PID_FILE, QUIT_FLAG_FILE, TEAMS_DIR, TMUX_FILE, safeFilename, loadPrefs, savePrefs, getGitBranch, getIsWorktree };
+// Project root for per-project stats: the nearest dir holding a .git entry
+// (the git top-level, worktrees included), or cwd itself outside a repo.
+function getProjectRoot(cwd) {
+  const start = path.resolve(cwd || process.cwd());
+  try {
+    let dir = start;
+    for (let i = 0; i < 20; i++) {
+      try {
+        fs.statSync(path.join(dir, '.git'));
+        return dir;
+      } catch {
+        // .git not here, walk up
+      }
+      const parent = path.dirname(dir);
+      if (parent === dir) break;
+      dir = parent;
+    }
+  } catch {}
+  return start;
+}
+
+module.exports = {
+  HOME, CONFIG_DIR, DATA_DIR, RUNTIME_DIR, PROFILE_DIR,
+  STATE_FILE, SESSIONS_DIR, STATS_FILE, PREFS_FILE, PID_FILE, QUIT_FLAG_FILE, TEAMS_DIR, TMUX_FILE,
+  RULES_FILE, PROJECT_RULES_NAME, STATS_LOCK_FILE, JOURNAL_FILE, HISTORY_FILE, SOCKET_PATH, DAEMON_SOCKET,
+  ensureDataDirs, migrateLegacyFiles, removeLegacyRuntime,
+  safeFilename, writeFileAtomic, acquireLock, releaseLock, withStatsLock, loadPrefs, savePrefs, loadRedactPatterns, compileRules, loadRules, getGitBranch, getIsWorktree, getProjectRoot,
+};
@@ -6,9 +6,18 @@
 // |                                                                  |
 // |  Handles:                                                        |
 // |    - Tool name → face state mapping (multi-editor)              |
+// |    - User-defined classification rules (checked first)          |
+// |    - Unified diff / apply_patch parsing (per-file +/- counts)    |
+// |    - MultiEdit / batched edit aggregation                        |
+// |    - Destructive command detection (rm -rf, force push, ...)     |
+// |    - Secret redaction for anything written to state files        |
 // |    - Forensic error detection (50+ regex patterns)               |
 // |    - Post-tool result classification                             |
+// |    - Structured test-report parsing (jest, pytest, go, ...)       |
+// |    - Compiler/linter diagnostics (tsc, eslint, ruff, rustc, gcc)  |
+// |    - Tool-call latency (p50/p95 per category, slow commands)     |
 // |    - Streak tracking and milestone detection                     |
+// |    - Per-project stats buckets (streaks, records, files)          |
 // |                                                                  |
 // |  Supported editors:                                              |
 // |    - Claude Code (edit, bash, grep, glob, read, task, etc.)     |
@@ -29,21 +38,376 @@ const SEARCH_TOOLS = /^(grep|glob|search|ripgrep|find|list|search_files|list_fil
 const WEB_TOOLS = /^(web_search|websearch|web_fetch|fetch|webfetch|browser|browse|http_request|curl|canvas)$/i;
 const SUBAGENT_TOOLS = /^(task|agent|subagent|spawn_agent|delegate|codex_agent|sessions)$/i;
 const REVIEW_TOOLS = /^(diff|review|compare|patch)$/i;
+const TODO_TOOLS = /^(todowrite|todo_write|update_plan)$/i;
 
-function toolToState(toolName, toolInput) {
+// -- Custom Classification Rules ---------------------------------------
+
+// Rules come from the user's rules files (see loadRules in shared.js) and
+// are already compiled: { tool, command, state, detail, done }, where tool
+// and command are RegExps (or null) and done is an optional
+// { state, detail } override for the successful PostToolUse result.
+// First match wins; per-repo rules are listed before global ones.
+
+function toolCommand(toolInput) {
+  const cmd = toolInput?.command || toolInput?.cmd || toolInput?.input || '';
+  return Array.isArray(cmd) ? cmd.join(' ') : String(cmd);
+}
+
+function matchRule(rules, toolName, toolInput) {
+  if (!Array.isArray(rules) || rules.length === 0) return null;
+  const cmd = toolCommand(toolInput);
+  for (const rule of rules) {
+    if (rule.tool && !rule.tool.test(toolName || '')) continue;
+    if (rule.command && !(cmd && rule.command.test(cmd))) continue;
+    return rule;
+  }
+  return null;
+}
+
+// Expand {tool}, {command}, {file} and {input.<key>} placeholders.
+// Unknown placeholders expand to an empty string.
+function expandTemplate(template, toolName, toolInput, extraPatterns) {
+  return String(template || '').replace(/\{([\w.]+)\}/g, (_, key) => {
+    if (key === 'tool') return toolName || '';
+    if (key === 'command') return _shortCommand(toolCommand(toolInput), 40, extraPatterns);
+    if (key === 'file') {
+      const fp = toolInput?.file_path || toolInput?.path || toolInput?.target_file || '';
+      return fp ? path.basename(String(fp)) : '';
+    }
+    if (key.startsWith('input.')) {
+      const val = toolInput?.[key.slice(6)];
+      return val === undefined || val === null || typeof val === 'object' ? '' : String(val);
+    }
+    return '';
+  }).trim();
+}
+
+// -- Secret Redaction ---------------------------------------------------
+// Shell commands and messages end up in the state file, session files,
+// tmux status and terminal title. Credentials are masked before anything
+// is written. Known token formats go first, then key=value style secrets,
+// then a high-entropy fallback for anything that still looks like a key.
+
+const REDACTED = '***';
+
+const SECRET_PATTERNS = [
+  // Known token formats (whole match is the secret)
+  [/-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g, REDACTED],
+  [/\beyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]+/g, REDACTED],   // JWT
+  [/\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})/g, REDACTED],
+  [/\bsk-[A-Za-z0-9_-]{20,}/g, REDACTED],                                 // OpenAI / Anthropic
+  [/\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, REDACTED],                           // AWS access key id
+  [/\bxox[abprs]-[A-Za-z0-9-]{10,}/g, REDACTED],                          // Slack
+  [/\bAIza[0-9A-Za-z_-]{35}/g, REDACTED],                                 // Google API key
+  [/\b(?:glpat-[A-Za-z0-9_-]{20,}|npm_[A-Za-z0-9]{36})/g, REDACTED],       // GitLab / npm
+  // Credentials in context (keep the label, mask the value)
+  [/(\bauthorization\s*:\s*(?:bearer|basic|token)?\s*)[^\s'"]+/gi, `$1${REDACTED}`],
+  [/(\bbearer\s+)[A-Za-z0-9._~+/=-]+/gi, `$1${REDACTED}`],
+  [/(\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:)[^\s@/]+(@)/gi, `$1${REDACTED}$2`],
+  [/(\b[A-Za-z0-9_]*(?:secret|token|passw(?:or)?d|api_?key|access_?key|private_?key|credentials?)[A-Za-z0-9_]*\s*[=:]\s*)(["']?)(?!\d+\b)[^\s"']{4,}\2/gi, `$1$2${REDACTED}$2`],
+  [/(--?(?:password|passwd|token|api-?key|secret|access-?key)(?:=|\s+))(["']?)[^\s"']+\2/gi, `$1$2${REDACTED}$2`],
+];
+
+// Shannon entropy in bits per character
+function _entropy(str) {
+  const freq = {};
+  for (const c of str) freq[c] = (freq[c] || 0) + 1;
+  let h = 0;
+  for (const c in freq) {
+    const p = freq[c] / str.length;
+    h -= p * Math.log2(p);
+  }
+  return h;
+}
+
+// Random-looking tokens: long, mixed case plus digits, high entropy.
+// Hex SHAs and UUIDs (one letter case) are left alone.
+function _looksLikeKey(token) {
+  if (token.length < 24) return false;
+  if (!/[a-z]/.test(token) || !/[A-Z]/.test(token)) return false;
+  if ((token.match(/\d/g) || []).length < 2) return false;
+  return _entropy(token) >= 3.8;
+}
+
+// Masks credentials in text. `extraPatterns` are user RegExps (global)
+// whose whole match is replaced.
+function redactSecrets(text, extraPatterns) {
+  if (typeof text !== 'string' || !text) return text;
+  let out = text;
+  for (const [re, replacement] of SECRET_PATTERNS) out = out.replace(re, replacement);
+  if (Array.isArray(extraPatterns)) {
+    for (const re of extraPatterns) {
+      if (re instanceof RegExp) out = out.replace(re, REDACTED);
+    }
+  }
+  return out.replace(/[A-Za-z0-9+_=-]{24,}/g, t => _looksLikeKey(t) ? REDACTED : t);
+}
+
+// Fields that identify a session rather than describe activity
+const REDACT_SKIP_KEYS = new Set([
+  'state', 'session_id', 'sessionId', 'parentSession', 'cwd', 'modelName', 'gitBranch',
+]);
+
+// Returns a copy of a state/session payload with every string value redacted
+// (nested objects such as testInfo/diagInfo included).
+function redactObject(obj, extraPatterns, depth = 0) {
+  if (typeof obj === 'string') return redactSecrets(obj, extraPatterns);
+  if (!obj || typeof obj !== 'object' || depth > 3) return obj;
+  if (Array.isArray(obj)) return obj.map(v => redactObject(v, extraPatterns, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    out[k] = REDACT_SKIP_KEYS.has(k) ? v : redactObject(v, extraPatterns, depth + 1);
+  }
+  return out;
+}
+
+// Redact before truncating, so a cut-off key can't slip past the patterns
+// (the user's redactPatterns included -- callers pass loadRedactPatterns())
+function _shortCommand(cmd, max, extraPatterns) {
+  const clean = redactSecrets(String(cmd || ''), extraPatterns);
+  return clean.length > max ? clean.slice(0, max - 3) + '...' : clean;
+}
+
+// -- Destructive Command Detection -------------------------------------
+// Checked on PreToolUse, before the command runs, so the face can flag it
+// while there's still time to react. Users add their own via rules with
+// "state": "danger" (the rule's detail names the kind).
+
+const DANGER_PATTERNS = [
+  { kind: 'rm -rf', re: /\brm\s+(?:-[a-z]*(?:r[a-z]*f|f[a-z]*r)[a-z]*|(?:-r|--recursive)\s+(?:-f|--force)|(?:-f|--force)\s+(?:-r|--recursive))(?:\s|$)/i },
+  { kind: 'force push', re: /\bgit\s+push\b[^|;&]*\s(?:--force(?!-with-lease)|-f)\b/ },
+  { kind: 'hard reset', re: /\bgit\s+reset\b[^|;&]*\s--hard\b/ },
+  { kind: 'drop table', re: /\bdrop\s+(?:table|database|schema)\b/i },
+  { kind: 'chmod 777', re: /\bchmod\s+(?:[^|;&]*\s)?-[a-zA-Z]*R[^|;&]*\s0?777\b/ },
+  { kind: 'kubectl delete', re: /\bkubectl\b[^|;&]*\sdelete\b/ },
+  { kind: 'terraform destroy', re: /\bterraform\b[^|;&]*\s-?destroy\b/ },
+];
+
+// Text a destructive-command check should look at: shell commands, or the
+// sql/query field of database-style tools (e.g. an MCP postgres tool).
+function _dangerText(toolName, toolInput) {
+  if (BASH_TOOLS.test(toolName)) return toolCommand(toolInput);
+  if (EDIT_TOOLS.test(toolName) || READ_TOOLS.test(toolName) ||
+      SEARCH_TOOLS.test(toolName) || WEB_TOOLS.test(toolName)) return '';
+  const q = toolInput?.sql || toolInput?.query || '';
+  return typeof q === 'string' ? q : '';
+}
+
+// Returns { kind, detail, command } for a risky tool call, or null.
+function detectDanger(toolName, toolInput, rules, extraPatterns) {
+  const text = _dangerText(toolName, toolInput);
+  const rule = matchRule(rules, toolName, toolInput);
+  if (rule && rule.state === 'danger') {
+    const kind = expandTemplate(rule.detail, toolName, toolInput, extraPatterns) || 'custom';
+    return { kind, detail: `careful: ${kind}`, command: text || toolName || '' };
+  }
+  if (!text) return null;
+  for (const { kind, re } of DANGER_PATTERNS) {
+    if (re.test(text)) return { kind, detail: `careful: ${kind}`, command: text };
+  }
+  return null;
+}
+
+const MAX_DANGER_RECENT = 20;
+
+// Records a detected destructive command in stats.danger (mutates stats).
+// Commands are truncated so a long script doesn't bloat the stats file.
+function recordDanger(stats, danger, sessionId, extraPatterns) {
+  if (!stats || !danger) return;
+  if (!stats.danger || typeof stats.danger !== 'object') stats.danger = { total: 0, byKind: {}, recent: [] };
+  const d = stats.danger;
+  d.total = (d.total || 0) + 1;
+  if (!d.byKind || typeof d.byKind !== 'object') d.byKind = {};
+  d.byKind[danger.kind] = (d.byKind[danger.kind] || 0) + 1;
+  if (!Array.isArray(d.recent)) d.recent = [];
+  d.recent.push({
+    kind: danger.kind,
+    command: _shortCommand(danger.command, 80, extraPatterns),
+    session: sessionId || '',
+    at: Date.now(),
+  });
+  if (d.recent.length > MAX_DANGER_RECENT) d.recent.splice(0, d.recent.length - MAX_DANGER_RECENT);
+}
+
+// -- Patch Parsing ----------------------------------------------------
+// Codex's apply_patch and OpenCode's patch tools send a unified diff (or a
+// `*** Begin Patch` envelope) instead of old_string/new_string, often
+// touching several files at once.
+
+// Strips a/ b/ prefixes and the trailing timestamp some diff tools emit.
+function _diffPath(raw) {
+  const p = String(raw || '').split('\t')[0].trim();
+  if (!p || p === '/dev/null') return '';
+  return p.replace(/^[ab]\//, '');
+}
+
+// Parses a unified diff or `*** Begin Patch` envelope.
+// Returns { files: [{ path, added, removed }], added, removed } or null.
+function parseUnifiedDiff(text) {
+  if (typeof text !== 'string' || !text) return null;
+  const files = [];
+  let cur = null;
+  let envelope = false;
+  let inHunk = false;
+  let oldLeft = -1, newLeft = -1;  // lines left in a counted @@ hunk (-1 = uncounted)
+  let oldPath = '';
+
+  const open = (p) => {
+    if (!p) { cur = null; return; }
+    cur = files.find(f => f.path === p) || null;
+    if (!cur) { cur = { path: p, added: 0, removed: 0 }; files.push(cur); }
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    // Inside a counted hunk every line is content, even "--- " / "+++ "
+    if (inHunk && cur && (oldLeft > 0 || newLeft > 0)) {
+      const c = line[0];
+      if (c === '+') { cur.added++; newLeft--; }
+      else if (c === '-') { cur.removed++; oldLeft--; }
+      else if (c !== '\\') { oldLeft--; newLeft--; }
+      continue;
+    }
+
+    if (line.startsWith('*** Begin Patch')) { envelope = true; continue; }
+    if (envelope) {
+      const m = line.match(/^\*\*\* (?:Update|Add|Delete) File:\s*(.+)$/);
+      if (m) { open(m[1].trim()); continue; }
+      const mv = line.match(/^\*\*\* Move to:\s*(.+)$/);
+      if (mv && cur) { cur.path = mv[1].trim(); continue; }
+      if (line.startsWith('***') || line.startsWith('@@')) continue;
+      if (cur && line[0] === '+') cur.added++;
+      else if (cur && line[0] === '-') cur.removed++;
+      continue;
+    }
+
+    const git = line.match(/^diff --git a\/.+ b\/(.+)$/);
+    if (git) { open(git[1].trim()); inHunk = false; oldPath = ''; continue; }
+    if (line.startsWith('--- ')) { oldPath = _diffPath(line.slice(4)); inHunk = false; continue; }
+    if (line.startsWith('+++ ')) {
+      const p = _diffPath(line.slice(4)) || oldPath;
+      if (!cur || cur.path !== p) open(p);
+      inHunk = false;
+      continue;
+    }
+    const hunk = line.match(/^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/);
+    if (hunk) {
+      oldLeft = hunk[1] === undefined ? 1 : parseInt(hunk[1], 10);
+      newLeft = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+      inHunk = true;
+      continue;
+    }
+    if (line.startsWith('@@')) { oldLeft = newLeft = -1; inHunk = true; continue; }
+    // Hand-written hunks without line counts
+    if (inHunk && cur && oldLeft < 0) {
+      if (line[0] === '+') cur.added++;
+      else if (line[0] === '-') cur.removed++;
+    }
+  }
+
+  if (files.length === 0) return null;
+  let added = 0, removed = 0;
+  for (const f of files) { added += f.added; removed += f.removed; }
+  return { files, added, removed };
+}
+
+// Pulls patch text out of an edit tool's input: Codex sends
+// { command: ["apply_patch", "<patch>"] } or { input: "<patch>" },
+// other editors use patch / patchText / diff.
+function patchText(toolInput) {
+  if (!toolInput || typeof toolInput !== 'object') return '';
+  const cmd = toolInput.command;
+  if (Array.isArray(cmd) && /apply_patch$/.test(String(cmd[0] || ''))) return cmd.slice(1).join('\n');
+  for (const key of ['patch', 'patchText', 'diff', 'input']) {
+    if (typeof toolInput[key] === 'string' && toolInput[key]) return toolInput[key];
+  }
+  return '';
+}
+
+// Lines replaced and inserted by one old/new string pair (Claude Code uses
+// snake_case, OpenCode camelCase).
+function _editLines(edit) {
+  const oldStr = edit?.old_string || edit?.old_str || edit?.oldString || '';
+  const newStr = edit?.new_string || edit?.new_str || edit?.newString || edit?.content || '';
+  return {
+    removed: oldStr ? String(oldStr).split('\n').length : 0,
+    added: newStr ? String(newStr).split('\n').length : 0,
+  };
+}
+
+// Line delta for an edit tool call, for thought bubbles.
+// Patches give { added, removed, files }, batched edits (MultiEdit's
+// `edits` array) give { added, removed, hunks }, single edits { added, removed }.
+// Returns null when the input carries no edit content.
+function computeDiffInfo(toolInput) {
+  const patch = parseUnifiedDiff(patchText(toolInput));
+  if (patch) return { added: patch.added, removed: patch.removed, files: patch.files.length };
+
+  const edits = Array.isArray(toolInput?.edits) ? toolInput.edits.filter(e => e && typeof e === 'object') : [];
+  if (edits.length > 0) {
+    let added = 0, removed = 0;
+    for (const edit of edits) {
+      const lines = _editLines(edit);
+      added += lines.added;
+      removed += lines.removed;
+    }
+    if (added || removed) return { added, removed, hunks: edits.length };
+  }
+
+  const { added, removed } = _editLines(toolInput);
+  return added || removed ? { added, removed } : null;
+}
+
+// Every file path an edit tool call touches (single-file tools give one,
+// patches may give many). Empty for non-edit tools.
+function editedFilePaths(toolName, toolInput) {
+  if (!EDIT_TOOLS.test(toolName)) return [];
+  const paths = [];
+  const fp = toolInput?.file_path || toolInput?.path || toolInput?.target_file || '';
+  if (fp) paths.push(String(fp));
+  const patch = parseUnifiedDiff(patchText(toolInput));
+  if (patch) {
+    for (const f of patch.files) {
+      if (!paths.includes(f.path)) paths.push(f.path);
+    }
+  }
+  // Batched edits may name their own file per entry
+  if (Array.isArray(toolInput?.edits)) {
+    for (const e of toolInput.edits) {
+      const efp = e?.file_path || e?.filePath || e?.path || '';
+      if (efp && !paths.includes(String(efp))) paths.push(String(efp));
+    }
+  }
+  return paths;
+}
+
+function toolToState(toolName, toolInput, rules, extraPatterns) {
   let result;
+  const rule = matchRule(rules, toolName, toolInput);
+  const danger = detectDanger(toolName, toolInput, rules, extraPatterns);
+
+  // Destructive command -- wins over everything, including user rules
+  if (danger) {
+    result = { state: 'danger', detail: danger.detail };
+  }
+
+  // User-defined rule
+  else if (rule) {
+    result = { state: rule.state, detail: expandTemplate(rule.detail, toolName, toolInput, extraPatterns) || toolName || '' };
+  }
 
   // Writing/editing code
-  if (EDIT_TOOLS.test(toolName)) {
-    const filePath = toolInput?.file_path || toolInput?.path || toolInput?.target_file || '';
-    const shortPath = filePath ? path.basename(filePath) : '';
-    result = { state: 'coding', detail: shortPath ? `editing ${shortPath}` : 'writing code' };
+  else if (EDIT_TOOLS.test(toolName)) {
+    const paths = editedFilePaths(toolName, toolInput);
+    const shortPath = paths.length === 1 ? path.basename(paths[0]) : '';
+    const detail = shortPath ? `editing ${shortPath}`
+      : paths.length > 1 ? `editing ${paths.length} files` : 'writing code';
+    result = { state: 'coding', detail };
   }
 
   // Running commands
   else if (BASH_TOOLS.test(toolName)) {
     const cmd = toolInput?.command || toolInput?.cmd || toolInput?.input || '';
-    const shortCmd = cmd.length > 40 ? cmd.slice(0, 37) + '...' : cmd;
+    const shortCmd = _shortCommand(cmd, 40);
 
     // Detect test commands
     if (/\b(jest|pytest|vitest|mocha|cypress|playwright|\.test\.|\.spec\.)\b/i.test(cmd) ||
@@ -121,6 +485,11 @@ function toolToState(toolName, toolInput) {
     result = { state: 'subagent', detail: shortDesc || 'spawning subagent' };
   }
 
+  // Todo list -- the item being worked on
+  else if (TODO_TOOLS.test(toolName)) {
+    result = { state: 'thinking', detail: todoDetail(todoProgress(normalizeTodos(toolInput))) };
+  }
+
   // MCP tools
   else if (/^mcp__/.test(toolName)) {
     const parts = toolName.split('__');
@@ -266,6 +635,224 @@ function errorDetail(stdout, stderr) {
   return 'something went wrong';
 }
 
+// -- Test Report Parsing ----------------------------------------------
+
+// Pulls pass/fail/skip counts, duration and the first failing test name out
+// of a test runner's output.  Supports jest, vitest, mocha, pytest, go test,
+// cargo test, node --test (TAP) and Code Crumb's own test.js summary.
+// Returns { passed, failed, skipped, duration, firstFailure } (duration in
+// ms or null) or null when no known summary is found.
+
+function _count(text, re) {
+  const m = text.match(re);
+  return m ? parseInt(m[1], 10) : 0;
+}
+
+function _durationMs(value, unit) {
+  const n = parseFloat(value);
+  if (isNaN(n)) return null;
+  if (unit === 'ms') return Math.round(n);
+  if (unit === 'm') return Math.round(n * 60000);
+  return Math.round(n * 1000);
+}
+
+function _firstMatch(text, re) {
+  const m = text.match(re);
+  if (!m) return '';
+  const name = m[1].trim();
+  return name.length > 60 ? name.slice(0, 57) + '...' : name;
+}
+
+function parseTestReport(output) {
+  const text = stripAnsi(output || '').replace(/\r/g, '');
+  if (!text) return null;
+  let m;
+
+  // jest: "Tests:       2 failed, 1 skipped, 41 passed, 44 total"
+  if ((m = text.match(/^Tests:\s+(.*\d+ total)/m))) {
+    const time = text.match(/^Time:\s+([\d.]+)\s*(ms|s|m)\b/m);
+    return {
+      passed: _count(m[1], /(\d+) passed/),
+      failed: _count(m[1], /(\d+) failed/),
+      skipped: _count(m[1], /(\d+) skipped/) + _count(m[1], /(\d+) todo/),
+      duration: time ? _durationMs(time[1], time[2]) : null,
+      firstFailure: _firstMatch(text, /^\s*● (?!Console\b|Test suite failed)(.+)$/m),
+    };
+  }
+
+  // vitest: "      Tests  2 failed | 41 passed | 1 skipped (44)"
+  if ((m = text.match(/^\s*Tests\s+(.*\b(?:passed|failed)\b.*?)\s*\(\d+\)\s*$/m))) {
+    const time = text.match(/^\s*Duration\s+([\d.]+)\s*(ms|s|m)\b/m);
+    return {
+      passed: _count(m[1], /(\d+) passed/),
+      failed: _count(m[1], /(\d+) failed/),
+      skipped: _count(m[1], /(\d+) skipped/) + _count(m[1], /(\d+) todo/),
+      duration: time ? _durationMs(time[1], time[2]) : null,
+      firstFailure: _firstMatch(text, /^\s*(?:FAIL|×|✗)\s+(.+?)(?:\s+\d+ms)?$/m),
+    };
+  }
+
+  // pytest: "===== 2 failed, 41 passed, 1 skipped in 3.21s ====="
+  if ((m = text.match(/^=+ (.*\b(?:passed|failed|errors?)\b.*?) in ([\d.]+)s\b/m))) {
+    return {
+      passed: _count(m[1], /(\d+) passed/),
+      failed: _count(m[1], /(\d+) failed/) + _count(m[1], /(\d+) errors?/),
+      skipped: _count(m[1], /(\d+) skipped/) + _count(m[1], /(\d+) xfailed/),
+      duration: _durationMs(m[2], 's'),
+      firstFailure: _firstMatch(text, /^(?:FAILED|ERROR) (\S+)/m),
+    };
+  }
+
+  // cargo: "test result: FAILED. 41 passed; 2 failed; 1 ignored; ... finished in 0.03s"
+  // One line per test binary -- sum them.
+  const cargo = [...text.matchAll(/^test result: \w+\. (\d+) passed; (\d+) failed; (\d+) ignored.*?(?:finished in ([\d.]+)s)?$/gm)];
+  if (cargo.length > 0) {
+    const info = { passed: 0, failed: 0, skipped: 0, duration: 0, firstFailure: '' };
+    for (const c of cargo) {
+      info.passed += parseInt(c[1], 10);
+      info.failed += parseInt(c[2], 10);
+      info.skipped += parseInt(c[3], 10);
+      info.duration += c[4] ? _durationMs(c[4], 's') : 0;
+    }
+    info.firstFailure = _firstMatch(text, /^test (\S+) \.\.\. FAILED$/m);
+    return info;
+  }
+
+  // mocha: "41 passing (3s)", "2 failing", "1 pending"
+  if ((m = text.match(/^\s*(\d+) passing(?: \((\d+)(ms|s|m)\))?/m))) {
+    return {
+      passed: parseInt(m[1], 10),
+      failed: _count(text, /^\s*(\d+) failing/m),
+      skipped: _count(text, /^\s*(\d+) pending/m),
+      duration: m[2] ? _durationMs(m[2], m[3]) : null,
+      firstFailure: _firstMatch(text, /^\s+1\) (.+)$/m),
+    };
+  }
+
+  // node --test (TAP): "# pass 41", "# fail 2", "# skipped 1", "# duration_ms 123.4"
+  if (/^# pass \d+/m.test(text) && /^# fail \d+/m.test(text)) {
+    const time = text.match(/^# duration_ms ([\d.]+)/m);
+    return {
+      passed: _count(text, /^# pass (\d+)/m),
+      failed: _count(text, /^# fail (\d+)/m),
+      skipped: _count(text, /^# skipped (\d+)/m) + _count(text, /^# todo (\d+)/m),
+      duration: time ? _durationMs(time[1], 'ms') : null,
+      firstFailure: _firstMatch(text, /^\s*not ok \d+ - (.+)$/m),
+    };
+  }
+
+  // go test -v: "--- PASS: TestX (0.00s)" / "--- FAIL:" / "--- SKIP:" plus
+  // per-package "ok  pkg 0.12s" / "FAIL pkg 0.10s" lines
+  const goPkgs = [...text.matchAll(/^(?:ok|FAIL)\s+\S+\s+([\d.]+)s$/gm)];
+  if (/^\s*--- (?:PASS|FAIL|SKIP): /m.test(text) || goPkgs.length > 0) {
+    const failed = (text.match(/^\s*--- FAIL: /gm) || []).length;
+    const failedPkgs = (text.match(/^FAIL\s+\S+\s+[\d.]+s$/gm) || []).length;
+    return {
+      passed: (text.match(/^\s*--- PASS: /gm) || []).length,
+      failed: failed || failedPkgs,
+      skipped: (text.match(/^\s*--- SKIP: /gm) || []).length,
+      duration: goPkgs.length > 0 ? goPkgs.reduce((sum, g) => sum + _durationMs(g[1], 's'), 0) : null,
+      firstFailure: _firstMatch(text, /^\s*--- FAIL: (\S+)/m),
+    };
+  }
+
+  // Code Crumb test.js: "All 1505 tests passed" / "2 failed, 1503 passed"
+  if ((m = text.match(/^\s*All (\d+) tests passed\s*$/m))) {
+    return { passed: parseInt(m[1], 10), failed: 0, skipped: 0, duration: null, firstFailure: '' };
+  }
+  if ((m = text.match(/^\s*(\d+) failed, (\d+) passed\s*$/m))) {
+    return {
+      passed: parseInt(m[2], 10), failed: parseInt(m[1], 10), skipped: 0, duration: null,
+      firstFailure: _firstMatch(text, /^\s*✗ (.+)$/m),
+    };
+  }
+
+  return null;
+}
+
+// -- Compiler / Linter Diagnostics -------------------------------------
+
+// Commands whose output is worth scanning for diagnostics.  Gated so that
+// e.g. `grep -n error app.log` doesn't read as a gcc error list.
+const DIAG_COMMANDS = /\b(tsc|eslint|ruff|rustc|cargo|gcc|g\+\+|clang(\+\+)?|cc|make|cmake|ninja|lint|build|typecheck|type-check|compile|check)\b/i;
+
+// Extracts error/warning counts and the first diagnostic location from
+// tsc, eslint, ruff, rustc/cargo and gcc/clang output.
+// Returns { errors, warnings, file, line, message } or null.
+function parseDiagnostics(output) {
+  const text = stripAnsi(output || '').replace(/\r/g, '');
+  if (!text) return null;
+  const lines = text.split('\n');
+  const items = [];
+  let eslintFile = '';
+  let m;
+
+  for (let i = 0; i < lines.length; i++) {
+    const ln = lines[i];
+    // tsc: "src/api.ts(42,5): error TS2322: ..." or "src/api.ts:42:5 - error TS2322: ..."
+    if ((m = ln.match(/^(\S.*?)\((\d+),\d+\): (error|warning) (TS\d+: .+)$/)) ||
+        (m = ln.match(/^(\S.*?):(\d+):\d+ - (error|warning) (TS\d+: .+)$/))) {
+      items.push({ severity: m[3], file: m[1], line: +m[2], message: m[4] });
+    }
+    // gcc/clang: "api.c:42:5: error: expected ';'"
+    else if ((m = ln.match(/^(\S.*?):(\d+):(?:\d+:)? (fatal error|error|warning): (.+)$/))) {
+      items.push({ severity: m[3] === 'warning' ? 'warning' : 'error', file: m[1], line: +m[2], message: m[4] });
+    }
+    // ruff (concise): "api.py:42:5: F401 [*] `os` imported but unused"
+    else if ((m = ln.match(/^(\S.*?):(\d+):\d+: ([A-Z]{1,3}\d{3,4}) (.+)$/))) {
+      items.push({ severity: 'error', file: m[1], line: +m[2], message: `${m[3]} ${m[4]}` });
+    }
+    // rustc: "error[E0308]: mismatched types" followed by " --> src/main.rs:42:5"
+    else if ((m = ln.match(/^(error|warning)(?:\[\w+\])?: (.+)$/))) {
+      if (/^(could not compile|aborting due to)|generated \d+ warnings?|\d+ warnings? emitted/.test(m[2])) continue;
+      const loc = (lines[i + 1] || '').match(/^\s*--> (.+?):(\d+):\d+/);
+      if (loc) items.push({ severity: m[1], file: loc[1], line: +loc[2], message: m[2] });
+    }
+    // eslint (stylish): a file path line, then "  42:5  error  msg  rule-name"
+    else if ((m = ln.match(/^\s+(\d+):\d+\s+(error|warning)\s+(.+?)(?:\s{2,}[\w@/-]+)?$/)) && eslintFile) {
+      items.push({ severity: m[2], file: eslintFile, line: +m[1], message: m[3] });
+    }
+    else if (/^(\/|[A-Za-z]:\\|\.{1,2}\/)?[\w.@/\\-]+\.\w+$/.test(ln)) {
+      eslintFile = ln;
+    }
+  }
+
+  let errors = items.filter(it => it.severity === 'error').length;
+  let warnings = items.length - errors;
+
+  // Summary lines give totals even when individual diagnostics were elided
+  if ((m = text.match(/✖ \d+ problems? \((\d+) errors?, (\d+) warnings?\)/))) {
+    errors = Math.max(errors, +m[1]); warnings = Math.max(warnings, +m[2]);
+  }
+  if ((m = text.match(/^Found (\d+) errors?\b/m))) errors = Math.max(errors, +m[1]);
+  if ((m = text.match(/due to (\d+) previous errors?(?:; (\d+) warnings? emitted)?/))) {
+    errors = Math.max(errors, +m[1]);
+    if (m[2]) warnings = Math.max(warnings, +m[2]);
+  }
+  if ((m = text.match(/generated (\d+) warnings?/))) warnings = Math.max(warnings, +m[1]);
+  if ((m = text.match(/^(\d+) errors? generated/m))) errors = Math.max(errors, +m[1]);
+  if ((m = text.match(/^(\d+) warnings? (?:and \d+ errors? )?generated/m))) warnings = Math.max(warnings, +m[1]);
+
+  if (errors === 0 && warnings === 0) return null;
+  const first = items.find(it => it.severity === (errors > 0 ? 'error' : 'warning')) || items[0];
+  const message = first ? first.message.trim() : '';
+  return {
+    errors, warnings,
+    file: first ? first.file : '',
+    line: first ? first.line : 0,
+    message: message.length > 60 ? message.slice(0, 57) + '...' : message,
+  };
+}
+
+// "3 errors · api.ts:42" / "2 warnings · lib.rs:7"
+function formatDiagnostics(diagInfo) {
+  if (!diagInfo) return '';
+  const n = diagInfo.errors > 0 ? diagInfo.errors : diagInfo.warnings;
+  const noun = diagInfo.errors > 0 ? 'error' : 'warning';
+  const count = `${n} ${noun}${n === 1 ? '' : 's'}`;
+  return diagInfo.file ? `${count} · ${path.basename(diagInfo.file)}:${diagInfo.line}` : count;
+}
+
 // -- Tool Response Normalization --------------------------------------
 
 // Claude Code sends tool output as `tool_result` (string or object).
@@ -296,12 +883,22 @@ function isMergeConflict(stdout, stderr) {
 }
 
 // Encapsulates the full PostToolUse decision tree.
-// Returns { state, detail, diffInfo }
-function classifyToolResult(toolName, toolInput, toolResponse, isErrorFlag) {
+// Returns { state, detail, diffInfo, testInfo, diagInfo }
+// Errors always win over user rules; a matching rule then supplies its
+// `done` result, or lends its state to the shell success heuristics
+// (a rule mapping `./dev test` to testing reports "tests passed").
+function classifyToolResult(toolName, toolInput, toolResponse, isErrorFlag, rules, extraPatterns) {
   const stdout = toolResponse?.stdout || '';
   const stderr = toolResponse?.stderr || '';
   const isError = isErrorFlag || toolResponse?.isError || false;
   const inferredExit = extractExitCode(stdout);
+  const rule = matchRule(rules, toolName, toolInput);
+  const ruleState = rule ? rule.state : '';
+  // Shell output may carry a test runner summary (pass or fail)
+  const testInfo = BASH_TOOLS.test(toolName) ? parseTestReport(stdout + '\n' + stderr) : null;
+  // ...and build/lint commands may carry compiler diagnostics
+  const diagInfo = BASH_TOOLS.test(toolName) && DIAG_COMMANDS.test(toolCommand(toolInput))
+    ? parseDiagnostics(stdout + '\n' + stderr) : null;
 
   let state, detail;
   let diffInfo = null;
@@ -319,18 +916,16 @@ function classifyToolResult(toolName, toolInput, toolResponse, isErrorFlag) {
   } else if (BASH_TOOLS.test(toolName) && looksLikeError(stdout, stdoutErrorPatterns)) {
     // Only check stdout patterns for shell commands -- other tools have structured output
     state = 'error'; detail = errorDetail(stdout, stderr);
+  } else if (rule && rule.done) {
+    state = rule.done.state || 'satisfied';
+    detail = expandTemplate(rule.done.detail, toolName, toolInput, extraPatterns) || 'step complete';
   } else if (EDIT_TOOLS.test(toolName)) {
     state = 'proud';
-    const fp = toolInput?.file_path || toolInput?.path || toolInput?.target_file || '';
-    detail = fp ? `saved ${path.basename(fp)}` : 'code written';
+    const paths = editedFilePaths(toolName, toolInput);
+    detail = paths.length === 1 ? `saved ${path.basename(paths[0])}`
+      : paths.length > 1 ? `saved ${paths.length} files` : 'code written';
     // Calculate diff info for thought bubbles
-    const oldStr = toolInput?.old_string || toolInput?.old_str || '';
-    const newStr = toolInput?.new_string || toolInput?.new_str || toolInput?.content || '';
-    if (oldStr || newStr) {
-      const removed = oldStr ? oldStr.split('\n').length : 0;
-      const added = newStr ? newStr.split('\n').length : 0;
-      diffInfo = { added, removed };
-    }
+    diffInfo = computeDiffInfo(toolInput);
   } else if (READ_TOOLS.test(toolName)) {
     state = 'satisfied';
     const fp = toolInput?.file_path || toolInput?.path || toolInput?.target_file || '';
@@ -345,13 +940,15 @@ function classifyToolResult(toolName, toolInput, toolResponse, isErrorFlag) {
   } else if (BASH_TOOLS.test(toolName)) {
     state = 'relieved';
     const cmd = toolInput?.command || toolInput?.cmd || toolInput?.input || '';
-    const isTest = /\b(jest|pytest|vitest|mocha|cypress|playwright|\.test\.|spec)\b/i.test(cmd) ||
+    const isTest = ruleState === 'testing' ||
+                   /\b(jest|pytest|vitest|mocha|cypress|playwright|\.test\.|spec)\b/i.test(cmd) ||
                    /\bnpm\s+(run\s+)?test\b/i.test(cmd) ||
                    /\bnode\s+(--test|test)\b/i.test(cmd) ||
                    /\b(make|gradle|mvn|php\s+artisan)\s+test\b/i.test(cmd);
     const isBuild = /\b(build|compile|tsc|webpack|vite|esbuild|rollup|make)\b/i.test(cmd);
     const isGit = /\bgit\s/i.test(cmd);
-    const isInstall = /\b(npm\s+install|yarn|pip\s+install|cargo\s+build|pnpm|bun\s+(add|install))\b/i.test(cmd);
+    const isInstall = ruleState === 'installing' ||
+                      /\b(npm\s+install|yarn|pip\s+install|cargo\s+build|pnpm|bun\s+(add|install))\b/i.test(cmd);
 
     if (isTest) {
       // Try to pull test count from stdout
@@ -387,9 +984,24 @@ function classifyToolResult(toolName, toolInput, toolResponse, isErrorFlag) {
     detail = 'step complete';
   }
 
+  // A parsed test summary gives a more precise pass count than the heuristics
+  // (failures keep the generic detail; the face shows counts from testInfo)
+  if (testInfo && state === 'relieved' && testInfo.failed === 0 && testInfo.passed > 0) {
+    detail = `${testInfo.passed} tests passed`;
+  }
+
+  // Compiler diagnostics: point at the first error, and let a warnings-only
+  // run read as "wary" rather than a clean "relieved"
+  if (diagInfo && state === 'error' && diagInfo.errors > 0) {
+    detail = formatDiagnostics(diagInfo);
+  } else if (diagInfo && state === 'relieved' && diagInfo.errors === 0 && diagInfo.warnings > 0) {
+    state = 'wary';
+    detail = formatDiagnostics(diagInfo);
+  }
+
   // Strip ANSI escape sequences from detail before returning
   if (detail) detail = stripAnsi(detail).replace(/[\r\n]+/g, ' ');
-  return { state, detail, diffInfo };
+  return { state, detail, diffInfo, testInfo, diagInfo };
 }
 
 // -- Truncated Input Classification -----------------------------------
@@ -441,33 +1053,149 @@ function classifyTruncatedInput(hookEvent, rawInput) {
     ElicitationResult:  { state: 'satisfied',  detail: 'input received' },
     ConfigChange:       { state: 'reading',    detail: 'config updated' },
     InstructionsLoaded: { state: 'reading',    detail: 'loading instructions' },
+    UserPromptSubmit:   { state: 'listening',  detail: 'new prompt' },
   };
   return eventMap[hookEvent] || { state: 'thinking', detail: 'large input' };
 }
 
+// -- Tool Latency -----------------------------------------------------
+// PreToolUse starts a timer, PostToolUse stops it. Timers are keyed by
+// tool_use_id when the editor sends one, otherwise by session + tool name
+// (sequential calls to the same tool in one session pair up correctly).
+
+const SLOW_TOOL_MS = 30000;
+const MAX_LATENCY_SAMPLES = 100;
+const PENDING_TOOL_TTL_MS = 600000; // Drop starts whose end never arrived
+
+// prefs.slowToolMs overrides the default threshold
+function slowToolThreshold(prefs) {
+  const ms = Number(prefs && prefs.slowToolMs);
+  return ms > 0 ? ms : SLOW_TOOL_MS;
+}
+
+function toolCategory(toolName) {
+  if (EDIT_TOOLS.test(toolName)) return 'edit';
+  if (BASH_TOOLS.test(toolName)) return 'shell';
+  if (READ_TOOLS.test(toolName)) return 'read';
+  if (SEARCH_TOOLS.test(toolName)) return 'search';
+  if (WEB_TOOLS.test(toolName)) return 'web';
+  if (SUBAGENT_TOOLS.test(toolName)) return 'subagent';
+  return 'other';
+}
+
+function toolTimerKey(sessionId, toolName, toolUseId) {
+  return toolUseId ? String(toolUseId) : `${sessionId}:${toolName}`;
+}
+
+function startToolTimer(stats, key, toolName, now = Date.now()) {
+  if (!stats.pendingTools) stats.pendingTools = {};
+  for (const k of Object.keys(stats.pendingTools)) {
+    if (now - (stats.pendingTools[k].at || 0) > PENDING_TOOL_TTL_MS) delete stats.pendingTools[k];
+  }
+  stats.pendingTools[key] = { tool: toolName, at: now };
+  return now;
+}
+
+// Returns the elapsed ms, or null when no matching start was recorded.
+function stopToolTimer(stats, key, now = Date.now()) {
+  const pending = stats.pendingTools && stats.pendingTools[key];
+  if (!pending) return null;
+  delete stats.pendingTools[key];
+  return Math.max(0, now - (pending.at || now));
+}
+
+// Nearest-rank percentile over an ascending array
+function _percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+// Keeps the last MAX_LATENCY_SAMPLES durations per category and derives
+// p50/p95/max from them; count and slow are lifetime totals.
+function recordLatency(stats, category, ms, slowMs = SLOW_TOOL_MS) {
+  if (!stats.latency) stats.latency = {};
+  const entry = stats.latency[category]
+    || (stats.latency[category] = { count: 0, slow: 0, p50: 0, p95: 0, max: 0, samples: [] });
+  entry.samples.push(ms);
+  if (entry.samples.length > MAX_LATENCY_SAMPLES) {
+    entry.samples.splice(0, entry.samples.length - MAX_LATENCY_SAMPLES);
+  }
+  entry.count++;
+  if (ms >= slowMs) entry.slow++;
+  const sorted = [...entry.samples].sort((a, b) => a - b);
+  entry.p50 = _percentile(sorted, 50);
+  entry.p95 = _percentile(sorted, 95);
+  entry.max = sorted[sorted.length - 1];
+  return entry;
+}
+
+// 45s, 1m12s, 1h03m
+function formatElapsed(ms) {
+  const secs = Math.max(0, Math.floor(ms / 1000));
+  if (secs < 60) return `${secs}s`;
+  const mins = Math.floor(secs / 60);
+  if (mins < 60) return `${mins}m${String(secs % 60).padStart(2, '0')}s`;
+  return `${Math.floor(mins / 60)}h${String(mins % 60).padStart(2, '0')}m`;
+}
+
 // -- Streak Management -----------------------------------------------
 
 const MILESTONES = [10, 25, 50, 100, 200, 500];
 
-// Mutates and returns stats. Call after classifyToolResult.
-function updateStreak(stats, isError) {
+// Streak bookkeeping shared by the global stats and project buckets
+function _bumpStreak(bucket, isError) {
   if (isError) {
-    stats.brokenStreak = stats.streak || 0;
-    stats.brokenStreakAt = Date.now();
-    stats.streak = 0;
-    stats.totalErrors = (stats.totalErrors || 0) + 1;
+    bucket.brokenStreak = bucket.streak || 0;
+    bucket.brokenStreakAt = Date.now();
+    bucket.streak = 0;
+    bucket.totalErrors = (bucket.totalErrors || 0) + 1;
   } else {
-    stats.streak = (stats.streak || 0) + 1;
-    if (stats.streak > (stats.bestStreak || 0)) {
-      stats.bestStreak = stats.streak;
-    }
-    if (MILESTONES.includes(stats.streak)) {
-      stats.recentMilestone = { type: 'streak', value: stats.streak, at: Date.now() };
+    bucket.streak = (bucket.streak || 0) + 1;
+    if (bucket.streak > (bucket.bestStreak || 0)) {
+      bucket.bestStreak = bucket.streak;
     }
   }
+}
+
+// Mutates and returns stats. Call after classifyToolResult.
+// The current session's own streak (for its history record) and its
+// project's streak move with the global one. errorKind (the error's
+// detail, e.g. 'tests failed') feeds the error breakdown.
+function updateStreak(stats, isError, errorKind) {
+  _bumpStreak(stats, isError);
+  if (!isError && MILESTONES.includes(stats.streak)) {
+    stats.recentMilestone = { type: 'streak', value: stats.streak, at: Date.now() };
+  }
+  if (stats.session) _bumpStreak(stats.session, isError);
+  if (isError && stats.daily) bumpDaily(stats, 'errors');
+  if (isError) countErrorKind(stats, errorKind);
+  const project = sessionProject(stats);
+  if (project) {
+    _bumpStreak(project, isError);
+    if (isError) countErrorKind(project, errorKind);
+  }
   return stats;
 }
 
+const MAX_ERROR_KINDS = 30;
+const MAX_ERROR_KIND_LEN = 40;
+
+// Tallies bucket.errorKinds by detail. Details can come from user rules or
+// adapter messages, so keys are capped in length and the rarest kinds are
+// dropped past MAX_ERROR_KINDS.
+function countErrorKind(bucket, kind) {
+  const key = String(kind || 'unknown').slice(0, MAX_ERROR_KIND_LEN);
+  if (!bucket.errorKinds) bucket.errorKinds = {};
+  bucket.errorKinds[key] = (bucket.errorKinds[key] || 0) + 1;
+  const keys = Object.keys(bucket.errorKinds);
+  if (keys.length > MAX_ERROR_KINDS) {
+    const rarest = keys.filter(k => k !== key)
+      .reduce((a, b) => (bucket.errorKinds[b] < bucket.errorKinds[a] ? b : a));
+    delete bucket.errorKinds[rarest];
+  }
+}
+
 // -- Frequent Files Management ----------------------------------------
 
 const MAX_FREQUENT_FILES = 50;
@@ -503,6 +1231,538 @@ function topFrequentFiles(frequentFiles, limit) {
   return result;
 }
 
+// -- Project Stats ---------------------------------------------------
+// stats.projects holds one bucket per project root (git top-level, or the
+// cwd outside a repo), keyed by its absolute path. The global fields stay
+// the all-projects figures; stats.session.project points at the bucket
+// the current session belongs to.
+
+const MAX_PROJECTS = 25;
+const MAX_SESSION_PATHS = 200;
+
+function defaultProjectStats(root) {
+  return {
+    name: path.basename(root) || root,
+    streak: 0, bestStreak: 0,
+    brokenStreak: 0, brokenStreakAt: 0,
+    totalToolCalls: 0, totalErrors: 0, sessionCount: 0,
+    records: { longestSession: 0, mostSubagents: 0, mostFilesEdited: 0 },
+    daily: defaultDaily(),
+    frequentFiles: {},
+    lastSeen: 0,
+  };
+}
+
+// Returns the bucket for root, creating it (and dropping the least recently
+// seen projects past MAX_PROJECTS) and rolling its daily counters over.
+function projectStats(stats, root, now = Date.now()) {
+  if (!root) return null;
+  if (!stats.projects) stats.projects = {};
+  let project = stats.projects[root];
+  if (!project) {
+    project = stats.projects[root] = defaultProjectStats(root);
+    const keys = Object.keys(stats.projects);
+    if (keys.length > MAX_PROJECTS) {
+      keys.filter(k => k !== root)
+        .sort((a, b) => (stats.projects[a].lastSeen || 0) - (stats.projects[b].lastSeen || 0))
+        .slice(0, keys.length - MAX_PROJECTS)
+        .forEach(k => { delete stats.projects[k]; });
+    }
+  }
+  const today = new Date(now).toISOString().slice(0, 10);
+  if (!project.daily || project.daily.date !== today) {
+    project.daily = defaultDaily(today);
+  }
+  project.lastSeen = now;
+  return project;
+}
+
+// The current session's bucket, or null (no project yet, or pruned)
+function sessionProject(stats) {
+  const root = stats.session && stats.session.project;
+  return (root && stats.projects && stats.projects[root]) || null;
+}
+
+// Attaches the current session to root's bucket and counts it there.
+function startProjectSession(stats, root, now = Date.now()) {
+  const project = projectStats(stats, root, now);
+  if (!project) return null;
+  stats.session.project = root;
+  project.sessionCount++;
+  project.daily.sessionCount++;
+  return project;
+}
+
+// Folds a finishing session into its project's records and daily time
+// (the project-side twin of the global records updates).
+function finishProjectSession(stats, durationMs) {
+  const project = sessionProject(stats);
+  if (!project) return;
+  const rec = project.records;
+  if (durationMs > (rec.longestSession || 0)) rec.longestSession = durationMs;
+  const files = stats.session.filesEdited?.length || 0;
+  if (files > (rec.mostFilesEdited || 0)) rec.mostFilesEdited = files;
+  const subs = stats.session.subagentCount || 0;
+  if (subs > (rec.mostSubagents || 0)) rec.mostSubagents = subs;
+  project.daily.cumulativeMs += durationMs;
+}
+
+// Repo-relative, forward-slash path for filePath (resolved against cwd).
+// Files outside the project fall back to their basename.
+function projectFilePath(root, cwd, filePath) {
+  const abs = path.resolve(cwd || root, filePath);
+  const rel = path.relative(root, abs);
+  if (!rel || rel.startsWith('..') || path.isAbsolute(rel)) return path.basename(abs);
+  return rel.split(path.sep).join('/');
+}
+
+// Counts one tool call (and the files it edits) against the session's
+// project. The session keeps the same repo-relative paths for its history.
+function trackProjectToolCall(stats, filePaths, cwd) {
+  const project = sessionProject(stats);
+  if (!project) return;
+  project.totalToolCalls++;
+  for (const fp of filePaths || []) {
+    if (!fp) continue;
+    const rel = projectFilePath(stats.session.project, cwd, fp);
+    project.frequentFiles[rel] = (project.frequentFiles[rel] || 0) + 1;
+    if (!stats.session.editedPaths) stats.session.editedPaths = [];
+    const paths = stats.session.editedPaths;
+    if (paths.length < MAX_SESSION_PATHS && !paths.includes(rel)) paths.push(rel);
+  }
+  pruneFrequentFiles(project.frequentFiles);
+}
+
+// Compact per-project figures for state files (the renderer's overlay)
+function projectSummary(project, currentSessionMs = 0) {
+  if (!project) return null;
+  return {
+    name: project.name,
+    streak: project.streak,
+    bestStreak: project.bestStreak,
+    toolCalls: project.totalToolCalls,
+    errors: project.totalErrors,
+    sessions: project.sessionCount,
+    dailySessions: project.daily.sessionCount,
+    dailyCumulativeMs: project.daily.cumulativeMs + currentSessionMs,
+    records: { ...project.records },
+  };
+}
+
+// -- Calendar ----------------------------------------------------------
+// stats.daily holds today's counters. When the date changes the old day is
+// folded into stats.calendar (one entry per day, CALENDAR_DAYS kept) and the
+// days-in-a-row usage streak moves on. Dates are UTC, like stats.daily.
+
+const CALENDAR_DAYS = 400;
+const DAY_MS = 86400000;
+
+function dayKey(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function defaultDaily(date = '') {
+  return { date, sessionCount: 0, cumulativeMs: 0, toolCalls: 0, errors: 0, commits: 0, tokens: 0, cost: 0, waitMs: 0, waits: 0 };
+}
+
+// Counts toward today, globally and in the current session's project (or
+// the given one)
+function bumpDaily(stats, field, n = 1, project = sessionProject(stats)) {
+  stats.daily[field] = (stats.daily[field] || 0) + n;
+  if (project) {
+    if (!project.daily || project.daily.date !== stats.daily.date) project.daily = defaultDaily(stats.daily.date);
+    project.daily[field] = (project.daily[field] || 0) + n;
+  }
+}
+
+function calendarEntry(daily) {
+  return {
+    sessions: daily.sessionCount || 0,
+    activeMs: daily.cumulativeMs || 0,
+    toolCalls: daily.toolCalls || 0,
+    errors: daily.errors || 0,
+    commits: daily.commits || 0,
+    tokens: daily.tokens || 0,
+    cost: daily.cost || 0,
+    waitMs: daily.waitMs || 0,
+    waits: daily.waits || 0,
+  };
+}
+
+// Starts today's bucket if the date moved on, archiving the previous day.
+// Returns true when it rolled over.
+function rollDaily(stats, now = Date.now()) {
+  const today = dayKey(now);
+  if (stats.daily && stats.daily.date === today) return false;
+  if (!stats.calendar) stats.calendar = {};
+  if (stats.daily && stats.daily.date) {
+    stats.calendar[stats.daily.date] = calendarEntry(stats.daily);
+    const days = Object.keys(stats.calendar).sort();
+    for (const d of days.slice(0, Math.max(0, days.length - CALENDAR_DAYS))) delete stats.calendar[d];
+  }
+  // Another writer may have counted today already (its daily merged in later)
+  const ds = stats.dayStreak || (stats.dayStreak = { current: 0, best: 0, lastDate: '' });
+  if (ds.lastDate !== today) {
+    const yesterday = dayKey(Date.parse(today) - DAY_MS);
+    ds.current = ds.lastDate === yesterday ? ds.current + 1 : 1;
+    if (ds.current > ds.best) ds.best = ds.current;
+    ds.lastDate = today;
+  }
+  stats.daily = defaultDaily(today);
+  return true;
+}
+
+// Days in a row with activity, counting today only if used. A streak whose
+// last day was before yesterday has lapsed.
+function currentDayStreak(stats, now = Date.now()) {
+  const ds = stats.dayStreak;
+  if (!ds || !ds.lastDate) return 0;
+  const today = dayKey(now);
+  const yesterday = dayKey(Date.parse(today) - DAY_MS);
+  return ds.lastDate === today || ds.lastDate === yesterday ? ds.current : 0;
+}
+
+// ISO 8601 week label for a YYYY-MM-DD date, e.g. 2026-W03
+function isoWeek(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  const weekday = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - weekday); // Thursday decides the year
+  const year = d.getUTCFullYear();
+  const week = Math.ceil(((d - Date.UTC(year, 0, 1)) / DAY_MS + 1) / 7);
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+// Calendar plus today, summed per 'day', 'week' or 'month'. Newest first:
+//   [{ period, days, sessions, activeMs, toolCalls, errors, commits, tokens, cost }]
+function calendarRollup(stats, by = 'day') {
+  return rollupDays(calendarDays(stats), by);
+}
+
+// The calendar with today's live counters added: { 'YYYY-MM-DD': entry }
+function calendarDays(stats) {
+  const entries = { ...(stats.calendar || {}) };
+  if (stats.daily && stats.daily.date) entries[stats.daily.date] = calendarEntry(stats.daily);
+  return entries;
+}
+
+// Sums { 'YYYY-MM-DD': entry } per day, week or month (see calendarRollup)
+function rollupDays(entries, by = 'day') {
+  const groups = new Map();
+  for (const date of Object.keys(entries).sort().reverse()) {
+    const period = by === 'week' ? isoWeek(date) : by === 'month' ? date.slice(0, 7) : date;
+    let g = groups.get(period);
+    if (!g) {
+      g = { period, days: 0, sessions: 0, activeMs: 0, toolCalls: 0, errors: 0, commits: 0, tokens: 0, cost: 0, waitMs: 0, waits: 0 };
+      groups.set(period, g);
+    }
+    const e = entries[date];
+    g.days++;
+    for (const k of ['sessions', 'activeMs', 'toolCalls', 'errors', 'commits', 'tokens', 'cost', 'waitMs', 'waits']) g[k] += e[k] || 0;
+  }
+  return [...groups.values()];
+}
+
+// -- Session Summary -------------------------------------------------
+// Running per-session figures that end up in the history record
+// (history.js) when the session finishes.
+
+function countSessionTool(session, toolName) {
+  if (!session.toolsByCategory) session.toolsByCategory = {};
+  const cat = toolCategory(toolName);
+  session.toolsByCategory[cat] = (session.toolsByCategory[cat] || 0) + 1;
+}
+
+// Latest branch / model seen, and when the session was last active
+// (its end time if it is later replaced rather than ended).
+function noteSessionEvent(session, { branch, model } = {}, now = Date.now()) {
+  if (branch) session.branch = branch;
+  if (model) session.model = model;
+  session.lastEventAt = now;
+}
+
+// -- Todo Lists ------------------------------------------------------
+// TodoWrite (Claude Code, OpenCode's todowrite) sends the whole list on
+// every call: { todos: [{ content, status, activeForm }] }. Codex's
+// update_plan sends { plan: [{ step, status }] }. The session keeps the
+// latest list; state files carry its progress.
+
+const MAX_TODOS = 50;
+const TODO_TEXT_MAX = 80;
+const TODO_STATUSES = new Set(['pending', 'in_progress', 'completed']);
+
+function _todoText(v) {
+  return stripAnsi(String(v || '')).replace(/\s+/g, ' ').trim().slice(0, TODO_TEXT_MAX);
+}
+
+// [{ content, status, activeForm? }] from a todo tool's input
+function normalizeTodos(toolInput) {
+  const raw = Array.isArray(toolInput?.todos) ? toolInput.todos
+    : Array.isArray(toolInput?.plan) ? toolInput.plan : [];
+  const todos = [];
+  for (const t of raw.slice(0, MAX_TODOS)) {
+    if (!t || typeof t !== 'object') continue;
+    const content = _todoText(t.content || t.step || t.text);
+    if (!content) continue;
+    const todo = { content, status: TODO_STATUSES.has(t.status) ? t.status : 'pending' };
+    if (t.activeForm) todo.activeForm = _todoText(t.activeForm);
+    todos.push(todo);
+  }
+  return todos;
+}
+
+// { total, done, current } -- current is the in-progress item (its
+// activeForm when there is one), '' when nothing is in progress
+function todoProgress(todos) {
+  const list = Array.isArray(todos) ? todos : [];
+  const active = list.find(t => t.status === 'in_progress');
+  return {
+    total: list.length,
+    done: list.filter(t => t.status === 'completed').length,
+    current: active ? (active.activeForm || active.content) : '',
+  };
+}
+
+function todoDetail(p) {
+  if (!p.total) return 'planning';
+  return p.current || `${p.done}/${p.total} done`;
+}
+
+// After a todo tool succeeds: keeps the list on the session and returns
+// the state to show -- 'proud' when it just checked off the last item
+// (session.todosDoneAt marks the celebration), else the tool's own
+// result with the current item as detail.
+function applyTodoResult(session, toolInput, result, now = Date.now()) {
+  const before = todoProgress(session.todos);
+  session.todos = normalizeTodos(toolInput);
+  const p = todoProgress(session.todos);
+  const wasComplete = before.total > 0 && before.done === before.total;
+  if (p.total > 0 && p.done === p.total && !wasComplete) {
+    session.todosDoneAt = now;
+    return { state: 'proud', detail: `all ${p.total} done!` };
+  }
+  return { state: result.state, detail: todoDetail(p) };
+}
+
+// Todo progress for the state and session files, null without a list.
+// A completion rides along for 8 seconds, like milestones.
+function todoExtra(session, now = Date.now()) {
+  if (!session || !Array.isArray(session.todos) || !session.todos.length) return null;
+  const p = todoProgress(session.todos);
+  if (session.todosDoneAt && now - session.todosDoneAt < 8000) p.doneAt = session.todosDoneAt;
+  return p;
+}
+
+// -- Prompt Preview --------------------------------------------------
+// UserPromptSubmit carries the full prompt text. Only a short, one-line
+// preview is kept -- it labels the session in the orbitals and the
+// session list. Secrets are masked before cutting so a truncated token
+// can't slip past the patterns.
+
+const PROMPT_PREVIEW_MAX = 40;
+
+function promptPreview(prompt, extraPatterns, max = PROMPT_PREVIEW_MAX) {
+  const text = redactSecrets(stripAnsi(String(prompt || '')), extraPatterns)
+    .replace(/\s+/g, ' ').trim();
+  if (text.length <= max) return text;
+  return text.slice(0, max - 1).trimEnd() + '\u2026';
+}
+
+// -- Final Reply -------------------------------------------------------
+// Stop carries the last assistant message. The face shows an excerpt in
+// a speech bubble -- the summary line or first sentence leads -- and the
+// tone of the message picks the completion state: trouble ("I couldn't",
+// "failed") is wary, a question back is satisfied, a clean pass is proud,
+// anything else plain happy.
+
+const REPLY_TEXT_MAX = 600;
+
+const REPLY_PROUD = /\b(?:all (?:\d+ )?(?:tests|checks) (?:now )?pass\w*|successfully)\b/i;
+// [mood, pattern, unless] -- the first match wins. A bare "failing" is
+// no trouble ("fixed the failing test"): only first-person trouble,
+// things still failing, or a failed outcome that no success outweighs.
+const REPLY_MOODS = [
+  ['wary', /\b(?:I (?:couldn['\u2019]?t|could not|can['\u2019]?t|cannot|was(?:n['\u2019]?t| not) able|was unable)|unable to|did(?:n['\u2019]?t| not) work|does(?:n['\u2019]?t| not) work|still (?:broken|fail\w*)|(?:is|are|keeps?) failing|blocked)\b/i],
+  ['wary', /\b(?:(?:tests?|builds?|checks?|suite|CI|pipeline|compilation|lint)\s+(?:(?:now|also|all)\s+)?fail(?:s|ed)?|failed to)\b/i, REPLY_PROUD],
+  ['satisfied', /\?\s*$|\b(?:let me know|would you like|do you want|should I)\b/i],
+  ['proud', REPLY_PROUD],
+];
+// "0 failed", "no failures", "without errors" are good news
+const REPLY_NEGATED = /\b(?:0|no|zero|none|without)\s+(?:\w+\s+)?(?:fail\w*|errors?)\b/gi;
+const REPLY_SUMMARY = /^(?:summary|tl;?dr|in short)(?:\s*[:\-\u2014]\s*|$)/i;
+
+function replyMood(text) {
+  const t = String(text || '').replace(REPLY_NEGATED, '');
+  for (const [mood, re, unless] of REPLY_MOODS) {
+    if (re.test(t) && !(unless && unless.test(t))) return mood;
+  }
+  return 'happy';
+}
+
+// Prose lines of a markdown reply: code blocks dropped, list markers,
+// heading marks, emphasis and backticks stripped
+function _replyLines(text) {
+  const lines = [];
+  let inFence = false;
+  for (const raw of stripAnsi(String(text || '')).split('\n')) {
+    if (/^\s*(?:```|~~~)/.test(raw)) { inFence = !inFence; continue; }
+    if (inFence) continue;
+    const line = raw
+      .replace(/^\s*(?:#{1,6}\s+|[-*+]\s+|\d+[.)]\s+|>\s*)/, '')
+      .replace(/\*\*|__|`/g, '')
+      .replace(/\s+/g, ' ').trim();
+    if (line) lines.push(line);
+  }
+  return lines;
+}
+
+// { lead, text, mood } for the state file, null for an empty message.
+// text starts with the lead and is cut at REPLY_TEXT_MAX.
+function replySummary(message, extraPatterns, max = REPLY_TEXT_MAX) {
+  const lines = _replyLines(message);
+  if (!lines.length) return null;
+  let lead = '';
+  let rest = lines;
+  const i = lines.findIndex(l => REPLY_SUMMARY.test(l));
+  if (i >= 0) {
+    const inline = lines[i].replace(REPLY_SUMMARY, '');
+    // "## Summary" on its own line: the summary is the line after it
+    const at = inline ? i : i + 1;
+    lead = inline || lines[at] || '';
+    rest = lines.filter((_, j) => j !== i && j !== at);
+  } else {
+    const prose = lines.join(' ');
+    const m = prose.match(/^.*?[.!?](?=\s|$)/);
+    lead = m ? m[0] : prose;
+    rest = [prose.slice(lead.length)];
+  }
+  const clean = s => redactSecrets(s, extraPatterns).replace(/\s+/g, ' ').trim();
+  lead = clean(lead);
+  const after = clean(rest.join(' '));
+  let text = !after ? lead : /[.!?:]$/.test(lead) ? `${lead} ${after}` : `${lead} \u00b7 ${after}`;
+  if (text.length > max) text = text.slice(0, max - 1).trimEnd() + '\u2026';
+  if (lead.length > text.length) lead = text;
+  return { lead, text, mood: replyMood(message) };
+}
+
+// -- Token Usage -----------------------------------------------------
+// Token counts come from the Claude Code transcript (usage.js) or from
+// usage objects in adapter events (Codex turn.completed). Cost is an
+// estimate from a price table in USD per million tokens, matched by the
+// longest key contained in the model name; prefs "prices" extends it.
+
+const DEFAULT_PRICES = {
+  'opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'opus': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  'haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  'gpt-5': { input: 1.25, output: 10, cacheWrite: 0, cacheRead: 0.125 },
+  'codex': { input: 1.25, output: 10, cacheWrite: 0, cacheRead: 0.125 },
+};
+
+function defaultUsage() {
+  return { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 };
+}
+
+// Anthropic usage ({ input_tokens, output_tokens, cache_creation_input_tokens,
+// cache_read_input_tokens }) or OpenAI-style ({ input_tokens,
+// cached_input_tokens, output_tokens }, where input includes the cached
+// part) -> { input, output, cacheWrite, cacheRead }.
+function normalizeUsage(raw) {
+  const u = defaultUsage();
+  if (!raw || typeof raw !== 'object') return u;
+  const n = (v) => (Number(v) > 0 ? Number(v) : 0);
+  u.output = n(raw.output_tokens);
+  u.cacheWrite = n(raw.cache_creation_input_tokens);
+  if (raw.cached_input_tokens != null) {
+    u.cacheRead = n(raw.cached_input_tokens);
+    u.input = Math.max(0, n(raw.input_tokens) - u.cacheRead);
+  } else {
+    u.cacheRead = n(raw.cache_read_input_tokens);
+    u.input = n(raw.input_tokens);
+  }
+  return u;
+}
+
+function totalTokens(u) {
+  return u ? (u.input || 0) + (u.output || 0) + (u.cacheWrite || 0) + (u.cacheRead || 0) : 0;
+}
+
+function priceFor(model, prices = DEFAULT_PRICES) {
+  const name = String(model || '').toLowerCase();
+  let best = null;
+  for (const key of Object.keys(prices)) {
+    if (name.includes(key.toLowerCase()) && (!best || key.length > best.length)) best = key;
+  }
+  return best ? prices[best] : null;
+}
+
+// Estimated USD cost, 0 for models without a price
+function usageCost(u, model, prices = DEFAULT_PRICES) {
+  const p = priceFor(model, prices);
+  if (!p) return 0;
+  return ((u.input || 0) * (p.input || 0) + (u.output || 0) * (p.output || 0)
+    + (u.cacheWrite || 0) * (p.cacheWrite || 0) + (u.cacheRead || 0) * (p.cacheRead || 0)) / 1e6;
+}
+
+// Adds one message's (or turn's) usage to the session and to today.
+// Returns its estimated cost.
+function addUsage(stats, usage, model, prices = DEFAULT_PRICES) {
+  const session = stats.session;
+  if (!session.usage) session.usage = defaultUsage();
+  for (const k of Object.keys(defaultUsage())) session.usage[k] += usage[k] || 0;
+  const cost = usageCost(usage, model, prices);
+  session.cost = (session.cost || 0) + cost;
+  bumpDaily(stats, 'tokens', totalTokens(usage));
+  bumpDaily(stats, 'cost', cost);
+  return cost;
+}
+
+// Budget check after usage was added. budget is { session, daily } in USD
+// (either optional). Returns { scope, cost, limit, at } the first time a
+// limit is crossed -- once per session and once per day -- else null.
+function checkBudget(stats, budget, now = Date.now()) {
+  if (!budget) return null;
+  const session = stats.session;
+  if (budget.session > 0 && !session.budgetWarned && (session.cost || 0) >= budget.session) {
+    session.budgetWarned = true;
+    return { scope: 'session', cost: session.cost, limit: budget.session, at: now };
+  }
+  if (budget.daily > 0 && !stats.daily.budgetWarned && (stats.daily.cost || 0) >= budget.daily) {
+    stats.daily.budgetWarned = true;
+    return { scope: 'day', cost: stats.daily.cost, limit: budget.daily, at: now };
+  }
+  return null;
+}
+
+// Usage fields for the state and session files. A budget alert rides
+// along for 8 seconds, like milestones.
+function usageExtra(stats, now = Date.now()) {
+  const alert = stats.budgetAlert && now - stats.budgetAlert.at < 8000 ? stats.budgetAlert : null;
+  return {
+    tokens: totalTokens(stats.session.usage),
+    cost: stats.session.cost || 0,
+    dailyTokens: (stats.daily && stats.daily.tokens) || 0,
+    dailyCost: (stats.daily && stats.daily.cost) || 0,
+    budgetAlert: alert,
+  };
+}
+
+// 950, 12.3k, 4.1M
+function formatTokens(n) {
+  if (!n) return '0';
+  if (n < 1000) return String(Math.round(n));
+  const trim = (s) => s.replace(/\.0$/, '');
+  if (n < 1e6) return `${trim((n / 1000).toFixed(n < 1e5 ? 1 : 0))}k`;
+  return `${trim((n / 1e6).toFixed(n < 1e7 ? 1 : 0))}M`;
+}
+
+// $0.04, $3.40, $120
+function formatCost(c) {
+  if (!(c > 0)) return '$0';
+  return c >= 100 ? `$${Math.round(c)}` : `$${c.toFixed(2)}`;
+}
+
 // -- Default Stats ---------------------------------------------------
 
 function defaultStats() {
@@ -513,8 +1773,19 @@ function defaultStats() {
     records: { longestSession: 0, mostSubagents: 0, mostFilesEdited: 0 },
     session: { id: '', start: 0, toolCalls: 0, filesEdited: [], subagentCount: 0, commitCount: 0 },
     recentMilestone: null,
-    daily: { date: '', sessionCount: 0, cumulativeMs: 0 },
+    daily: defaultDaily(),
+    calendar: {},
+    dayStreak: { current: 0, best: 0, lastDate: '' },
     frequentFiles: {},
+    errorKinds: {},
+    approvedTools: {},
+    danger: { total: 0, byKind: {}, recent: [] },
+    latency: {},
+    pendingTools: {},
+    openWaits: {},
+    openSessions: {},
+    transcripts: {},
+    projects: {},
   };
 }
 
@@ -537,6 +1808,17 @@ function buildSubagentSessionState(existing, sub, parentSessionId, defaultCwd) {
 
 module.exports = {
   toolToState,
+  matchRule,
+  expandTemplate,
+  SECRET_PATTERNS,
+  redactSecrets,
+  redactObject,
+  DANGER_PATTERNS,
+  detectDanger,
+  recordDanger,
+  parseUnifiedDiff,
+  editedFilePaths,
+  computeDiffInfo,
   EDIT_TOOLS,
   BASH_TOOLS,
   READ_TOOLS,
@@ -544,6 +1826,7 @@ module.exports = {
   WEB_TOOLS,
   SUBAGENT_TOOLS,
   REVIEW_TOOLS,
+  TODO_TOOLS,
   stdoutErrorPatterns,
   stderrErrorPatterns,
   falsePositives,
@@ -553,13 +1836,72 @@ module.exports = {
   errorDetail,
   extractExitCode,
   normalizeToolResponse,
+  parseTestReport,
+  DIAG_COMMANDS,
+  parseDiagnostics,
+  formatDiagnostics,
   classifyToolResult,
   classifyTruncatedInput,
+  SLOW_TOOL_MS,
+  slowToolThreshold,
+  toolCategory,
+  toolTimerKey,
+  startToolTimer,
+  stopToolTimer,
+  recordLatency,
+  formatElapsed,
   MILESTONES,
   updateStreak,
+  MAX_ERROR_KINDS,
+  countErrorKind,
   defaultStats,
+  MAX_TODOS,
+  normalizeTodos,
+  todoProgress,
+  todoDetail,
+  applyTodoResult,
+  todoExtra,
+  PROMPT_PREVIEW_MAX,
+  promptPreview,
+  REPLY_TEXT_MAX,
+  replyMood,
+  replySummary,
+  DEFAULT_PRICES,
+  defaultUsage,
+  normalizeUsage,
+  totalTokens,
+  priceFor,
+  usageCost,
+  addUsage,
+  checkBudget,
+  usageExtra,
+  formatTokens,
+  formatCost,
   MAX_FREQUENT_FILES,
   pruneFrequentFiles,
   topFrequentFiles,
+  CALENDAR_DAYS,
+  dayKey,
+  defaultDaily,
+  bumpDaily,
+  rollDaily,
+  currentDayStreak,
+  isoWeek,
+  calendarEntry,
+  calendarDays,
+  calendarRollup,
+  rollupDays,
+  MAX_PROJECTS,
+  MAX_SESSION_PATHS,
+  defaultProjectStats,
+  projectStats,
+  sessionProject,
+  startProjectSession,
+  finishProjectSession,
+  projectFilePath,
+  trackProjectToolCall,
+  projectSummary,
+  countSessionTool,
+  noteSessionEvent,
   buildSubagentSessionState,
 };
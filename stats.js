@@ -0,0 +1,90 @@
+'use strict';
+
+// +================================================================+
+// |  Stats File -- reading, writing and merging stats.json           |
+// |                                                                  |
+// |  Hooks and adapters read, change and write the whole file under  |
+// |  the stats lock (shared.js withStatsLock). Older layouts are     |
+// |  upgraded on read (schema.js migrateStats). Long-lived writers   |
+// |  -- the hook daemon, the codex wrapper -- hold a copy in memory  |
+// |  and merge it with the file instead of overwriting it.           |
+// +================================================================+
+
+const fs = require('fs');
+const { STATS_FILE, writeFileAtomic } = require('./shared');
+const { migrateStats } = require('./schema');
+
+// -- Reading and writing ---------------------------------------------
+
+function readStats(file = STATS_FILE) {
+  let raw = null;
+  try { raw = JSON.parse(fs.readFileSync(file, 'utf8')); } catch {}
+  return migrateStats(raw);
+}
+
+function writeStats(stats, file = STATS_FILE) {
+  try { writeFileAtomic(file, JSON.stringify(stats)); } catch {}
+}
+
+// -- Merging ---------------------------------------------------------
+
+function _sameJSON(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// High-water marks: the larger side wins
+const MAX_KEYS = new Set(['bestStreak']);
+// Replaced whole by the last writer (mine when both changed) -- current
+// values, timestamps and objects that only make sense in one piece
+const LATEST_KEYS = new Set([
+  'streak', 'brokenStreak', 'brokenStreakAt', 'lastSeen', 'date', 'name', 'schema',
+  'session', 'recentMilestone', 'dayStreak',
+]);
+// Keyed maps merged key by key, each entry replaced whole
+const ENTRY_MAPS = new Set([
+  'openSessions', 'openWaits', 'pendingTools', 'transcripts', 'calendar', 'latency', 'ruleRunMs',
+]);
+
+const _isObj = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Three-way merge of a long-lived writer's stats (mine -- the daemon, the
+// codex wrapper) and the file (theirs), both changed from base. Each
+// field merges by what it means: counters both sides moved add up,
+// records keep the larger value, and current values, timestamps and
+// sessions take the last writer -- mine when both changed. Keys one side
+// removed stay removed unless the other side changed them. Roll both
+// copies' daily counters over (rollDaily) before merging.
+function mergeStats(baseValue, mine, theirs, key = '', parent = '') {
+  if (_sameJSON(mine, baseValue)) return theirs;
+  if (_sameJSON(theirs, baseValue)) return mine;
+  if (LATEST_KEYS.has(key) || ENTRY_MAPS.has(parent)) return mine;
+  if (typeof mine === 'number' && typeof theirs === 'number') {
+    if (MAX_KEYS.has(key) || parent === 'records') return Math.max(mine, theirs);
+    return theirs + (mine - (typeof baseValue === 'number' ? baseValue : 0));
+  }
+  if (!_isObj(mine) || !_isObj(theirs)) return mine;
+  let b = _isObj(baseValue) ? baseValue : {};
+  if (key === 'daily') {
+    // A day's counters only add up with the same day's
+    if (mine.date !== theirs.date) return mine.date > theirs.date ? mine : theirs;
+    if (b.date !== mine.date) b = {};
+  }
+  const out = {};
+  for (const k of new Set([...Object.keys(theirs), ...Object.keys(mine)])) {
+    if (!(k in mine)) {
+      // Removed here -- kept only if the file changed it since
+      if (!(k in b) || !_sameJSON(theirs[k], b[k])) out[k] = theirs[k];
+    } else if (!(k in theirs)) {
+      if (!(k in b) || !_sameJSON(mine[k], b[k])) out[k] = mine[k];
+    } else {
+      out[k] = mergeStats(b[k], mine[k], theirs[k], k, key);
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  readStats,
+  writeStats,
+  mergeStats,
+};
@@ -8,6 +8,15 @@
 // |  Run: node test.js  or  npm test                                |
 // +================================================================+
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Run against a throwaway profile so nothing touches your real state,
+// stats or prefs (child processes inherit it too).
+const PROFILE = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-suite-'));
+process.env.CODE_CRUMB_HOME = PROFILE;
+
 const testModules = [
   './tests/test-shared.js',
   './tests/test-state-machine.js',
@@ -21,6 +30,17 @@ const testModules = [
   './tests/test-launch.js',
   './tests/test-adapters.js',
   './tests/test-transition.js',
+  './tests/test-journal.js',
+  './tests/test-ipc.js',
+  './tests/test-daemon.js',
+  './tests/test-stats.js',
+  './tests/test-history.js',
+  './tests/test-report.js',
+  './tests/test-schema.js',
+  './tests/test-usage.js',
+  './tests/test-attention.js',
+  './tests/test-inbox.js',
+  './tests/test-waits.js',
 ];
 
 let totalPassed = 0;
@@ -43,4 +63,5 @@ if (totalFailed === 0) {
 }
 console.log(`  ${'='.repeat(40)}\n`);
 
+try { fs.rmSync(PROFILE, { recursive: true, force: true }); } catch {}
 process.exit(totalFailed > 0 ? 1 : 0);
@@ -97,6 +97,10 @@ describe('accessories.js -- STATE_ACCESSORIES', () => {
     assert.strictEqual(STATE_ACCESSORIES.coding, 'catears');
   });
 
+  test('danger maps to siren', () => {
+    assert.strictEqual(STATE_ACCESSORIES.danger, 'siren');
+  });
+
   test('committing maps to gitpush', () => {
     assert.strictEqual(STATE_ACCESSORIES.committing, 'gitpush');
   });
@@ -142,15 +146,15 @@ describe('accessories.js -- getAccessory', () => {
   });
 });
 
-describe('accessories.js -- all 13 accessory types', () => {
-  test('ACCESSORIES has exactly 13 entries', () => {
+describe('accessories.js -- all 14 accessory types', () => {
+  test('ACCESSORIES has exactly 14 entries', () => {
     const keys = Object.keys(ACCESSORIES);
-    assert.strictEqual(keys.length, 13, `expected 13 accessories, got ${keys.length}: ${keys.join(', ')}`);
+    assert.strictEqual(keys.length, 14, `expected 14 accessories, got ${keys.length}: ${keys.join(', ')}`);
   });
 
   test('ACCESSORIES contains all expected keys', () => {
     const expected = ['hardhat', 'glasses', 'wizardhat', 'catears', 'partyhat', 'nightcap',
-      'detective', 'shades', 'crown', 'antenna', 'goggles', 'caution', 'gitpush'];
+      'detective', 'shades', 'crown', 'antenna', 'goggles', 'caution', 'siren', 'gitpush'];
     for (const name of expected) {
       assert.ok(ACCESSORIES[name], `ACCESSORIES should contain "${name}"`);
     }
@@ -158,14 +162,14 @@ describe('accessories.js -- all 13 accessory types', () => {
 });
 
 describe('accessories.js -- STATE_ACCESSORIES completeness', () => {
-  test('STATE_ACCESSORIES has exactly 12 mapped states', () => {
+  test('STATE_ACCESSORIES has exactly 13 mapped states', () => {
     const keys = Object.keys(STATE_ACCESSORIES);
-    assert.strictEqual(keys.length, 12, `expected 12 state mappings, got ${keys.length}: ${keys.join(', ')}`);
+    assert.strictEqual(keys.length, 13, `expected 13 state mappings, got ${keys.length}: ${keys.join(', ')}`);
   });
 
-  test('STATE_ACCESSORIES maps the expected 12 states', () => {
+  test('STATE_ACCESSORIES maps the expected 13 states', () => {
     const expected = ['installing', 'thinking', 'coding', 'happy', 'sleeping', 'searching',
-      'caffeinated', 'proud', 'subagent', 'testing', 'error', 'committing'];
+      'caffeinated', 'proud', 'subagent', 'testing', 'error', 'committing', 'danger'];
     for (const state of expected) {
       assert.ok(STATE_ACCESSORIES[state] !== undefined, `STATE_ACCESSORIES should map "${state}"`);
     }
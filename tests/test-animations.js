@@ -85,7 +85,7 @@ describe('animations.js -- gridMouths', () => {
     'idle', 'thinking', 'coding', 'reading', 'searching', 'executing',
     'happy', 'satisfied', 'proud', 'relieved', 'error', 'sleeping',
     'waiting', 'testing', 'installing', 'caffeinated', 'subagent',
-    'committing', 'training',
+    'committing', 'training', 'listening',
   ];
 
   test('every state has a grid mouth', () => {
@@ -366,4 +366,38 @@ describe('animations.js -- gridMouths all 23 states', () => {
   });
 });
 
+describe('animations.js -- wary state', () => {
+  test('wary eyes are asymmetric', () => {
+    const e = eyes.wary();
+    assert.notDeepStrictEqual(e.left, e.right);
+  });
+
+  test('uneasy mouth and wary grid mouth exist', () => {
+    assert.strictEqual(typeof mouths.uneasy(), 'string');
+    assert.strictEqual(typeof gridMouths.wary, 'string');
+  });
+});
+
+describe('animations.js -- danger state', () => {
+  test('alarmed eyes flash between wide and pinprick', () => {
+    assert.notDeepStrictEqual(eyes.alarmed(null, 0), eyes.alarmed(null, 6));
+  });
+
+  test('gasp mouth and danger grid mouth exist', () => {
+    assert.strictEqual(typeof mouths.gasp(), 'string');
+    assert.strictEqual(gridMouths.danger, mouths.gasp());
+  });
+});
+
+describe('animations.js -- listening state', () => {
+  test('listening eyes look up and blink now and then', () => {
+    assert.notDeepStrictEqual(eyes.listening(null, 0), eyes.listening(null, 10));
+    assert.deepStrictEqual(eyes.listening(null, 10), eyes.listening(null, 40));
+  });
+
+  test('attentive mouth and listening grid mouth exist', () => {
+    assert.strictEqual(gridMouths.listening, mouths.attentive());
+  });
+});
+
 module.exports = { passed: () => passed, failed: () => failed };
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+'use strict';
+
+// +================================================================+
+// |  Code Crumb Test Suite - attention.js                             |
+// +================================================================+
+
+const assert = require('assert');
+const {
+  WAIT_ALERTS, waitAlertSettings, waitSteps, notifySequence, WaitTracker,
+} = require('../attention');
+
+let passed = 0;
+let failed = 0;
+let currentDescribe = '';
+
+function describe(name, fn) {
+  currentDescribe = name;
+  console.log(`\n  ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`    \x1b[32m✓\x1b[0m ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`    \x1b[31m✗\x1b[0m ${name}`);
+    console.log(`      ${e.message}`);
+  }
+}
+
+const NOW = Date.parse('2026-03-03T12:00:00Z');
+const SETTINGS = { timer: 10000, bell: 60000, notify: 180000, flash: 300000 };
+
+describe('attention.js -- settings', () => {
+  test('defaults, overrides and switching steps off', () => {
+    assert.deepStrictEqual(waitAlertSettings(null), SETTINGS);
+    assert.strictEqual(WAIT_ALERTS.bell, 60);
+    assert.deepStrictEqual(waitAlertSettings({ waitAlerts: { bell: 30, flash: 0 } }),
+      { timer: 10000, bell: 30000, notify: 180000, flash: 0 });
+    assert.deepStrictEqual(waitAlertSettings({ waitAlerts: false }), { timer: 0, bell: 0, notify: 0, flash: 0 });
+    assert.strictEqual(waitAlertSettings({ waitAlerts: { timer: 'soon' } }).timer, 0);
+  });
+
+  test('waitSteps lists the steps reached, in order', () => {
+    assert.deepStrictEqual(waitSteps(5000, SETTINGS), []);
+    assert.deepStrictEqual(waitSteps(200000, SETTINGS), ['timer', 'bell', 'notify']);
+    assert.deepStrictEqual(waitSteps(200000, { ...SETTINGS, bell: 0 }), ['timer', 'notify']);
+  });
+});
+
+describe('attention.js -- notifications', () => {
+  test('OSC 9 and OSC 777, with separators and control characters scrubbed', () => {
+    const seq = notifySequence('Code Crumb', 'api;refactor\x07 waits', {});
+    assert.strictEqual(seq, '\x1b]9;Code Crumb: api refactor  waits\x07\x1b]777;notify;Code Crumb;api refactor  waits\x07');
+  });
+
+  test('wrapped for passthrough inside tmux', () => {
+    const seq = notifySequence('T', 'b', { TMUX: '/tmp/tmux-1/default,1,0' });
+    assert.ok(seq.startsWith('\x1bPtmux;\x1b\x1b]9;T: b\x07\x1b\\'));
+    assert.strictEqual(seq.split('\x1bPtmux;').length, 3);
+  });
+});
+
+describe('attention.js -- WaitTracker', () => {
+  const session = (since, state = 'waiting') => [{ id: 's1', name: 'api-refactor', state, since }];
+
+  test('bell then notification, each once per wait', () => {
+    const t = new WaitTracker(SETTINGS, {});
+    assert.strictEqual(t.update(session(NOW), NOW + 30000), '');
+    assert.strictEqual(t.update(session(NOW), NOW + 61000), '\x07');
+    assert.strictEqual(t.update(session(NOW), NOW + 62000), '');
+    const out = t.update(session(NOW), NOW + 181000);
+    assert.ok(out.includes('\x1b]9;Code Crumb: api-refactor has been waiting 3m01s\x07'));
+    assert.strictEqual(t.update(session(NOW), NOW + 200000), '');
+  });
+
+  test('the schedule starts over when the session moves on', () => {
+    const t = new WaitTracker(SETTINGS, {});
+    t.update(session(NOW), NOW + 61000);
+    assert.strictEqual(t.update(session(0, 'coding'), NOW + 62000), '');
+    assert.strictEqual(t.waits.size, 0);
+    const again = NOW + 70000;
+    assert.strictEqual(t.update(session(again), again + 1000), '');
+    assert.strictEqual(t.update(session(again), again + 60000), '\x07');
+  });
+
+  test('every waiting session escalates on its own', () => {
+    const t = new WaitTracker(SETTINGS, {});
+    const sessions = [...session(NOW), { id: 's2', name: 'docs', state: 'waiting', since: NOW + 30000 }];
+    assert.strictEqual(t.update(sessions, NOW + 61000), '\x07');
+    assert.strictEqual(t.update(sessions, NOW + 91000), '\x07');
+  });
+
+  test('the title flashes the longest wait past the flash step', () => {
+    const t = new WaitTracker(SETTINGS, {});
+    t.update(session(NOW), NOW + 200000);
+    assert.strictEqual(t.flashTitle(NOW + 200000), null);
+    const at = NOW + 302000;
+    t.update(session(NOW), at);
+    assert.strictEqual(t.flashTitle(at), '\u25cf api-refactor is waiting on you \u00b7 5m02s');
+    assert.strictEqual(t.flashTitle(at + 1000), null);
+    t.update([], at + 2000);
+    assert.strictEqual(t.flashTitle(at + 2000), null);
+  });
+});
+
+module.exports = { passed: () => passed, failed: () => failed };
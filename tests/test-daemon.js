@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+'use strict';
+
+// +================================================================+
+// |  Code Crumb Test Suite - daemon.js                                |
+// +================================================================+
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { daemonContext, daemonStatus, handleRequest } = require('../daemon');
+const { ipcRequest, IPC_REQUEST_MS } = require('../ipc');
+const { getGitBranch } = require('../shared');
+
+const NODE = process.execPath;
+const ROOT = path.join(__dirname, '..');
+
+let passed = 0;
+let failed = 0;
+let currentDescribe = '';
+
+function describe(name, fn) {
+  currentDescribe = name;
+  console.log(`\n  ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`    \x1b[32m✓\x1b[0m ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`    \x1b[31m✗\x1b[0m ${name}`);
+    console.log(`      ${e.message}`);
+  }
+}
+
+function withTmp(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crumb-daemon-'));
+  try { fn(dir); }
+  finally { try { fs.rmSync(dir, { recursive: true, force: true }); } catch {} }
+}
+
+// Starts a daemon in a child process with HOME in dir, runs the given hook
+// events through update-state.js one after another, then reports what the
+// daemon saw and the files it left behind.
+function runWithDaemon(dir, events) {
+  const script = path.join(dir, 'run.js');
+  fs.writeFileSync(script, `
+    const fs = require('fs');
+    const { spawn } = require('child_process');
+    const daemon = require(${JSON.stringify(path.join(ROOT, 'daemon'))});
+    const { STATS_FILE } = require(${JSON.stringify(path.join(ROOT, 'shared'))});
+    const events = ${JSON.stringify(events)};
+    setTimeout(() => process.exit(1), 8000);
+    daemon.startDaemon();
+    setTimeout(() => next(0), 50);
+    function next(i) {
+      if (i >= events.length) return report();
+      const child = spawn(process.execPath, [${JSON.stringify(path.join(ROOT, 'update-state.js'))}, events[i].event],
+        { env: process.env, stdio: ['pipe', 'ignore', 'ignore'] });
+      child.on('exit', () => next(i + 1));
+      child.stdin.end(JSON.stringify(events[i].input));
+    }
+    function report() {
+      const status = daemon.daemonStatus();
+      const statsOnDiskBeforeFlush = fs.existsSync(STATS_FILE);
+      daemon.flushStats();
+      const stats = JSON.parse(fs.readFileSync(STATS_FILE, 'utf8'));
+      process.stdout.write(JSON.stringify({ status, statsOnDiskBeforeFlush, stats, pid: process.pid }));
+      process.exit(0);
+    }
+  `);
+  const env = {
+    ...process.env,
+    HOME: dir,
+    USERPROFILE: dir,
+    CODE_CRUMB_HOME: dir,
+    CODE_CRUMB_STATE: path.join(dir, '.code-crumb-state'),
+    CODE_CRUMB_SOCKET: path.join(dir, 'crumb.sock'),
+    CODE_CRUMB_DAEMON_SOCKET: path.join(dir, 'daemon.sock'),
+  };
+  const out = execFileSync(NODE, [script], { env, timeout: 15000, stdio: ['pipe', 'pipe', 'pipe'] });
+  return JSON.parse(out.toString());
+}
+
+describe('daemon.js -- daemonContext', () => {
+  test('carries the calling hook\'s cwd, PID and env', () => {
+    const ctx = daemonContext({ cwd: '/tmp/proj', ppid: 4242, sessionEnv: 'sess', modelEnv: 'sonnet' });
+    assert.strictEqual(ctx.cwd, '/tmp/proj');
+    assert.strictEqual(ctx.ppid, 4242);
+    assert.strictEqual(ctx.sessionEnv, 'sess');
+    assert.strictEqual(ctx.modelEnv, 'sonnet');
+    assert.strictEqual(typeof ctx.loadStats, 'function');
+    assert.strictEqual(typeof ctx.saveStats, 'function');
+  });
+
+  test('git lookups match shared.js and are cached per cwd', () => {
+    const ctx = daemonContext({ cwd: ROOT });
+    assert.strictEqual(ctx.getGitBranch(ROOT), getGitBranch(ROOT));
+    assert.strictEqual(ctx.getGitBranch(ROOT), ctx.getGitBranch(ROOT));
+  });
+});
+
+describe('daemon.js -- stats flush', () => {
+  test('a flush keeps what an adapter wrote to the file meanwhile', () => {
+    withTmp((dir) => {
+      const script = path.join(dir, 'flush.js');
+      fs.writeFileSync(script, `
+        const fs = require('fs');
+        const daemon = require(${JSON.stringify(path.join(ROOT, 'daemon'))});
+        const { STATS_FILE, withStatsLock } = require(${JSON.stringify(path.join(ROOT, 'shared'))});
+        const ctx = daemon.daemonContext({});
+        const stats = ctx.loadStats();
+        stats.totalToolCalls += 2;
+        ctx.saveStats(stats);
+        // An adapter's own read-modify-write inside the flush window
+        withStatsLock(() => {
+          const disk = JSON.parse(fs.readFileSync(STATS_FILE, 'utf8'));
+          disk.totalToolCalls += 3;
+          disk.totalErrors = 1;
+          fs.writeFileSync(STATS_FILE, JSON.stringify(disk));
+        });
+        daemon.flushStats();
+        process.stdout.write(fs.readFileSync(STATS_FILE, 'utf8'));
+        process.exit(0);
+      `);
+      fs.writeFileSync(path.join(dir, 'stats.json'), JSON.stringify({ schema: 1, totalToolCalls: 10, totalErrors: 0 }));
+      // An mtime the adapter's write is sure to change
+      fs.utimesSync(path.join(dir, 'stats.json'), 1000, 1000);
+      const out = execFileSync(NODE, [script], { env: { ...process.env, CODE_CRUMB_HOME: dir }, timeout: 10000 });
+      const stats = JSON.parse(out.toString());
+      assert.strictEqual(stats.totalToolCalls, 15);
+      assert.strictEqual(stats.totalErrors, 1);
+    });
+  });
+});
+
+describe('daemon.js -- client', () => {
+  test('ipcRequest reports unreachable when no daemon listens', () => {
+    withTmp((dir) => {
+      let result = null;
+      ipcRequest('hook', {}, path.join(dir, 'none.sock'), (r) => { result = r; });
+      assert.strictEqual(result, 'unreachable');
+    });
+  });
+
+  test('the wait stays inside the hook budget', () => {
+    assert.ok(IPC_REQUEST_MS > 0 && IPC_REQUEST_MS <= 50);
+  });
+
+  test('a request past its deadline is dropped, not handled', () => {
+    const replies = [];
+    const before = daemonStatus().handled;
+    handleRequest({ kind: 'hook', data: { event: 'PreToolUse', input: '{}' }, deadline: 1000 }, { write: (s) => replies.push(s) }, 2000);
+    assert.deepStrictEqual(replies, ['late\n']);
+    assert.strictEqual(daemonStatus().handled, before);
+  });
+
+  if (process.platform !== 'win32') {
+    test('no ack in time falls back; an ack without a reply does not', () => {
+      withTmp((dir) => {
+        const script = path.join(dir, 'slow.js');
+        fs.writeFileSync(script, `
+          const net = require('net');
+          const { ipcRequest } = require(${JSON.stringify(path.join(ROOT, 'ipc'))});
+          const results = {};
+          const serve = (sock, reply) => new Promise((resolve) => {
+            const server = net.createServer((c) => c.on('data', () => { if (reply) c.write(reply); }));
+            server.listen(sock, () => resolve(server));
+          });
+          const ask = (sock) => new Promise((resolve) => {
+            const start = Date.now();
+            ipcRequest('hook', {}, sock, (r) => resolve({ r, ms: Date.now() - start }));
+          });
+          (async () => {
+            const silent = await serve(${JSON.stringify(path.join(dir, 'silent.sock'))}, '');
+            results.silent = await ask(${JSON.stringify(path.join(dir, 'silent.sock'))});
+            const busy = await serve(${JSON.stringify(path.join(dir, 'busy.sock'))}, 'ack\\n');
+            results.busy = await ask(${JSON.stringify(path.join(dir, 'busy.sock'))});
+            silent.close(); busy.close();
+            process.stdout.write(JSON.stringify(results));
+            process.exit(0);
+          })();
+        `);
+        const r = JSON.parse(execFileSync(NODE, [script], { timeout: 10000 }).toString());
+        assert.strictEqual(r.silent.r, 'unreachable');
+        assert.strictEqual(r.busy.r, 'timeout');
+        assert.ok(r.silent.ms < 200, `waited ${r.silent.ms}ms`);
+      });
+    });
+
+    test('hook input is never sent to a path that isn\'t our socket', () => {
+      withTmp((dir) => {
+        const planted = path.join(dir, 'planted.sock');
+        fs.writeFileSync(planted, '');
+        let result = null;
+        ipcRequest('hook', { input: 'secret prompt' }, planted, (r) => { result = r; });
+        assert.strictEqual(result, 'unreachable');
+      });
+    });
+  }
+});
+
+if (process.platform !== 'win32') {
+  describe('daemon.js -- forwarded hooks', () => {
+    test('hooks hand events to the daemon, which writes state and keeps stats in memory', () => {
+      withTmp((dir) => {
+        const r = runWithDaemon(dir, [
+          { event: 'PreToolUse', input: { session_id: 'd-1', tool_name: 'Read', tool_input: { file_path: '/a.js' } } },
+          { event: 'PreToolUse', input: { session_id: 'd-1', tool_name: 'Edit', tool_input: { file_path: '/a.js' } } },
+        ]);
+        assert.strictEqual(r.status.handled, 2);
+        assert.strictEqual(r.statsOnDiskBeforeFlush, false);
+        assert.strictEqual(r.stats.totalToolCalls, 2);
+        const state = JSON.parse(fs.readFileSync(path.join(dir, '.code-crumb-state'), 'utf8'));
+        assert.strictEqual(state.state, 'coding');
+        assert.strictEqual(state.sessionId, 'd-1');
+      });
+    });
+
+    test('session files carry the hook\'s editor PID, not the daemon\'s', () => {
+      withTmp((dir) => {
+        const r = runWithDaemon(dir, [
+          { event: 'PreToolUse', input: { session_id: 'd-2', tool_name: 'Read', tool_input: { file_path: '/a.js' } } },
+        ]);
+        const session = JSON.parse(fs.readFileSync(path.join(dir, 'sessions', 'd-2.json'), 'utf8'));
+        // The hook's parent is the test script that spawned it
+        assert.strictEqual(session.pid, r.pid);
+        assert.strictEqual(session.cwd, process.cwd());
+      });
+    });
+  });
+}
+
+module.exports = { passed: () => passed, failed: () => failed };
@@ -7,10 +7,10 @@
 
 const assert = require('assert');
 const fs = require('fs');
-const { ClaudeFace, LOW_ACTIVITY_STATES, COMPRESS_LOW_CAP, MAX_SEGMENT_BLOCKS, ACTIVE_WORK_STATES: FACE_ACTIVE_WORK_STATES, COMPLETION_STATES: FACE_COMPLETION_STATES } = require('../face');
+const { ClaudeFace, LOW_ACTIVITY_STATES, COMPRESS_LOW_CAP, MAX_SEGMENT_BLOCKS, ACTIVE_WORK_STATES: FACE_ACTIVE_WORK_STATES, COMPLETION_STATES: FACE_COMPLETION_STATES, formatTestCounts } = require('../face');
 const { readState, ACTIVE_WORK_STATES: RENDERER_ACTIVE_WORK_STATES, COMPLETION_STATES: RENDERER_COMPLETION_STATES } = require('../renderer');
 const { ParticleSystem } = require('../particles');
-const { themes, PALETTES } = require('../themes');
+const { themes, PALETTES, SLOW_TOOL_THOUGHTS } = require('../themes');
 const { mouths, eyes } = require('../animations');
 const { STATE_FILE } = require('../shared');
 
@@ -220,6 +220,15 @@ describe('face.js -- ClaudeFace.setStats', () => {
     assert.strictEqual(face.dailyCumulativeMs, 3600000);
   });
 
+  test('updates day streak', () => {
+    const face = new ClaudeFace();
+    face.setStats({ dayStreak: 4, bestDayStreak: 9 });
+    assert.strictEqual(face.dayStreak, 4);
+    assert.strictEqual(face.bestDayStreak, 9);
+    face.setStats({});
+    assert.strictEqual(face.dayStreak, 0);
+  });
+
   test('updates diffInfo', () => {
     const face = new ClaudeFace();
     face.setStats({ diffInfo: { added: 10, removed: 3 } });
@@ -2384,4 +2393,417 @@ describe('face.js -- ACTIVE_WORK_STATES / COMPLETION_STATES consistency', () =>
   });
 });
 
+describe('face.js -- test report display', () => {
+  const origCols = process.stdout.columns;
+  const origRows = process.stdout.rows;
+  function renderStripped(face) {
+    process.stdout.columns = 80;
+    process.stdout.rows = 30;
+    const out = face.render().replace(/\x1b\[[^m]*m/g, '');
+    process.stdout.columns = origCols;
+    process.stdout.rows = origRows;
+    return out;
+  }
+
+  test('formatTestCounts shows pass, fail and skip counts', () => {
+    assert.strictEqual(formatTestCounts({ passed: 41, failed: 2, skipped: 0 }), '41✓ 2✗');
+    assert.strictEqual(formatTestCounts({ passed: 5, failed: 0, skipped: 1 }), '5✓ 1○');
+    assert.strictEqual(formatTestCounts(null), '');
+  });
+
+  test('setStats stores and clears testInfo', () => {
+    const face = new ClaudeFace();
+    face.setStats({ testInfo: { passed: 1, failed: 0, skipped: 0 } });
+    assert.strictEqual(face.testInfo.passed, 1);
+    face.setStats({});
+    assert.strictEqual(face.testInfo, null);
+  });
+
+  test('thought bubble shows counts and first failure on error', () => {
+    const face = new ClaudeFace();
+    face.state = 'error';
+    face.setStats({ testInfo: { passed: 41, failed: 2, skipped: 0, firstFailure: 'auth.spec › login' } });
+    face._updateThought();
+    assert.strictEqual(face.thoughtText, '41✓ 2✗ · auth.spec › login');
+  });
+
+  test('status line includes test counts', () => {
+    const face = new ClaudeFace();
+    face.state = 'relieved';
+    face.setStats({ testInfo: { passed: 12, failed: 0, skipped: 0 } });
+    const out = renderStripped(face);
+    assert.ok(out.includes('· 12✓'), 'status line should show test counts');
+  });
+});
+
+describe('face.js -- diagnostics display', () => {
+  test('wary state has its own eyes and mouth', () => {
+    const face = new ClaudeFace();
+    face.state = 'wary';
+    face.blinkFrame = -1;
+    const theme = face.getTheme();
+    assert.deepStrictEqual(face.getEyes(theme, 0), eyes.wary());
+    assert.strictEqual(face.getMouth(theme, 0), mouths.uneasy());
+  });
+
+  test('wary is a completion state', () => {
+    assert.ok(FACE_COMPLETION_STATES.has('wary'));
+  });
+
+  test('thought bubble shows the compiler message', () => {
+    const face = new ClaudeFace();
+    face.state = 'error';
+    face.setStats({ diagInfo: { errors: 1, warnings: 0, file: 'a.ts', line: 3, message: 'TS2304: Cannot find name' } });
+    face._updateThought();
+    assert.strictEqual(face.thoughtText, 'TS2304: Cannot find name');
+  });
+});
+
+describe('face.js -- multi-file diff thoughts', () => {
+  test('patch diffInfo mentions file count', () => {
+    const face = new ClaudeFace();
+    face.state = 'proud';
+    face.setStats({ diffInfo: { added: 12, removed: 4, files: 3 } });
+    face._updateThought();
+    assert.strictEqual(face.thoughtText, '+12 -4 in 3 files');
+  });
+
+  test('single-file diffInfo keeps "lines"', () => {
+    const face = new ClaudeFace();
+    face.state = 'proud';
+    face.setStats({ diffInfo: { added: 12, removed: 4 } });
+    face._updateThought();
+    assert.strictEqual(face.thoughtText, '+12 -4 lines');
+  });
+});
+
+describe('face.js -- batched edit thoughts', () => {
+  test('hunk count appears for MultiEdit diffInfo', () => {
+    const face = new ClaudeFace();
+    face.state = 'proud';
+    face.setStats({ diffInfo: { added: 34, removed: 12, hunks: 5 } });
+    face._updateThought();
+    assert.strictEqual(face.thoughtText, '+34 -12 across 5 hunks');
+  });
+
+  test('a single hunk reads as plain lines', () => {
+    const face = new ClaudeFace();
+    face.state = 'proud';
+    face.setStats({ diffInfo: { added: 3, removed: 1, hunks: 1 } });
+    face._updateThought();
+    assert.strictEqual(face.thoughtText, '+3 -1 lines');
+  });
+});
+
+describe('face.js -- danger state', () => {
+  test('danger has its own eyes and mouth', () => {
+    const face = new ClaudeFace();
+    face.state = 'danger';
+    face.blinkFrame = -1;
+    const theme = face.getTheme();
+    assert.deepStrictEqual(face.getEyes(theme, 0), eyes.alarmed(theme, 0));
+    assert.strictEqual(face.getMouth(theme, 0), mouths.gasp());
+  });
+
+  test('danger bypasses min display time like error', () => {
+    const face = new ClaudeFace();
+    face.setState('coding', 'editing a.js');
+    face.setState('danger', 'careful: rm -rf');
+    assert.strictEqual(face.state, 'danger');
+  });
+
+  test('completion after a destructive command waits behind danger', () => {
+    const face = new ClaudeFace();
+    face.setState('danger', 'careful: rm -rf');
+    face.setState('relieved', 'command succeeded');
+    assert.strictEqual(face.state, 'danger');
+    assert.strictEqual(face.pendingState, 'relieved');
+  });
+
+  test('danger spawns alarm particles', () => {
+    const face = new ClaudeFace();
+    face.setState('danger', 'careful: rm -rf');
+    assert.ok(face.particles.particles.some(p => p.style === 'alarm'));
+  });
+
+  test('danger is an active work state in face and renderer', () => {
+    assert.ok(FACE_ACTIVE_WORK_STATES.has('danger'));
+    assert.ok(RENDERER_ACTIVE_WORK_STATES.has('danger'));
+  });
+});
+
+describe('face.js -- tool timing', () => {
+  const origCols = process.stdout.columns;
+  const origRows = process.stdout.rows;
+  function renderStripped(face) {
+    process.stdout.columns = 80;
+    process.stdout.rows = 30;
+    const out = face.render().replace(/\x1b\[[^m]*m/g, '');
+    process.stdout.columns = origCols;
+    process.stdout.rows = origRows;
+    return out;
+  }
+
+  test('status line shows a live elapsed timer for a running tool', () => {
+    const face = new ClaudeFace();
+    face.state = 'executing';
+    face.setStats({ toolStartedAt: Date.now() - 72000, slowToolMs: 30000 });
+    assert.ok(renderStripped(face).includes('running command · 1m12s'));
+  });
+
+  test('no timer for short runs, subagent conducting or finished tools', () => {
+    const face = new ClaudeFace();
+    face.state = 'executing';
+    face.setStats({ toolStartedAt: Date.now() - 1000 });
+    assert.ok(!renderStripped(face).includes('running command ·'));
+    face.state = 'subagent';
+    face.setStats({ toolStartedAt: Date.now() - 72000 });
+    assert.strictEqual(face.isToolRunning(), false);
+    face.state = 'executing';
+    face.setStats({});
+    assert.strictEqual(face.toolElapsed(), 0);
+  });
+
+  test('crossing the slow threshold sweats and changes the thought', () => {
+    const face = new ClaudeFace();
+    face.state = 'executing';
+    face.setStats({ toolStartedAt: Date.now() - 31000, slowToolMs: 30000 });
+    face.update(67);
+    assert.ok(face.particles.particles.some(p => p.style === 'sweat'));
+    assert.ok(SLOW_TOOL_THOUGHTS.includes(face.thoughtText));
+  });
+
+  test('a slow completion reports how long it took', () => {
+    const face = new ClaudeFace();
+    face.state = 'relieved';
+    face.setStats({ toolDurationMs: 95000, slowTool: true });
+    assert.strictEqual(face.thoughtText, 'that took 1m35s');
+  });
+
+  test('a tool start with no PostToolUse expires after 10 minutes', () => {
+    const face = new ClaudeFace();
+    face.state = 'executing';
+    face.setStats({ toolStartedAt: Date.now() - 20000 });
+    assert.strictEqual(face.isToolRunning(), true);
+    face.setStats({ toolStartedAt: Date.now() - 700000 });
+    assert.strictEqual(face.isToolRunning(), false);
+  });
+});
+
+describe('face.js -- project stats overlay', () => {
+  test('shows project and all-projects streaks side by side', () => {
+    const face = new ClaudeFace();
+    face.setStats({ streak: 30, bestStreak: 88, project: { name: 'app', streak: 12, bestStreak: 40 } });
+    assert.strictEqual(face._projectStatsText(), '\u2302 12 best 40 \u00b7 all 30 best 88');
+  });
+
+  test('falls back to a compact form when space is short', () => {
+    const face = new ClaudeFace();
+    face.setStats({ streak: 300, bestStreak: 880, project: { name: 'app', streak: 120, bestStreak: 400 } });
+    assert.strictEqual(face._projectStatsText(30), '\u2302 120/400 \u00b7 all 300/880');
+    assert.strictEqual(face._projectStatsText(5), '');
+  });
+
+  test('nothing to show without a project', () => {
+    const face = new ClaudeFace();
+    face.setStats({ streak: 3 });
+    assert.strictEqual(face.project, null);
+    assert.strictEqual(face._projectStatsText(), '');
+  });
+
+  test('render draws the line when stats are visible', () => {
+    const face = new ClaudeFace();
+    face.setStats({ streak: 2, bestStreak: 5, project: { name: 'app', streak: 1, bestStreak: 4 } });
+    const out = face.render();
+    assert.ok(out.includes('\u2302 1 best 4'));
+    face.showStats = false;
+    assert.ok(!face.render().includes('\u2302 1 best 4'));
+  });
+});
+
+describe('face.js -- token usage', () => {
+  test('usage line with a compact fallback', () => {
+    const face = new ClaudeFace();
+    assert.strictEqual(face._usageText(), '');
+    face.setStats({ tokens: 1234567, cost: 3.4, dailyTokens: 3000000, dailyCost: 8.1 });
+    assert.strictEqual(face._usageText(), '\u25c7 1.2M tok \u00b7 $3.40 \u00b7 today $8.10');
+    assert.strictEqual(face._usageText(20), '\u25c7 1.2M \u00b7 $3.40');
+    assert.ok(face.render().replace(/\x1b\[[^m]*m/g, '').includes('\u25c7 1.2M \u00b7 $3.40 \u00b7 today $8.10'));
+    face.setStats({ tokens: 1234567, cost: 3.4, dailyTokens: 1234567, dailyCost: 3.4 });
+    assert.strictEqual(face._usageText(), '\u25c7 1.2M tok \u00b7 $3.40');
+  });
+
+  test('a new budget alert reacts once and shows in the thought bubble', () => {
+    const face = new ClaudeFace();
+    const alert = { scope: 'day', cost: 21.5, limit: 20, at: 1000 };
+    face.setStats({ tokens: 10, cost: 1, dailyCost: 21.5, budgetAlert: alert });
+    assert.strictEqual(face.budgetShowTime, 180);
+    assert.strictEqual(face.thoughtText, 'over budget: $21.50 of $20.00 today');
+    assert.strictEqual(face._overBudget(), true);
+    face.budgetShowTime = 10;
+    face.setStats({ tokens: 10, cost: 1, dailyCost: 21.5, budgetAlert: alert });
+    assert.strictEqual(face.budgetShowTime, 10);
+    face.setStats({ tokens: 10, cost: 1, dailyCost: 0 });
+    assert.strictEqual(face._overBudget(), false);
+  });
+});
+
+describe('face.js -- time waited on you', () => {
+  test('today\'s waits in the stats overlay, squeezed to fit', () => {
+    const face = new ClaudeFace();
+    assert.strictEqual(face._waitText(), '');
+    face.setStats({ dailyWaitMs: 840000, dailyWaits: 9 });
+    assert.strictEqual(face._waitText(), '\u29d6 waited on you 14m00s today \u00b7 9 prompts');
+    assert.strictEqual(face._waitText(36), '\u29d6 waited 14m00s today \u00b7 9 prompts');
+    assert.strictEqual(face._waitText(30), '\u29d6 14m00s today \u00b7 9 prompts');
+    assert.strictEqual(face._waitText(20), '\u29d6 14m00s \u00b7 9');
+    const origRows = process.stdout.rows;
+    process.stdout.rows = 30;
+    try {
+      assert.ok(face.render().replace(/\x1b\[[^m]*m/g, '').includes('\u29d6 14m00s today \u00b7 9 prompts'));
+      face.showStats = false;
+      assert.ok(!face.render().includes('\u29d6'));
+    } finally {
+      process.stdout.rows = origRows;
+    }
+  });
+});
+
+describe('face.js -- todo progress', () => {
+  test('progress bar with the current item, squeezed to fit', () => {
+    const face = new ClaudeFace();
+    assert.strictEqual(face._todoText(), '');
+    face.setStats({ todos: { total: 7, done: 3, current: 'Writing tests' } });
+    assert.strictEqual(face._todoText(), '\u25b0\u25b0\u25b0\u25b1\u25b1\u25b1\u25b1 3/7 \u2713 \u00b7 Writing tests');
+    assert.strictEqual(face._todoText(24), '\u25b0\u25b0\u25b0\u25b1\u25b1\u25b1\u25b1 3/7 \u2713 \u00b7 Writing\u2026');
+    assert.strictEqual(face._todoText(15), '\u25b0\u25b0\u25b0\u25b1\u25b1\u25b1\u25b1 3/7 \u2713');
+    assert.ok(face.render().replace(/\x1b\[[^m]*m/g, '').includes('3/7 \u2713'));
+  });
+
+  test('a finished list celebrates once, then the line goes away', () => {
+    const face = new ClaudeFace();
+    const done = { total: 2, done: 2, current: '', doneAt: 5000 };
+    face.setStats({ todos: done });
+    assert.strictEqual(face.todoCelebrateTime, 90);
+    assert.strictEqual(face.thoughtText, 'checked off all 2!');
+    assert.ok(face._todoText().endsWith('2/2 \u2713 \u00b7 all done!'));
+    face.todoCelebrateTime = 0;
+    face.setStats({ todos: done });
+    assert.strictEqual(face.todoCelebrateTime, 0);
+    assert.strictEqual(face._todoText(), '');
+  });
+});
+
+describe('face.js -- listening state', () => {
+  test('listening has its own eyes and mouth', () => {
+    const face = new ClaudeFace();
+    face.state = 'listening';
+    face.blinkFrame = -1;
+    const theme = face.getTheme();
+    assert.deepStrictEqual(face.getEyes(theme, 10), eyes.listening(theme, 10));
+    assert.strictEqual(face.getMouth(theme, 0), mouths.attentive());
+    assert.strictEqual(theme.status, 'listening');
+  });
+
+  test('work takes over from listening straight away', () => {
+    const face = new ClaudeFace();
+    face.setState('listening', 'fix the login redirect');
+    face.setState('reading', 'auth.js');
+    assert.strictEqual(face.state, 'reading');
+  });
+
+  test('the prompt preview follows the state file', () => {
+    const face = new ClaudeFace();
+    face.setStats({ promptPreview: 'fix the login redirect' });
+    assert.strictEqual(face.promptPreview, 'fix the login redirect');
+    face.setStats({});
+    assert.strictEqual(face.promptPreview, '');
+  });
+});
+
+describe('face.js -- final reply bubble', () => {
+  const reply = (text, extra = {}) => ({ lead: text.split('. ')[0] + '.', text, mood: 'happy', at: 1, ...extra });
+  const plain = (face) => face.render().replace(/\x1b\[[^m]*m/g, '');
+
+  test('the reply shows in a speech bubble while responding', () => {
+    const face = new ClaudeFace();
+    face.setState('responding');
+    face.setStats({ reply: reply('Fixed the redirect. The session cookie was dropped.') });
+    assert.ok(plain(face).includes('Fixed the redirect.'));
+    assert.ok(face.lastPos.bubble);
+  });
+
+  test('completionState follows the reply mood', () => {
+    const face = new ClaudeFace();
+    assert.strictEqual(face.completionState(), 'happy');
+    face.setStats({ reply: reply('I could not reproduce it.', { mood: 'wary' }) });
+    assert.strictEqual(face.completionState(), 'wary');
+    face.setStats({ reply: reply('Odd.', { mood: 'nonsense', at: 2 }) });
+    assert.strictEqual(face.completionState(), 'happy');
+  });
+
+  test('r pages through a long reply and wraps to the top', () => {
+    const face = new ClaudeFace();
+    face.setState('responding');
+    face.setStats({ reply: reply('Done. ' + 'word '.repeat(60).trim()) });
+    face.render();
+    assert.ok(face._replyLineCount > 3);
+    face.scrollReply();
+    assert.strictEqual(face.replyScroll, 3);
+    while (face.replyScroll) face.scrollReply();
+    assert.strictEqual(face.replyScroll, 0);
+  });
+
+  test('a new prompt clears the reply', () => {
+    const face = new ClaudeFace();
+    face.setState('responding');
+    face.setStats({ reply: reply('All done.') });
+    face.minDisplayUntil = 0;
+    face.setState('listening', 'next thing');
+    assert.strictEqual(face.reply, null);
+    assert.ok(!plain(face).includes('All done.'));
+  });
+});
+
+describe('face.js -- inbox', () => {
+  test('the inbox follows the state file and its overlay closes the others', () => {
+    const face = new ClaudeFace();
+    face.setStats({ inbox: [{ kind: 'input', text: 'github: Which repo?', at: 1 }] });
+    assert.strictEqual(face.inbox.length, 1);
+    face.setStats({});
+    assert.deepStrictEqual(face.inbox, []);
+    face.toggleSessionList();
+    face.toggleInbox();
+    assert.ok(face.showInbox && !face.showSessionList);
+    face.toggleHelp();
+    assert.ok(face.showHelp && !face.showInbox);
+  });
+});
+
+describe('face.js -- waiting timer', () => {
+  test('the wait joins the status line after waitTimerMs and stops when the session moves on', () => {
+    const face = new ClaudeFace();
+    face.setState('waiting', 'allow Bash?');
+    assert.ok(face.waitingSince > 0);
+    face.waitingSince = Date.now() - 75000;
+    assert.ok(face.render().replace(/\x1b\[[^m]*m/g, '').includes('is waiting \u00b7 1m15s'));
+    face.waitTimerMs = 0;
+    assert.ok(!face.render().replace(/\x1b\[[^m]*m/g, '').includes('1m15s'));
+    face.minDisplayUntil = 0;
+    face.setState('coding', 'a.js');
+    assert.strictEqual(face.waitedMs(), 0);
+  });
+});
+
+describe('face.js -- schema warning', () => {
+  test('replaces the key hints while hooks and renderer disagree', () => {
+    const face = new ClaudeFace();
+    assert.ok(face.render().includes('pet'));
+    face.schemaWarning = 'hooks are older than this renderer';
+    const out = face.render().replace(/\x1b\[[^m]*m/g, '');
+    assert.ok(out.includes('\u26a0 hooks are older than this renderer'));
+    assert.ok(!out.includes('space pet'));
+  });
+});
+
 module.exports = { passed: () => passed, failed: () => failed };
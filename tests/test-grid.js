@@ -6,7 +6,7 @@
 // +================================================================+
 
 const assert = require('assert');
-const { MiniFace, OrbitalSystem, renderSessionList, isProcessAlive, STALE_MS, ORPHAN_TIMEOUT, REPOSITION_MS, CYCLE_WORK_STATES, CYCLE_INTERVAL, CYCLE_STALE_MS } = require('../grid');
+const { MiniFace, OrbitalSystem, renderSessionList, inboxItems, renderInbox, isProcessAlive, STALE_MS, ORPHAN_TIMEOUT, REPOSITION_MS, CYCLE_WORK_STATES, CYCLE_INTERVAL, CYCLE_STALE_MS } = require('../grid');
 const { gridMouths, eyes, mouths } = require('../animations');
 const { PALETTES } = require('../themes');
 const { ParticleSystem } = require('../particles');
@@ -53,6 +53,22 @@ describe('grid.js -- MiniFace modelName', () => {
   });
 });
 
+describe('grid.js -- MiniFace todo progress', () => {
+  test('shows its own progress in place of the branch', () => {
+    const face = new MiniFace('todo-sub');
+    face.updateFromFile({ state: 'coding', gitBranch: 'main', timestamp: 1, todos: { total: 5, done: 2, current: 'x' } });
+    assert.strictEqual(face._todoText(), '2/5 \u2713');
+    assert.ok(face.render(1, 1, 0).includes('2/5 \u2713'));
+  });
+
+  test('a finished list shows briefly, then the branch comes back', () => {
+    const face = new MiniFace('todo-sub');
+    face.updateFromFile({ state: 'proud', timestamp: 2, todos: { total: 2, done: 2, current: '', doneAt: 99 } });
+    assert.strictEqual(face._todoText(), '\u2605 done \u2605');
+    assert.strictEqual(face._todoText(Date.now() + 60000), '');
+  });
+});
+
 describe('grid.js -- MiniFace', () => {
   test('initializes with idle state', () => {
     const face = new MiniFace('test-session');
@@ -204,6 +220,24 @@ describe('grid.js -- OrbitalSystem', () => {
     orbital.update(66);
     assert.ok(orbital.rotationAngle < Math.PI * 2);
   });
+
+  test('updateSession adds a spawning orbital for a new subagent', () => {
+    const orbital = new OrbitalSystem();
+    orbital.mainSessionId = 'main';
+    orbital.updateSession({ session_id: 'sub', state: 'reading', detail: 'a.js', timestamp: 1 });
+    const mf = orbital.faces.get('sub');
+    assert.ok(mf && mf.spawning);
+    assert.strictEqual(mf.state, 'reading');
+  });
+
+  test('updateSession ignores the main session and stopped newcomers', () => {
+    const orbital = new OrbitalSystem();
+    orbital.updateSession({ session_id: 'early', state: 'reading' });
+    orbital.mainSessionId = 'main';
+    orbital.updateSession({ session_id: 'main', state: 'reading' });
+    orbital.updateSession({ session_id: 'gone', state: 'happy', stopped: true });
+    assert.strictEqual(orbital.faces.size, 0);
+  });
 });
 
 describe('grid.js -- OrbitalSystem calculateOrbit', () => {
@@ -879,6 +913,15 @@ describe('grid.js -- OrbitalSystem _assignLabels taskDescription', () => {
       'teammateName should take priority over taskDescription');
   });
 
+  test('a prompt preview labels the session', () => {
+    const os = new OrbitalSystem();
+    const face = new MiniFace('td-prompt');
+    face.updateFromFile({ state: 'listening', detail: 'fix the login redirect', promptPreview: 'fix the login redirect', cwd: '/home/user/project' });
+    os.faces.set('td-prompt', face);
+    os._assignLabels();
+    assert.strictEqual(face.label, 'fix the ');
+  });
+
   test('falls back to cwd when no taskDescription', () => {
     const os = new OrbitalSystem();
     const face = new MiniFace('td-fallback');
@@ -3442,6 +3485,18 @@ describe('MiniFace activity cycling', () => {
     assert.strictEqual(face.state, 'spawning');
   });
 
+  test('waiting faces do not cycle', () => {
+    const face = new MiniFace('waiting-sub');
+    face.parentSession = 'parent-1';
+    face.state = 'waiting';
+    face.lastUpdate = Date.now() - CYCLE_STALE_MS - 1000;
+    face.firstSeen = Date.now() - (3 * CYCLE_INTERVAL + 500);
+    face.minDisplayUntil = 0;
+    face.tick(100);
+    assert.strictEqual(face.state, 'waiting');
+    assert.ok(face.waitingSince > 0, 'the wait clock keeps running');
+  });
+
   test('fresh data prevents cycling (sinceUpdate < CYCLE_STALE_MS)', () => {
     const face = new MiniFace('fresh-data');
     face.parentSession = 'parent-1';
@@ -3543,4 +3598,77 @@ describe('MiniFace activity cycling', () => {
   });
 });
 
+describe('grid.js -- listening state', () => {
+  test('work interrupts listening', () => {
+    const face = new MiniFace('listen-test');
+    face.updateFromFile({ state: 'listening', detail: 'fix the login redirect' });
+    assert.strictEqual(face.state, 'listening');
+    assert.notStrictEqual(face.getEyes(), ' \u2588\u2588 \u2588\u2588');
+    face.updateFromFile({ state: 'coding', detail: 'auth.js' });
+    assert.strictEqual(face.state, 'coding');
+  });
+
+  test('session list shows the longer prompt preview as the label', () => {
+    const face = new MiniFace('listen-list');
+    face.updateFromFile({ state: 'listening', detail: 'x', promptPreview: 'fix the login redirect', cwd: '/home/user/p' });
+    face.label = 'fix the ';
+    const out = renderSessionList(80, 40, [face], PALETTES[0].themes).replace(/\x1b\[[^m]*m|\x1b\[\d+;\d+H/g, '');
+    assert.ok(out.includes('listening'));
+    assert.ok(out.includes('fix the login redirect'));
+  });
+});
+
+describe('grid.js -- inbox overlay', () => {
+  const plain = s => s.replace(/\x1b\[\d+;\d+H/g, '\n').replace(/\x1b\[[^m]*m/g, '');
+
+  test('a session\'s inbox empties when it moves on', () => {
+    const face = new MiniFace('inbox-1');
+    face.updateFromFile({ state: 'waiting', inbox: [{ kind: 'permission', text: 'allow Bash?', at: 1 }], timestamp: 1 });
+    assert.strictEqual(face.inbox.length, 1);
+    face.updateFromFile({ state: 'coding', detail: 'a.js', timestamp: 2 });
+    assert.deepStrictEqual(face.inbox, []);
+  });
+
+  test('items from every session, oldest first, named by folder', () => {
+    const orbit = new MiniFace('inbox-2');
+    orbit.updateFromFile({ state: 'waiting', cwd: '/work/docs', inbox: [{ kind: 'notification', text: 'waiting for input', at: 5 }] });
+    const stopped = new MiniFace('inbox-3');
+    stopped.updateFromFile({ state: 'waiting', cwd: '/work/old', inbox: [{ kind: 'notification', text: 'gone', at: 1 }] });
+    stopped.stopped = true;
+    const main = { state: 'waiting', cwd: '/work/api-refactor', inbox: [{ kind: 'permission', text: 'allow Bash `npm publish`?', at: 9 }] };
+    const items = inboxItems(main, [orbit, stopped]);
+    assert.deepStrictEqual(items.map(i => `${i.session}: ${i.text}`), ['docs: waiting for input', 'api-refactor: allow Bash `npm publish`?']);
+  });
+
+  test('renders one line per item with its age', () => {
+    const items = [{ kind: 'permission', text: 'allow Bash `npm publish`?', at: 1000, session: 'api-refactor', state: 'waiting' }];
+    const bounds = {};
+    const out = plain(renderInbox(80, 24, items, PALETTES[0].themes, 61000, bounds));
+    assert.ok(out.includes('1 open'));
+    assert.ok(out.includes('\u25cf api-refactor: allow Bash `npm publish`?'));
+    assert.ok(out.includes('1m00s'));
+    const rowLens = out.split('\n').filter(l => l.startsWith('\u2502')).map(l => l.length);
+    assert.ok(rowLens.every(n => n === bounds.w), 'rows fill the box exactly');
+    assert.ok(plain(renderInbox(80, 24, [], null, 0)).includes('nothing waiting on you'));
+    assert.strictEqual(renderInbox(30, 24, items, null, 0), '');
+  });
+});
+
+describe('grid.js -- waiting timer', () => {
+  test('an orbital shows how long it has waited in place of its detail', () => {
+    const orbital = new OrbitalSystem();
+    orbital.waitTimerMs = 5000;
+    const face = orbital._newFace('wait-1');
+    assert.strictEqual(face.waitTimerMs, 5000);
+    face.updateFromFile({ state: 'waiting', detail: 'allow Bash?', timestamp: 1 });
+    face.tick(16);
+    assert.ok(face.waitingSince > 0);
+    face.waitingSince = Date.now() - 65000;
+    assert.ok(face.render(1, 1, 0).includes('1m05s'));
+    face.updateFromFile({ state: 'coding', detail: 'a.js', timestamp: 2 });
+    face.tick(16);
+    assert.strictEqual(face.waitingSince, 0);
+  });
+});
+
 module.exports = { passed: () => passed, failed: () => failed };
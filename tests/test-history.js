@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+'use strict';
+
+// +================================================================+
+// |  Code Crumb Test Suite - history.js                               |
+// +================================================================+
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  HISTORY_MAX_BYTES, HISTORY_DEFAULT_LIMIT,
+  SESSION_IDLE_MS, MAX_OPEN_SESSIONS,
+  historySettings, sessionRecord, trimHistory, appendHistory, archiveSession,
+  parkSession, resumeSession, archiveIdleSessions,
+  readHistory, filterHistory, parseSince, parseHistoryArgs, formatHistory, runHistoryCommand,
+} = require('../history');
+
+let passed = 0;
+let failed = 0;
+let currentDescribe = '';
+
+function describe(name, fn) {
+  currentDescribe = name;
+  console.log(`\n  ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`    \x1b[32m✓\x1b[0m ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`    \x1b[31m✗\x1b[0m ${name}`);
+    console.log(`      ${e.message}`);
+  }
+}
+
+function withTmp(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-history-'));
+  try { fn(path.join(dir, 'history.jsonl'), dir); }
+  finally { try { fs.rmSync(dir, { recursive: true }); } catch {} }
+}
+
+const ON = { enabled: true, maxBytes: HISTORY_MAX_BYTES };
+
+function session(fields) {
+  return {
+    id: 's1', start: 1000, startedAt: 1000, toolCalls: 3, filesEdited: ['a.js'], subagentCount: 0, commitCount: 1,
+    project: '/work/alpha', branch: 'main', model: 'opus', toolsByCategory: { edit: 2, read: 1 },
+    editedPaths: ['src/a.js'], totalErrors: 1, bestStreak: 2,
+    ...fields,
+  };
+}
+
+function sink() {
+  const out = { text: '', write(s) { this.text += s; } };
+  return out;
+}
+
+describe('history.js -- historySettings', () => {
+  test('defaults', () => {
+    assert.deepStrictEqual(historySettings({}), ON);
+    assert.deepStrictEqual(historySettings(null), ON);
+  });
+
+  test('prefs disable or resize', () => {
+    assert.deepStrictEqual(historySettings({ history: false, historyMaxBytes: 500 }), { enabled: false, maxBytes: 500 });
+    assert.strictEqual(historySettings({ historyMaxBytes: -1 }).maxBytes, HISTORY_MAX_BYTES);
+  });
+});
+
+describe('history.js -- sessionRecord', () => {
+  test('summarises the session', () => {
+    const r = sessionRecord(session(), 61000);
+    assert.deepStrictEqual(r, {
+      id: 's1', start: 1000, end: 61000, durationMs: 60000,
+      project: '/work/alpha', projectName: 'alpha', branch: 'main', model: 'opus',
+      toolCalls: 3, toolsByCategory: { edit: 2, read: 1 }, files: ['src/a.js'],
+      commits: 1, errors: 1, subagents: 0, longestStreak: 2,
+      tokens: 0, usage: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 }, cost: 0,
+      waitMs: 0, waits: 0,
+    });
+  });
+
+  test('carries the time spent waiting on you', () => {
+    const r = sessionRecord(session({ waitMs: 840000, waitCount: 9 }), 2000);
+    assert.deepStrictEqual([r.waitMs, r.waits], [840000, 9]);
+    assert.ok(formatHistory([r]).includes('waited on you 14m00s \u00b7 9 prompts'));
+  });
+
+  test('carries token usage and cost', () => {
+    const r = sessionRecord(session({ usage: { input: 1000, output: 500, cacheWrite: 0, cacheRead: 10500 }, cost: 0.42 }), 2000);
+    assert.strictEqual(r.tokens, 12000);
+    assert.strictEqual(r.cost, 0.42);
+    assert.ok(formatHistory([r]).includes('12k tokens · $0.42'));
+  });
+
+  test('startedAt survives Stop zeroing start', () => {
+    const r = sessionRecord(session({ start: 0 }), 5000);
+    assert.strictEqual(r.start, 1000);
+    assert.strictEqual(r.durationMs, 4000);
+  });
+
+  test('older sessions fall back to start and basenames', () => {
+    const r = sessionRecord(session({ startedAt: undefined, editedPaths: undefined, project: undefined }), 2000);
+    assert.strictEqual(r.start, 1000);
+    assert.deepStrictEqual(r.files, ['a.js']);
+    assert.strictEqual(r.projectName, '');
+  });
+});
+
+describe('history.js -- archiveSession', () => {
+  test('appends once and marks the session', () => {
+    withTmp((file) => {
+      const stats = { session: session() };
+      assert.ok(archiveSession(stats, 2000, file));
+      assert.strictEqual(stats.session.archived, true);
+      assert.strictEqual(archiveSession(stats, 3000, file), null);
+      assert.strictEqual(readHistory(file).length, 1);
+    });
+  });
+
+  test('skips sessions that did nothing', () => {
+    withTmp((file) => {
+      assert.strictEqual(archiveSession({ session: session({ toolCalls: 0 }) }, 2000, file), null);
+      assert.strictEqual(archiveSession({ session: { id: null } }, 2000, file), null);
+      assert.ok(!fs.existsSync(file));
+    });
+  });
+
+  test('a subagent-only session is still recorded', () => {
+    withTmp((file) => {
+      assert.ok(archiveSession({ session: session({ toolCalls: 0, subagentCount: 2 }) }, 2000, file));
+    });
+  });
+});
+
+describe('history.js -- parallel sessions', () => {
+  test('a parked session comes back whole', () => {
+    const stats = { session: session({ id: 'a' }) };
+    parkSession(stats);
+    assert.strictEqual(resumeSession(stats, 'b'), null);
+    const back = resumeSession(stats, 'a');
+    assert.strictEqual(back.toolCalls, 3);
+    assert.deepStrictEqual(stats.openSessions, {});
+  });
+
+  test('archived sessions are not parked', () => {
+    const stats = { session: session({ archived: true }) };
+    parkSession(stats);
+    assert.strictEqual(stats.openSessions, undefined);
+  });
+
+  test('idle parked sessions are archived at their last event', () => {
+    withTmp((file) => {
+      const now = 10 * SESSION_IDLE_MS;
+      const stats = { openSessions: {
+        quiet: session({ id: 'quiet', lastEventAt: now - SESSION_IDLE_MS - 1 }),
+        busy: session({ id: 'busy', lastEventAt: now - 1000 }),
+        empty: session({ id: 'empty', toolCalls: 0, lastEventAt: 0 }),
+      } };
+      assert.strictEqual(archiveIdleSessions(stats, now, file), 1);
+      assert.deepStrictEqual(Object.keys(stats.openSessions), ['busy']);
+      const records = readHistory(file);
+      assert.deepStrictEqual(records.map(r => r.id), ['quiet']);
+      assert.strictEqual(records[0].end, now - SESSION_IDLE_MS - 1);
+    });
+  });
+
+  test('only the most recent MAX_OPEN_SESSIONS stay parked', () => {
+    withTmp((file) => {
+      const stats = { openSessions: {} };
+      for (let i = 0; i <= MAX_OPEN_SESSIONS; i++) {
+        stats.openSessions[`s${i}`] = session({ id: `s${i}`, lastEventAt: 5000 + i });
+      }
+      archiveIdleSessions(stats, 6000, file);
+      assert.strictEqual(Object.keys(stats.openSessions).length, MAX_OPEN_SESSIONS);
+      assert.deepStrictEqual(readHistory(file).map(r => r.id), ['s0']);
+    });
+  });
+});
+
+describe('history.js -- appendHistory / trimHistory', () => {
+  test('disabled history writes nothing', () => {
+    withTmp((file) => {
+      appendHistory({ id: 'x' }, file, { enabled: false, maxBytes: HISTORY_MAX_BYTES });
+      assert.ok(!fs.existsSync(file));
+    });
+  });
+
+  test('oldest records are dropped past the size limit', () => {
+    withTmp((file) => {
+      const settings = { enabled: true, maxBytes: 400 };
+      for (let i = 0; i < 20; i++) appendHistory({ id: `s${i}`, pad: 'x'.repeat(20) }, file, settings);
+      const ids = readHistory(file).map(r => r.id);
+      assert.ok(fs.statSync(file).size <= 400);
+      assert.strictEqual(ids[ids.length - 1], 's19');
+      assert.ok(!ids.includes('s0'));
+    });
+  });
+
+  test('a writer holding the lock holds off trims', () => {
+    withTmp((file) => {
+      const settings = { enabled: true, maxBytes: 100 };
+      fs.writeFileSync(`${file}.lock`, '999999');
+      for (let i = 0; i < 10; i++) appendHistory({ id: `s${i}`, pad: 'x'.repeat(20) }, file, settings);
+      assert.strictEqual(readHistory(file).length, 10, 'appended, but not trimmed under someone else\'s lock');
+      fs.unlinkSync(`${file}.lock`);
+      appendHistory({ id: 's10' }, file, settings);
+      assert.ok(fs.statSync(file).size <= 100);
+      assert.ok(!fs.existsSync(`${file}.lock`));
+    });
+  });
+
+  test('trimHistory on a missing file is a no-op', () => {
+    withTmp((file) => {
+      trimHistory(file, 100);
+      assert.ok(!fs.existsSync(file));
+    });
+  });
+
+  test('readHistory skips corrupt lines', () => {
+    withTmp((file) => {
+      fs.writeFileSync(file, '{"id":"a"}\nnot json\n{"id":"b"}\n');
+      assert.deepStrictEqual(readHistory(file).map(r => r.id), ['a', 'b']);
+    });
+  });
+});
+
+describe('history.js -- querying', () => {
+  const records = [
+    { id: 'a', end: 1000, project: '/w/alpha', projectName: 'alpha' },
+    { id: 'b', end: 3000, project: '/w/beta', projectName: 'beta' },
+    { id: 'c', end: 2000, project: '/w/alpha', projectName: 'alpha' },
+  ];
+
+  test('newest first', () => {
+    assert.deepStrictEqual(filterHistory(records).map(r => r.id), ['b', 'c', 'a']);
+  });
+
+  test('by project name or path, since and limit', () => {
+    assert.deepStrictEqual(filterHistory(records, { project: 'alpha' }).map(r => r.id), ['c', 'a']);
+    assert.deepStrictEqual(filterHistory(records, { project: '/w/beta' }).map(r => r.id), ['b']);
+    assert.deepStrictEqual(filterHistory(records, { since: 1500 }).map(r => r.id), ['b', 'c']);
+    assert.deepStrictEqual(filterHistory(records, { limit: 1 }).map(r => r.id), ['b']);
+  });
+
+  test('parseSince handles durations and dates', () => {
+    const now = 10 * 86400000;
+    assert.strictEqual(parseSince('7d', now), 3 * 86400000);
+    assert.strictEqual(parseSince('2h', now), now - 7200000);
+    assert.strictEqual(parseSince('2026-01-31', now), Date.parse('2026-01-31'));
+    assert.strictEqual(parseSince('soon', now), null);
+  });
+
+  test('parseHistoryArgs', () => {
+    const o = parseHistoryArgs(['--project', 'alpha', '--since', '1d', '--limit', '5', '--json'], 2 * 86400000);
+    assert.deepStrictEqual(o, { project: 'alpha', since: 86400000, limit: 5, json: true, error: '' });
+    assert.strictEqual(parseHistoryArgs([]).limit, HISTORY_DEFAULT_LIMIT);
+    assert.strictEqual(parseHistoryArgs(['--all']).limit, 0);
+    assert.ok(parseHistoryArgs(['--limit', 'zero']).error);
+    assert.ok(parseHistoryArgs(['--bogus']).error);
+  });
+});
+
+describe('history.js -- output', () => {
+  test('formatHistory prints two lines per session', () => {
+    const text = formatHistory([sessionRecord(session(), 61000)]);
+    const lines = text.split('\n');
+    assert.strictEqual(lines.length, 2);
+    assert.ok(lines[0].includes('1m00s'));
+    assert.ok(lines[0].includes('alpha ⎇ main'));
+    assert.ok(lines[0].includes('opus'));
+    assert.ok(lines[1].includes('3 calls (edit 2 · read 1)'));
+    assert.ok(lines[1].includes('1 file ·'));
+    assert.ok(lines[1].includes('1 commit ·'));
+    assert.ok(lines[1].includes('1 error'));
+    assert.ok(lines[1].includes('best streak 2'));
+  });
+
+  test('formatHistory with nothing recorded', () => {
+    assert.strictEqual(formatHistory([]), 'No sessions recorded yet.');
+  });
+
+  test('runHistoryCommand prints JSON and reports bad options', () => {
+    withTmp((file) => {
+      appendHistory(sessionRecord(session(), 61000), file, ON);
+      const out = sink();
+      assert.strictEqual(runHistoryCommand(['--json'], out, file), 0);
+      assert.strictEqual(JSON.parse(out.text)[0].id, 's1');
+      const bad = sink();
+      assert.strictEqual(runHistoryCommand(['--since', 'whenever'], bad, file), 1);
+      assert.ok(bad.text.includes('usage:'));
+    });
+  });
+
+  test('--project . means the current repo', () => {
+    withTmp((file, dir) => {
+      fs.mkdirSync(path.join(dir, '.git'));
+      appendHistory(sessionRecord(session({ project: dir }), 2000), file, ON);
+      appendHistory(sessionRecord(session({ id: 's2' }), 3000), file, ON);
+      const out = sink();
+      runHistoryCommand(['--project', '.', '--json'], out, file, path.join(dir));
+      assert.deepStrictEqual(JSON.parse(out.text).map(r => r.id), ['s1']);
+    });
+  });
+});
+
+module.exports = { passed: () => passed, failed: () => failed };
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+'use strict';
+
+// +================================================================+
+// |  Code Crumb Test Suite - inbox.js                                 |
+// +================================================================+
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { INBOX_MAX, INBOX_TEXT_MAX, inboxItem, nextInbox } = require('../inbox');
+
+let passed = 0;
+let failed = 0;
+let currentDescribe = '';
+
+function describe(name, fn) {
+  currentDescribe = name;
+  console.log(`\n  ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`    \x1b[32m✓\x1b[0m ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`    \x1b[31m✗\x1b[0m ${name}`);
+    console.log(`      ${e.message}`);
+  }
+}
+
+describe('inbox.js -- inbox items', () => {
+  test('inboxItem keeps what the session is waiting on', () => {
+    assert.deepStrictEqual(inboxItem('PermissionRequest', { tool_name: 'Bash', tool_input: { command: 'npm publish' } }, null, 7),
+      { kind: 'permission', text: 'allow Bash `npm publish`?', at: 7, tool: 'Bash' });
+    assert.strictEqual(inboxItem('PermissionRequest', { tool_name: 'Edit', tool_input: { file_path: '/r/src/auth.js' } }).text, 'allow Edit `auth.js`?');
+    assert.strictEqual(inboxItem('PermissionRequest', { tool_name: 'WebFetch', tool_input: { url: 'https://example.com/x' } }).text, 'allow WebFetch `example.com`?');
+    assert.strictEqual(inboxItem('PermissionRequest', {}).text, 'needs permission');
+    assert.strictEqual(inboxItem('Elicitation', { mcp_server_name: 'github', message: 'Which repo?' }).text, 'github: Which repo?');
+    assert.strictEqual(inboxItem('Notification', { message: 'Claude is waiting for your input' }).kind, 'notification');
+    assert.strictEqual(inboxItem('PreToolUse', {}), null);
+  });
+
+  test('long commands are cut inside the quotes and secrets masked', () => {
+    const item = inboxItem('PermissionRequest', { tool_name: 'Bash', tool_input: { command: 'curl -H "token=hunter2secret" ' + 'x'.repeat(80) } });
+    assert.ok(item.text.length <= INBOX_TEXT_MAX);
+    assert.ok(item.text.endsWith('\u2026`?'));
+    assert.ok(item.text.includes('token=***'));
+  });
+
+  test('nextInbox dedupes, prefers the request over its notification and caps', () => {
+    const req = inboxItem('PermissionRequest', { tool_name: 'Bash', tool_input: { command: 'ls' } }, null, 1);
+    const note = inboxItem('Notification', { message: 'Claude needs your permission to use Bash', notification_type: 'permission_prompt' }, null, 2);
+    assert.deepStrictEqual(nextInbox(nextInbox(null, req), note), [req]);
+    assert.deepStrictEqual(nextInbox(nextInbox(null, note), req), [req]);
+    let inbox = [];
+    for (let i = 0; i < INBOX_MAX + 2; i++) inbox = nextInbox(inbox, inboxItem('Notification', { message: `m${i}` }, null, i));
+    assert.strictEqual(inbox.length, INBOX_MAX);
+    assert.strictEqual(inbox[INBOX_MAX - 1].text, `m${INBOX_MAX + 1}`);
+    assert.strictEqual(nextInbox(inbox, inboxItem('Notification', { message: 'm6' })).length, INBOX_MAX);
+  });
+
+  test('update-state.js collects waiting events and clears them when the session moves on', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-inbox-'));
+    const hook = (event, input) => {
+      try {
+        execFileSync(process.execPath, [path.join(__dirname, '..', 'update-state.js'), event], {
+          input: JSON.stringify({ session_id: 'inbox-1', ...input }), env: { ...process.env, CODE_CRUMB_HOME: dir }, cwd: dir,
+          timeout: 10000, stdio: ['pipe', 'pipe', 'pipe'],
+        });
+      } catch (e) {
+        if (e.status !== 0 && e.status !== null) throw e;
+      }
+      return JSON.parse(fs.readFileSync(path.join(dir, 'sessions', 'inbox-1.json'), 'utf8'));
+    };
+    try {
+      hook('PermissionRequest', { tool_name: 'Bash', tool_input: { command: 'npm publish' } });
+      let session = hook('Elicitation', { mcp_server_name: 'github', message: 'Which repo?' });
+      assert.deepStrictEqual(session.inbox.map(i => i.text), ['allow Bash `npm publish`?', 'github: Which repo?']);
+      assert.ok(session.inbox.every(i => i.at > 0));
+      assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'state'), 'utf8')).inbox.length, 2);
+      session = hook('PreToolUse', { tool_name: 'Bash', tool_input: { command: 'npm publish' } });
+      assert.strictEqual(session.inbox, undefined);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+module.exports = { passed: () => passed, failed: () => failed };
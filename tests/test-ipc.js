@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+'use strict';
+
+// +================================================================+
+// |  Code Crumb Test Suite - ipc.js                                   |
+// +================================================================+
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ipcSend, ipcFlush, socketOwned, IPC_FLUSH_MS } = require('../ipc');
+
+const NODE = process.execPath;
+const ROOT = path.join(__dirname, '..');
+
+let passed = 0;
+let failed = 0;
+let currentDescribe = '';
+
+function describe(name, fn) {
+  currentDescribe = name;
+  console.log(`\n  ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`    \x1b[32m✓\x1b[0m ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`    \x1b[31m✗\x1b[0m ${name}`);
+    console.log(`      ${e.message}`);
+  }
+}
+
+function withTmp(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crumb-ipc-'));
+  try { fn(dir); }
+  finally { try { fs.rmSync(dir, { recursive: true, force: true }); } catch {} }
+}
+
+// Runs a listener on sockPath in a child process, fires the given hook events
+// one after another, and returns every message the listener received. An
+// event with args runs that command line instead of update-state.js.
+function collectMessages(dir, sockPath, events) {
+  const script = path.join(dir, 'listen.js');
+  fs.writeFileSync(script, `
+    const { spawn } = require('child_process');
+    const { createIpcServer, closeIpcServer } = require(${JSON.stringify(path.join(ROOT, 'ipc'))});
+    const sock = ${JSON.stringify(sockPath)};
+    const events = ${JSON.stringify(events)};
+    const msgs = [];
+    const done = () => { closeIpcServer(server, sock); process.stdout.write(JSON.stringify(msgs)); process.exit(0); };
+    setTimeout(done, 8000);
+    const server = createIpcServer((m) => msgs.push(m), sock, () => next(0));
+    function next(i) {
+      if (i >= events.length) { setTimeout(done, 100); return; }
+      const args = events[i].args || [${JSON.stringify(path.join(ROOT, 'update-state.js'))}, events[i].event];
+      const child = spawn(process.execPath, args,
+        { env: process.env, stdio: ['pipe', 'ignore', 'ignore'] });
+      child.on('exit', () => next(i + 1));
+      child.stdin.end(JSON.stringify(events[i].input));
+    }
+  `);
+  const env = {
+    ...process.env,
+    HOME: dir,
+    USERPROFILE: dir,
+    CODE_CRUMB_HOME: dir,
+    CODE_CRUMB_STATE: path.join(dir, '.code-crumb-state'),
+    CODE_CRUMB_SOCKET: sockPath,
+    CODE_CRUMB_DAEMON_SOCKET: path.join(dir, 'daemon.sock'),
+  };
+  const out = execFileSync(NODE, [script], { env, timeout: 15000, stdio: ['pipe', 'pipe', 'pipe'] });
+  return JSON.parse(out.toString());
+}
+
+describe('ipc.js -- client without a listener', () => {
+  test('ipcSend returns false when the socket does not exist', () => {
+    withTmp((dir) => {
+      assert.strictEqual(ipcSend('state', { state: 'idle' }, path.join(dir, 'none.sock')), false);
+    });
+  });
+
+  if (process.platform !== 'win32') {
+    test('a path that isn\'t a socket of ours is never connected to', () => {
+      withTmp((dir) => {
+        const planted = path.join(dir, 'planted.sock');
+        fs.writeFileSync(planted, '');
+        assert.strictEqual(socketOwned(planted), false);
+        assert.strictEqual(socketOwned(path.join(dir, 'none.sock')), false);
+        assert.strictEqual(ipcSend('state', { state: 'idle' }, planted), false);
+      });
+    });
+  }
+
+  test('ipcFlush calls done immediately when nothing was sent', () => {
+    let calls = 0;
+    ipcFlush(() => { calls++; });
+    assert.strictEqual(calls, 1);
+  });
+
+  test('flush budget stays short enough for hooks', () => {
+    assert.ok(IPC_FLUSH_MS > 0 && IPC_FLUSH_MS <= 100);
+  });
+});
+
+if (process.platform !== 'win32') {
+  describe('ipc.js -- hook to renderer round trip', () => {
+    test('hook pushes state then session, in order', () => {
+      withTmp((dir) => {
+        const msgs = collectMessages(dir, path.join(dir, 'crumb.sock'), [
+          { event: 'PreToolUse', input: { session_id: 'ipc-1', tool_name: 'Read', tool_input: { file_path: '/a/b.js' } } },
+        ]);
+        assert.deepStrictEqual(msgs.map(m => m.kind), ['state', 'session']);
+        assert.strictEqual(msgs[0].data.state, 'reading');
+        assert.strictEqual(msgs[0].data.sessionId, 'ipc-1');
+        assert.strictEqual(msgs[1].data.session_id, 'ipc-1');
+      });
+    });
+
+    test('events from consecutive hooks arrive in order', () => {
+      withTmp((dir) => {
+        const msgs = collectMessages(dir, path.join(dir, 'crumb.sock'), [
+          { event: 'PreToolUse', input: { session_id: 'ipc-2', tool_name: 'Read', tool_input: { file_path: '/a.js' } } },
+          { event: 'PreToolUse', input: { session_id: 'ipc-2', tool_name: 'Edit', tool_input: { file_path: '/a.js' } } },
+        ]);
+        const states = msgs.filter(m => m.kind === 'state').map(m => m.data.state);
+        assert.deepStrictEqual(states, ['reading', 'coding']);
+      });
+    });
+
+    test('state file is still written as the fallback', () => {
+      withTmp((dir) => {
+        collectMessages(dir, path.join(dir, 'crumb.sock'), [
+          { event: 'PreToolUse', input: { session_id: 'ipc-3', tool_name: 'Read', tool_input: { file_path: '/a.js' } } },
+        ]);
+        const state = JSON.parse(fs.readFileSync(path.join(dir, '.code-crumb-state'), 'utf8'));
+        assert.strictEqual(state.state, 'reading');
+      });
+    });
+
+    test('codex notify events reach the renderer before the handler exits', () => {
+      withTmp((dir) => {
+        const notify = path.join(ROOT, 'adapters', 'codex-notify.js');
+        const event = { type: 'approval-requested', 'thread-id': 'ipc-notify' };
+        const msgs = collectMessages(dir, path.join(dir, 'crumb.sock'), [
+          { args: [notify, JSON.stringify(event)], input: {} },
+        ]);
+        const states = msgs.filter(m => m.kind === 'state').map(m => m.data.state);
+        assert.deepStrictEqual(states, ['waiting']);
+      });
+    });
+
+    test('listener removes its socket file on close', () => {
+      withTmp((dir) => {
+        const sock = path.join(dir, 'crumb.sock');
+        collectMessages(dir, sock, []);
+        assert.ok(!fs.existsSync(sock));
+      });
+    });
+  });
+}
+
+module.exports = { passed: () => passed, failed: () => failed };
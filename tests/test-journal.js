@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+'use strict';
+
+// +================================================================+
+// |  Code Crumb Test Suite - journal.js                               |
+// +================================================================+
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  JOURNAL_MAX_BYTES, JOURNAL_KEEP,
+  journalSettings, journalRecord, rotateJournal, appendJournal, readJournal,
+} = require('../journal');
+
+let passed = 0;
+let failed = 0;
+let currentDescribe = '';
+
+function describe(name, fn) {
+  currentDescribe = name;
+  console.log(`\n  ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`    \x1b[32m✓\x1b[0m ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`    \x1b[31m✗\x1b[0m ${name}`);
+    console.log(`      ${e.message}`);
+  }
+}
+
+function withTmp(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-journal-'));
+  try { fn(path.join(dir, 'journal.jsonl'), dir); }
+  finally { try { fs.rmSync(dir, { recursive: true }); } catch {} }
+}
+
+describe('journal.js -- journalSettings', () => {
+  test('defaults', () => {
+    assert.deepStrictEqual(journalSettings({}), { enabled: true, maxBytes: JOURNAL_MAX_BYTES, keep: JOURNAL_KEEP });
+    assert.deepStrictEqual(journalSettings(null), journalSettings({}));
+  });
+
+  test('prefs override size, retention and enable flag', () => {
+    const s = journalSettings({ journal: false, journalMaxBytes: 500, journalKeep: 0 });
+    assert.deepStrictEqual(s, { enabled: false, maxBytes: 500, keep: 0 });
+  });
+
+  test('invalid values fall back to defaults', () => {
+    const s = journalSettings({ journalMaxBytes: -5, journalKeep: 1.5 });
+    assert.strictEqual(s.maxBytes, JOURNAL_MAX_BYTES);
+    assert.strictEqual(s.keep, JOURNAL_KEEP);
+  });
+});
+
+describe('journal.js -- journalRecord', () => {
+  test('keeps only the fields that are set', () => {
+    const rec = journalRecord({ ts: 5, event: 'Stop', session: 's1', state: 'responding', detail: 'wrapping up' });
+    assert.deepStrictEqual(rec, { ts: 5, event: 'Stop', session: 's1', state: 'responding', detail: 'wrapping up' });
+  });
+
+  test('redacts and caps the detail', () => {
+    const rec = journalRecord({ event: 'PreToolUse', tool: 'Bash', detail: 'TOKEN=abcd1234efgh ' + 'x'.repeat(400) });
+    assert.ok(rec.detail.startsWith('TOKEN=***'));
+    assert.strictEqual(rec.detail.length, 200);
+    assert.ok(rec.ts > 0);
+  });
+});
+
+describe('journal.js -- append, rotate and read', () => {
+  test('appends one JSON line per event', () => {
+    withTmp((file) => {
+      const settings = journalSettings({});
+      appendJournal({ event: 'PreToolUse', session: 's', tool: 'Read', state: 'reading' }, file, settings);
+      appendJournal({ event: 'PostToolUse', session: 's', tool: 'Read', state: 'satisfied' }, file, settings);
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+      assert.strictEqual(lines.length, 2);
+      assert.strictEqual(JSON.parse(lines[1]).state, 'satisfied');
+    });
+  });
+
+  test('disabled journal writes nothing', () => {
+    withTmp((file) => {
+      appendJournal({ event: 'Stop' }, file, journalSettings({ journal: false }));
+      assert.ok(!fs.existsSync(file));
+    });
+  });
+
+  test('rotates past maxBytes and keeps only journalKeep files', () => {
+    withTmp((file, dir) => {
+      const settings = journalSettings({ journalMaxBytes: 100, journalKeep: 2 });
+      for (let i = 0; i < 12; i++) {
+        appendJournal({ event: 'PreToolUse', session: 's', detail: `event ${i} ${'x'.repeat(40)}` }, file, settings);
+      }
+      const names = fs.readdirSync(dir).sort();
+      assert.deepStrictEqual(names.filter(n => n !== 'journal.jsonl'), ['journal.jsonl.1', 'journal.jsonl.2']);
+      const recs = readJournal(file, 2);
+      assert.ok(recs.length > 0 && recs.length < 12);
+      assert.ok(recs[recs.length - 1].detail.startsWith('event 11'));
+      for (let i = 1; i < recs.length; i++) {
+        assert.ok(Number(recs[i].detail.split(' ')[1]) > Number(recs[i - 1].detail.split(' ')[1]));
+      }
+    });
+  });
+
+  test('a rotation already in progress is left alone', () => {
+    withTmp((file, dir) => {
+      const settings = journalSettings({ journalMaxBytes: 100, journalKeep: 2 });
+      fs.writeFileSync(`${file}.lock`, '999999');
+      appendJournal({ event: 'a', detail: 'x'.repeat(150) }, file, settings);
+      assert.ok(!fs.existsSync(`${file}.1`), 'the lock holder rotates');
+      fs.unlinkSync(`${file}.lock`);
+      appendJournal({ event: 'b' }, file, settings);
+      assert.ok(fs.existsSync(`${file}.1`));
+      assert.ok(!fs.existsSync(`${file}.lock`));
+    });
+  });
+
+  test('concurrent writers rotating together lose no lines', () => {
+    withTmp((file) => {
+      const journal = JSON.stringify(path.join(__dirname, '..', 'journal'));
+      const writer = `const j = require(${journal});
+        const settings = j.journalSettings({ journalMaxBytes: 600, journalKeep: 500 });
+        for (let i = 0; i < 150; i++) j.appendJournal({ event: 'w' + process.argv[1] }, ${JSON.stringify(file)}, settings);`;
+      const script = `const { spawn } = require('child_process');
+        let left = 4;
+        for (let n = 0; n < 4; n++) {
+          spawn(process.execPath, ['-e', ${JSON.stringify(writer)}, String(n)], { stdio: 'ignore' })
+            .on('exit', () => { if (--left === 0) process.exit(0); });
+        }`;
+      execFileSync(process.execPath, ['-e', script], { timeout: 60000 });
+      assert.strictEqual(readJournal(file, 500).length, 600);
+    });
+  });
+
+  test('journalKeep 0 discards instead of rotating', () => {
+    withTmp((file, dir) => {
+      fs.writeFileSync(file, 'x'.repeat(50));
+      rotateJournal(file, 0);
+      assert.deepStrictEqual(fs.readdirSync(dir), []);
+    });
+  });
+
+  test('readJournal skips corrupt lines and missing files', () => {
+    withTmp((file) => {
+      fs.writeFileSync(file, '{"event":"a"}\nnot json\n{"event":"b"}\n');
+      assert.deepStrictEqual(readJournal(file).map(r => r.event), ['a', 'b']);
+      assert.deepStrictEqual(readJournal(file + '.missing'), []);
+    });
+  });
+
+  test('readJournal reads as many rotated files as journalKeep keeps', () => {
+    withTmp((file, dir) => {
+      fs.writeFileSync(path.join(dir, 'prefs.json'), JSON.stringify({ journalKeep: 5 }));
+      for (let i = 5; i >= 1; i--) fs.writeFileSync(`${file}.${i}`, `{"event":"r${i}"}\n`);
+      fs.writeFileSync(file, '{"event":"now"}\n');
+      const out = execFileSync(process.execPath, ['-e',
+        `process.stdout.write(JSON.stringify(require(${JSON.stringify(path.join(__dirname, '..', 'journal'))}).readJournal(${JSON.stringify(file)})))`],
+        { env: { ...process.env, CODE_CRUMB_HOME: dir }, timeout: 10000 });
+      assert.deepStrictEqual(JSON.parse(out).map(r => r.event), ['r5', 'r4', 'r3', 'r2', 'r1', 'now']);
+    });
+  });
+});
+
+module.exports = { passed: () => passed, failed: () => failed };
@@ -43,7 +43,7 @@ describe('particles.js -- ParticleSystem', () => {
   });
 
   test('all particle styles can be spawned', () => {
-    const styles = ['float', 'sparkle', 'glitch', 'orbit', 'zzz', 'question', 'sweat', 'falling', 'speedline', 'echo', 'stream', 'heart', 'push', 'rain', 'fire'];
+    const styles = ['float', 'sparkle', 'glitch', 'orbit', 'zzz', 'question', 'sweat', 'falling', 'speedline', 'echo', 'stream', 'heart', 'push', 'rain', 'fire', 'alarm'];
     for (const style of styles) {
       const ps = new ParticleSystem();
       ps.spawn(3, style);
@@ -235,7 +235,7 @@ describe('particles.js -- spawn edge cases', () => {
   });
 
   test('spawn count 0 does not crash for any style', () => {
-    const styles = ['float', 'sparkle', 'glitch', 'orbit', 'zzz', 'question', 'sweat', 'falling', 'speedline', 'echo', 'stream', 'heart', 'push', 'rain', 'fire'];
+    const styles = ['float', 'sparkle', 'glitch', 'orbit', 'zzz', 'question', 'sweat', 'falling', 'speedline', 'echo', 'stream', 'heart', 'push', 'rain', 'fire', 'alarm'];
     for (const style of styles) {
       const ps = new ParticleSystem();
       ps.spawn(0, style);
@@ -463,7 +463,7 @@ describe('particles.js -- unknown style is silently ignored', () => {
 
 describe('particles.js -- particle maxLife property', () => {
   test('all styles have positive maxLife', () => {
-    const styles = ['float', 'sparkle', 'glitch', 'orbit', 'zzz', 'question', 'sweat', 'falling', 'speedline', 'echo', 'stream', 'heart', 'push', 'rain', 'fire'];
+    const styles = ['float', 'sparkle', 'glitch', 'orbit', 'zzz', 'question', 'sweat', 'falling', 'speedline', 'echo', 'stream', 'heart', 'push', 'rain', 'fire', 'alarm'];
     for (const style of styles) {
       const ps = new ParticleSystem();
       ps.spawn(1, style);
@@ -474,7 +474,7 @@ describe('particles.js -- particle maxLife property', () => {
   });
 
   test('maxLife is greater than or equal to initial life for all styles', () => {
-    const styles = ['float', 'sparkle', 'glitch', 'orbit', 'zzz', 'question', 'sweat', 'falling', 'speedline', 'echo', 'stream', 'heart', 'push', 'rain', 'fire'];
+    const styles = ['float', 'sparkle', 'glitch', 'orbit', 'zzz', 'question', 'sweat', 'falling', 'speedline', 'echo', 'stream', 'heart', 'push', 'rain', 'fire', 'alarm'];
     for (const style of styles) {
       const ps = new ParticleSystem();
       ps.spawn(1, style);
@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+'use strict';
+
+// +================================================================+
+// |  Code Crumb Test Suite - report.js                                |
+// +================================================================+
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  REPORT_DEFAULT_ROWS,
+  readStatsFile, parseStatsArgs, findProject, historyDays, buildStatsReport,
+  formatStatsCsv, formatStatsReport, runStatsCommand,
+} = require('../report');
+const { defaultStats, defaultDaily, defaultProjectStats } = require('../state-machine');
+
+const NODE = process.execPath;
+const ROOT = path.join(__dirname, '..');
+
+let passed = 0;
+let failed = 0;
+let currentDescribe = '';
+
+function describe(name, fn) {
+  currentDescribe = name;
+  console.log(`\n  ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`    \x1b[32m✓\x1b[0m ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`    \x1b[31m✗\x1b[0m ${name}`);
+    console.log(`      ${e.message}`);
+  }
+}
+
+function withTmp(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-report-'));
+  try { fn(dir); }
+  finally { try { fs.rmSync(dir, { recursive: true }); } catch {} }
+}
+
+function sink() {
+  return { text: '', write(s) { this.text += s; } };
+}
+
+const NOW = Date.parse('2026-03-03T12:00:00Z');
+const ALPHA = path.resolve('/work/alpha');
+
+// Two days in the calendar, today live, one project
+function sampleStats() {
+  const stats = defaultStats();
+  Object.assign(stats, {
+    totalToolCalls: 200, totalErrors: 10, streak: 7, bestStreak: 40,
+    records: { longestSession: 3600000, mostSubagents: 3, mostFilesEdited: 12 },
+    calendar: {
+      '2026-02-27': { sessions: 1, activeMs: 60000, toolCalls: 10, errors: 1, commits: 0 },
+      '2026-03-02': { sessions: 2, activeMs: 120000, toolCalls: 20, errors: 0, commits: 1 },
+    },
+    daily: { ...defaultDaily('2026-03-03'), sessionCount: 1, toolCalls: 5, errors: 2 },
+    dayStreak: { current: 2, best: 5, lastDate: '2026-03-03' },
+    frequentFiles: { 'a.js': 9, 'b.js': 3 },
+    errorKinds: { 'tests failed': 6, 'exit 1': 4 },
+  });
+  stats.projects[ALPHA] = { ...defaultProjectStats(ALPHA), streak: 3, bestStreak: 9, totalToolCalls: 50, sessionCount: 4, lastSeen: NOW };
+  return stats;
+}
+
+describe('report.js -- parseStatsArgs', () => {
+  test('defaults', () => {
+    const o = parseStatsArgs([]);
+    assert.strictEqual(o.by, 'day');
+    assert.strictEqual(o.format, 'text');
+    assert.strictEqual(o.limit, REPORT_DEFAULT_ROWS);
+    assert.strictEqual(o.error, '');
+  });
+
+  test('filters and formats', () => {
+    const o = parseStatsArgs(['--project', 'alpha', '--since', '7d', '--until', '2026-03-01', '--by', 'week', '--csv'], NOW);
+    assert.strictEqual(o.project, 'alpha');
+    assert.strictEqual(o.since, NOW - 7 * 86400000);
+    assert.strictEqual(o.until, Date.parse('2026-03-01'));
+    assert.strictEqual(o.by, 'week');
+    assert.strictEqual(o.format, 'csv');
+  });
+
+  test('bad values are reported', () => {
+    assert.ok(parseStatsArgs(['--by', 'year']).error);
+    assert.ok(parseStatsArgs(['--since', 'later']).error);
+    assert.ok(parseStatsArgs(['--limit', '0']).error);
+    assert.ok(parseStatsArgs(['--what']).error);
+  });
+});
+
+describe('report.js -- findProject', () => {
+  test('by name, root or path', () => {
+    const stats = sampleStats();
+    assert.strictEqual(findProject(stats, 'alpha'), ALPHA);
+    assert.strictEqual(findProject(stats, ALPHA), ALPHA);
+    assert.strictEqual(findProject(stats, 'beta'), null);
+  });
+});
+
+describe('report.js -- buildStatsReport', () => {
+  test('all projects: totals, today, periods, top lists and projects', () => {
+    const r = buildStatsReport(sampleStats(), {}, [], NOW);
+    assert.strictEqual(r.project, null);
+    assert.deepStrictEqual(r.totals, { toolCalls: 200, errors: 10, streak: 7, bestStreak: 40, dayStreak: 2, bestDayStreak: 5 });
+    assert.deepStrictEqual(r.today, { date: '2026-03-03', sessions: 1, activeMs: 0, toolCalls: 5, errors: 2, commits: 0, tokens: 0, cost: 0, waitMs: 0, waits: 0 });
+    assert.deepStrictEqual(r.periods.map(p => p.period), ['2026-03-03', '2026-03-02', '2026-02-27']);
+    assert.deepStrictEqual(r.topFiles[0], { name: 'a.js', count: 9 });
+    assert.deepStrictEqual(r.errorKinds.map(e => e.name), ['tests failed', 'exit 1']);
+    assert.strictEqual(r.projects[0].name, 'alpha');
+  });
+
+  test('date range and grouping', () => {
+    const r = buildStatsReport(sampleStats(), { since: Date.parse('2026-03-01'), by: 'month' }, [], NOW);
+    assert.deepStrictEqual(r.range, { since: '2026-03-01', until: null });
+    assert.deepStrictEqual(r.periods.map(p => [p.period, p.days, p.toolCalls]), [['2026-03', 2, 25]]);
+  });
+
+  test('today is empty when the stats were last touched on an earlier day', () => {
+    const r = buildStatsReport(sampleStats(), {}, [], NOW + 86400000);
+    assert.strictEqual(r.today.toolCalls, 0);
+  });
+
+  test('a project is rolled up from its history records', () => {
+    const records = [
+      { project: ALPHA, end: Date.parse('2026-03-02T10:00:00Z'), durationMs: 1000, toolCalls: 4, errors: 1, commits: 1 },
+      { project: ALPHA, end: Date.parse('2026-03-02T11:00:00Z'), durationMs: 2000, toolCalls: 6 },
+      { project: '/elsewhere', end: Date.parse('2026-03-02T11:00:00Z'), toolCalls: 99 },
+    ];
+    const r = buildStatsReport(sampleStats(), { root: ALPHA }, records, NOW);
+    assert.deepStrictEqual(r.project, { name: 'alpha', root: ALPHA });
+    assert.strictEqual(r.totals.toolCalls, 50);
+    assert.strictEqual(r.totals.dayStreak, null);
+    assert.deepStrictEqual(r.periods, [
+      { period: '2026-03-02', days: 1, sessions: 2, activeMs: 3000, toolCalls: 10, errors: 1, commits: 1, tokens: 0, cost: 0, waitMs: 0, waits: 0 },
+    ]);
+    assert.strictEqual(r.projects, undefined);
+  });
+
+  test('historyDays groups by the day a session ended', () => {
+    const days = historyDays([{ project: ALPHA, end: Date.parse('2026-03-01T23:00:00Z'), toolCalls: 2 }], ALPHA);
+    assert.deepStrictEqual(Object.keys(days), ['2026-03-01']);
+  });
+});
+
+describe('report.js -- output', () => {
+  test('CSV has a header and one row per period', () => {
+    const csv = formatStatsCsv(buildStatsReport(sampleStats(), {}, [], NOW)).split('\n');
+    assert.strictEqual(csv[0], 'period,days,sessions,activeMs,toolCalls,errors,commits,tokens,cost,waitMs,waits');
+    assert.strictEqual(csv[1], '2026-03-03,1,1,0,5,2,0,0,0,0,0');
+    assert.strictEqual(csv.length, 4);
+  });
+
+  test('tokens and cost are summed into the periods', () => {
+    const stats = sampleStats();
+    stats.calendar['2026-03-02'] = { ...stats.calendar['2026-03-02'], tokens: 40000, cost: 0.1 };
+    stats.daily = { ...stats.daily, tokens: 2000000, cost: 0.2 };
+    const report = buildStatsReport(stats, { by: 'month' }, [], NOW);
+    assert.deepStrictEqual([report.periods[0].tokens, report.periods[0].cost.toFixed(2)], [2040000, '0.30']);
+    assert.ok(formatStatsCsv(report).split('\n')[1].endsWith(',2040000,0.3,0,0'));
+    assert.ok(formatStatsReport(report).includes('2M tokens · $0.30'));
+  });
+
+  test('time waited on you and the most approved permissions', () => {
+    const stats = sampleStats();
+    stats.calendar['2026-03-02'] = { ...stats.calendar['2026-03-02'], waitMs: 600000, waits: 5 };
+    stats.daily = { ...stats.daily, waitMs: 240000, waits: 4 };
+    stats.approvedTools = { 'Bash(npm test:*)': 2, 'Bash(npm publish:*)': 7 };
+    const report = buildStatsReport(stats, { by: 'month' }, [], NOW);
+    assert.deepStrictEqual([report.periods[0].waitMs, report.periods[0].waits], [840000, 9]);
+    assert.deepStrictEqual(report.approvedTools.map(a => a.name), ['Bash(npm publish:*)', 'Bash(npm test:*)']);
+    assert.ok(formatStatsCsv(report).split('\n')[1].endsWith(',840000,9'));
+    const text = formatStatsReport(report);
+    assert.ok(text.includes('waited on you 14m00s \u00b7 9 prompts'));
+    assert.ok(text.includes('Approved most\n      7  Bash(npm publish:*)'));
+  });
+
+  test('text report sections', () => {
+    const text = formatStatsReport(buildStatsReport(sampleStats(), {}, [], NOW));
+    assert.ok(text.includes('all projects'));
+    assert.ok(text.includes('200 · 10 errors (5.0%)'));
+    assert.ok(text.includes('2 days in a row (best 5)'));
+    assert.ok(text.includes('longest session 1h00m'));
+    assert.ok(text.includes('Today (2026-03-03)'));
+    assert.ok(text.includes('2026-03-02  2 sessions · 2m00s active · 20 calls · 1 commit'));
+    assert.ok(text.includes('tests failed'));
+    assert.ok(text.includes('alpha  streak 3 (best 9)'));
+  });
+
+  test('readStatsFile falls back to defaults', () => {
+    withTmp((dir) => {
+      assert.deepStrictEqual(readStatsFile(path.join(dir, 'none.json')), { ...defaultStats(), schema: 1 });
+    });
+  });
+
+  test('runStatsCommand rejects unknown projects and bad options', () => {
+    withTmp((dir) => {
+      const statsFile = path.join(dir, 'stats.json');
+      fs.writeFileSync(statsFile, JSON.stringify(sampleStats()));
+      const out = sink();
+      assert.strictEqual(runStatsCommand(['--project', 'nope'], out, { stats: statsFile }), 1);
+      assert.ok(out.text.includes('no stats for project'));
+      assert.strictEqual(runStatsCommand(['--by'], sink(), { stats: statsFile }), 1);
+      const json = sink();
+      assert.strictEqual(runStatsCommand(['--json', '--project', 'alpha'], json, { stats: statsFile, history: path.join(dir, 'h.jsonl') }), 0);
+      assert.strictEqual(JSON.parse(json.text).project.name, 'alpha');
+    });
+  });
+
+  test('code-crumb stats --csv reads the profile\'s stats file', () => {
+    withTmp((dir) => {
+      fs.writeFileSync(path.join(dir, 'stats.json'), JSON.stringify(sampleStats()));
+      const out = execFileSync(NODE, [path.join(ROOT, 'launch.js'), 'stats', '--csv', '--by', 'month'], {
+        env: { ...process.env, CODE_CRUMB_HOME: dir }, timeout: 10000,
+      }).toString().trim().split('\n');
+      assert.deepStrictEqual(out, [
+        'period,days,sessions,activeMs,toolCalls,errors,commits,tokens,cost,waitMs,waits',
+        '2026-03,2,3,120000,25,2,1,0,0,0,0',
+        '2026-02,1,1,60000,10,1,0,0,0,0,0',
+      ]);
+    });
+  });
+
+  if (process.platform !== 'win32') {
+    test('code-crumb stats writes all of a long report to a pipe', () => {
+      withTmp((dir) => {
+        const stats = defaultStats();
+        for (let i = 0; i < 3000; i++) {
+          stats.calendar[new Date(Date.UTC(2015, 0, 1) + i * 86400000).toISOString().slice(0, 10)] = { sessions: 1, activeMs: 60000, toolCalls: i, errors: 0, commits: 0 };
+        }
+        fs.writeFileSync(path.join(dir, 'stats.json'), JSON.stringify(stats));
+        // A reader slower than the writer, so output is still queued at exit
+        const out = execFileSync('sh', ['-c', `"$0" "$1" stats --json --limit 5000 | (sleep 0.5; cat)`, NODE, path.join(ROOT, 'launch.js')], {
+          env: { ...process.env, CODE_CRUMB_HOME: dir }, timeout: 10000,
+        }).toString();
+        assert.strictEqual(JSON.parse(out).periods.length, 3000);
+      });
+    });
+  }
+});
+
+module.exports = { passed: () => passed, failed: () => failed };
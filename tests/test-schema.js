@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+'use strict';
+
+// +================================================================+
+// |  Code Crumb Test Suite - schema.js                                |
+// +================================================================+
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  SCHEMA_VERSION, STATS_SCHEMA_VERSION,
+  validatePayload, sanitizePayload, schemaStatus, schemaWarning, migrateStats,
+} = require('../schema');
+const { defaultStats } = require('../state-machine');
+const { normalizeState } = require('../renderer');
+
+const NODE = process.execPath;
+const ROOT = path.join(__dirname, '..');
+
+let passed = 0;
+let failed = 0;
+let currentDescribe = '';
+
+function describe(name, fn) {
+  currentDescribe = name;
+  console.log(`\n  ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`    \x1b[32m✓\x1b[0m ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`    \x1b[31m✗\x1b[0m ${name}`);
+    console.log(`      ${e.message}`);
+  }
+}
+
+function withTmp(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-schema-'));
+  try { fn(dir); }
+  finally { try { fs.rmSync(dir, { recursive: true }); } catch {} }
+}
+
+describe('schema.js -- payloads', () => {
+  test('a hook-style state payload is valid', () => {
+    const r = validatePayload({ state: 'coding', detail: 'editing a.js', timestamp: 1, sessionId: 's', schema: SCHEMA_VERSION, project: null });
+    assert.deepStrictEqual(r, { ok: true, errors: [] });
+  });
+
+  test('missing required fields and wrong types are reported', () => {
+    assert.deepStrictEqual(validatePayload({ detail: 3 }).errors, ['state: missing', 'detail: expected string, got number']);
+    assert.deepStrictEqual(validatePayload({ state: 'idle' }, 'session').errors, ['session_id: missing']);
+    assert.deepStrictEqual(validatePayload({ state: 'idle', session_id: 'x', frequentFiles: [] }, 'session').errors,
+      ['frequentFiles: expected object, got array']);
+    assert.strictEqual(validatePayload('idle').ok, false);
+  });
+
+  test('sanitizePayload drops mistyped fields and keeps unknown ones', () => {
+    const out = sanitizePayload({ state: 'coding', toolCalls: '12', isTeammate: 'yes', custom: 1 }, 'session');
+    assert.deepStrictEqual(out, { state: 'coding', custom: 1 });
+    assert.deepStrictEqual(sanitizePayload(null), {});
+  });
+
+  test('renderer normalizeState falls back to defaults for mistyped fields', () => {
+    const s = normalizeState({ state: 'coding', toolCalls: 'lots', streak: 4 });
+    assert.strictEqual(s.toolCalls, 0);
+    assert.strictEqual(s.streak, 4);
+    assert.strictEqual(s.schema, 0);
+  });
+});
+
+describe('schema.js -- version checks', () => {
+  test('status compares against SCHEMA_VERSION', () => {
+    assert.strictEqual(schemaStatus({ schema: SCHEMA_VERSION }), 'ok');
+    assert.strictEqual(schemaStatus({}), 'older');
+    assert.strictEqual(schemaStatus({ schema: SCHEMA_VERSION + 1 }), 'newer');
+  });
+
+  test('warning names both versions and the fix', () => {
+    assert.strictEqual(schemaWarning({ schema: SCHEMA_VERSION, state: 'idle' }), '');
+    assert.ok(schemaWarning({ schema: 0, state: 'idle' }).includes('(schema 0, expected 1)'));
+    assert.ok(schemaWarning({ schema: 0, state: 'idle' }).includes('re-run setup.js'));
+    assert.ok(schemaWarning({ schema: SCHEMA_VERSION + 1, state: 'idle' }).includes('restart the renderer'));
+  });
+
+  test('a state payload without a schema is from older hooks', () => {
+    assert.ok(schemaWarning({ state: 'coding', timestamp: 1 }).includes('older than this renderer (schema 0, expected 1)'));
+    assert.ok(schemaWarning({ schema: '1', state: 'coding' }).includes('(schema 0, expected 1)'));
+  });
+
+  test('payloads that aren\'t hook-written state get no warning', () => {
+    assert.strictEqual(schemaWarning(null), '');
+    assert.strictEqual(schemaWarning({}), '');
+    assert.strictEqual(schemaWarning({ schema: 0 }), '');
+  });
+});
+
+describe('schema.js -- stats migrations', () => {
+  test('missing or corrupt stats start from defaults', () => {
+    assert.deepStrictEqual(migrateStats(null), { ...defaultStats(), schema: STATS_SCHEMA_VERSION });
+    assert.deepStrictEqual(migrateStats('junk'), { ...defaultStats(), schema: STATS_SCHEMA_VERSION });
+  });
+
+  test('an unversioned stats file gains the newer sections and keeps its figures', () => {
+    const old = {
+      streak: 12, bestStreak: 90, totalToolCalls: 500,
+      records: { longestSession: 1000 },
+      daily: { date: '2026-01-02', sessionCount: 3 },
+      session: { id: 'abc', toolCalls: 4 },
+      projects: { '/work/app': { name: 'app', streak: 2, daily: { date: '2026-01-02' } } },
+      frequentFiles: [],
+    };
+    const stats = migrateStats(old);
+    assert.strictEqual(stats.schema, STATS_SCHEMA_VERSION);
+    assert.strictEqual(stats.streak, 12);
+    assert.strictEqual(stats.totalToolCalls, 500);
+    assert.deepStrictEqual(stats.records, { ...defaultStats().records, longestSession: 1000 });
+    assert.strictEqual(stats.daily.sessionCount, 3);
+    assert.strictEqual(stats.daily.toolCalls, 0);
+    assert.deepStrictEqual(stats.calendar, {});
+    assert.deepStrictEqual(stats.errorKinds, {});
+    assert.strictEqual(stats.dayStreak.best, 0);
+    assert.strictEqual(stats.session.id, 'abc');
+    assert.deepStrictEqual(stats.session.filesEdited, []);
+    assert.deepStrictEqual(stats.frequentFiles, {});
+    assert.strictEqual(stats.projects['/work/app'].daily.commits, 0);
+  });
+
+  test('a current file is left alone and a newer one is not touched', () => {
+    const current = { ...defaultStats(), schema: STATS_SCHEMA_VERSION, streak: 5 };
+    assert.deepStrictEqual(migrateStats(JSON.parse(JSON.stringify(current))), current);
+    const newer = { schema: STATS_SCHEMA_VERSION + 1, somethingNew: true };
+    assert.deepStrictEqual(migrateStats({ ...newer }), newer);
+  });
+});
+
+describe('schema.js -- hooks', () => {
+  test('hook output is stamped and an old stats file is migrated', () => {
+    withTmp((dir) => {
+      const statsFile = path.join(dir, 'stats.json');
+      fs.writeFileSync(statsFile, JSON.stringify({ streak: 3, bestStreak: 7, totalToolCalls: 9 }));
+      const env = { ...process.env, CODE_CRUMB_HOME: dir };
+      const input = { session_id: 'schema-1', tool_name: 'Read', tool_input: { file_path: path.join(dir, 'a.js') } };
+      try {
+        execFileSync(NODE, [path.join(ROOT, 'update-state.js'), 'PreToolUse'], {
+          input: JSON.stringify(input), env, cwd: dir, timeout: 10000, stdio: ['pipe', 'pipe', 'pipe'],
+        });
+      } catch (e) {
+        if (e.status !== 0 && e.status !== null) throw e;
+      }
+      const state = JSON.parse(fs.readFileSync(path.join(dir, 'state'), 'utf8'));
+      assert.strictEqual(state.schema, SCHEMA_VERSION);
+      assert.ok(validatePayload(state).ok, validatePayload(state).errors.join(', '));
+      const session = JSON.parse(fs.readFileSync(path.join(dir, 'sessions', 'schema-1.json'), 'utf8'));
+      assert.strictEqual(session.schema, SCHEMA_VERSION);
+      assert.ok(validatePayload(session, 'session').ok, validatePayload(session, 'session').errors.join(', '));
+      const stats = JSON.parse(fs.readFileSync(statsFile, 'utf8'));
+      assert.strictEqual(stats.schema, STATS_SCHEMA_VERSION);
+      assert.strictEqual(stats.bestStreak, 7);
+      assert.strictEqual(stats.totalToolCalls, 10);
+    });
+  });
+});
+
+module.exports = { passed: () => passed, failed: () => failed };
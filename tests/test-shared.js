@@ -9,7 +9,10 @@ const assert = require('assert');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
-const { safeFilename, PREFS_FILE, loadPrefs, savePrefs, getGitBranch, getIsWorktree } = require('../shared');
+const {
+  safeFilename, PREFS_FILE, loadPrefs, savePrefs, getGitBranch, getIsWorktree, compileRules, loadRules, RULES_FILE, PROJECT_RULES_NAME, loadRedactPatterns,
+  writeFileAtomic, acquireLock, releaseLock, withStatsLock, STATS_LOCK_FILE,
+} = require('../shared');
 
 let passed = 0;
 let failed = 0;
@@ -82,7 +85,7 @@ describe('shared.js -- preferences persistence', () => {
   test('PREFS_FILE is a non-empty string', () => {
     assert.ok(typeof PREFS_FILE === 'string');
     assert.ok(PREFS_FILE.length > 0);
-    assert.ok(PREFS_FILE.includes('.code-crumb-prefs'));
+    assert.ok(PREFS_FILE.endsWith('prefs.json'));
   });
 
   test('loadPrefs returns an object', () => {
@@ -119,6 +122,15 @@ describe('shared.js -- preferences persistence', () => {
     assert.deepStrictEqual(prefs, {});
   });
 
+  test('loadRedactPatterns picks up prefs edits', () => {
+    savePrefs({ redactPatterns: ['first-\\w+'] });
+    assert.deepStrictEqual(loadRedactPatterns().map(r => r.source), ['first-\\w+']);
+    savePrefs({ redactPatterns: ['second-\\w+', '(bad'] });
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(PREFS_FILE, later, later);
+    assert.deepStrictEqual(loadRedactPatterns().map(r => r.source), ['second-\\w+']);
+  });
+
   try {
     if (savedPrefs !== null) fs.writeFileSync(PREFS_FILE, savedPrefs, 'utf8');
     else fs.unlinkSync(PREFS_FILE);
@@ -245,6 +257,154 @@ describe('shared.js -- path constants', () => {
   });
 });
 
+describe('shared.js -- data directories', () => {
+  const { execFileSync } = require('child_process');
+  const SHARED = path.join(__dirname, '..', 'shared.js');
+
+  // Loads shared.js in a child with the given env (no profile, no XDG
+  // vars unless set) and returns its paths.
+  function pathsFor(env) {
+    const clean = { ...process.env };
+    for (const k of ['CODE_CRUMB_HOME', 'CODE_CRUMB_STATE', 'CODE_CRUMB_SOCKET', 'CODE_CRUMB_DAEMON_SOCKET',
+      'XDG_CONFIG_HOME', 'XDG_STATE_HOME', 'XDG_RUNTIME_DIR', 'USERPROFILE']) delete clean[k];
+    const out = execFileSync(process.execPath, ['-e', `process.stdout.write(JSON.stringify(require(${JSON.stringify(SHARED)})))`], {
+      env: { ...clean, ...env }, timeout: 10000,
+    });
+    return JSON.parse(out.toString());
+  }
+
+  function withHome(fn) {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'crumb-dirs-'));
+    try { fn(tmp); } finally { fs.rmSync(tmp, { recursive: true, force: true }); }
+  }
+
+  test('XDG dirs split config, state and runtime files', () => {
+    withHome((tmp) => {
+      const p = pathsFor({
+        HOME: tmp, XDG_CONFIG_HOME: path.join(tmp, 'cfg'), XDG_STATE_HOME: path.join(tmp, 'st'), XDG_RUNTIME_DIR: path.join(tmp, 'run'),
+      });
+      assert.strictEqual(p.PREFS_FILE, path.join(tmp, 'cfg', 'code-crumb', 'prefs.json'));
+      assert.strictEqual(p.RULES_FILE, path.join(tmp, 'cfg', 'code-crumb', 'rules.json'));
+      assert.strictEqual(p.STATS_FILE, path.join(tmp, 'st', 'code-crumb', 'stats.json'));
+      assert.strictEqual(p.HISTORY_FILE, path.join(tmp, 'st', 'code-crumb', 'history.jsonl'));
+      assert.strictEqual(p.STATE_FILE, path.join(tmp, 'run', 'code-crumb', 'state'));
+      assert.strictEqual(p.SESSIONS_DIR, path.join(tmp, 'run', 'code-crumb', 'sessions'));
+      assert.ok(fs.statSync(path.join(tmp, 'run', 'code-crumb')).isDirectory());
+      if (process.platform !== 'win32') assert.strictEqual(p.SOCKET_PATH, path.join(tmp, 'run', 'code-crumb', 'code-crumb.sock'));
+    });
+  });
+
+  test('defaults under HOME, runtime files in the state dir', () => {
+    withHome((tmp) => {
+      const p = pathsFor({ HOME: tmp });
+      assert.strictEqual(p.PREFS_FILE, path.join(tmp, '.config', 'code-crumb', 'prefs.json'));
+      assert.strictEqual(p.STATS_FILE, path.join(tmp, '.local', 'state', 'code-crumb', 'stats.json'));
+      assert.strictEqual(p.PID_FILE, path.join(tmp, '.local', 'state', 'code-crumb', 'renderer.pid'));
+      if (process.platform !== 'win32') {
+        // Never the shared temp dir -- the runtime dir is private to this user
+        const dir = path.join(tmp, '.local', 'state', 'code-crumb');
+        assert.strictEqual(p.SOCKET_PATH, path.join(dir, 'code-crumb.sock'));
+        assert.strictEqual(p.DAEMON_SOCKET, path.join(dir, 'code-crumb-daemon.sock'));
+        assert.strictEqual(fs.statSync(dir).mode & 0o777, 0o700);
+      }
+    });
+  });
+
+  test('CODE_CRUMB_HOME holds everything, sockets included', () => {
+    withHome((tmp) => {
+      const profile = path.join(tmp, 'profile');
+      const p = pathsFor({ HOME: tmp, CODE_CRUMB_HOME: profile, XDG_STATE_HOME: path.join(tmp, 'st') });
+      for (const key of ['PREFS_FILE', 'STATS_FILE', 'STATE_FILE', 'SESSIONS_DIR', 'PID_FILE', 'JOURNAL_FILE']) {
+        assert.strictEqual(path.dirname(p[key]), profile, key);
+      }
+      if (process.platform !== 'win32') assert.strictEqual(p.SOCKET_PATH, path.join(profile, 'code-crumb.sock'));
+      assert.ok(!fs.existsSync(path.join(tmp, 'st')));
+    });
+  });
+
+  test('legacy dotfiles move into the new layout once', () => {
+    withHome((tmp) => {
+      fs.writeFileSync(path.join(tmp, '.code-crumb-stats.json'), '{"streak":4}');
+      fs.writeFileSync(path.join(tmp, '.code-crumb-prefs.json'), '{"theme":"neon"}');
+      fs.writeFileSync(path.join(tmp, '.code-crumb-journal.jsonl.1'), '{}\n');
+      const p = pathsFor({ HOME: tmp });
+      assert.strictEqual(fs.readFileSync(p.STATS_FILE, 'utf8'), '{"streak":4}');
+      assert.strictEqual(fs.readFileSync(p.PREFS_FILE, 'utf8'), '{"theme":"neon"}');
+      assert.ok(fs.existsSync(p.JOURNAL_FILE + '.1'));
+      assert.ok(!fs.existsSync(path.join(tmp, '.code-crumb-stats.json')));
+      // A dotfile written later by an old hook doesn't clobber the new file
+      fs.writeFileSync(path.join(tmp, '.code-crumb-stats.json'), '{"streak":0}');
+      pathsFor({ HOME: tmp });
+      assert.strictEqual(fs.readFileSync(p.STATS_FILE, 'utf8'), '{"streak":4}');
+    });
+  });
+
+  test('legacy dotfiles that turn up after the state dir exists are moved too', () => {
+    withHome((tmp) => {
+      const p = pathsFor({ HOME: tmp });
+      fs.writeFileSync(path.join(tmp, '.code-crumb-history.jsonl'), '{"id":"old"}\n');
+      pathsFor({ HOME: tmp });
+      assert.strictEqual(fs.readFileSync(p.HISTORY_FILE, 'utf8'), '{"id":"old"}\n');
+      assert.ok(!fs.existsSync(path.join(tmp, '.code-crumb-history.jsonl')));
+    });
+  });
+
+  test('old runtime files in home are removed', () => {
+    withHome((tmp) => {
+      fs.writeFileSync(path.join(tmp, '.code-crumb-state'), '{}');
+      fs.writeFileSync(path.join(tmp, '.code-crumb.pid'), '123');
+      fs.mkdirSync(path.join(tmp, '.code-crumb-sessions'));
+      fs.writeFileSync(path.join(tmp, '.code-crumb-sessions', 'a.json'), '{}');
+      pathsFor({ HOME: tmp });
+      assert.deepStrictEqual(fs.readdirSync(tmp).filter(n => n.startsWith('.code-crumb')), []);
+    });
+  });
+
+  test('the old tmux line is left pointing at the new file', () => {
+    withHome((tmp) => {
+      const old = path.join(tmp, '.code-crumb-tmux');
+      fs.writeFileSync(old, 'idle');
+      const p = pathsFor({ HOME: tmp });
+      assert.strictEqual(fs.readFileSync(old, 'utf8'), `code-crumb: status moved to ${p.TMUX_FILE}`);
+    });
+  });
+
+  test('a leftover ~/.code-crumb-rules.json is not read as project rules', () => {
+    withHome((tmp) => {
+      const p = pathsFor({ HOME: tmp });
+      // Global rules already in place, so the old file stays where it is
+      fs.writeFileSync(p.RULES_FILE, '[]');
+      fs.writeFileSync(path.join(tmp, '.code-crumb-rules.json'), JSON.stringify([{ tool: 'Bash', state: 'error' }]));
+      const clean = { ...process.env };
+      for (const k of ['CODE_CRUMB_HOME', 'XDG_CONFIG_HOME', 'XDG_STATE_HOME', 'XDG_RUNTIME_DIR', 'USERPROFILE']) delete clean[k];
+      const out = execFileSync(process.execPath, ['-e', `process.stdout.write(String(require(${JSON.stringify(SHARED)}).loadRules(${JSON.stringify(tmp)}).length))`], {
+        env: { ...clean, HOME: tmp }, timeout: 10000,
+      });
+      assert.strictEqual(out.toString(), '0');
+    });
+  });
+
+  test('an old runtime path still in use is kept', () => {
+    withHome((tmp) => {
+      const state = path.join(tmp, '.code-crumb-state');
+      fs.writeFileSync(state, '{}');
+      pathsFor({ HOME: tmp, CODE_CRUMB_STATE: state });
+      assert.ok(fs.existsSync(state));
+    });
+  });
+
+  test('an isolated profile leaves the home dotfiles alone', () => {
+    withHome((tmp) => {
+      fs.writeFileSync(path.join(tmp, '.code-crumb-stats.json'), '{"streak":4}');
+      fs.writeFileSync(path.join(tmp, '.code-crumb-state'), '{}');
+      const p = pathsFor({ HOME: tmp, CODE_CRUMB_HOME: path.join(tmp, 'profile') });
+      assert.ok(fs.existsSync(path.join(tmp, '.code-crumb-stats.json')));
+      assert.ok(fs.existsSync(path.join(tmp, '.code-crumb-state')));
+      assert.ok(!fs.existsSync(p.STATS_FILE));
+    });
+  });
+});
+
 describe('shared.js -- safeFilename all special chars', () => {
   test('tabs are replaced with underscore', () => {
     assert.ok(!safeFilename('a\tb').includes('\t'));
@@ -297,4 +457,188 @@ describe('shared.js -- getGitBranch walks up parent directories', () => {
   });
 });
 
+describe('shared.js -- classification rules', () => {
+  test('RULES_FILE lives in the config directory', () => {
+    assert.ok(RULES_FILE.endsWith('rules.json'));
+  });
+
+  test('compileRules accepts a bare array or a { rules } object', () => {
+    const rule = { tool: '^Bash$', state: 'testing' };
+    assert.strictEqual(compileRules([rule]).length, 1);
+    assert.strictEqual(compileRules({ rules: [rule] }).length, 1);
+    assert.deepStrictEqual(compileRules(null), []);
+    assert.deepStrictEqual(compileRules({}), []);
+  });
+
+  test('compileRules builds case-insensitive regexes', () => {
+    const [rule] = compileRules([{ command: '^bazel test', state: 'testing' }]);
+    assert.ok(rule.command.test('BAZEL TEST //...'));
+    assert.strictEqual(rule.tool, null);
+  });
+
+  test('compileRules skips invalid entries', () => {
+    const compiled = compileRules([
+      { tool: '(unclosed', state: 'testing' },
+      { tool: '^Bash$' },
+      { state: 'testing' },
+      null,
+      { tool: '^Bash$', state: 'testing', done: { state: 'proud' } },
+    ]);
+    assert.strictEqual(compiled.length, 1);
+    assert.deepStrictEqual(compiled[0].done, { state: 'proud', detail: '' });
+  });
+
+  test('loadRules finds the per-repo file from a subdirectory', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-rules-'));
+    const subDir = path.join(tmpDir, 'src', 'lib');
+    try {
+      fs.mkdirSync(subDir, { recursive: true });
+      fs.mkdirSync(path.join(tmpDir, '.git'));
+      fs.writeFileSync(path.join(tmpDir, PROJECT_RULES_NAME),
+        JSON.stringify({ rules: [{ command: '^\\./dev test', state: 'testing' }] }), 'utf8');
+      const rules = loadRules(subDir);
+      assert.ok(rules.length >= 1);
+      assert.strictEqual(rules[0].state, 'testing');
+      assert.ok(rules[0].command.test('./dev test'));
+    } finally {
+      try { fs.rmSync(tmpDir, { recursive: true }); } catch {}
+    }
+  });
+
+  test('loadRules stops at the repository root', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-rules-'));
+    const repo = path.join(tmpDir, 'repo');
+    try {
+      fs.mkdirSync(path.join(repo, '.git'), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, PROJECT_RULES_NAME),
+        JSON.stringify([{ tool: '^outside$', state: 'testing' }]), 'utf8');
+      const rules = loadRules(repo);
+      assert.ok(!rules.some(r => r.tool && r.tool.test('outside')));
+    } finally {
+      try { fs.rmSync(tmpDir, { recursive: true }); } catch {}
+    }
+  });
+
+  test('loadRules ignores a corrupt per-repo file', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-rules-'));
+    try {
+      fs.mkdirSync(path.join(tmpDir, '.git'));
+      fs.writeFileSync(path.join(tmpDir, PROJECT_RULES_NAME), '{not json', 'utf8');
+      assert.ok(Array.isArray(loadRules(tmpDir)));
+    } finally {
+      try { fs.rmSync(tmpDir, { recursive: true }); } catch {}
+    }
+  });
+});
+
+describe('shared.js -- writeFileAtomic', () => {
+  test('writes the file with private permissions and leaves no temp files', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-atomic-'));
+    try {
+      const fp = path.join(tmpDir, 'state.json');
+      writeFileAtomic(fp, '{"a":1}');
+      writeFileAtomic(fp, '{"a":2}');
+      assert.strictEqual(fs.readFileSync(fp, 'utf8'), '{"a":2}');
+      assert.deepStrictEqual(fs.readdirSync(tmpDir), ['state.json']);
+      if (process.platform !== 'win32') {
+        assert.strictEqual(fs.statSync(fp).mode & 0o777, 0o600);
+      }
+    } finally {
+      try { fs.rmSync(tmpDir, { recursive: true }); } catch {}
+    }
+  });
+
+  test('throws when the directory is missing', () => {
+    const fp = path.join(os.tmpdir(), 'code-crumb-no-such-dir', 'x.json');
+    assert.throws(() => writeFileAtomic(fp, '{}'));
+  });
+});
+
+describe('shared.js -- stats lock', () => {
+  const { execFileSync } = require('child_process');
+
+  test('STATS_LOCK_FILE sits next to the stats file', () => {
+    assert.ok(STATS_LOCK_FILE.endsWith('stats.json.lock'));
+  });
+
+  test('a held lock makes a second acquire fail within the wait bound', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-lock-'));
+    const lock = path.join(tmpDir, 'x.lock');
+    try {
+      assert.strictEqual(acquireLock(lock), true);
+      const t0 = Date.now();
+      assert.strictEqual(acquireLock(lock, 10), false);
+      assert.ok(Date.now() - t0 < 200);
+      releaseLock(lock);
+      assert.ok(!fs.existsSync(lock));
+      assert.strictEqual(acquireLock(lock), true);
+      releaseLock(lock);
+    } finally {
+      try { fs.rmSync(tmpDir, { recursive: true }); } catch {}
+    }
+  });
+
+  test('stale locks are broken', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-lock-'));
+    const lock = path.join(tmpDir, 'x.lock');
+    try {
+      fs.writeFileSync(lock, '999999');
+      const old = new Date(Date.now() - 10000);
+      fs.utimesSync(lock, old, old);
+      assert.strictEqual(acquireLock(lock, 0), true);
+      assert.strictEqual(fs.readFileSync(lock, 'utf8'), String(process.pid));
+      releaseLock(lock);
+    } finally {
+      try { fs.rmSync(tmpDir, { recursive: true }); } catch {}
+    }
+  });
+
+  test('processes breaking the same stale lock don\'t both get it', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-lock-'));
+    const lock = path.join(tmpDir, 'x.lock');
+    const log = path.join(tmpDir, 'log');
+    try {
+      fs.writeFileSync(lock, '999999');
+      const old = new Date(Date.now() - 10000);
+      fs.utimesSync(lock, old, old);
+      const holder = `const fs = require('fs');
+        const { acquireLock, releaseLock } = require(${JSON.stringify(path.join(__dirname, '..', 'shared'))});
+        if (!acquireLock(${JSON.stringify(lock)}, 5000)) process.exit(0);
+        fs.appendFileSync(${JSON.stringify(log)}, '+');
+        Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 20);
+        fs.appendFileSync(${JSON.stringify(log)}, '-');
+        releaseLock(${JSON.stringify(lock)});`;
+      const script = `const { spawn } = require('child_process');
+        let left = 4;
+        for (let n = 0; n < 4; n++) {
+          spawn(process.execPath, ['-e', ${JSON.stringify(holder)}], { stdio: 'ignore' })
+            .on('exit', () => { if (--left === 0) process.exit(0); });
+        }`;
+      execFileSync(process.execPath, ['-e', script], { timeout: 30000 });
+      assert.strictEqual(fs.readFileSync(log, 'utf8'), '+-+-+-+-');
+      assert.deepStrictEqual(fs.readdirSync(tmpDir).sort(), ['log']);
+    } finally {
+      try { fs.rmSync(tmpDir, { recursive: true }); } catch {}
+    }
+  });
+
+  test('releaseLock leaves another process\'s lock alone', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-lock-'));
+    const lock = path.join(tmpDir, 'x.lock');
+    try {
+      fs.writeFileSync(lock, '999999');
+      releaseLock(lock);
+      assert.ok(fs.existsSync(lock));
+    } finally {
+      try { fs.rmSync(tmpDir, { recursive: true }); } catch {}
+    }
+  });
+
+  test('withStatsLock returns the result and releases on throw', () => {
+    assert.strictEqual(withStatsLock(() => 42), 42);
+    assert.throws(() => withStatsLock(() => { throw new Error('boom'); }), /boom/);
+    assert.ok(!fs.existsSync(STATS_LOCK_FILE) || fs.readFileSync(STATS_LOCK_FILE, 'utf8') !== String(process.pid));
+  });
+});
+
 module.exports = { passed: () => passed, failed: () => failed };
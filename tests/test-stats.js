@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+'use strict';
+
+// +================================================================+
+// |  Code Crumb Test Suite - stats.js                                 |
+// +================================================================+
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readStats, writeStats, mergeStats } = require('../stats');
+const { defaultStats } = require('../state-machine');
+
+let passed = 0;
+let failed = 0;
+let currentDescribe = '';
+
+function describe(name, fn) {
+  currentDescribe = name;
+  console.log(`\n  ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`    \x1b[32m✓\x1b[0m ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`    \x1b[31m✗\x1b[0m ${name}`);
+    console.log(`      ${e.message}`);
+  }
+}
+
+function withTmp(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crumb-stats-'));
+  try { fn(path.join(dir, 'stats.json'), dir); }
+  finally { try { fs.rmSync(dir, { recursive: true, force: true }); } catch {} }
+}
+
+describe('stats.js -- readStats / writeStats', () => {
+  test('a missing or corrupt file reads as the defaults', () => {
+    withTmp((file) => {
+      assert.deepStrictEqual(readStats(file), { ...defaultStats(), schema: 1 });
+      fs.writeFileSync(file, '{nope');
+      assert.deepStrictEqual(readStats(file), { ...defaultStats(), schema: 1 });
+    });
+  });
+
+  test('what is written reads back', () => {
+    withTmp((file) => {
+      const stats = readStats(file);
+      stats.totalToolCalls = 7;
+      writeStats(stats, file);
+      assert.strictEqual(readStats(file).totalToolCalls, 7);
+    });
+  });
+});
+
+describe('stats.js -- mergeStats', () => {
+  test('counters both sides moved add up, other changes are kept', () => {
+    const base = { totalToolCalls: 10, streak: 3, daily: { toolCalls: 4, date: 'd1' }, pendingTools: { a: 1, b: 2 } };
+    const mine = { totalToolCalls: 12, streak: 5, daily: { toolCalls: 6, date: 'd1' }, pendingTools: { a: 1 } };
+    const theirs = { totalToolCalls: 13, streak: 3, daily: { toolCalls: 5, date: 'd1', cost: 0.5 }, pendingTools: { a: 1, b: 2, c: 3 } };
+    assert.deepStrictEqual(mergeStats(base, mine, theirs), {
+      totalToolCalls: 15, streak: 5, daily: { toolCalls: 7, date: 'd1', cost: 0.5 }, pendingTools: { a: 1, c: 3 },
+    });
+  });
+
+  test('a side that changed nothing takes the other side whole', () => {
+    const base = { session: { id: 'a' } };
+    assert.deepStrictEqual(mergeStats(base, { session: { id: 'a' } }, { session: { id: 'b' } }), { session: { id: 'b' } });
+    assert.deepStrictEqual(mergeStats(base, { session: { id: 'c' } }, { session: { id: 'b' } }), { session: { id: 'c' } });
+  });
+
+  test('records and the best streak keep the larger value', () => {
+    const base = { bestStreak: 8, records: { longestSession: 10 }, projects: { '/p': { records: { mostSubagents: 1 } } } };
+    const mine = { bestStreak: 12, records: { longestSession: 20 }, projects: { '/p': { records: { mostSubagents: 4 } } } };
+    const theirs = { bestStreak: 9, records: { longestSession: 15 }, projects: { '/p': { records: { mostSubagents: 3 } } } };
+    assert.deepStrictEqual(mergeStats(base, mine, theirs), {
+      bestStreak: 12, records: { longestSession: 20 }, projects: { '/p': { records: { mostSubagents: 4 } } },
+    });
+  });
+
+  test('the current streak takes the last writer', () => {
+    assert.strictEqual(mergeStats({ streak: 5 }, { streak: 0 }, { streak: 7 }).streak, 0);
+    assert.strictEqual(mergeStats({ streak: 5 }, { streak: 9 }, { streak: 0 }).streak, 9);
+  });
+
+  test('timestamps and sessions take the last writer', () => {
+    const base = { brokenStreakAt: 1000, session: { id: 'a', start: 1000, toolCalls: 1 }, projects: { '/p': { lastSeen: 1000 } } };
+    const mine = { brokenStreakAt: 2000, session: { id: 'a', start: 2000, toolCalls: 3 }, projects: { '/p': { lastSeen: 2000 } } };
+    const theirs = { brokenStreakAt: 3000, session: { id: 'b', start: 3000, toolCalls: 2 }, projects: { '/p': { lastSeen: 3000 } } };
+    assert.deepStrictEqual(mergeStats(base, mine, theirs), mine);
+  });
+
+  test('parked sessions and open waits merge by key, each kept whole', () => {
+    const base = { openSessions: { a: { start: 1000 } }, openWaits: {} };
+    const mine = { openSessions: { a: { start: 2000 } }, openWaits: { x: { since: 5 } } };
+    const theirs = { openSessions: { a: { start: 3000 }, b: { start: 4000 } }, openWaits: { y: { since: 6 } } };
+    assert.deepStrictEqual(mergeStats(base, mine, theirs), {
+      openSessions: { a: { start: 2000 }, b: { start: 4000 } },
+      openWaits: { y: { since: 6 }, x: { since: 5 } },
+    });
+  });
+
+  test('counters new on both sides add up', () => {
+    const merged = mergeStats({ errorKinds: {} }, { errorKinds: { exit: 2 } }, { errorKinds: { exit: 3 } });
+    assert.deepStrictEqual(merged, { errorKinds: { exit: 5 } });
+  });
+
+  test('daily counters only add up for the same day', () => {
+    const base = { daily: { date: '2026-01-01', toolCalls: 40 } };
+    const mine = { daily: { date: '2026-01-02', toolCalls: 3 } };
+    const theirs = { daily: { date: '2026-01-02', toolCalls: 5 } };
+    assert.deepStrictEqual(mergeStats(base, mine, theirs).daily, { date: '2026-01-02', toolCalls: 8 });
+    const stale = { daily: { date: '2026-01-01', toolCalls: 45 } };
+    assert.deepStrictEqual(mergeStats(base, mine, stale).daily, mine.daily);
+  });
+});
+
+module.exports = { passed: () => passed, failed: () => failed };
@@ -110,7 +110,7 @@ describe('themes.js -- themes', () => {
     'idle', 'thinking', 'coding', 'reading', 'searching', 'executing',
     'happy', 'satisfied', 'proud', 'relieved', 'error', 'sleeping',
     'waiting', 'testing', 'installing', 'caffeinated', 'subagent',
-    'spawning', 'committing', 'reviewing', 'training',
+    'spawning', 'committing', 'reviewing', 'training', 'listening',
   ];
 
   test('every state has a theme', () => {
@@ -207,7 +207,7 @@ describe('themes.js -- PALETTES', () => {
     'idle', 'thinking', 'coding', 'reading', 'searching', 'executing',
     'happy', 'satisfied', 'proud', 'relieved', 'error', 'sleeping',
     'waiting', 'testing', 'installing', 'caffeinated', 'subagent',
-    'spawning', 'committing', 'reviewing', 'training',
+    'spawning', 'committing', 'reviewing', 'training', 'listening',
   ];
 
   test('PALETTES has 6 entries', () => {
@@ -575,4 +575,46 @@ describe('themes.js -- themes have all 23 states', () => {
   });
 });
 
+describe('themes.js -- wary state', () => {
+  test('wary has a default theme and timeline color', () => {
+    assert.ok(themes.wary);
+    assert.strictEqual(themes.wary.status, 'wary');
+    assert.ok(TIMELINE_COLORS.wary);
+  });
+
+  test('every palette defines wary', () => {
+    for (const palette of PALETTES) {
+      assert.ok(palette.themes.wary, `${palette.name}: missing theme for wary`);
+      assert.ok(palette.timelineColors.wary, `${palette.name}: missing timelineColor for wary`);
+    }
+  });
+
+  test('wary lingers like the other completion states', () => {
+    assert.ok(COMPLETION_LINGER.wary > 0);
+  });
+
+  test('wary has reactive thoughts', () => {
+    assert.ok(Array.isArray(STATE_THOUGHTS.wary) && STATE_THOUGHTS.wary.length > 0);
+  });
+});
+
+describe('themes.js -- danger state', () => {
+  test('danger has a default theme and timeline color', () => {
+    assert.ok(themes.danger);
+    assert.strictEqual(themes.danger.status, 'careful!');
+    assert.ok(TIMELINE_COLORS.danger);
+  });
+
+  test('every palette defines danger', () => {
+    for (const palette of PALETTES) {
+      assert.ok(palette.themes.danger, `${palette.name}: missing theme for danger`);
+      assert.ok(palette.timelineColors.danger, `${palette.name}: missing timelineColor for danger`);
+    }
+  });
+
+  test('danger has reactive thoughts', () => {
+    assert.ok(Array.isArray(STATE_THOUGHTS.danger) && STATE_THOUGHTS.danger.length > 0);
+  });
+});
+
 module.exports = { passed: () => passed, failed: () => failed };
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+'use strict';
+
+// +================================================================+
+// |  Code Crumb Test Suite - usage.js                                 |
+// +================================================================+
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  MAX_TRANSCRIPTS, usageSettings, readTranscriptUsage, recordUsage, trackTranscript,
+} = require('../usage');
+const {
+  defaultStats, defaultDaily, normalizeUsage, totalTokens, priceFor, usageCost, addUsage,
+  checkBudget, usageExtra, formatTokens, formatCost,
+} = require('../state-machine');
+
+const NODE = process.execPath;
+const ROOT = path.join(__dirname, '..');
+
+let passed = 0;
+let failed = 0;
+let currentDescribe = '';
+
+function describe(name, fn) {
+  currentDescribe = name;
+  console.log(`\n  ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`    \x1b[32m✓\x1b[0m ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`    \x1b[31m✗\x1b[0m ${name}`);
+    console.log(`      ${e.message}`);
+  }
+}
+
+function withTmp(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-usage-'));
+  try { fn(dir); }
+  finally { try { fs.rmSync(dir, { recursive: true }); } catch {} }
+}
+
+const NOW = Date.parse('2026-03-03T12:00:00Z');
+
+function sessionStats() {
+  const stats = defaultStats();
+  stats.session = { id: 's1', start: NOW };
+  stats.daily = defaultDaily('2026-03-03');
+  return stats;
+}
+
+// One transcript line: an assistant message with usage
+function assistantLine(id, usage, model = 'claude-sonnet-4-5') {
+  return JSON.stringify({ type: 'assistant', message: { id, model, usage } }) + '\n';
+}
+
+const SETTINGS = usageSettings({});
+
+describe('state-machine.js -- token usage', () => {
+  test('normalizeUsage reads Anthropic and OpenAI shapes', () => {
+    assert.deepStrictEqual(
+      normalizeUsage({ input_tokens: 10, output_tokens: 20, cache_creation_input_tokens: 30, cache_read_input_tokens: 40 }),
+      { input: 10, output: 20, cacheWrite: 30, cacheRead: 40 });
+    assert.deepStrictEqual(
+      normalizeUsage({ input_tokens: 100, cached_input_tokens: 60, output_tokens: 5 }),
+      { input: 40, output: 5, cacheWrite: 0, cacheRead: 60 });
+    assert.deepStrictEqual(normalizeUsage(null), { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 });
+    assert.strictEqual(totalTokens(normalizeUsage({ input_tokens: 'x', output_tokens: -3 })), 0);
+  });
+
+  test('prices match the longest key in the model name', () => {
+    assert.strictEqual(priceFor('claude-opus-4-5-20251101').input, 5);
+    assert.strictEqual(priceFor('claude-opus-4-1').input, 15);
+    assert.strictEqual(priceFor('mystery-model'), null);
+    const u = { input: 1e6, output: 1e6, cacheWrite: 0, cacheRead: 1e6 };
+    assert.strictEqual(usageCost(u, 'claude-sonnet-4-5'), 3 + 15 + 0.3);
+    assert.strictEqual(usageCost(u, 'mystery-model'), 0);
+    assert.strictEqual(usageCost(u, 'mine', { mine: { input: 1 } }), 1);
+  });
+
+  test('addUsage sums into the session and today', () => {
+    const stats = sessionStats();
+    addUsage(stats, { input: 1e6, output: 0, cacheWrite: 0, cacheRead: 0 }, 'sonnet');
+    addUsage(stats, { input: 0, output: 1000, cacheWrite: 0, cacheRead: 0 }, 'sonnet');
+    assert.deepStrictEqual(stats.session.usage, { input: 1e6, output: 1000, cacheWrite: 0, cacheRead: 0 });
+    assert.strictEqual(stats.daily.tokens, 1001000);
+    assert.strictEqual(stats.session.cost.toFixed(3), '3.015');
+    const extra = usageExtra(stats, NOW);
+    assert.strictEqual(extra.tokens, 1001000);
+    assert.strictEqual(extra.dailyCost, stats.daily.cost);
+    assert.strictEqual(extra.budgetAlert, null);
+  });
+
+  test('checkBudget warns once per session and once per day', () => {
+    const stats = sessionStats();
+    const budget = { session: 1, daily: 2 };
+    stats.session.cost = 0.5;
+    stats.daily.cost = 0.5;
+    assert.strictEqual(checkBudget(stats, budget, NOW), null);
+    stats.session.cost = 1.5;
+    stats.daily.cost = 1.5;
+    assert.deepStrictEqual(checkBudget(stats, budget, NOW), { scope: 'session', cost: 1.5, limit: 1, at: NOW });
+    assert.strictEqual(checkBudget(stats, budget, NOW), null);
+    stats.daily.cost = 2.5;
+    assert.strictEqual(checkBudget(stats, budget, NOW).scope, 'day');
+    assert.strictEqual(checkBudget(stats, budget, NOW), null);
+    assert.strictEqual(checkBudget(stats, { session: 0, daily: 0 }, NOW), null);
+  });
+
+  test('formatting', () => {
+    assert.deepStrictEqual([0, 950, 12345, 123456, 4100000, 42000000].map(formatTokens),
+      ['0', '950', '12.3k', '123k', '4.1M', '42M']);
+    assert.deepStrictEqual([0, 0.04, 3.4, 120.4].map(formatCost), ['$0', '$0.04', '$3.40', '$120']);
+  });
+});
+
+describe('usage.js -- settings', () => {
+  test('prefs extend the price table and set budgets', () => {
+    const s = usageSettings({ prices: { mine: { input: 1, output: 2 } }, budget: { session: '5' } });
+    assert.ok(s.prices.sonnet);
+    assert.deepStrictEqual(s.prices.mine, { input: 1, output: 2 });
+    assert.deepStrictEqual(s.budget, { session: 5, daily: 0 });
+    assert.deepStrictEqual(usageSettings(null).budget, { session: 0, daily: 0 });
+  });
+});
+
+describe('usage.js -- transcript', () => {
+  test('reads only what was appended and skips repeated message ids', () => {
+    withTmp((dir) => {
+      const file = path.join(dir, 't.jsonl');
+      fs.writeFileSync(file,
+        JSON.stringify({ type: 'user', message: { content: 'hi' } }) + '\n'
+        + assistantLine('m1', { input_tokens: 10, output_tokens: 5 })
+        + assistantLine('m1', { input_tokens: 10, output_tokens: 5 }));
+      const first = readTranscriptUsage(file, null);
+      assert.strictEqual(first.entries.length, 1);
+      assert.strictEqual(first.entries[0].model, 'claude-sonnet-4-5');
+      assert.strictEqual(first.cursor.offset, fs.statSync(file).size);
+
+      fs.appendFileSync(file, assistantLine('m2', { input_tokens: 1, output_tokens: 2 }) + '{"type":"assistant","mess');
+      const second = readTranscriptUsage(file, first.cursor);
+      assert.deepStrictEqual(second.entries.map(e => e.usage.output), [2]);
+      assert.ok(second.cursor.offset < fs.statSync(file).size, 'partial last line is left for later');
+      assert.deepStrictEqual(readTranscriptUsage(file, second.cursor).entries, []);
+    });
+  });
+
+  test('a rewritten (shorter) file is read from the top and a missing one adds nothing', () => {
+    withTmp((dir) => {
+      const file = path.join(dir, 't.jsonl');
+      fs.writeFileSync(file, assistantLine('m9', { input_tokens: 3 }));
+      const r = readTranscriptUsage(file, { path: file, offset: 99999, seen: ['m9'] });
+      assert.strictEqual(r.entries.length, 1);
+      assert.deepStrictEqual(readTranscriptUsage(path.join(dir, 'none.jsonl'), null).entries, []);
+    });
+  });
+
+  test('trackTranscript keeps the cursor per transcript and raises a budget alert', () => {
+    withTmp((dir) => {
+      const file = path.join(dir, 't.jsonl');
+      fs.writeFileSync(file, assistantLine('m1', { input_tokens: 1e6, output_tokens: 0 }));
+      const stats = sessionStats();
+      const settings = { ...SETTINGS, budget: { session: 4, daily: 0 } };
+      assert.strictEqual(trackTranscript(stats, file, settings, NOW), null);
+      assert.strictEqual(stats.transcripts[file].offset, fs.statSync(file).size);
+      fs.appendFileSync(file, assistantLine('m2', { input_tokens: 1e6, output_tokens: 0 }));
+      const alert = trackTranscript(stats, file, settings, NOW);
+      assert.strictEqual(alert.scope, 'session');
+      assert.strictEqual(stats.budgetAlert, alert);
+      assert.strictEqual(usageExtra(stats, NOW + 1000).budgetAlert, alert);
+      assert.strictEqual(usageExtra(stats, NOW + 9000).budgetAlert, null);
+      assert.strictEqual(recordUsage(stats, [], settings, NOW), null);
+    });
+  });
+
+  test('a transcript seen for the first time skips turns from before the session or today', () => {
+    withTmp((dir) => {
+      const file = path.join(dir, 't.jsonl');
+      const stamped = (id, tokens, at) => JSON.stringify({
+        type: 'assistant', timestamp: new Date(at).toISOString(), message: { id, model: 'claude-sonnet-4-5', usage: { input_tokens: tokens } },
+      }) + '\n';
+      fs.writeFileSync(file, stamped('m1', 1000, NOW - 86400000) + stamped('m2', 100, NOW - 60000) + stamped('m3', 10, NOW + 1000));
+      const stats = sessionStats();
+      stats.session.startedAt = NOW - 120000;
+      trackTranscript(stats, file, SETTINGS, NOW + 2000);
+      assert.strictEqual(stats.daily.tokens, 110, 'yesterday\'s turn is left out');
+
+      const resumed = sessionStats();
+      trackTranscript(resumed, file, SETTINGS, NOW + 2000);
+      assert.strictEqual(resumed.daily.tokens, 10, 'turns from before the session are left out');
+      fs.appendFileSync(file, stamped('m4', 1, NOW + 3000));
+      trackTranscript(resumed, file, SETTINGS, NOW + 4000);
+      assert.strictEqual(resumed.daily.tokens, 11);
+    });
+  });
+
+  test('a session taking the slot leaves other transcripts\' positions alone', () => {
+    withTmp((dir) => {
+      const a = path.join(dir, 'a.jsonl');
+      const b = path.join(dir, 'b.jsonl');
+      fs.writeFileSync(a, assistantLine('a1', { input_tokens: 100 }));
+      fs.writeFileSync(b, assistantLine('b1', { input_tokens: 10 }));
+      const stats = sessionStats();
+      for (let i = 0; i < 3; i++) {
+        stats.session = { id: 'A', start: NOW };
+        trackTranscript(stats, a, SETTINGS, NOW + i);
+        stats.session = { id: 'B', start: NOW };
+        trackTranscript(stats, b, SETTINGS, NOW + i);
+      }
+      assert.strictEqual(stats.daily.tokens, 110);
+    });
+  });
+
+  test('an old per-session cursor is taken over and old transcripts are dropped', () => {
+    withTmp((dir) => {
+      const file = path.join(dir, 't.jsonl');
+      fs.writeFileSync(file, assistantLine('m1', { input_tokens: 5 }));
+      const stats = sessionStats();
+      stats.session.transcript = { path: file, offset: fs.statSync(file).size, seen: ['m1'] };
+      trackTranscript(stats, file, SETTINGS, NOW);
+      assert.strictEqual(stats.daily.tokens, 0);
+      assert.strictEqual(stats.session.transcript, undefined);
+      for (let i = 0; i < MAX_TRANSCRIPTS + 2; i++) trackTranscript(stats, path.join(dir, `none-${i}.jsonl`), SETTINGS, NOW + 1 + i);
+      assert.strictEqual(Object.keys(stats.transcripts).length, MAX_TRANSCRIPTS);
+      assert.strictEqual(stats.transcripts[file], undefined);
+    });
+  });
+});
+
+describe('usage.js -- hooks', () => {
+  test('update-state follows transcript_path into stats and the state file', () => {
+    withTmp((dir) => {
+      const transcript = path.join(dir, 'transcript.jsonl');
+      fs.writeFileSync(transcript, assistantLine('m1', { input_tokens: 1000, output_tokens: 200, cache_read_input_tokens: 5000 }));
+      const env = { ...process.env, CODE_CRUMB_HOME: dir };
+      const input = { session_id: 'usage-1', transcript_path: transcript, tool_name: 'Read', tool_input: { file_path: path.join(dir, 'a.js') } };
+      try {
+        execFileSync(NODE, [path.join(ROOT, 'update-state.js'), 'PreToolUse'], {
+          input: JSON.stringify(input), env, cwd: dir, timeout: 10000, stdio: ['pipe', 'pipe', 'pipe'],
+        });
+      } catch (e) {
+        if (e.status !== 0 && e.status !== null) throw e;
+      }
+      const stats = JSON.parse(fs.readFileSync(path.join(dir, 'stats.json'), 'utf8'));
+      assert.deepStrictEqual(stats.session.usage, { input: 1000, output: 200, cacheWrite: 0, cacheRead: 5000 });
+      assert.strictEqual(stats.daily.tokens, 6200);
+      const state = JSON.parse(fs.readFileSync(path.join(dir, 'state'), 'utf8'));
+      assert.strictEqual(state.tokens, 6200);
+      assert.ok(state.cost > 0);
+    });
+  });
+
+  test('parallel sessions taking turns count each transcript once', () => {
+    withTmp((dir) => {
+      const env = { ...process.env, CODE_CRUMB_HOME: dir };
+      const hook = (id) => {
+        const transcript = path.join(dir, `${id}.jsonl`);
+        if (!fs.existsSync(transcript)) fs.writeFileSync(transcript, assistantLine(`${id}-1`, { input_tokens: 3000 }));
+        const input = { session_id: id, transcript_path: transcript, tool_name: 'Read', tool_input: { file_path: path.join(dir, 'a.js') } };
+        try {
+          execFileSync(NODE, [path.join(ROOT, 'update-state.js'), 'PreToolUse'], {
+            input: JSON.stringify(input), env, cwd: dir, timeout: 10000, stdio: ['pipe', 'pipe', 'pipe'],
+          });
+        } catch (e) {
+          if (e.status !== 0 && e.status !== null) throw e;
+        }
+      };
+      for (let i = 0; i < 3; i++) { hook('A'); hook('B'); }
+      const stats = JSON.parse(fs.readFileSync(path.join(dir, 'stats.json'), 'utf8'));
+      assert.strictEqual(stats.daily.tokens, 6000);
+    });
+  });
+});
+
+module.exports = { passed: () => passed, failed: () => failed };
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+'use strict';
+
+// +================================================================+
+// |  Code Crumb Test Suite - waits.js                                 |
+// +================================================================+
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { defaultStats, defaultDaily } = require('../state-machine');
+const {
+  WAIT_MAX_MS, MAX_APPROVED_RULES, permissionRule, openWait, expectedRunMs, noteRunTime,
+  closeWait, countApproval, formatWait,
+} = require('../waits');
+
+let passed = 0;
+let failed = 0;
+let currentDescribe = '';
+
+function describe(name, fn) {
+  currentDescribe = name;
+  console.log(`\n  ${name}`);
+  fn();
+}
+
+function test(name, fn) {
+  try {
+    fn();
+    passed++;
+    console.log(`    \x1b[32m✓\x1b[0m ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`    \x1b[31m✗\x1b[0m ${name}`);
+    console.log(`      ${e.message}`);
+  }
+}
+
+describe('waits.js -- waiting on you', () => {
+  const waitStats = () => {
+    const stats = defaultStats();
+    stats.session = { id: 'main', start: 1000 };
+    stats.daily = defaultDaily('2026-03-03');
+    return stats;
+  };
+
+  test('permissionRule uses the allowlist syntax', () => {
+    assert.strictEqual(permissionRule('Bash', { command: 'npm publish --tag next' }), 'Bash(npm publish:*)');
+    assert.strictEqual(permissionRule('Bash', { command: 'CI=1 git push origin main' }), 'Bash(git push:*)');
+    assert.strictEqual(permissionRule('Bash', { command: 'rm -rf dist' }), 'Bash(rm:*)');
+    assert.strictEqual(permissionRule('Bash', { command: 'export TOKEN=hunter2' }), 'Bash(export:*)');
+    assert.strictEqual(permissionRule('Bash', { command: '  ' }), 'Bash');
+    assert.strictEqual(permissionRule('WebFetch', { url: 'https://docs.example.com/a?b' }), 'WebFetch(domain:docs.example.com)');
+    assert.strictEqual(permissionRule('Edit', { file_path: '/r/a.js' }), 'Edit');
+  });
+
+  test('a wait opens once per episode and closes on the next activity', () => {
+    const stats = waitStats();
+    openWait(stats, 'main', 'PermissionRequest', { tool_name: 'Bash', tool_input: { command: 'npm publish' } }, 10000);
+    openWait(stats, 'main', 'Notification', { message: 'Claude needs your permission to use Bash' }, 11000);
+    assert.strictEqual(stats.session.waitCount, 1);
+    assert.strictEqual(stats.daily.waits, 1);
+    assert.strictEqual(closeWait(stats, 'main', 'PostToolUse', 'Bash', 70000), 60000);
+    assert.strictEqual(stats.session.waitMs, 60000);
+    assert.strictEqual(stats.daily.waitMs, 60000);
+    assert.deepStrictEqual(stats.approvedTools, { 'Bash(npm publish:*)': 1 });
+    assert.deepStrictEqual(stats.openWaits, {});
+    assert.strictEqual(closeWait(stats, 'main', 'PreToolUse', 'Read', 80000), 0);
+  });
+
+  test('only the tool that asked counts as approved, and long waits are capped', () => {
+    const stats = waitStats();
+    openWait(stats, 'main', 'PermissionRequest', { tool_name: 'Bash', tool_input: { command: 'npm publish' } }, 0);
+    openWait(stats, 'sub-1', 'Elicitation', {}, 0);
+    assert.strictEqual(closeWait(stats, 'main', 'Stop', '', 5 * WAIT_MAX_MS), WAIT_MAX_MS);
+    assert.strictEqual(stats.approvedTools.Bash, undefined);
+    assert.deepStrictEqual(Object.keys(stats.openWaits), ['sub-1']);
+    closeWait(stats, 'sub-1', 'PostToolUse', 'Read', 1000);
+    assert.deepStrictEqual([stats.session.waitCount, stats.daily.waitMs], [2, WAIT_MAX_MS + 1000]);
+  });
+
+  test('countApproval drops the rarest rule past the cap', () => {
+    const bucket = { approvedTools: { keep: 5 } };
+    for (let i = 0; i < MAX_APPROVED_RULES + 3; i++) countApproval(bucket, `r${i}`);
+    assert.strictEqual(Object.keys(bucket.approvedTools).length, MAX_APPROVED_RULES);
+    assert.strictEqual(bucket.approvedTools.keep, 5);
+    assert.strictEqual(formatWait(60000, 1), 'waited on you 1m00s \u00b7 1 prompt');
+  });
+
+  test('an approved tool\'s expected run time is not your wait', () => {
+    const stats = waitStats();
+    const rule = 'Bash(npm test:*)';
+    stats.latency = { shell: { p50: 2000 } };
+    assert.strictEqual(expectedRunMs(stats, rule, 'Bash'), 2000);
+    noteRunTime(stats, rule, 240000);
+    assert.strictEqual(stats.ruleRunMs, undefined, 'only rules that needed approval are remembered');
+    stats.approvedTools = { [rule]: 1 };
+    noteRunTime(stats, rule, 240000);
+    assert.strictEqual(expectedRunMs(stats, rule, 'Bash'), 240000);
+
+    // Asked at 0, approved around 60s, the 4-minute test run ends at 300s
+    openWait(stats, 'main', 'PermissionRequest', { tool_name: 'Bash', tool_input: { command: 'npm test' } }, 0);
+    assert.strictEqual(closeWait(stats, 'main', 'PostToolUse', 'Bash', 300000), 60000);
+    // A denial ends the wait on the next event, nothing to take off
+    openWait(stats, 'main', 'PermissionRequest', { tool_name: 'Bash', tool_input: { command: 'npm test' } }, 400000);
+    assert.strictEqual(closeWait(stats, 'main', 'Stop', '', 430000), 30000);
+  });
+
+  test('a wait outlives another session taking the slot', () => {
+    const stats = waitStats();
+    openWait(stats, 'main', 'PermissionRequest', { tool_name: 'Bash', tool_input: { command: 'npm publish' } }, 0);
+    stats.session = { id: 'other', start: 500 };
+    assert.strictEqual(closeWait(stats, 'main', 'Stop', '', 30000), 30000);
+    assert.strictEqual(stats.daily.waitMs, 30000);
+    assert.strictEqual(stats.session.waitMs, undefined);
+  });
+
+  test('waits open for a day are dropped', () => {
+    const stats = waitStats();
+    openWait(stats, 'gone', 'Notification', {}, 0);
+    openWait(stats, 'main', 'Notification', {}, 2 * 86400000);
+    assert.deepStrictEqual(Object.keys(stats.openWaits), ['main']);
+  });
+
+  test('update-state.js records the wait and the approval in stats', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-crumb-wait-'));
+    const hook = (event, input, id = 'wait-1') => {
+      try {
+        execFileSync(process.execPath, [path.join(__dirname, '..', 'update-state.js'), event], {
+          input: JSON.stringify({ session_id: id, ...input }), env: { ...process.env, CODE_CRUMB_HOME: dir }, cwd: dir,
+          timeout: 10000, stdio: ['pipe', 'pipe', 'pipe'],
+        });
+      } catch (e) {
+        if (e.status !== 0 && e.status !== null) throw e;
+      }
+      return JSON.parse(fs.readFileSync(path.join(dir, 'stats.json'), 'utf8'));
+    };
+    const publish = { tool_name: 'Bash', tool_input: { command: 'npm publish' } };
+    try {
+      hook('PreToolUse', publish);
+      let stats = hook('PermissionRequest', publish);
+      assert.ok(stats.openWaits['wait-1'].since > 0);
+      stats = hook('PostToolUse', { ...publish, tool_response: { stdout: 'ok' } });
+      assert.strictEqual(stats.session.waitCount, 1);
+      assert.ok(stats.session.waitMs >= 0);
+      assert.deepStrictEqual(stats.approvedTools, { 'Bash(npm publish:*)': 1 });
+      assert.strictEqual(stats.openWaits['wait-1'], undefined);
+      assert.strictEqual(stats.latency.shell, undefined, 'time behind the prompt is not tool latency');
+      assert.strictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'state'), 'utf8')).dailyWaits, 1);
+
+      // A parallel session takes the slot while this one waits
+      hook('PermissionRequest', publish);
+      hook('PreToolUse', { tool_name: 'Read', tool_input: { file_path: path.join(dir, 'a.js') } }, 'wait-2');
+      stats = hook('PostToolUse', { ...publish, tool_response: { stdout: 'ok' } });
+      assert.strictEqual(stats.daily.waits, 2);
+      assert.deepStrictEqual(stats.openWaits, {});
+      assert.deepStrictEqual(stats.approvedTools, { 'Bash(npm publish:*)': 2 });
+
+      // Run again without asking -- that's the rule's run time
+      hook('PreToolUse', publish);
+      stats = hook('PostToolUse', { ...publish, tool_response: { stdout: 'ok' } });
+      assert.strictEqual(typeof stats.ruleRunMs['Bash(npm publish:*)'], 'number');
+      assert.strictEqual(stats.latency.shell.count, 1);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+module.exports = { passed: () => passed, failed: () => failed };
@@ -162,6 +162,18 @@ const themes = {
     border: [210,140,30], eye: [255,190,60], mouth: [200,150,40],
     accent: [240,170,50], label: [220,155,35], status: 'training', emoji: '\u25b2',
   },
+  wary: {
+    border: [200,170,80], eye: [240,215,140], mouth: [210,180,100],
+    accent: [225,190,90], label: [215,180,85], status: 'wary', emoji: '!',
+  },
+  danger: {
+    border: [235,95,40], eye: [255,200,120], mouth: [240,120,60],
+    accent: [255,110,40], label: [250,105,45], status: 'careful!', emoji: '\u203c',
+  },
+  listening: {
+    border: [200,130,180], eye: [245,190,225], mouth: [215,150,195],
+    accent: [230,160,210], label: [215,145,195], status: 'listening', emoji: '\u00bb',
+  },
 };
 
 
@@ -190,6 +202,9 @@ const TIMELINE_COLORS = {
   committing:  [170, 130, 25],
   reviewing:   [90, 150, 180],
   training:    [180, 120, 20],
+  wary:        [180, 150, 60],
+  danger:      [220, 80, 30],
+  listening:   [170, 100, 150],
 };
 
 
@@ -202,6 +217,7 @@ const COMPLETION_LINGER = {
   proud: 7000,
   satisfied: 5500,
   relieved: 6000,
+  wary: 5500,
 };
 
 // -- Thought bubbles -----------------------------------------------
@@ -229,6 +245,12 @@ const COMPLETION_THOUGHTS = [
   'okay', 'that worked', 'moving on', 'next...',
 ];
 
+// Shown once a running tool passes the slow-command threshold
+const SLOW_TOOL_THOUGHTS = [
+  'this is taking a while...', 'still going...', 'any minute now...',
+  'come on...', 'tick tock',
+];
+
 // Per-state reactive thoughts -- personality, not status
 const STATE_THOUGHTS = {
   coding: [
@@ -274,6 +296,18 @@ const STATE_THOUGHTS = {
     'sealing the deal', 'writing history', 'fingers crossed',
     'committing to this', 'here it goes...', 'locking it in',
   ],
+  wary: [
+    'mostly fine...', 'hmm, warnings', 'not great, not terrible',
+    'I\'ll allow it', 'noted...', 'should clean that up',
+  ],
+  danger: [
+    'whoa whoa whoa', 'are we sure?', 'no undo on this',
+    'hope there\'s a backup', 'eyes open...', 'careful now',
+  ],
+  listening: [
+    'all ears', 'go on...', 'ooh, a new task',
+    'noted', 'okay, on it', 'let me take this in',
+  ],
   training: [
     'the weights are shifting...', 'loss decreasing...',
     'patience is a gradient', 'epoch 42...',
@@ -329,6 +363,9 @@ const PALETTES = [
       committing:  [[255,200,0],[255,240,80],[250,210,30],[255,220,50],[255,210,20]],
       reviewing:   [[0,200,255],[100,230,255],[50,215,255],[0,220,255],[0,210,255]],
       training:    [[255,180,0],[255,220,60],[250,190,30],[255,200,40],[255,190,20]],
+      wary:        [[255,200,0],[255,230,100],[240,210,40],[255,215,50],[255,205,30]],
+      danger:      [[255,80,0],[255,220,0],[255,120,0],[255,100,0],[255,90,0]],
+      listening:   [[255,60,200],[255,170,240],[255,110,220],[255,90,210],[255,80,205]],
     }),
     timelineColors: {
       idle:        [0,120,180],   thinking:  [200,0,160],
@@ -344,6 +381,9 @@ const PALETTES = [
       spawning:    [20,140,210],
       committing:  [200,160,0],   reviewing: [0,160,200],
       training:  [200,145,0],
+      wary:        [200,160,0],
+      danger:      [230,70,0],
+      listening:   [220,40,170],
     },
   },
 
@@ -374,6 +414,9 @@ const PALETTES = [
       committing:  [[215,200,145],[235,225,175],[222,210,160],[225,210,160],[220,205,155]],
       reviewing:   [[160,210,230],[200,235,245],[180,225,238],[170,218,235],[165,214,232]],
       training:    [[218,195,145],[232,215,175],[225,205,160],[225,205,160],[220,200,155]],
+      wary:        [[225,205,150],[238,225,185],[230,212,165],[230,212,165],[228,208,158]],
+      danger:      [[235,175,150],[245,205,185],[238,185,162],[240,185,160],[236,180,155]],
+      listening:   [[235,185,215],[248,215,235],[240,198,224],[240,198,224],[238,192,220]],
     }),
     timelineColors: {
       idle:        [130,155,185], thinking:  [165,140,185],
@@ -389,6 +432,9 @@ const PALETTES = [
       spawning:    [145,158,198],
       committing:  [180,165,115],  reviewing: [130,175,195],
       training:  [182,160,115],
+      wary:        [185,170,120],
+      danger:      [200,140,115],
+      listening:   [195,150,180],
     },
   },
 
@@ -419,6 +465,9 @@ const PALETTES = [
       committing:  [[185,185,185],[225,225,225],[200,200,200],[205,205,205],[195,195,195]],
       reviewing:   [[155,155,155],[200,200,200],[175,175,175],[165,165,165],[160,160,160]],
       training:    [[180,180,180],[220,220,220],[195,195,195],[200,200,200],[185,185,185]],
+      wary:        [[165,165,165],[205,205,205],[180,180,180],[180,180,180],[170,170,170]],
+      danger:      [[200,200,200],[255,255,255],[215,215,215],[235,235,235],[225,225,225]],
+      listening:   [[165,165,165],[215,215,215],[185,185,185],[190,190,190],[175,175,175]],
     }),
     timelineColors: {
       idle:        [100,100,100], thinking:  [140,140,140],
@@ -434,6 +483,9 @@ const PALETTES = [
       spawning:    [125,125,125],
       committing:  [155,155,155],  reviewing: [125,125,125],
       training:  [150,150,150],
+      wary:        [135,135,135],
+      danger:      [215,215,215],
+      listening:   [150,150,150],
     },
   },
 
@@ -464,6 +516,9 @@ const PALETTES = [
       committing:  [[240,185,30],[255,220,90],[245,200,55],[250,205,45],[242,195,35]],
       reviewing:   [[180,140,200],[220,180,240],[200,160,220],[210,150,215],[195,145,208]],
       training:    [[230,150,20],[255,195,70],[240,170,40],[245,175,35],[235,160,25]],
+      wary:        [[225,160,60],[250,200,110],[235,175,80],[240,175,70],[230,165,65]],
+      danger:      [[235,90,30],[255,170,90],[245,120,50],[250,110,40],[240,100,35]],
+      listening:   [[220,110,150],[250,170,200],[235,130,170],[240,125,165],[230,120,160]],
     }),
     timelineColors: {
       idle:        [170,100,40],  thinking:  [120,50,130],
@@ -479,6 +534,9 @@ const PALETTES = [
       spawning:    [120,85,158],
       committing:  [200,155,15],  reviewing: [150,115,170],
       training:  [195,125,10],
+      wary:        [190,130,45],
+      danger:      [200,70,20],
+      listening:   [185,85,125],
     },
   },
 
@@ -509,6 +567,9 @@ const PALETTES = [
       committing:  [[0,255,100],[100,255,200],[50,255,150],[30,255,130],[20,255,120]],
       reviewing:   [[0,220,255],[100,240,255],[50,230,255],[30,225,255],[20,222,255]],
       training:    [[255,200,0],[255,255,0],[255,180,0],[255,220,0],[255,210,0]],
+      wary:        [[255,255,0],[255,255,255],[255,230,0],[255,240,0],[255,245,0]],
+      danger:      [[255,128,0],[255,255,255],[255,160,0],[255,140,0],[255,130,0]],
+      listening:   [[255,0,200],[255,255,255],[255,100,220],[255,60,210],[255,40,205]],
     }),
     timelineColors: {
       idle:        [200,200,200], thinking:  [0,220,220],
@@ -524,6 +585,9 @@ const PALETTES = [
       spawning:    [190,190,235],
       committing:  [0,220,80],    reviewing: [0,185,220],
       training:  [220,170,0],
+      wary:        [220,220,0],
+      danger:      [240,110,0],
+      listening:   [220,0,180],
     },
   },
 ];
@@ -544,6 +608,7 @@ module.exports = {
   IDLE_THOUGHTS,
   THINKING_THOUGHTS,
   COMPLETION_THOUGHTS,
+  SLOW_TOOL_THOUGHTS,
   STATE_THOUGHTS,
   PALETTES,
   PALETTE_NAMES,
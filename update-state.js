@@ -10,33 +10,58 @@
 // |          TeammateIdle, TaskCompleted, SessionStart, SessionEnd, |
 // |          PreCompact, PostCompact, PermissionRequest, Setup,    |
 // |          Elicitation, ElicitationResult, ConfigChange,         |
-// |          InstructionsLoaded, StopFailure                       |
+// |          InstructionsLoaded, StopFailure, UserPromptSubmit     |
 // |                                                                  |
 // |  Works with Claude Code, Codex CLI, and OpenCode                |
 // +================================================================+
 
 const fs = require('fs');
 const path = require('path');
-const { STATE_FILE, SESSIONS_DIR, STATS_FILE, PREFS_FILE, PID_FILE, QUIT_FLAG_FILE, safeFilename, getGitBranch, getIsWorktree } = require('./shared');
 const {
-  toolToState, normalizeToolResponse, classifyToolResult, classifyTruncatedInput, updateStreak, defaultStats,
-  EDIT_TOOLS, SUBAGENT_TOOLS,
+  STATE_FILE, SESSIONS_DIR, STATS_LOCK_FILE, PREFS_FILE, PID_FILE, QUIT_FLAG_FILE, DAEMON_SOCKET,
+  safeFilename, writeFileAtomic, acquireLock, releaseLock,
+  loadPrefs, loadRules, loadRedactPatterns, getGitBranch, getIsWorktree, getProjectRoot,
+} = require('./shared');
+const {
+  toolToState, normalizeToolResponse, classifyToolResult, classifyTruncatedInput, updateStreak,
+  SUBAGENT_TOOLS, editedFilePaths, detectDanger, recordDanger, redactObject,
+  slowToolThreshold, toolCategory, toolTimerKey, startToolTimer, stopToolTimer, recordLatency,
   pruneFrequentFiles, topFrequentFiles, buildSubagentSessionState,
+  sessionProject, startProjectSession, finishProjectSession, trackProjectToolCall, projectSummary,
+  countSessionTool, noteSessionEvent, rollDaily, bumpDaily, currentDayStreak, usageExtra,
+  TODO_TOOLS, applyTodoResult, todoExtra, promptPreview, replySummary,
 } = require('./state-machine');
-
-// Event type passed as CLI argument (cross-platform -- no env var tricks)
-const hookEvent = process.argv[2] || '';
+const { INBOX_EVENTS, inboxItem, nextInbox } = require('./inbox');
+const { openWait, closeWait, permissionRule, noteRunTime } = require('./waits');
+const { appendJournal } = require('./journal');
+const { archiveSession, parkSession, resumeSession, archiveIdleSessions } = require('./history');
+const { trackTranscript } = require('./usage');
+const { SCHEMA_VERSION } = require('./schema');
+const { readStats, writeStats } = require('./stats');
+const { ipcSend, ipcFlush, ipcRequest } = require('./ipc');
+
+// Event type passed as CLI argument (cross-platform -- no env var tricks).
+// runHook() resets it per event so the daemon can reuse this module.
+let hookEvent = process.argv[2] || '';
+// Where the event came from: cwd, editor PID, env, plus stats and git
+// access. localContext() for in-process runs; daemon.js builds its own.
+let ctx = null;
 
 // -- File I/O --------------------------------------------------------
 
-// Write to the single state file (backward compat with renderer.js)
+// Write to the single state file (backward compat with renderer.js).
+// Secrets are masked here so nothing sensitive reaches disk, tmux or the title.
+// All writes go through writeFileAtomic (temp file + rename), and the same
+// payload is pushed to a running renderer over the IPC socket. Payloads are
+// stamped with the schema version (schema.js).
 function writeState(state, detail = '', extra = {}) {
-  const data = JSON.stringify({ state, detail, timestamp: Date.now(), ...extra });
+  const payload = redactObject({ state, detail, timestamp: Date.now(), ...extra, schema: SCHEMA_VERSION }, loadRedactPatterns());
   try {
-    fs.writeFileSync(STATE_FILE, data, { encoding: 'utf8', mode: 0o600 });
+    writeFileAtomic(STATE_FILE, JSON.stringify(payload));
   } catch {
     // Silently fail -- don't break Claude Code
   }
+  ipcSend('state', payload);
 }
 
 // Write per-session state file for orbital subagent rendering
@@ -44,18 +69,25 @@ function writeSessionState(sessionId, state, detail = '', stopped = false, extra
   try {
     fs.mkdirSync(SESSIONS_DIR, { recursive: true, mode: 0o700 });
     const filename = safeFilename(sessionId) + '.json';
-    const data = JSON.stringify({
+    const payload = redactObject({
       session_id: sessionId, state, detail,
-      timestamp: Date.now(), cwd: process.cwd(), stopped,
-      pid: process.ppid, // editor PID — hook runs as child, so ppid is the long-lived process
+      timestamp: Date.now(), cwd: ctx.cwd, stopped,
+      pid: ctx.ppid, // editor PID — hook runs as child, so ppid is the long-lived process
       ...extra,
-    });
-    fs.writeFileSync(path.join(SESSIONS_DIR, filename), data, { encoding: 'utf8', mode: 0o600 });
+      schema: SCHEMA_VERSION,
+    }, loadRedactPatterns());
+    writeFileAtomic(path.join(SESSIONS_DIR, filename), JSON.stringify(payload));
+    ipcSend('session', payload);
   } catch {
     // Silently fail
   }
 }
 
+// Let queued IPC messages drain (bounded), then exit
+function exitHook() {
+  ipcFlush(() => process.exit(0));
+}
+
 // Write tool state to an active subagent's session file, preserving sticky fields.
 // Pure logic lives in state-machine.js (buildSubagentSessionState); this is the I/O wrapper.
 function _writeSubagentToolState(sub, state, detail, parentSessionId) {
@@ -63,7 +95,7 @@ function _writeSubagentToolState(sub, state, detail, parentSessionId) {
     const fp = path.join(SESSIONS_DIR, safeFilename(sub.id) + '.json');
     let existing = {};
     try { existing = JSON.parse(fs.readFileSync(fp, 'utf8')); } catch {}
-    const built = buildSubagentSessionState(existing, sub, parentSessionId, process.cwd());
+    const built = buildSubagentSessionState(existing, sub, parentSessionId, ctx.cwd);
     if (!built) return;
     writeSessionState(sub.id, state, detail, false, built);
   } catch {}
@@ -81,17 +113,9 @@ function _touchEarlierSubagents(activeSubagents) {
   }
 }
 
-// Persistent stats (streaks, records, session counters)
-function readStats() {
-  try {
-    return JSON.parse(fs.readFileSync(STATS_FILE, 'utf8'));
-  } catch {
-    return defaultStats();
-  }
-}
-
-function writeStats(stats) {
-  try { fs.writeFileSync(STATS_FILE, JSON.stringify(stats), { encoding: 'utf8', mode: 0o600 }); } catch {}
+// One journal line per hook invocation (see journal.js)
+function journal(session, tool, state, detail) {
+  appendJournal({ event: hookEvent, session, tool, state, detail });
 }
 
 // -- Autolaunch ------------------------------------------------------
@@ -159,61 +183,60 @@ function ensureRendererRunning() {
 
 // -- Main handler ----------------------------------------------------
 
-// Read stdin
-let input = '';
-const MAX_INPUT = 1048576;
-let inputTruncated = false;
-process.stdin.setEncoding('utf8');
-process.stdin.on('data', chunk => {
-  if (input.length < MAX_INPUT) input += chunk;
-  else inputTruncated = true;
-});
-process.stdin.on('end', () => {
-  ensureRendererRunning();
-  if (inputTruncated) {
-    const truncResult = classifyTruncatedInput(hookEvent, input);
-    writeState(truncResult.state, truncResult.detail);
-    process.exit(0);
-  }
+// Handles one hook event end to end: classify, update stats, write state
+// and session files, journal. Runs in the hook process itself or inside
+// the daemon, which passes the calling hook's context.
+function runHook(event, input, context) {
+  hookEvent = event;
+  ctx = context;
   let state = 'thinking';
   let detail = '';
   let stopped = false;
   let diffInfo = null;
+  let testInfo = null;
+  let diagInfo = null;
   let workState = null;
   let workDetail = null;
+  let toolStartedAt = 0;
+  let toolDurationMs = null;
+  let subagentTodos = null;
+  let reply = null;
 
   try {
     const data = JSON.parse(input);
     const toolName = data.tool_name || '';
     const toolInput = data.tool_input || {};
     const toolResponse = normalizeToolResponse(data);
+    // User classification rules (config dir rules.json + per-repo file)
+    const rules = toolName ? loadRules(ctx.cwd) : [];
+    const slowToolMs = toolName ? slowToolThreshold(loadPrefs()) : 0;
 
     // Extract session ID: try hook data, env, then fall back to PPID
     const sessionId = data.session_id
-      || process.env.CLAUDE_SESSION_ID
-      || String(process.ppid);
+      || ctx.sessionEnv
+      || String(ctx.ppid);
 
-    // Load persistent stats
-    const stats = readStats();
+    // Persistent stats: read under the stats lock in-process, or the
+    // daemon's in-memory copy (see localContext / daemon.js)
+    const stats = ctx.loadStats();
 
-    // Daily tracking -- reset counters on new day
-    const today = new Date().toISOString().slice(0, 10);
-    if (!stats.daily || stats.daily.date !== today) {
-      stats.daily = { date: today, sessionCount: 0, cumulativeMs: 0 };
-    }
+    // Daily tracking -- on a new day, yesterday goes to the calendar
+    rollDaily(stats);
     if (!stats.frequentFiles) stats.frequentFiles = {};
+    archiveIdleSessions(stats);
 
     // Detect subagent sessions: different session_id while parent has active subagents.
     // Subagent hooks fire with their own session_id, not the parent's.
     // Without this, subagent hooks would trigger session reset (wiping parent stats)
     // and write tool state to the global file instead of their own orbital file.
     // Lifecycle events have dedicated handlers and must not be rerouted to subagent files.
+    // UserPromptSubmit only ever comes from a top-level session.
     // Per-session interactive events (PermissionRequest, Elicitation, ElicitationResult)
     // stay OUT of this set so they correctly route to orbital files in subagent context.
     const LIFECYCLE_EVENTS = new Set([
       'SessionStart', 'SessionEnd', 'SubagentStart', 'SubagentStop',
       'PreCompact', 'PostCompact', 'Setup', 'ConfigChange',
-      'InstructionsLoaded', 'StopFailure',
+      'InstructionsLoaded', 'StopFailure', 'UserPromptSubmit',
     ]);
 
     let isKnownSubagent = false;
@@ -236,14 +259,32 @@ process.stdin.on('end', () => {
           stats.records.mostSubagents = stats.session.subagentCount;
         }
         stats.daily.cumulativeMs += dur;
+        finishProjectSession(stats, dur);
+        stats.session.start = 0;
+      }
+      // Parallel sessions take turns in the slot -- the one making way is
+      // parked until its SessionEnd (or until it goes idle), and picks up
+      // where it left off when it's back
+      parkSession(stats);
+      const resumed = resumeSession(stats, sessionId);
+      if (resumed) {
+        resumed.start = Date.now();
+        stats.session = resumed;
+      } else {
+        stats.daily.sessionCount++;
+        stats.session = {
+          id: sessionId, start: Date.now(), startedAt: Date.now(),
+          toolCalls: 0, filesEdited: [], subagentCount: 0, commitCount: 0,
+        };
       }
-      stats.daily.sessionCount++;
-      stats.session = {
-        id: sessionId, start: Date.now(),
-        toolCalls: 0, filesEdited: [], subagentCount: 0, commitCount: 0,
-      };
     }
 
+    // Per-project bucket (git top-level or cwd). New sessions -- and ones
+    // from before project stats existed -- are attached here.
+    const projectRoot = ctx.getProjectRoot(ctx.cwd);
+    if (!isKnownSubagent && !stats.session.project) startProjectSession(stats, projectRoot);
+    const project = isKnownSubagent ? null : sessionProject(stats);
+
     // Initialize subagent tracking for synthetic orbital sessions
     if (!stats.session.activeSubagents) stats.session.activeSubagents = [];
     // Clean up stale synthetic subagents (older than 10 minutes)
@@ -256,26 +297,41 @@ process.stdin.on('end', () => {
       stats.recentMilestone = null;
     }
 
+    // Token usage appended to the transcript since the last hook
+    if (!isKnownSubagent && data.transcript_path) trackTranscript(stats, data.transcript_path);
+
     if (hookEvent === 'PreToolUse') {
-      ({ state, detail } = toolToState(toolName, toolInput));
+      ({ state, detail } = toolToState(toolName, toolInput, rules, loadRedactPatterns()));
+
+      // Destructive commands are logged for every session, subagents included
+      if (state === 'danger') {
+        const redact = loadRedactPatterns();
+        recordDanger(stats, detectDanger(toolName, toolInput, rules, redact), sessionId, redact);
+      }
+
+      // Latency timer -- paired with PostToolUse via tool_use_id (or session + tool)
+      toolStartedAt = startToolTimer(stats, toolTimerKey(sessionId, toolName, data.tool_use_id), toolName);
 
       // Only count stats for the parent session -- subagent tool calls
       // should not inflate the parent's counters or file tracking.
       if (!isKnownSubagent) {
         stats.session.toolCalls++;
         stats.totalToolCalls = (stats.totalToolCalls || 0) + 1;
+        bumpDaily(stats, 'toolCalls');
+        countSessionTool(stats.session, toolName);
 
         // Track files edited (multi-editor: Claude Code, Codex, OpenCode)
-        if (EDIT_TOOLS.test(toolName)) {
-          const fp = toolInput?.file_path || toolInput?.path || toolInput?.target_file || '';
-          const base = fp ? path.basename(fp) : '';
-          if (base && !stats.session.filesEdited.includes(base)) {
+        // (patches may touch several files in one call)
+        for (const fp of editedFilePaths(toolName, toolInput)) {
+          const base = path.basename(fp);
+          if (!base) continue;
+          if (!stats.session.filesEdited.includes(base)) {
             stats.session.filesEdited.push(base);
           }
-          if (base) {
-            stats.frequentFiles[base] = (stats.frequentFiles[base] || 0) + 1;
-          }
+          stats.frequentFiles[base] = (stats.frequentFiles[base] || 0) + 1;
         }
+        // Project bucket keeps repo-relative paths (no index.ts collisions)
+        trackProjectToolCall(stats, editedFilePaths(toolName, toolInput), ctx.cwd);
       }
 
       // Propagate tool state to the most recently started subagent orbital.
@@ -289,6 +345,7 @@ process.stdin.on('end', () => {
         _touchEarlierSubagents(stats.session.activeSubagents);
         state = 'subagent';
         detail = `conducting ${stats.session.activeSubagents.length}`;
+        toolStartedAt = 0;  // the orbital owns the tool; the conductor shows no timer
       }
     }
     else if (hookEvent === 'PostToolUse' || hookEvent === 'PostToolUseFailure') {
@@ -296,27 +353,46 @@ process.stdin.on('end', () => {
       // itself failed -- force the error flag so we always show error state.
       const isErrorFlag = hookEvent === 'PostToolUseFailure'
         || toolResponse?.isError || data?.isError || false;
-      const result = classifyToolResult(toolName, toolInput, toolResponse, isErrorFlag);
+      const result = classifyToolResult(toolName, toolInput, toolResponse, isErrorFlag, rules, loadRedactPatterns());
       state = result.state;
       detail = result.detail;
       diffInfo = result.diffInfo;
+      testInfo = result.testInfo;
+      diagInfo = result.diagInfo;
+
+      toolDurationMs = stopToolTimer(stats, toolTimerKey(sessionId, toolName, data.tool_use_id));
+      // A run that sat behind a permission prompt timed you, not the tool
+      const waitedOnYou = !!(stats.openWaits && stats.openWaits[sessionId]);
+      if (toolDurationMs !== null && !waitedOnYou) {
+        recordLatency(stats, toolCategory(toolName), toolDurationMs, slowToolMs);
+        noteRunTime(stats, permissionRule(toolName, toolInput), toolDurationMs);
+      }
 
       // Piggyback the PreToolUse work state onto the PostToolUse write so the
       // renderer can inject it if it missed the PreToolUse file write (race condition
       // on fast commands where PostToolUse overwrites before the renderer reads).
-      const preToolResult = toolToState(toolName, toolInput);
+      const preToolResult = toolToState(toolName, toolInput, rules, loadRedactPatterns());
       if (preToolResult.state !== 'idle' && preToolResult.state !== 'thinking') {
         workState = preToolResult.state;
         workDetail = preToolResult.detail;
       }
 
+      // Todo list -- the parent's goes on its session; a subagent's only
+      // into its own session file
+      if (TODO_TOOLS.test(toolName) && state !== 'error') {
+        const owner = isKnownSubagent ? {} : stats.session;
+        ({ state, detail } = applyTodoResult(owner, toolInput, result));
+        if (isKnownSubagent) subagentTodos = todoExtra(owner);
+      }
+
       // Track git commits and streaks (skip for known subagents -- their
       // results should not affect the parent session's counters or streak).
       if (!isKnownSubagent) {
         if (result.state === 'proud' && result.detail === 'committed') {
           stats.session.commitCount = (stats.session.commitCount || 0) + 1;
+          bumpDaily(stats, 'commits');
         }
-        updateStreak(stats, state === 'error');
+        updateStreak(stats, state === 'error', detail);
       }
 
       // Propagate tool result state to the most recently started subagent (see PreToolUse comment)
@@ -331,10 +407,13 @@ process.stdin.on('end', () => {
       }
     }
     else if (hookEvent === 'Stop') {
-      const lastMsg = data.last_assistant_message || '';
       state = 'responding';
       detail = 'wrapping up';
       stopped = true;
+      // The final message goes to the speech bubble; its tone picks the
+      // completion state the renderer moves on to
+      const summary = replySummary(data.last_assistant_message, loadRedactPatterns());
+      if (summary) reply = { ...summary, at: Date.now() };
 
       // Update session records (skip for known subagents -- their Stop must not
       // zero the parent's session.start or inflate duration/record counters).
@@ -342,6 +421,7 @@ process.stdin.on('end', () => {
         const dur = Date.now() - stats.session.start;
         if (dur > (stats.records.longestSession || 0)) stats.records.longestSession = dur;
         stats.daily.cumulativeMs += dur;
+        finishProjectSession(stats, dur);
         stats.session.start = 0; // Prevent double-counting on next session change
       }
       if (!isKnownSubagent && (stats.session.filesEdited?.length || 0) > (stats.records.mostFilesEdited || 0)) {
@@ -352,6 +432,14 @@ process.stdin.on('end', () => {
       // may still be running after the parent's turn ends. SessionEnd handles
       // final cleanup; SubagentStop handles individual foreground agents.
     }
+    else if (hookEvent === 'UserPromptSubmit') {
+      // A new turn: the face perks up before the first tool call.
+      // The preview labels this session in the orbitals and session list.
+      state = 'listening';
+      const preview = promptPreview(data.prompt, loadRedactPatterns());
+      detail = preview || 'new prompt';
+      if (preview) stats.session.promptPreview = preview;
+    }
     else if (hookEvent === 'Notification') {
       state = 'waiting';
       detail = 'needs attention';
@@ -365,8 +453,9 @@ process.stdin.on('end', () => {
         isTeammate: true,
       };
       writeSessionState(sessionId, state, detail, false, { ...teamExtra, sessionId });
-      writeStats(stats);
-      process.exit(0);
+      ctx.saveStats(stats);
+      journal(sessionId, toolName, state, detail);
+      return;
     }
     else if (hookEvent === 'TaskCompleted') {
       const taskSubject = data.task_subject || '';
@@ -379,8 +468,9 @@ process.stdin.on('end', () => {
         isTeammate: true,
       };
       writeSessionState(sessionId, state, detail, false, { ...teamExtra, sessionId });
-      writeStats(stats);
-      process.exit(0);
+      ctx.saveStats(stats);
+      journal(sessionId, toolName, state, detail);
+      return;
     }
     else if (hookEvent === 'SubagentStart') {
       // Native subagent lifecycle event -- create a synthetic orbital session
@@ -394,8 +484,8 @@ process.stdin.on('end', () => {
       }
       stats.session.activeSubagents.push({ id: subId, description: desc, taskDescription: desc, model: data.model || 'haiku', startedAt: Date.now() });
       writeSessionState(subId, 'spawning', desc, false, {
-        sessionId: subId, modelName: data.model || 'haiku', cwd: process.cwd(),
-        gitBranch: getGitBranch(process.cwd()), isWorktree: getIsWorktree(process.cwd()),
+        sessionId: subId, modelName: data.model || 'haiku', cwd: ctx.cwd,
+        gitBranch: ctx.getGitBranch(ctx.cwd), isWorktree: ctx.getIsWorktree(ctx.cwd),
         parentSession: sessionId, taskDescription: desc,
       });
       detail = `conducting ${stats.session.activeSubagents.length}`;
@@ -408,8 +498,8 @@ process.stdin.on('end', () => {
         if (idx >= 0) {
           const finished = stats.session.activeSubagents.splice(idx, 1)[0];
           writeSessionState(finished.id, 'happy', 'done', true, {
-            sessionId: finished.id, stopped: true, cwd: process.cwd(),
-            gitBranch: getGitBranch(process.cwd()), isWorktree: getIsWorktree(process.cwd()),
+            sessionId: finished.id, stopped: true, cwd: ctx.cwd,
+            gitBranch: ctx.getGitBranch(ctx.cwd), isWorktree: ctx.getIsWorktree(ctx.cwd),
             parentSession: sessionId, taskDescription: finished.taskDescription || finished.description,
             modelName: finished.model || 'haiku',
           });
@@ -418,8 +508,8 @@ process.stdin.on('end', () => {
       } else if (stats.session.activeSubagents.length > 0) {
         const finished = stats.session.activeSubagents.shift();
         writeSessionState(finished.id, 'happy', 'done', true, {
-          sessionId: finished.id, stopped: true, cwd: process.cwd(),
-          gitBranch: getGitBranch(process.cwd()), isWorktree: getIsWorktree(process.cwd()),
+          sessionId: finished.id, stopped: true, cwd: ctx.cwd,
+          gitBranch: ctx.getGitBranch(ctx.cwd), isWorktree: ctx.getIsWorktree(ctx.cwd),
           parentSession: sessionId, taskDescription: finished.taskDescription || finished.description,
           modelName: finished.model || 'haiku',
         });
@@ -439,10 +529,12 @@ process.stdin.on('end', () => {
       // Clean up any stale session file from previous session with same ID
       const staleSessionFile = path.join(SESSIONS_DIR, safeFilename(sessionId) + '.json');
       try { fs.unlinkSync(staleSessionFile); } catch {}
+      // A restarted session (same id) keeps its earlier run in history
+      archiveSession(stats, stats.session.lastEventAt || Date.now());
       stats.session = {
-        id: sessionId, start: Date.now(),
+        id: sessionId, start: Date.now(), startedAt: Date.now(),
         toolCalls: 0, filesEdited: [], subagentCount: 0, commitCount: 0,
-        activeSubagents: [],
+        activeSubagents: [], project: stats.session.project,
       };
     }
     else if (hookEvent === 'SessionEnd') {
@@ -454,6 +546,7 @@ process.stdin.on('end', () => {
         const dur = Date.now() - stats.session.start;
         if (dur > (stats.records.longestSession || 0)) stats.records.longestSession = dur;
         stats.daily.cumulativeMs += dur;
+        finishProjectSession(stats, dur);
         stats.session.start = 0;
       }
       if ((stats.session.filesEdited?.length || 0) > (stats.records.mostFilesEdited || 0)) {
@@ -462,8 +555,8 @@ process.stdin.on('end', () => {
       // Clean up any remaining synthetic subagent sessions
       for (const sub of stats.session.activeSubagents) {
         writeSessionState(sub.id, 'happy', 'done', true, {
-          sessionId: sub.id, stopped: true, cwd: process.cwd(),
-          gitBranch: getGitBranch(process.cwd()), isWorktree: getIsWorktree(process.cwd()),
+          sessionId: sub.id, stopped: true, cwd: ctx.cwd,
+          gitBranch: ctx.getGitBranch(ctx.cwd), isWorktree: ctx.getIsWorktree(ctx.cwd),
           parentSession: sessionId, modelName: sub.model || 'haiku',
         });
       }
@@ -525,17 +618,31 @@ process.stdin.on('end', () => {
       else detail = errorType || 'API error';
       // Track in stats -- API failures break the streak
       if (!isKnownSubagent) {
-        updateStreak(stats, true);
+        updateStreak(stats, true, detail);
       }
     }
     else {
       if (toolName) {
-        ({ state, detail } = toolToState(toolName, toolInput));
+        ({ state, detail } = toolToState(toolName, toolInput, rules, loadRedactPatterns()));
       }
     }
 
     // Model name: from event data, env var, or default to 'claude'
-    const modelName = data.model_name || process.env.CODE_CRUMB_MODEL || 'claude';
+    const modelName = data.model_name || ctx.modelEnv || 'claude';
+
+    // Open inbox: waiting events add to the session's list, anything else empties it
+    let inbox = null;
+    if (INBOX_EVENTS.has(hookEvent)) {
+      let open = null;
+      try {
+        open = JSON.parse(fs.readFileSync(path.join(SESSIONS_DIR, safeFilename(sessionId) + '.json'), 'utf8')).inbox;
+      } catch {}
+      inbox = nextInbox(open, inboxItem(hookEvent, data, loadRedactPatterns()));
+    }
+
+    // Time blocked on you: the same events start a wait, anything else ends it
+    if (INBOX_EVENTS.has(hookEvent)) openWait(stats, sessionId, hookEvent, data);
+    else closeWait(stats, sessionId, hookEvent, toolName);
 
     // Build extra data for state files
     const currentSessionMs = stats.session.start ? Date.now() - stats.session.start : 0;
@@ -546,24 +653,53 @@ process.stdin.on('end', () => {
       filesEdited: stats.session.filesEdited?.length || 0,
       sessionStart: stats.session.start,
       streak: stats.streak,
-      cwd: process.cwd(),
-      isWorktree: getIsWorktree(process.cwd()),
-      gitBranch: getGitBranch(process.cwd()),
+      cwd: ctx.cwd,
+      isWorktree: ctx.getIsWorktree(ctx.cwd),
+      gitBranch: ctx.getGitBranch(ctx.cwd),
       commitCount: stats.session.commitCount || 0,
       bestStreak: stats.bestStreak,
       brokenStreak: stats.brokenStreak,
       brokenStreakAt: stats.brokenStreakAt,
       milestone: stats.recentMilestone,
       diffInfo,
+      testInfo,
+      diagInfo,
       dailySessions: stats.daily.sessionCount,
       dailyCumulativeMs: stats.daily.cumulativeMs + currentSessionMs,
-      frequentFiles: topFrequentFiles(stats.frequentFiles),
+      dayStreak: currentDayStreak(stats),
+      bestDayStreak: stats.dayStreak ? stats.dayStreak.best : 0,
+      dailyWaitMs: stats.daily.waitMs || 0,
+      dailyWaits: stats.daily.waits || 0,
+      // Current project's files (repo-relative) when there is one
+      frequentFiles: topFrequentFiles(project ? project.frequentFiles : stats.frequentFiles),
+      project: projectSummary(project, currentSessionMs),
+      ...usageExtra(stats),
+      todos: isKnownSubagent ? subagentTodos : todoExtra(stats.session),
+      promptPreview: isKnownSubagent ? null : stats.session.promptPreview || null,
     };
 
     if (stopped) extra.stopped = true;
+    if (reply) extra.reply = reply;
+    if (inbox) extra.inbox = inbox;
     if (workState) { extra.workState = workState; extra.workDetail = workDetail; }
+    // Live elapsed timer while a tool runs; duration + slow flag once it ends
+    if (toolStartedAt) { extra.toolStartedAt = toolStartedAt; extra.slowToolMs = slowToolMs; }
+    if (toolDurationMs !== null) {
+      extra.toolDurationMs = toolDurationMs;
+      if (toolDurationMs >= slowToolMs) extra.slowTool = true;
+    }
     if (hookEvent === 'SessionStart') extra.isSessionStart = true;
 
+    if (!isKnownSubagent) {
+      noteSessionEvent(stats.session, { branch: extra.gitBranch, model: modelName });
+      if (hookEvent === 'SessionEnd') archiveSession(stats);
+    }
+
+    // Stats are final at this point -- save them (releasing the stats lock)
+    // before the state file writes below so parallel hooks wait as little as possible.
+    pruneFrequentFiles(stats.frequentFiles);
+    ctx.saveStats(stats);
+
     // Stamp parentSession on subagent writes so the parentSession guard
     // blocks them from writing global state, and the renderer treats them as orbitals.
     if (isKnownSubagent) {
@@ -582,9 +718,9 @@ process.stdin.on('end', () => {
             const synthData = JSON.parse(fs.readFileSync(synthFp, 'utf8'));
             if (!synthData.stopped) {
               if (synthData.taskDescription) extra.taskDescription = synthData.taskDescription;
-              fs.writeFileSync(synthFp, JSON.stringify({
-                ...synthData, stopped: true, state: 'happy', detail: 'done',
-              }), { encoding: 'utf8', mode: 0o600 });
+              const retired = { ...synthData, stopped: true, state: 'happy', detail: 'done' };
+              writeFileAtomic(synthFp, JSON.stringify(retired));
+              ipcSend('session', retired);
               break;
             }
           } catch {}
@@ -635,8 +771,8 @@ process.stdin.on('end', () => {
     // appear as orbitals. The renderer excludes the main session by ID.
     if (hookEvent !== 'SessionStart') {
       // Preserve stopped flag and sticky fields from existing session file
-      // (set once at SubagentStart/TeammateIdle, must survive subsequent hook updates)
-      const STICKY_FIELDS = ['taskDescription', 'parentSession', 'isTeammate', 'teamName', 'teammateName'];
+      // (set at SubagentStart/TeammateIdle/UserPromptSubmit, must survive subsequent hook updates)
+      const STICKY_FIELDS = ['taskDescription', 'parentSession', 'isTeammate', 'teamName', 'teammateName', 'promptPreview'];
       try {
         const existingSession = JSON.parse(fs.readFileSync(
           path.join(SESSIONS_DIR, safeFilename(sessionId) + '.json'), 'utf8'));
@@ -650,6 +786,8 @@ process.stdin.on('end', () => {
             extra[field] = existingSession[field];
           }
         }
+        // A subagent's todo list only comes with its own todo tool calls
+        if (isKnownSubagent && !extra.todos && existingSession.todos) extra.todos = existingSession.todos;
       } catch {}
       if (hookEvent === 'Stop') {
         // Stop = end of turn, not end of session. Keep orbital visible as idle.
@@ -661,15 +799,14 @@ process.stdin.on('end', () => {
         writeSessionState(sessionId, state, detail, stopped, extra);
       }
     }
-    pruneFrequentFiles(stats.frequentFiles);
-    writeStats(stats);
+    journal(sessionId, toolName, state, detail);
   } catch {
     // JSON parse may fail for events with empty or non-JSON stdin
     // (e.g., Stop, Notification, lifecycle events) -- still write the
     // correct state for the hook event.
     // Try to reuse the session ID from the global state file so we don't
     // create an orphan session file that appears as a phantom orbital.
-    const originalFallbackId = process.env.CLAUDE_SESSION_ID || String(process.ppid);
+    const originalFallbackId = ctx.sessionEnv || String(ctx.ppid);
     let fallbackSessionId = originalFallbackId;
     let shouldWriteGlobal = true;
     try {
@@ -697,7 +834,7 @@ process.stdin.on('end', () => {
     // SessionStart always takes over global state — explicit new-session signal
     if (hookEvent === 'SessionStart') shouldWriteGlobal = true;
 
-    const fallbackExtra = { sessionId: fallbackSessionId, modelName: process.env.CODE_CRUMB_MODEL || 'claude' };
+    const fallbackExtra = { sessionId: fallbackSessionId, modelName: ctx.modelEnv || 'claude' };
 
     let fallbackState = 'thinking';
     let fallbackDetail = '';
@@ -709,6 +846,9 @@ process.stdin.on('end', () => {
       fallbackState = 'responding';
       fallbackDetail = 'wrapping up';
       fallbackExtra.stopped = true; // for global state only
+    } else if (hookEvent === 'UserPromptSubmit') {
+      fallbackState = 'listening';
+      fallbackDetail = 'new prompt';
     } else if (hookEvent === 'Notification') {
       fallbackState = 'waiting';
       fallbackDetail = 'needs attention';
@@ -763,6 +903,8 @@ process.stdin.on('end', () => {
       fallbackDetail = 'API error';
     }
 
+    if (INBOX_EVENTS.has(hookEvent)) fallbackExtra.inbox = nextInbox(null, inboxItem(hookEvent, {}));
+
     if (shouldWriteGlobal) writeState(fallbackState, fallbackDetail, fallbackExtra);
     // Always write per-session file so parallel sessions appear as orbitals.
     if (hookEvent === 'Stop') {
@@ -773,8 +915,93 @@ process.stdin.on('end', () => {
       writeSessionState(fallbackSessionId, fallbackState, fallbackDetail,
         hookEvent === 'SessionEnd', fallbackExtra);
     }
+    journal(fallbackSessionId, '', fallbackState, fallbackDetail);
   }
+}
 
-  process.exit(0);
-});
+// In-process context: this hook's own cwd and env, stats from disk.
+function localContext() {
+  return {
+    cwd: process.cwd(),
+    ppid: process.ppid,
+    sessionEnv: process.env.CLAUDE_SESSION_ID || '',
+    modelEnv: process.env.CODE_CRUMB_MODEL || '',
+    // Stats are read under the stats lock so parallel sessions and subagent
+    // hooks don't clobber each other's counters. Released once they're
+    // saved, or at exit for handlers that bail out early.
+    loadStats() {
+      if (acquireLock(STATS_LOCK_FILE)) {
+        process.on('exit', () => releaseLock(STATS_LOCK_FILE));
+      }
+      return readStats();
+    },
+    saveStats(stats) {
+      writeStats(stats);
+      releaseLock(STATS_LOCK_FILE);
+    },
+    getGitBranch,
+    getIsWorktree,
+    getProjectRoot,
+  };
+}
+
+// -- Daemon client ---------------------------------------------------
+
+// With a daemon running (daemon.js) the hook is a thin client: it forwards
+// the raw stdin plus its own context and exits. done(false) only when
+// nothing reached the daemon, so the event is never handled twice. The raw
+// input holds prompts and tool inputs, so ipcRequest refuses a socket
+// this user doesn't own.
+function forwardToDaemon(event, input, context, done) {
+  ipcRequest('hook', {
+    event, input,
+    cwd: context.cwd, ppid: context.ppid,
+    sessionEnv: context.sessionEnv, modelEnv: context.modelEnv,
+  }, DAEMON_SOCKET, (result) => done(result !== 'unreachable'));
+}
+
+// With prefs.daemon on, a hook that found no daemon starts one (detached)
+// for the hooks that follow. A second daemon racing for the socket exits.
+function ensureDaemonRunning() {
+  try {
+    if (!loadPrefs().daemon) return;
+    const { spawn } = require('child_process');
+    const child = spawn(process.execPath, [path.resolve(__dirname, 'daemon.js')],
+      { detached: true, stdio: 'ignore' });
+    child.unref();
+  } catch {} // Never throw from a hook
+}
+
+// -- Entry point -----------------------------------------------------
+
+if (require.main === module) {
+  // Read stdin
+  let input = '';
+  const MAX_INPUT = 1048576;
+  let inputTruncated = false;
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', chunk => {
+    if (input.length < MAX_INPUT) input += chunk;
+    else inputTruncated = true;
+  });
+  process.stdin.on('end', () => {
+    ensureRendererRunning();
+    ctx = localContext();
+    if (inputTruncated) {
+      const truncResult = classifyTruncatedInput(hookEvent, input);
+      writeState(truncResult.state, truncResult.detail);
+      journal(ctx.sessionEnv || String(ctx.ppid), '', truncResult.state, truncResult.detail);
+      exitHook();
+      return;
+    }
+    forwardToDaemon(hookEvent, input, ctx, (handled) => {
+      if (!handled) {
+        runHook(hookEvent, input, ctx);
+        ensureDaemonRunning();
+      }
+      exitHook();
+    });
+  });
+}
 
+module.exports = { runHook, localContext, readStats, writeStats };
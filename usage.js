@@ -0,0 +1,140 @@
+'use strict';
+
+// +================================================================+
+// |  Token Usage -- read from the session transcript                 |
+// |                                                                  |
+// |  Claude Code hooks pass transcript_path, a JSONL file with one   |
+// |  line per message block. Assistant lines carry message.usage.    |
+// |  Each hook reads only what was appended since the last one       |
+// |  (stats.transcripts[path] = { offset, seen, used }), so the      |
+// |  cost stays flat however long the session runs. Read positions   |
+// |  are kept per transcript, not per session, so parallel sessions  |
+// |  taking turns never re-read what was already counted. A          |
+// |  transcript seen for the first time may hold earlier turns (a    |
+// |  resumed session) or earlier days: only messages stamped after   |
+// |  the session started, and today, are counted from it.            |
+// |                                                                  |
+// |  Prefs:                                                          |
+// |    prices   { "<model substring>": { input, output, cacheWrite,  |
+// |               cacheRead } } in USD per million tokens            |
+// |    budget   { "session": 5, "daily": 20 } in USD -- warns once   |
+// +================================================================+
+
+const fs = require('fs');
+const { loadPrefs } = require('./shared');
+const { DEFAULT_PRICES, normalizeUsage, addUsage, checkBudget, dayKey } = require('./state-machine');
+
+// Most read per hook; a long backlog (a resumed session) is caught up
+// over the next few hooks.
+const TRANSCRIPT_READ_MAX = 1048576;
+// Message ids remembered for de-duplication -- a message with several
+// content blocks is written as several lines with the same usage.
+const SEEN_IDS = 20;
+// Transcripts whose read position is kept; the least recently used go first
+const MAX_TRANSCRIPTS = 20;
+
+function usageSettings(prefs) {
+  const p = prefs || {};
+  const prices = p.prices && typeof p.prices === 'object' ? p.prices : {};
+  const budget = p.budget && typeof p.budget === 'object' ? p.budget : {};
+  return {
+    prices: { ...DEFAULT_PRICES, ...prices },
+    budget: { session: Number(budget.session) || 0, daily: Number(budget.daily) || 0 },
+  };
+}
+
+// Usage entries ({ usage, model }) from the lines appended to file since
+// cursor. Returns { cursor, entries } with the cursor moved past the last
+// complete line. A file that shrank was rewritten and is read from the top.
+// Messages stamped before cursor.since (epoch ms) are skipped.
+function readTranscriptUsage(file, cursor) {
+  const since = (cursor && cursor.since) || 0;
+  let c = cursor && cursor.path === file
+    ? { path: file, offset: cursor.offset || 0, seen: [...(cursor.seen || [])] }
+    : { path: file, offset: 0, seen: [] };
+  if (since) c.since = since;
+  const entries = [];
+  let fd;
+  try {
+    fd = fs.openSync(file, 'r');
+    const size = fs.fstatSync(fd).size;
+    if (size < c.offset) { c.offset = 0; c.seen = []; }
+    const len = Math.min(size - c.offset, TRANSCRIPT_READ_MAX);
+    if (len <= 0) return { cursor: c, entries };
+    const buf = Buffer.alloc(len);
+    fs.readSync(fd, buf, 0, len, c.offset);
+    const end = buf.lastIndexOf(10);
+    if (end < 0) {
+      // One line longer than the read limit -- skip it rather than stall
+      if (len === TRANSCRIPT_READ_MAX) c.offset += len;
+      return { cursor: c, entries };
+    }
+    c.offset += end + 1;
+    for (const line of buf.toString('utf8', 0, end).split('\n')) {
+      if (!line.includes('"usage"')) continue;
+      let rec;
+      try { rec = JSON.parse(line); } catch { continue; }
+      const msg = rec && rec.message;
+      if (!rec || rec.type !== 'assistant' || !msg || !msg.usage) continue;
+      if (since && Date.parse(rec.timestamp) < since) continue;
+      const id = msg.id || rec.requestId || '';
+      if (id) {
+        if (c.seen.includes(id)) continue;
+        c.seen.push(id);
+        if (c.seen.length > SEEN_IDS) c.seen.shift();
+      }
+      entries.push({ usage: normalizeUsage(msg.usage), model: msg.model || '' });
+    }
+  } catch {
+    // Missing or unreadable transcript -- nothing to add
+  } finally {
+    if (fd !== undefined) try { fs.closeSync(fd); } catch {}
+  }
+  return { cursor: c, entries };
+}
+
+// Adds usage entries to the session and today. Returns a budget alert
+// the first time a limit is crossed (kept in stats.budgetAlert so the
+// next state write carries it), else null.
+function recordUsage(stats, entries, settings = usageSettings(loadPrefs()), now = Date.now()) {
+  if (!entries.length) return null;
+  for (const e of entries) addUsage(stats, e.usage, e.model, settings.prices);
+  const alert = checkBudget(stats, settings.budget, now);
+  if (alert) stats.budgetAlert = alert;
+  return alert;
+}
+
+// Catches stats up with the transcript at file, from where it was last read
+function trackTranscript(stats, file, settings, now = Date.now()) {
+  if (!file || !stats.session || !stats.session.id) return null;
+  if (!stats.transcripts || typeof stats.transcripts !== 'object') stats.transcripts = {};
+  const transcripts = stats.transcripts;
+  // Older releases kept one position on the session
+  const legacy = stats.session.transcript;
+  if (legacy) {
+    if (legacy.path && !transcripts[legacy.path]) transcripts[legacy.path] = { offset: legacy.offset || 0, seen: legacy.seen || [], used: now };
+    delete stats.session.transcript;
+  }
+  // First sight: nothing from before this session or before today
+  const saved = transcripts[file] || {
+    offset: 0, seen: [], since: Math.max(stats.session.startedAt || stats.session.start || 0, Date.parse(dayKey(now))),
+  };
+  const { cursor, entries } = readTranscriptUsage(file, { path: file, ...saved });
+  transcripts[file] = { offset: cursor.offset, seen: cursor.seen, used: now };
+  if (cursor.since) transcripts[file].since = cursor.since;
+  const paths = Object.keys(transcripts);
+  if (paths.length > MAX_TRANSCRIPTS) {
+    paths.sort((a, b) => (transcripts[a].used || 0) - (transcripts[b].used || 0));
+    for (const p of paths.slice(0, paths.length - MAX_TRANSCRIPTS)) delete transcripts[p];
+  }
+  return recordUsage(stats, entries, settings, now);
+}
+
+module.exports = {
+  TRANSCRIPT_READ_MAX,
+  MAX_TRANSCRIPTS,
+  usageSettings,
+  readTranscriptUsage,
+  recordUsage,
+  trackTranscript,
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+// +================================================================+
+// |  Waiting On You -- time sessions spend blocked on a person       |
+// |                                                                  |
+// |  A wait runs from a waiting event (see inbox.js) to that         |
+// |  session's next event of any other kind. Open waits are kept per |
+// |  session id in stats.openWaits -- parallel sessions and subagents|
+// |  wait on you too -- and closed ones add to today, their project, |
+// |  and the session that owned the wait if it is still current.     |
+// |  Nothing fires when a permission is granted, so an approved      |
+// |  tool's wait is only seen to end when the tool finishes -- its   |
+// |  expected run time is taken off (see expectedRunMs), and it      |
+// |  counts as an approval of its allowlist rule.                    |
+// +================================================================+
+
+const { BASH_TOOLS, toolCategory, bumpDaily, formatElapsed } = require('./state-machine');
+
+const WAIT_MAX_MS = 3600000; // Longer than this you walked away -- counts as an hour
+const WAIT_STALE_MS = 86400000; // Open this long, the session is gone -- dropped
+const MAX_APPROVED_RULES = 30;
+
+// Claude Code permission rule for a tool call: "Bash(npm publish:*)",
+// "WebFetch(domain:example.com)", or the tool name
+function permissionRule(toolName, input) {
+  const i = input || {};
+  if (BASH_TOOLS.test(toolName) && i.command) {
+    // Leading VAR=value assignments aren't part of the command
+    const words = String(i.command).match(/\S+/g) || [];
+    while (words.length && /^\w+=/.test(words[0])) words.shift();
+    if (!words.length) return toolName;
+    const head = words[1] && /^[\w][\w.:@/-]*$/.test(words[1]) ? `${words[0]} ${words[1]}` : words[0];
+    return `${toolName}(${head}:*)`;
+  }
+  if (i.url) {
+    try { return `${toolName}(domain:${new URL(i.url).hostname})`; } catch {}
+  }
+  return toolName;
+}
+
+// A waiting event for sessionId: starts its wait (one per episode, so a
+// permission and its notification count once) and remembers the rule a
+// permission request asks for
+function openWait(stats, sessionId, hookEvent, data, now = Date.now()) {
+  if (!stats.openWaits || typeof stats.openWaits !== 'object') stats.openWaits = {};
+  const waits = stats.openWaits;
+  for (const id of Object.keys(waits)) {
+    if (now - (waits[id].since || 0) > WAIT_STALE_MS) delete waits[id];
+  }
+  let wait = waits[sessionId];
+  if (!wait) {
+    // owner: the top-level session (a subagent's parent) the wait counts for
+    const session = stats.session;
+    wait = waits[sessionId] = { since: now, owner: session.id || '', project: session.project || '' };
+    session.waitCount = (session.waitCount || 0) + 1;
+    bumpDaily(stats, 'waits');
+  }
+  const d = data || {};
+  if (hookEvent === 'PermissionRequest' && d.tool_name) {
+    wait.tool = d.tool_name;
+    wait.rule = permissionRule(d.tool_name, d.tool_input);
+  }
+  return wait;
+}
+
+// How long an approved tool likely ran: the last run of the same rule
+// that didn't wait on you, else the median of its kind of tool
+function expectedRunMs(stats, rule, toolName) {
+  const known = stats.ruleRunMs && stats.ruleRunMs[rule];
+  if (typeof known === 'number') return known;
+  const latency = stats.latency && stats.latency[toolCategory(toolName)];
+  return (latency && latency.p50) || 0;
+}
+
+// Remembers how long a rule that has needed approval before ran when it
+// didn't wait on you
+function noteRunTime(stats, rule, ms) {
+  if (!stats.approvedTools || !stats.approvedTools[rule]) return;
+  if (!stats.ruleRunMs || typeof stats.ruleRunMs !== 'object') stats.ruleRunMs = {};
+  stats.ruleRunMs[rule] = ms;
+}
+
+// Any other event for sessionId ends its wait. Returns how long it was
+// blocked (0 when it wasn't).
+function closeWait(stats, sessionId, hookEvent, toolName, now = Date.now()) {
+  const wait = stats.openWaits && stats.openWaits[sessionId];
+  if (!wait) return 0;
+  delete stats.openWaits[sessionId];
+  const approved = !!wait.rule && hookEvent === 'PostToolUse' && toolName === wait.tool;
+  const ran = approved ? expectedRunMs(stats, wait.rule, toolName) : 0;
+  const ms = Math.min(WAIT_MAX_MS, Math.max(0, now - wait.since - ran));
+  const owner = stats.session.id && stats.session.id === wait.owner ? stats.session
+    : (stats.openSessions && stats.openSessions[wait.owner]);
+  if (owner) owner.waitMs = (owner.waitMs || 0) + ms;
+  const project = (wait.project && stats.projects && stats.projects[wait.project]) || null;
+  bumpDaily(stats, 'waitMs', ms, project);
+  if (approved) {
+    countApproval(stats, wait.rule);
+    if (project) countApproval(project, wait.rule);
+  }
+  return ms;
+}
+
+// Tallies bucket.approvedTools, dropping the rarest rule past MAX_APPROVED_RULES
+function countApproval(bucket, rule) {
+  if (!bucket.approvedTools) bucket.approvedTools = {};
+  const counts = bucket.approvedTools;
+  counts[rule] = (counts[rule] || 0) + 1;
+  const keys = Object.keys(counts);
+  if (keys.length > MAX_APPROVED_RULES) {
+    const rarest = keys.filter(k => k !== rule).reduce((a, b) => (counts[b] < counts[a] ? b : a));
+    delete counts[rarest];
+    if (bucket.ruleRunMs) delete bucket.ruleRunMs[rarest];
+  }
+}
+
+// "waited on you 14m00s · 9 prompts"
+function formatWait(ms, count) {
+  return `waited on you ${formatElapsed(ms)} \u00b7 ${count} prompt${count === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  WAIT_MAX_MS,
+  MAX_APPROVED_RULES,
+  permissionRule,
+  openWait,
+  expectedRunMs,
+  noteRunTime,
+  closeWait,
+  countApproval,
+  formatWait,
+};